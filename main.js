@@ -1,5 +1,4 @@
 require('dotenv').config();
-const axios = require('axios');
 const colors = require('colors');
 const figlet = require('figlet');
 const path = require('path');
@@ -11,35 +10,178 @@ const notifier = require('node-notifier');
 const WebSocket = require('ws');
 const { createObjectCsvWriter } = require('csv-writer');
 const http = require('http');
+const axios = require('axios');
+const { EXCHANGE_IDS, isValidExchange, getExchange } = require('./src/exchanges');
+const { TIMEFRAME_MS, parseReplayArgs, loadReplayEvents, createSimulatedClock, runReplay } = require('./src/replay');
+const {
+    MIN_CROSS_PCT: DEFAULT_MIN_CROSS_PCT, DEFAULT_EMA_PAIRS, MAX_EMA_PERIOD, parseEmaPairs, emaPairLabel, emaPairState, emaPairStateKey,
+    evaluateAlertGate
+} = require('./src/signals');
+const { HORIZON_KEYS, createOutcomeTracker } = require('./src/outcomes');
+const { createPaperPortfolio } = require('./src/paper');
+const { createEarlyWarningTracker } = require('./src/early');
+const { apiError, createApiRouter } = require('./src/api');
+const { createDashboard } = require('./src/dashboard');
+const { createMetricsRegistry } = require('./src/metrics');
+const { alertType, summarize: summarizeAlerts, toCsv: alertHistoryCsv, createAlertHistory } = require('./src/history');
+const {
+    FILTER_IDS, FILTER_LABELS, DEFAULT_THRESHOLDS, parseFilterIds, signalMetrics, checkFilters, createConfirmationTracker
+} = require('./src/filters');
+const { ROLES, REJECT_COOLDOWN_MS, createSubscriberRegistry } = require('./src/subscribers');
+const { createWebhookChannel } = require('./src/channels/webhook');
+const { createDiscordChannel } = require('./src/channels/discord');
+const { createSlackChannel } = require('./src/channels/slack');
+const { renderCandleChart } = require('./src/chart');
+const { createStrategyRegistry } = require('./src/strategies');
+const emaCrossStrategy = require('./src/strategies/ema_cross');
+const emaPairStrategy = require('./src/strategies/ema_pair');
+const { compileRule, evaluateRule, snapshotRule, describeRuleError, createRuleStore } = require('./src/rules');
+const {
+    createEMA, createRSI, createMACD, createBollinger, createATR, createVWAP, createSupertrend, createADX,
+    createStochRSI, createIchimoku, createOBV, createKeltner, createDonchian, series, createIndicatorSet
+} = require('./src/streaming');
+const { createLogger, LEVELS, CONSOLE_MODES, parseModuleLevels, logSettings, configureLogger } = require('./src/logger');
+const {
+    field, integer, number, boolean, oneOf, listOf, validate: validateSettings, readConfigFile, watchConfigFile
+} = require('./src/config');
+
+// Structured logging (src/logger.js) — `log` for the bot itself, `wsLog` for the exchange WS pool
+const log = createLogger('main');
+const wsLog = createLogger('ws');
+
+// Offline replay mode: `node main.js --replay <file|dir> [--tf 5m] [--speed 60] [--from ISO] [--to ISO] [--symbols A,B]`
+// Recorded candles replace the WS pool; nothing is sent to Telegram or the exchanges.
+let REPLAY_OPTIONS = null;
+try {
+    REPLAY_OPTIONS = parseReplayArgs(process.argv.slice(2));
+} catch (e) {
+    console.error(`FATAL: invalid replay arguments — ${e.message}`);
+    process.exit(1);
+}
+const REPLAY_MODE = REPLAY_OPTIONS !== null;
+// Time source for cooldowns and alert timestamps — swapped for a simulated clock in replay mode
+let clock = { now: () => Date.now() };
+let replayAlertCount = 0;
 
 let initialLoadComplete = false;
 let lastCandleTime = null; // Timestamp of the most recently processed closed candle
 // ML configuration
 let ML_ENABLED = false;
 
-// Dual EMA crossover mode: when true, alerts on EMA(9) vs EMA(15) crossover instead of price vs single EMA
+// Crossover mode: when true, alerts on fast vs slow EMA crossovers (EMA_PAIRS on CROSS_TIMEFRAMES)
+// instead of price vs single EMA. Kept under its original name — settings.json stores it.
 let DUAL_EMA_MODE = false;
 
+// Validation constants — shared by settings loader, commands and callback handler
+const VALID_VOLUMES    = [20_000_000, 50_000_000, 100_000_000, 200_000_000];
+const VALID_TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h'];
+const isValidEmaPeriod = n => Number.isInteger(n) && n >= 2 && n <= MAX_EMA_PERIOD;
+
 // Configuration
-let EMA_PERIOD = parseInt(process.env.EMA_PERIOD, 10) || 200;
+let EMA_PERIOD = isValidEmaPeriod(parseInt(process.env.EMA_PERIOD, 10)) ? parseInt(process.env.EMA_PERIOD, 10) : 200;
 let TIMEFRAME = process.env.TIMEFRAME || '15m';
 let VOLUME_THRESHOLD = parseInt(process.env.VOLUME_THRESHOLD, 10) || 100_000_000;
-const CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL, 10) || 5 * 60 * 1000; // 5 minutes
-const ALERT_COOLDOWN = parseInt(process.env.ALERT_COOLDOWN, 10) || 1 * 60 * 1000; // 1 minute cooldown for alerts
+let CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL, 10) || 5 * 60 * 1000; // 5 minutes
+let ALERT_COOLDOWN = parseInt(process.env.ALERT_COOLDOWN, 10) || 1 * 60 * 1000; // 1 minute cooldown for alerts
+// Minimum crossover margin, as a fraction of price, for a cross to count (reduces whipsaw)
+let MIN_CROSS_PCT = Number(process.env.MIN_CROSS_PCT) || DEFAULT_MIN_CROSS_PCT;
+// Exchanges scanned for pairs, in priority order — a symbol listed on several is tracked on the first
+let ENABLED_EXCHANGES = (process.env.EXCHANGES || 'bybit').split(',').map(e => e.trim().toLowerCase()).filter(isValidExchange);
+if (ENABLED_EXCHANGES.length === 0) ENABLED_EXCHANGES = ['bybit'];
+// Per-symbol exchange pins, e.g. { SOLUSDT: 'okx' } — overrides the priority order above
+let SYMBOL_EXCHANGES = {};
+// Crossover mode: fast/slow EMA pairs (e.g. 9/15,20/50,50/200) and the timeframes each runs on
+let EMA_PAIRS = DEFAULT_EMA_PAIRS;
+try {
+    if (process.env.EMA_PAIRS) EMA_PAIRS = parseEmaPairs(process.env.EMA_PAIRS);
+} catch (error) {
+    console.error(`EMA_PAIRS ignored: ${error.message}`);
+}
+let CROSS_TIMEFRAMES = (process.env.CROSS_TIMEFRAMES || '5m,15m').split(',').map(tf => tf.trim()).filter(tf => VALID_TIMEFRAMES.includes(tf));
+if (CROSS_TIMEFRAMES.length === 0) CROSS_TIMEFRAMES = ['5m', '15m'];
+// Confluence (crossover mode only): a pair crossover is only alerted as "confirmed" when the
+// trend timeframe agrees (price above/below EMA(CONFLUENCE_TREND_EMA) on CONFLUENCE_TREND_TF),
+// and a separate "full alignment" alert fires when every crossover timeframe and the trend agree
+let CONFLUENCE_MODE = process.env.CONFLUENCE_MODE === 'true';
+let CONFLUENCE_TREND_TF = VALID_TIMEFRAMES.includes(process.env.CONFLUENCE_TREND_TF) ? process.env.CONFLUENCE_TREND_TF : '1h';
+let CONFLUENCE_TREND_EMA = isValidEmaPeriod(parseInt(process.env.CONFLUENCE_TREND_EMA, 10)) ? parseInt(process.env.CONFLUENCE_TREND_EMA, 10) : 200;
+// Early warning: unconfirmed kline updates are evaluated with projected EMAs — a crossover that is
+// forming sends one "forming" alert per candle, then "confirmed" or "cancelled" when the candle closes
+let EARLY_WARNING = process.env.EARLY_WARNING === 'true';
+let EARLY_WARNING_COOLDOWN = parseInt(process.env.EARLY_WARNING_COOLDOWN, 10) || 15 * 60 * 1000; // per series and direction
+// Signal quality filters on EMA crossovers (see src/filters.js) — which are on is toggled from /settings,
+// the thresholds come from the environment (checked at startup, see checkEnvironmentSettings).
+// Rejected crossovers go to SUPPRESSED_SIGNALS_PATH.
+let SIGNAL_FILTERS = parseFilterIds(process.env.SIGNAL_FILTERS);
+const FILTER_THRESHOLDS = {
+    minRelVolume: Number(process.env.FILTER_MIN_REL_VOLUME || DEFAULT_THRESHOLDS.minRelVolume),
+    volumeLookback: Number(process.env.FILTER_VOLUME_LOOKBACK || DEFAULT_THRESHOLDS.volumeLookback),
+    minAtrPct: Number(process.env.FILTER_MIN_ATR_PCT || DEFAULT_THRESHOLDS.minAtrPct),
+    minAdx: Number(process.env.FILTER_MIN_ADX || DEFAULT_THRESHOLDS.minAdx),
+    maxEmaDistancePct: Number(process.env.FILTER_MAX_EMA_DISTANCE_PCT || DEFAULT_THRESHOLDS.maxEmaDistancePct),
+    confirmCandles: Number(process.env.FILTER_CONFIRM_CANDLES || DEFAULT_THRESHOLDS.confirmCandles)
+};
+// Daily digest of the alert history, sent to every subscriber at DAILY_DIGEST_HOUR (UTC)
+let DAILY_DIGEST = process.env.DAILY_DIGEST !== 'false';
+let DAILY_DIGEST_HOUR = Math.min(23, Math.max(0, parseInt(process.env.DAILY_DIGEST_HOUR ?? 0, 10) || 0));
+// Storage backend — 'sqlite' keeps candles, alerts, labels and ML metrics in one database file;
+// 'files' keeps the legacy NDJSON/CSV/JSON layout under ml_data/ and csv_data/
+const STORAGE = (process.env.STORAGE || 'sqlite').toLowerCase();
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'ema_tracker.db');
+// Paper trading — every alert opens a simulated position (see /portfolio and /trades)
+let PAPER_TRADING = process.env.PAPER_TRADING !== 'false';
+const PAPER_DEFAULTS = {
+    startBalance: 10000, // USDT
+    positionPct: 10,     // % of equity per position
+    slAtr: 1.5,          // stop-loss distance in ATR(14)
+    tpAtr: 3,            // take-profit distance in ATR(14)
+    feePct: 0.055,       // per leg, taker fee
+    slippagePct: 0.02    // per leg
+};
+// The settings among them are checked at startup (see checkEnvironmentSettings)
+const PAPER_CONFIG = {
+    startBalance: Number(process.env.PAPER_START_BALANCE) > 0 ? Number(process.env.PAPER_START_BALANCE) : PAPER_DEFAULTS.startBalance,
+    positionPct: Number(process.env.PAPER_POSITION_PCT || PAPER_DEFAULTS.positionPct),
+    slAtr: Number(process.env.PAPER_SL_ATR || PAPER_DEFAULTS.slAtr),
+    tpAtr: Number(process.env.PAPER_TP_ATR || PAPER_DEFAULTS.tpAtr),
+    feePct: Number(process.env.PAPER_FEE_PCT || PAPER_DEFAULTS.feePct),
+    slippagePct: Number(process.env.PAPER_SLIPPAGE_PCT || PAPER_DEFAULTS.slippagePct)
+};
+// Outbound webhooks — every alert is POSTed as JSON to these URLs (comma-separated)
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''; // HMAC-SHA256 signing key; unsigned when empty
+let WEBHOOK_RETRIES = Number.isInteger(parseInt(process.env.WEBHOOK_RETRIES, 10)) ? parseInt(process.env.WEBHOOK_RETRIES, 10) : 4;
+let WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+// Crossover alerts carry a rendered PNG chart of the last CHART_CANDLES candles
+let CHART_ALERTS = process.env.CHART_ALERTS !== 'false';
+let CHART_CANDLES = parseInt(process.env.CHART_CANDLES, 10) || 60;
+// Discord / Slack incoming webhooks, each with the alert types routed to it:
+// ema (price vs EMA), dual (fast/slow EMA pair crossovers), strategy (custom strategy plugins),
+// newpair (new high-volume pair) and early (forming-crossover warnings and their follow-ups)
+const ALERT_TYPES = ['ema', 'dual', 'strategy', 'newpair', 'early'];
+const parseAlertTypes = value => (value ? value.split(',').map(t => t.trim().toLowerCase()).filter(t => ALERT_TYPES.includes(t)) : ALERT_TYPES);
+const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL || '';
+let DISCORD_ALERTS = parseAlertTypes(process.env.DISCORD_ALERTS);
+const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL || '';
+let SLACK_ALERTS = parseAlertTypes(process.env.SLACK_ALERTS);
+// Custom strategy plugins — every .js file in this folder (see src/strategies/index.js)
+const STRATEGIES_DIR = process.env.STRATEGIES_DIR || path.join(__dirname, 'strategies');
+// Bearer token for the POST routes of the JSON API on HEALTH_PORT; they are disabled when empty
+const API_TOKEN = process.env.API_TOKEN || '';
 
 // Telegram configuration — must be provided via environment variables
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
+if (!REPLAY_MODE && (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID)) {
     console.error('FATAL: TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID must be set as environment variables.');
     console.error('Create a .env file or set them in your deployment platform, then restart.');
     process.exit(1);
 }
-if (!/^-?[0-9]+$/.test(TELEGRAM_CHAT_ID)) {
+if (TELEGRAM_CHAT_ID && !/^-?[0-9]+$/.test(TELEGRAM_CHAT_ID)) {
     console.error('FATAL: TELEGRAM_CHAT_ID must be a numeric string (digits with optional leading minus).');
     process.exit(1);
 }
-if (!/^\d+:[A-Za-z0-9_-]{35,}$/.test(TELEGRAM_BOT_TOKEN)) {
+if (TELEGRAM_BOT_TOKEN && !/^\d+:[A-Za-z0-9_-]{35,}$/.test(TELEGRAM_BOT_TOKEN)) {
     console.error('FATAL: TELEGRAM_BOT_TOKEN format is invalid. Expected format: <digits>:<35+ alphanumeric chars>');
     process.exit(1);
 }
@@ -47,8 +189,9 @@ if (!/^\d+:[A-Za-z0-9_-]{35,}$/.test(TELEGRAM_BOT_TOKEN)) {
 // Initialize Telegram bot with polling enabled
 // const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
 // Initialize Telegram bot with better error handling
+// Replay mode never polls — it must run on a machine with no network
 const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { 
-    polling: {
+    polling: REPLAY_MODE ? false : {
       params: { timeout: 30, limit: 100 },
       retryTimeout: 5000 // Wait 5 seconds before retrying on error
     }
@@ -69,11 +212,11 @@ bot.on('polling_error', (error) => {
           bot.stopPolling();
           setTimeout(() => {
             bot.startPolling();
-            isReconnecting = false;
+            finishReconnect();
             log('Telegram polling restarted successfully', 'success');
           }, 1000);
         } catch (e) {
-          isReconnecting = false;
+          finishReconnect();
           log(`Failed to restart polling: ${e.message}`, 'error');
         }
       }, 10000);
@@ -85,6 +228,7 @@ bot.on('polling_error', (error) => {
 const lastAlerts = new Map();
 const coinStates = new Map(); // Tracks the current state of each coin (above/below EMA)
 const trackedPairs = new Set(); // Keep track of pairs we're already monitoring
+const symbolExchanges = new Map(); // symbol -> exchange id the symbol is tracked on
 
 // Persist and restore alert state so restarts don't re-fire existing crossovers
 const ALERT_STATE_PATH = path.join(__dirname, 'alert_state.json');
@@ -99,13 +243,120 @@ function loadAlertState() {
         log(`Could not load alert state: ${e.message}`, 'warning');
     }
 }
+function loadSignalOutcomes() {
+    try {
+        const count = signalOutcomes.load();
+        if (count > 0) log(`Signal outcomes restored from disk (${count} alerts)`, 'info');
+    } catch (e) {
+        log(`Could not load signal outcomes: ${e.message}`, 'warning');
+    }
+}
+function loadSubscribers() {
+    try {
+        const count = subscribers.load();
+        log(`Subscriber registry loaded (${count} chat${count === 1 ? '' : 's'})`, 'info');
+    } catch (e) {
+        log(`Could not load subscribers: ${e.message}`, 'warning');
+    }
+}
+function loadStrategies() {
+    const count = strategies.load();
+    const custom = strategies.list({ builtin: false }).map(p => p.id);
+    log(`Strategies loaded: ${count} (${custom.length ? `custom: ${custom.join(', ')}` : 'built-in only'})`, 'info');
+}
+function loadRules() {
+    try {
+        const count = rules.load();
+        if (count > 0) log(`Alert rules loaded (${count})`, 'info');
+    } catch (e) {
+        log(`Could not load alert rules: ${e.message}`, 'warning');
+    }
+}
+function loadPaperPortfolio() {
+    try {
+        if (paperPortfolio.load()) log('Paper portfolio restored from disk', 'info');
+    } catch (e) {
+        log(`Could not load paper portfolio: ${e.message}`, 'warning');
+    }
+}
 function saveAlertState() {
+    // A replay must never overwrite the live bot's cooldowns
+    if (REPLAY_MODE) return;
     fs.writeFile(ALERT_STATE_PATH, JSON.stringify({
         alerts: [...lastAlerts.entries()],
         states: [...coinStates.entries()]
     }), () => {});
 }
 
+// Every fired alert is graded at 15m/1h/4h/24h from the candle stream (see /signalstats).
+// Replay keeps its outcomes in memory so the live history is never touched.
+const SIGNAL_OUTCOMES_PATH = path.join(__dirname, 'signal_outcomes.json');
+const signalOutcomes = createOutcomeTracker({
+    filePath: REPLAY_MODE ? null : SIGNAL_OUTCOMES_PATH,
+    tfMs: TIMEFRAME_MS
+});
+
+// Simulated portfolio traded from alerts — persisted like alert_state.json, in memory for replays
+const PAPER_PORTFOLIO_PATH = path.join(__dirname, 'paper_portfolio.json');
+const paperPortfolio = createPaperPortfolio({
+    filePath: REPLAY_MODE ? null : PAPER_PORTFOLIO_PATH,
+    config: PAPER_CONFIG
+});
+
+// Forming-crossover warnings waiting for their candle to close (in memory only)
+const earlyWarnings = createEarlyWarningTracker({ cooldownMs: EARLY_WARNING_COOLDOWN });
+
+// Crossovers waiting for the candle confirmation filter, and where rejected ones are logged for tuning
+const signalConfirmations = createConfirmationTracker();
+const SUPPRESSED_SIGNALS_PATH = path.join(__dirname, 'suppressed_signals.ndjson');
+
+// Chats that receive alerts — TELEGRAM_CHAT_ID is the bootstrap admin, others join via /subscribe
+const SUBSCRIBERS_PATH = path.join(__dirname, 'subscribers.json');
+const subscribers = createSubscriberRegistry({
+    filePath: REPLAY_MODE ? null : SUBSCRIBERS_PATH,
+    ownerChatId: TELEGRAM_CHAT_ID
+});
+
+// Signal rules — the two EMA modes as built-ins plus whatever STRATEGIES_DIR holds.
+// Custom strategies only run while some chat has enabled them (/strategy enable <id>).
+const strategies = createStrategyRegistry({
+    dir: STRATEGIES_DIR,
+    builtins: [emaCrossStrategy, emaPairStrategy],
+    log: createLogger('strategies')
+});
+
+// Chat-defined alert rules (/rule add) — a replay evaluates the saved rules but never edits them
+const RULES_PATH = path.join(__dirname, 'rules.json');
+let MAX_RULES_PER_CHAT = parseInt(process.env.MAX_RULES_PER_CHAT, 10) || 20;
+const rules = createRuleStore({
+    filePath: RULES_PATH,
+    readOnly: REPLAY_MODE,
+    compile: (text, defaultTf = ruleDefaultTimeframe()) => compileRule(text, { timeframes: VALID_TIMEFRAMES, defaultTf }),
+    log: createLogger('rules')
+});
+
+// Webhook channel — undeliverable alerts end up in webhook_dead_letter.ndjson
+const WEBHOOK_DEAD_LETTER_PATH = path.join(__dirname, 'webhook_dead_letter.ndjson');
+const webhooks = WEBHOOK_URLS.length > 0
+    ? createWebhookChannel({
+        urls: WEBHOOK_URLS,
+        secret: WEBHOOK_SECRET,
+        retries: WEBHOOK_RETRIES,
+        timeoutMs: WEBHOOK_TIMEOUT_MS,
+        deadLetterPath: WEBHOOK_DEAD_LETTER_PATH,
+        log: createLogger('webhook')
+    })
+    : null;
+
+// Team chat channels — same content as the Telegram alert, rendered as Discord embeds / Slack blocks
+const discordChannel = DISCORD_WEBHOOK_URL
+    ? createDiscordChannel({ url: DISCORD_WEBHOOK_URL, types: DISCORD_ALERTS, log: createLogger('discord') })
+    : null;
+const slackChannel = SLACK_WEBHOOK_URL
+    ? createSlackChannel({ url: SLACK_WEBHOOK_URL, types: SLACK_ALERTS, log: createLogger('slack') })
+    : null;
+const chatChannels = [discordChannel, slackChannel].filter(Boolean);
+
 // Deferred update queue — replaces unbounded 24h setTimeout calls
 // Each entry: { executeAt: timestamp, fn: async () => ... }
 const deferredUpdates = [];
@@ -124,23 +375,56 @@ function deferredInsert(entry) {
 const activeWebSockets = new Map(); // Track active WebSocket connections
 const klineCache = new Map(); // Cache for kline data
 const emaCache = new Map(); // Cache for calculated EMAs
-const ema9Cache = new Map(); // Cache for EMA(9) values (dual mode)
-const ema15Cache = new Map(); // Cache for EMA(15) values (dual mode)
-// Composite cache key for dual-TF mode — "BTCUSDT_5m" / "BTCUSDT_15m"
+const pairEmaCache = new Map(); // EMA series per cache key and period (crossover mode) — see emaKey()
+const indicatorStreams = new Map(); // Streaming indicator set per cache key — see createSeriesIndicators()
+// Composite cache key for crossover mode — "BTCUSDT_5m" / "BTCUSDT_15m"
 function tfKey(symbol, tf) { return `${symbol}_${tf}`; }
+function emaKey(cacheKey, period) { return `${cacheKey}|${period}`; }
+// Every EMA period the crossover pairs need, e.g. 9/15 + 50/200 → [9, 15, 50, 200]
+function crossPeriods() {
+    return [...new Set(EMA_PAIRS.flatMap(p => [p.fast, p.slow]))].sort((a, b) => a - b);
+}
+// EMA periods kept for one crossover-mode series: the pair periods on crossover timeframes plus
+// the trend EMA on the confluence trend timeframe. tf null = legacy flat key (pairs only).
+function emaPeriodsFor(tf) {
+    const periods = !tf || CROSS_TIMEFRAMES.includes(tf) ? crossPeriods() : [];
+    if (CONFLUENCE_MODE && tf === CONFLUENCE_TREND_TF && !periods.includes(CONFLUENCE_TREND_EMA)) {
+        periods.push(CONFLUENCE_TREND_EMA);
+    }
+    return periods;
+}
+// Longest EMA the active mode needs — drives history size and warm-up
+function requiredEmaPeriod() {
+    if (!DUAL_EMA_MODE) return EMA_PERIOD;
+    const slowest = Math.max(...EMA_PAIRS.map(p => p.slow));
+    return CONFLUENCE_MODE ? Math.max(slowest, CONFLUENCE_TREND_EMA) : slowest;
+}
+// Timeframe of a rule that names none: the single-EMA timeframe, or the first crossover timeframe
+function ruleDefaultTimeframe() {
+    return DUAL_EMA_MODE ? CROSS_TIMEFRAMES[0] : TIMEFRAME;
+}
+// klineCache key of a symbol/timeframe series. Single-EMA mode keeps its own timeframe under the
+// bare symbol; every other series (crossover mode, rule-only timeframes) uses tfKey().
+function seriesCacheKey(symbol, tf) {
+    return DUAL_EMA_MODE || tf !== TIMEFRAME ? tfKey(symbol, tf) : symbol;
+}
+// "EMA 9/15, EMA 50/200 [5m + 15m]" style description of crossover mode
+function crossModeLabel() {
+    return `${EMA_PAIRS.map(emaPairLabel).join(', ')} [${CROSS_TIMEFRAMES.join(' + ')}]`;
+}
+// Crossover-mode series used for ML features — 15m when monitored (more signal than 5m noise)
+function mlTimeframe() {
+    return CROSS_TIMEFRAMES.includes('15m') ? '15m' : CROSS_TIMEFRAMES[0];
+}
 const trainingData = new Map(); // Store historical data for ML training
 const modelPerformance = new Map(); // Track ML model accuracy
 const reconnectionAttempts = new Map(); // Track reconnection attempts (keyed by pool index: "pool_0", "pool_1", …)
 const MAX_RECONNECTION_ATTEMPTS = 5;
 const RECONNECTION_DELAY = 5000; // 5 seconds
-const WS_TOPICS_PER_CONN = 100;  // Bybit allows ~500 topics/conn; stay well within limits
-const wsPool = [];                // [{ ws, symbols: Set<string>, index }]
-const MIN_CROSS_PCT = 0.0003; // 0.03% minimum crossover margin to reduce whipsaw
-// Validation constants — shared by settings loader and callback handler
-const VALID_VOLUMES    = [20_000_000, 50_000_000, 100_000_000, 200_000_000];
-const VALID_TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h'];
-const VALID_EMA_PERIODS = [50, 100, 200];
+let WS_TOPICS_PER_CONN = parseInt(process.env.WS_TOPICS_PER_CONN, 10) || 100; // Bybit allows ~500 topics/conn; stay well within limits
+const wsPool = [];                // [{ ws, symbols: Set<string>, index, exchange }]
 let isReconnecting = false; // Prevents stacked reconnectionsduring graceful restarts
+let reconnectQueued = false; // settings changed during a reconnect — another one follows it
 let monitoringInterval = null; // Reference to the periodic check interval
 
 // Prevent destructive commands from being spammed concurrently.
@@ -167,47 +451,432 @@ function endCommand(command) {
     commandCooldown.set(command, { running: false, lastRunAt: Date.now() });
 }
 
-// Telegram circuit breaker — pauses alert sends after 5 consecutive failures
+// Telegram circuit breaker — pauses every alert send after 5 consecutive rate-limit (429), server
+// (5xx) or network errors. Errors of a single chat never trip it: they are counted per chat, and a
+// chat that fails 5 sends in a row is skipped for the same 5 minutes.
+const TELEGRAM_FAILURE_LIMIT = 5;
+const TELEGRAM_PAUSE_MS = 5 * 60 * 1000;
 let _tgFailCount = 0;
 let _tgPausedUntil = 0;
-async function safeSendAlert(chatId, text, opts) {
-    if (Date.now() < _tgPausedUntil) {
-        log('Telegram circuit open — alert suppressed', 'warning');
+const _tgChatFailures = new Map(); // chatId -> { count, pausedUntil }
+const TELEGRAM_CAPTION_LIMIT = 1024;
+
+// HTTP status of a failed Telegram call (node-telegram-bot-api ETELEGRAM errors), null for network errors
+function telegramErrorStatus(error) {
+    return error.response?.statusCode ?? error.response?.body?.error_code ?? null;
+}
+
+// Errors that say Telegram itself is unavailable, rather than something about one chat or message
+function isTelegramOutage(error) {
+    const status = telegramErrorStatus(error);
+    return status === null || status === 429 || status >= 500;
+}
+
+function recordTelegramFailure(chatId, error) {
+    if (isTelegramOutage(error)) {
+        if (++_tgFailCount >= TELEGRAM_FAILURE_LIMIT) {
+            _tgPausedUntil = Date.now() + TELEGRAM_PAUSE_MS;
+            log('Telegram circuit breaker tripped — pausing sends for 5 minutes', 'warning');
+            _tgFailCount = 0;
+        }
         return;
     }
+    const failures = _tgChatFailures.get(String(chatId)) || { count: 0, pausedUntil: 0 };
+    if (++failures.count >= TELEGRAM_FAILURE_LIMIT) {
+        failures.pausedUntil = Date.now() + TELEGRAM_PAUSE_MS;
+        failures.count = 0;
+        log(`Alerts to ${chatId} failed ${TELEGRAM_FAILURE_LIMIT} times in a row — skipping the chat for 5 minutes`, 'warning');
+    }
+    _tgChatFailures.set(String(chatId), failures);
+}
+
+// photo — optional PNG buffer; the text becomes its caption (or follows it when too long for one).
+// Returns true once sent, false when the circuit breaker held it back; throws when Telegram refuses it.
+async function safeSendAlert(chatId, text, opts, photo = null) {
+    if (REPLAY_MODE) {
+        replayAlertCount++;
+        log(`[REPLAY ${new Date(clock.now()).toISOString()}] Alert (not sent${photo ? `, ${photo.length} byte chart` : ''}):\n${text}`, 'success');
+        return true;
+    }
+    if (Date.now() < _tgPausedUntil) return false;
+    if (Date.now() < (_tgChatFailures.get(String(chatId))?.pausedUntil || 0)) return false;
     try {
-        await bot.sendMessage(chatId, text, opts);
+        if (photo) {
+            const fileOptions = { filename: 'chart.png', contentType: 'image/png' };
+            if (text.length <= TELEGRAM_CAPTION_LIMIT) {
+                await bot.sendPhoto(chatId, photo, { ...opts, caption: text }, fileOptions);
+            } else {
+                await bot.sendPhoto(chatId, photo, {}, fileOptions);
+                await bot.sendMessage(chatId, text, opts);
+            }
+        } else {
+            await bot.sendMessage(chatId, text, opts);
+        }
         _tgFailCount = 0;
+        _tgChatFailures.delete(String(chatId));
+        return true;
     } catch (e) {
-        if (++_tgFailCount >= 5) {
-            _tgPausedUntil = Date.now() + 5 * 60 * 1000;
-            log('Telegram circuit breaker tripped — pausing sends for 5 minutes', 'warning');
-            _tgFailCount = 0;
-        }
+        recordTelegramFailure(chatId, e);
         throw e;
     }
 }
 
+// Fan an alert out to every subscriber whose preferences match it.
+// alert: { symbol, tf, mode } — see subscribers.recipientsFor — or { recipients } to reach exactly
+// those chats (follow-ups). A chat that rejects the Markdown/photo version (400) gets the plain text
+// instead; a chat that blocked the bot (403) is marked blocked and left out of later alerts. One bad
+// chat never blocks the rest. Returns the chats the alert was delivered to.
+// alert.type — the alert type for the metrics when no mode or early flag tells it (new pairs);
+// messages without one (the daily digest) are not counted as alerts.
+async function broadcastAlert(alert, text, opts, photo = null) {
+    const type = alert.early ? 'early' : alert.mode || alert.type || null;
+    if (REPLAY_MODE) {
+        await safeSendAlert(null, text, opts, photo);
+        if (type) alertsSent.inc({ type });
+        return [];
+    }
+    const recipients = alert.recipients || subscribers.recipientsFor(alert, clock.now());
+    const delivered = [];
+    let heldBack = false; // a circuit breaker kept it from at least one chat
+    for (const chatId of recipients) {
+        try {
+            if (await safeSendAlert(chatId, text, opts, photo)) delivered.push(chatId);
+            else heldBack = true;
+        } catch (e) {
+            const status = telegramErrorStatus(e);
+            if (status === 403) {
+                log(`Alert to ${chatId} refused (${e.message}) — chat marked as blocked`, 'warning');
+                subscribers.block(chatId);
+            } else if (status === 400) {
+                log(`Alert to ${chatId} failed (${e.message}) — retrying without formatting`, 'warning');
+                await safeSendAlert(chatId, text, { disable_web_page_preview: true })
+                    .then(sent => sent && delivered.push(chatId))
+                    .catch(retryError => log(`Alert to ${chatId} failed again: ${retryError.message}`, 'error'));
+            } else {
+                log(`Alert to ${chatId} failed: ${e.message}`, 'error');
+            }
+        }
+    }
+    if (type && delivered.length > 0) {
+        alertsSent.inc({ type });
+    } else if (type && heldBack) {
+        log('Telegram circuit open — alert suppressed', 'warning', { symbol: alert.symbol, timeframe: alert.tf });
+        alertsSuppressed.inc({ reason: 'circuit_breaker' });
+    }
+    return delivered;
+}
+
+// PNG of the last CHART_CANDLES candles of the alert's series with its EMA line(s) and an
+// arrow on the crossover candle (the last closed one). Null when charts are off or there is
+// not enough data — the alert then goes out as text only.
+// pair — the { fast, slow } EMA pair that crossed (crossover mode only)
+function renderAlertChart(symbol, crossType, tf = '', pair = null) {
+    if (!CHART_ALERTS) return null;
+    const cacheKey = tf ? tfKey(symbol, tf) : symbol;
+    const candles = (klineCache.get(cacheKey) || []).slice(-CHART_CANDLES);
+    if (candles.length < 2) return null;
+
+    const lines = DUAL_EMA_MODE && pair
+        ? [
+            { label: `EMA(${pair.fast})`, color: '#2196f3', values: pairEmaCache.get(emaKey(cacheKey, pair.fast)) || [] },
+            { label: `EMA(${pair.slow})`, color: '#ff9800', values: pairEmaCache.get(emaKey(cacheKey, pair.slow)) || [] }
+        ]
+        : [{ label: `EMA(${EMA_PERIOD})`, color: '#f5c542', values: emaCache.get(symbol) || [] }];
+    try {
+        return renderCandleChart({
+            candles,
+            lines,
+            marker: { index: candles.length - 1, direction: crossType },
+            title: `${displaySymbol(symbol)} ${(tf || TIMEFRAME).toUpperCase()}`
+        });
+    } catch (error) {
+        log(`Chart rendering failed for ${symbol}: ${error.message}`, 'warning');
+        return null;
+    }
+}
+
+// Structured alert for machine consumers (webhooks). Fields that were not available for
+// this alert (OI, ML prediction) are null rather than missing.
+// label — signal name, e.g. 'EMA 20/50'; defaults to the single-EMA label
+function buildAlertPayload({ symbol, tf, mode, label = `EMA(${EMA_PERIOD})`, crossType, price, emas, spreadPct, oi, stats, prediction = null }) {
+    const time = clock.now();
+    return {
+        event: 'crossover',
+        id: `${symbol}_${tf}_${mode}_${time}`,
+        symbol,
+        exchange: exchangeFor(symbol).id,
+        mode,
+        label,
+        timeframe: tf,
+        direction: crossType,
+        signal: crossType === 'up' ? 'bullish' : 'bearish',
+        price,
+        emas,
+        spreadPct,
+        oi: oi || null,
+        stats24h: stats ? { changePercent: parseFloat(stats.priceChangePercent), quoteVolume: parseFloat(stats.quoteVolume) } : null,
+        ml: prediction === null || prediction === undefined ? null : { predictedChangePct24h: prediction },
+        chartUrl: getTradingViewUrl(symbol),
+        time: new Date(time).toISOString()
+    };
+}
+
+function mlConfidenceEmoji(prediction) {
+    if (Math.abs(prediction) > 3) return prediction > 0 ? '🔥' : '❄️'; // Strong signal
+    if (Math.abs(prediction) > 1) return prediction > 0 ? '📈' : '📉'; // Moderate signal
+    return '⚠️'; // Neutral/uncertain
+}
+
+function oiDeltaText(oi) {
+    const verdict = oi.deltaPercent >= 0.5 ? '📈 new money (stronger)' : oi.deltaPercent <= -0.5 ? '📉 liquidation (weaker)' : '→ neutral';
+    return `${oi.deltaPercent >= 0 ? '+' : ''}${oi.deltaPercent.toFixed(2)}% ${verdict}`;
+}
+
+// Platform-neutral rendering of an alert payload for Discord/Slack — the same fields the
+// Telegram message shows. See src/channels/incoming.js for the card shape.
+function buildAlertCard(payload) {
+    if (payload.event === 'new_pair') {
+        return {
+            title: '🔔 NEW HIGH VOLUME PAIR DETECTED',
+            color: 'info',
+            fields: [
+                { name: 'Symbol', value: displaySymbol(payload.symbol) },
+                { name: 'Volume', value: formatVolume(payload.volume) },
+                { name: 'Price', value: formatPrice(payload.price) },
+                { name: '24h Change', value: `${payload.changePercent.toFixed(2)}%` }
+            ],
+            url: payload.chartUrl,
+            urlLabel: 'View Chart on TradingView',
+            time: payload.time
+        };
+    }
+
+    if (payload.event === 'early_warning') {
+        const up = payload.direction === 'up';
+        const status = { forming: '⏳ FORMING', confirmed: '✅ CONFIRMED', cancelled: '❌ CANCELLED' }[payload.status];
+        return {
+            title: `${status} ${up ? 'BULLISH' : 'BEARISH'} ${payload.label} CROSS [${payload.timeframe.toUpperCase()}]`,
+            color: payload.status === 'cancelled' ? 'info' : up ? 'bull' : 'bear',
+            fields: [
+                { name: 'Symbol', value: displaySymbol(payload.symbol) },
+                { name: payload.status === 'forming' ? 'Price' : 'Close', value: formatPrice(payload.price) },
+                ...Object.entries(payload.emas).map(([period, value]) => ({ name: `EMA(${period})`, value: formatPrice(value) })),
+                { name: 'Candle', value: payload.status === 'forming' ? 'not closed yet — projected EMAs' : 'closed' },
+                { name: 'Timeframe', value: payload.timeframe }
+            ],
+            url: payload.chartUrl,
+            urlLabel: 'View Chart on TradingView',
+            time: payload.time
+        };
+    }
+
+    if (payload.event === 'signal') {
+        const up = payload.direction === 'up';
+        return {
+            title: `${up ? '🟢' : '🔴'} ${up ? 'BULLISH' : 'BEARISH'} ${payload.label} [${payload.timeframe.toUpperCase()}]`,
+            color: up ? 'bull' : 'bear',
+            fields: [
+                { name: 'Strategy', value: payload.strategy },
+                { name: 'Symbol', value: displaySymbol(payload.symbol) },
+                { name: 'Price', value: formatPrice(payload.price) },
+                ...Object.entries(payload.details).map(([name, value]) => ({ name, value: String(value) })),
+                ...(payload.stats24h ? [{ name: '24h Change', value: `${payload.stats24h.changePercent.toFixed(2)}%` }] : []),
+                { name: 'Timeframe', value: payload.timeframe }
+            ],
+            url: payload.chartUrl,
+            urlLabel: 'View Chart on TradingView',
+            time: payload.time
+        };
+    }
+
+    const up = payload.direction === 'up';
+    const emoji = up ? '🟢' : '🔴';
+    const dual = payload.mode === 'dual';
+    const alignment = payload.event === 'alignment';
+    const signal = alignment
+        ? `FULL ALIGNMENT ${up ? 'BULLISH' : 'BEARISH'} ${payload.label}`
+        : dual
+            ? `${payload.confluence ? 'CONFIRMED ' : ''}${up ? 'BULLISH' : 'BEARISH'} ${payload.label} CROSS [${payload.timeframe.toUpperCase()}]`
+            : `${up ? 'BULLISH' : 'BEARISH'} SIGNAL`;
+    const fields = [
+        { name: 'Symbol', value: displaySymbol(payload.symbol) },
+        { name: 'Price', value: formatPrice(payload.price) },
+        ...Object.entries(payload.emas).map(([period, value]) => ({ name: `EMA(${period})`, value: formatPrice(value) }))
+    ];
+    if (!alignment) {
+        fields.push(dual
+            ? { name: 'EMA Spread', value: `${payload.spreadPct.toFixed(4)}%` }
+            : { name: 'Difference', value: `${payload.spreadPct.toFixed(2)}%` });
+    }
+    // One field per timeframe row so the card shows why a confluence alert fired
+    for (const row of payload.confluence?.timeframes || []) {
+        fields.push({ name: `${row.tf} ${row.signal}`, value: row.state === 'up' ? '▲ bull' : row.state === 'down' ? '▼ bear' : 'n/a' });
+    }
+    if (payload.stats24h) {
+        fields.push(
+            { name: '24h Change', value: `${payload.stats24h.changePercent.toFixed(2)}%` },
+            { name: '24h Volume', value: formatVolume(payload.stats24h.quoteVolume) }
+        );
+    }
+    if (payload.oi) fields.push({ name: 'OI Delta', value: oiDeltaText(payload.oi) });
+    if (!alignment) fields.push({ name: 'Timeframe', value: dual ? payload.timeframe.toUpperCase() : payload.timeframe });
+    if (payload.ml) {
+        const prediction = payload.ml.predictedChangePct24h;
+        fields.push({ name: 'ML Prediction', value: `${mlConfidenceEmoji(prediction)} ${prediction.toFixed(2)}% (24h)` });
+    }
+
+    return {
+        title: `${emoji} ${signal} ${emoji}`,
+        color: up ? 'bull' : 'bear',
+        fields,
+        url: payload.chartUrl,
+        urlLabel: 'View Chart on TradingView',
+        time: payload.time
+    };
+}
+
+// Record an alert in the history and hand it to the outbound channels: crossovers, early warnings and strategy
+// signals go to the webhooks, and every alert type to the Discord/Slack channels it is routed to. Delivery (with
+// webhook retries) runs in the background so a slow receiver never holds up Telegram. Replays never leave the machine.
+// → payload.id, for the log lines of the alert
+function publishAlert(payload) {
+    recordAlertHistory(payload);
+    if (REPLAY_MODE) return payload.id;
+    if (webhooks && ['crossover', 'alignment', 'signal', 'early_warning'].includes(payload.event)) webhooks.send(payload);
+
+    const type = alertType(payload);
+    const targets = chatChannels.filter(channel => channel.accepts(type));
+    if (targets.length > 0) {
+        const card = buildAlertCard(payload);
+        for (const channel of targets) channel.send(card);
+    }
+    return payload.id;
+}
+
+// Resolve the exchange adapter a symbol is tracked on (pin → discovered → first enabled)
+function exchangeFor(symbol) {
+    return getExchange(SYMBOL_EXCHANGES[symbol] || symbolExchanges.get(symbol) || ENABLED_EXCHANGES[0]);
+}
+
+// Exchange-prefixed symbol for alerts, e.g. "BYBIT:BTCUSDT"
+function displaySymbol(symbol) {
+    return `${exchangeFor(symbol).tvPrefix}:${symbol}`;
+}
+
 // Build a TradingView chart URL for a given symbol (handles non-USDT pairs gracefully)
 function getTradingViewUrl(symbol) {
     const base = symbol.endsWith('USDT') ? symbol.slice(0, -4) : symbol;
-    return `https://www.tradingview.com/chart/?symbol=BYBIT:${base}USDT.P`;
+    return `https://www.tradingview.com/chart/?symbol=${exchangeFor(symbol).tvPrefix}:${base}USDT.P`;
 }
 // Returns a human-readable timeframe label for the current mode.
 // Dual mode doesn't have a single TF, so we reflect the actual tf arg or show both.
 function activeTimeframeLabel(tf = '') {
-    if (DUAL_EMA_MODE) return tf ? tf.toUpperCase() : '5m + 15m';
+    if (DUAL_EMA_MODE) return tf ? tf.toUpperCase() : CROSS_TIMEFRAMES.join(' + ');
     return TIMEFRAME;
 }
-let _indicatorsModule = null; // Cached module ref — avoids repeated require() on every closed candle
+
+// Every alert sent (src/history.js) — on the SQLite store, else ALERT_HISTORY_PATH; in memory for replays
+const ALERT_HISTORY_PATH = path.join(__dirname, 'alert_history.ndjson');
+let alertHistory = createAlertHistory();
+function openAlertHistory() {
+    alertHistory = createAlertHistory({ store, filePath: store ? null : ALERT_HISTORY_PATH, log: createLogger('history') });
+}
+
+// Every alert passes through here (history, dashboard feed); broadcastAlert counts the ones delivered.
+// chatId — set for alerts that went to one chat only
+function recordAlertHistory(payload, chatId = null) {
+    try {
+        alertHistory.record(payload, { chatId });
+        if (chatId === null) dashboard.send('alert', payload);
+    } catch (e) {
+        log(`Could not record alert history for ${payload.symbol}: ${e.message}`, 'warning', { symbol: payload.symbol, alertId: payload.id });
+    }
+}
+
+// SQLite store (src/db.js) — null when STORAGE=files, in replay mode, or if the native module is missing
+let store = null;
+function openStorage() {
+    if (REPLAY_MODE || STORAGE !== 'sqlite') return;
+    try {
+        // Required lazily so STORAGE=files works on hosts where better-sqlite3 cannot be built
+        const { openStore } = require('./src/db');
+        store = openStore(DB_PATH);
+        for (const migration of store.migrations) {
+            log(`Database migrated to v${migration.version} (${migration.name})`, 'info');
+        }
+        log(`SQLite storage ready at ${DB_PATH}`, 'info');
+    } catch (e) {
+        store = null;
+        log(`SQLite storage unavailable (${e.message}) — falling back to file storage`, 'warning');
+    }
+}
+// Prometheus metrics (src/metrics.js), scraped from /metrics on HEALTH_PORT
+const metricsRegistry = createMetricsRegistry();
+const candlesProcessed = metricsRegistry.counter('ema_tracker_candles_processed_total', 'Closed candles processed', ['timeframe']);
+const alertsSent = metricsRegistry.counter('ema_tracker_alerts_sent_total',
+    'Alerts delivered to at least one Telegram chat, by alert type', ['type']);
+const alertsSuppressed = metricsRegistry.counter('ema_tracker_alerts_suppressed_total',
+    'Alerts not sent: cooldown, circuit_breaker (Telegram paused, no chat reached) or filter (signal quality filters)', ['reason']);
+const restRequests = metricsRegistry.counter('ema_tracker_rest_requests_total',
+    'Exchange REST calls by endpoint and HTTP status ("error" without a response)', ['exchange', 'endpoint', 'status']);
+const restDuration = metricsRegistry.histogram('ema_tracker_rest_request_duration_seconds', 'Exchange REST call latency', ['exchange', 'endpoint']);
+const rateLimitWait = metricsRegistry.histogram('ema_tracker_rate_limit_wait_seconds', 'Time callers spent waiting in enforceRateLimit');
+const wsReconnects = metricsRegistry.counter('ema_tracker_ws_reconnects_total', 'WebSocket pool reconnects per pool index', ['pool']);
+metricsRegistry.gauge('ema_tracker_deferred_queue_depth', 'Deferred ML label updates waiting to run', () => deferredUpdates.length);
+metricsRegistry.gauge('ema_tracker_seconds_since_last_candle', 'Seconds since the last closed candle was processed',
+    () => (lastCandleTime ? (clock.now() - lastCandleTime) / 1000 : NaN));
+metricsRegistry.gauge('ema_tracker_tracked_pairs', 'Pairs being tracked', () => trackedPairs.size);
+metricsRegistry.gauge('ema_tracker_ws_connections', 'WebSocket pool connections by state', () => {
+    const counts = { connecting: 0, open: 0, closing: 0, closed: 0 };
+    for (const connection of poolStatus()) counts[connection.state]++;
+    return Object.entries(counts).map(([state, n]) => [{ state }, n]);
+}, ['state']);
+metricsRegistry.gauge('process_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+metricsRegistry.gauge('process_heap_total_bytes', 'V8 heap allocated', () => process.memoryUsage().heapTotal);
+metricsRegistry.gauge('process_resident_memory_bytes', 'Resident set size', () => process.memoryUsage().rss);
+
+// Time every REST call the exchange adapters make (they share the default axios instance);
+// other axios traffic (webhooks, Discord/Slack) is not counted
+function instrumentExchangeRest() {
+    const endpointOf = (url = '') => {
+        for (const id of EXCHANGE_IDS) {
+            const { restUrl } = getExchange(id);
+            if (url.startsWith(restUrl)) return { exchange: id, endpoint: url.slice(restUrl.length).split('?')[0] };
+        }
+        return null;
+    };
+    const record = (config, status) => {
+        const target = config && endpointOf(config.url);
+        if (!target || !config.metricsStart) return;
+        restRequests.inc({ ...target, status: String(status) });
+        restDuration.observe(target, (Date.now() - config.metricsStart) / 1000);
+    };
+    axios.interceptors.request.use(config => {
+        config.metricsStart = Date.now();
+        return config;
+    });
+    axios.interceptors.response.use(
+        response => {
+            record(response.config, response.status);
+            return response;
+        },
+        error => {
+            record(error.config, error.response ? error.response.status : 'error');
+            return Promise.reject(error);
+        }
+    );
+}
+instrumentExchangeRest();
+
 // Rate limiting for API calls
-const API_RATE_LIMIT = 1200; // 1.2 seconds between API calls
+let API_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT, 10) || 1200; // 1.2 seconds between API calls
 let lastApiCall = 0;
 
 // Serialised rate-limit queue — prevents concurrent callers from all reading the
 // same lastApiCall timestamp in the same millisecond, which would bypass the limiter.
 let _rateLimitQueue = Promise.resolve();
 function enforceRateLimit() {
+    const calledAt = Date.now();
     _rateLimitQueue = _rateLimitQueue.then(() => {
         const now = Date.now();
         const wait = API_RATE_LIMIT - (now - lastApiCall);
@@ -217,7 +886,7 @@ function enforceRateLimit() {
         }
         lastApiCall = now;
     });
-    return _rateLimitQueue;
+    return _rateLimitQueue.then(() => rateLimitWait.observe({}, (Date.now() - calledAt) / 1000));
 }
 
 // ML directories
@@ -228,24 +897,6 @@ const MODEL_PATH = path.join(__dirname, 'ml_models');
 // At the top of your file, after other requires
 // const brainML = require('./src/ml/alternative');
 
-// Create a log directory for persistent logging
-const LOG_DIR = path.join(__dirname, 'logs');
-if (!fs.existsSync(LOG_DIR)) {
-    fs.mkdirSync(LOG_DIR);
-}
-
-// Cached daily log file path — refreshes once per day to avoid per-call allocations
-let _cachedLogDate = '';
-let _cachedLogPath = '';
-function getDailyLogPath() {
-    const today = new Date().toISOString().split('T')[0];
-    if (today !== _cachedLogDate) {
-        _cachedLogDate = today;
-        _cachedLogPath = path.join(LOG_DIR, `ema-tracker-${today}.log`);
-    }
-    return _cachedLogPath;
-}
-
 // Create ML directories
 if (!fs.existsSync(ML_DATA_DIR)) {
     fs.mkdirSync(ML_DATA_DIR, { recursive: true });
@@ -259,31 +910,6 @@ if (!fs.existsSync(MODEL_PATH)) {
     fs.mkdirSync(MODEL_PATH, { recursive: true });
 }
 
-// Log function that writes to both console and file
-function log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}`;
-
-    // Console logging with colors
-    switch (type) {
-        case 'error':
-            console.error(logMessage.red);
-            break;
-        case 'success':
-            console.log(logMessage.green);
-            break;
-        case 'warning':
-            console.log(logMessage.yellow);
-            break;
-        default:
-            console.log(logMessage);
-    }
-
-    // File logging
-    const logFile = getDailyLogPath();
-    fs.appendFileSync(logFile, logMessage + '\n');
-}
-
 // Check if TensorFlow.js can be loaded
 function checkTensorFlowAvailability() {
     try {
@@ -327,6 +953,7 @@ function registerToastApp() {
 // On Windows, uses SnoreToast directly with a named pipe so that click events are
 // reliably detected and the URL is opened in the default browser.
 function showDesktopNotification(title, message, type = 'info', url = null) {
+    if (REPLAY_MODE) return;
     try {
         const displayMsg = url ? `${message}\n\uD83D\uDD17 Click to open chart` : message;
 
@@ -380,16 +1007,23 @@ function showDesktopNotification(title, message, type = 'info', url = null) {
 function initializeTerminal() {
     console.clear();
     console.log(figlet.textSync('EMA Tracker', { font: 'Standard' }).green);
-    console.log('Monitoring Bybit Futures for EMA Crossovers'.yellow.bold);
-    console.log(`Configuration: ${DUAL_EMA_MODE ? 'EMA 9/15 Cross [5m+15m]' : EMA_PERIOD + ' EMA'} | ${DUAL_EMA_MODE ? '5m + 15m' : TIMEFRAME} Timeframe | Volume > ${VOLUME_THRESHOLD.toLocaleString()}`.cyan);
+    console.log(`Monitoring ${ENABLED_EXCHANGES.map(e => getExchange(e).name).join(' + ')} Futures for EMA Crossovers`.yellow.bold);
+    console.log(`Configuration: ${DUAL_EMA_MODE ? crossModeLabel() + ' Cross' : EMA_PERIOD + ' EMA'} | ${DUAL_EMA_MODE ? CROSS_TIMEFRAMES.join(' + ') : TIMEFRAME} Timeframe | Volume > ${VOLUME_THRESHOLD.toLocaleString()}`.cyan);
     console.log(`Alert Cooldown: ${ALERT_COOLDOWN / 60000} minutes`.magenta);
-    console.log(`Telegram Alerts: Enabled for Chat ID ${String(TELEGRAM_CHAT_ID).slice(0, 4)}****`.blue);
-    console.log(`WebSocket Real-Time Monitoring: Enabled`.green);
+    if (REPLAY_MODE) {
+        console.log(`Replay Mode: ${REPLAY_OPTIONS.paths.join(', ')} (speed ${REPLAY_OPTIONS.speed || 'max'})`.yellow);
+        console.log(`Telegram Alerts: Dry-run (logged, not sent)`.blue);
+    } else {
+        console.log(`Telegram Alerts: Enabled for Chat ID ${String(TELEGRAM_CHAT_ID).slice(0, 4)}****`.blue);
+        console.log(`WebSocket Real-Time Monitoring: Enabled`.green);
+        if (webhooks) console.log(`Webhooks: ${WEBHOOK_URLS.length} URL(s)${WEBHOOK_SECRET ? ', HMAC-signed' : ''}`.blue);
+        for (const channel of chatChannels) console.log(`${channel.name} Alerts: ${channel.types().join(', ')}`.blue);
+    }
     console.log(`Machine Learning: ${ML_ENABLED ? 'Enabled'.green : 'Disabled'.red}`);
     console.log('='.repeat(80).dim);
     console.log('\nCROSSOVER EVENTS:'.cyan.bold);
 
-    log(`EMA Tracker started with configuration: Mode=${DUAL_EMA_MODE ? 'EMA9/15[5m+15m]' : 'EMA' + EMA_PERIOD}, Timeframe=${DUAL_EMA_MODE ? '5m+15m' : TIMEFRAME}, Volume Threshold=${VOLUME_THRESHOLD}, ML=${ML_ENABLED}`);
+    log(`EMA Tracker started with configuration: Mode=${DUAL_EMA_MODE ? crossModeLabel() : 'EMA' + EMA_PERIOD}, Timeframe=${DUAL_EMA_MODE ? CROSS_TIMEFRAMES.join('+') : TIMEFRAME}, Volume Threshold=${VOLUME_THRESHOLD}, ML=${ML_ENABLED}`);
 }
 
 // Helper function to format volume
@@ -414,16 +1048,14 @@ function formatPrice(price) {
 
 // Function to get 24hr stats for a symbol
 async function get24HrStats(symbol) {
+    // No live tickers during a replay
+    if (REPLAY_MODE) return { priceChangePercent: '0.00', quoteVolume: 0 };
     try {
         await enforceRateLimit();
-        const response = await axios.get('https://api.bybit.com/v5/market/tickers', {
-            params: { category: 'linear', symbol },
-            timeout: 10000
-        });
-        const ticker = response.data.result.list[0];
+        const ticker = await exchangeFor(symbol).fetchTicker(symbol);
         return {
-            priceChangePercent: (parseFloat(ticker.price24hPcnt) * 100).toFixed(2),
-            quoteVolume: parseFloat(ticker.turnover24h)
+            priceChangePercent: ticker.changePercent.toFixed(2),
+            quoteVolume: ticker.turnover24h
         };
     } catch (error) {
         log(`Error fetching 24hr stats for ${symbol}: ${error.message}`, 'error');
@@ -431,69 +1063,79 @@ async function get24HrStats(symbol) {
     }
 }
 
-// Fetch Bybit Futures pairs with 24hr turnover above the threshold
+// Fetch futures pairs with 24hr turnover above the threshold from every enabled exchange,
+// plus every symbol on a subscriber watchlist whatever its volume.
+// Each symbol is assigned to exactly one exchange: its pin if it has one, otherwise
+// the first exchange in ENABLED_EXCHANGES that lists it above the threshold.
 async function getFuturesPairs() {
-    try {
-        // Enforce rate limiting
-        await enforceRateLimit();
-
-        const response = await axios.get('https://api.bybit.com/v5/market/tickers', {
-            params: { category: 'linear' },
-            timeout: 10000
-        });
-
-        const tickers = response.data.result.list;
-        const newPairs = [];
-
-        const pairs = tickers
-            .filter(ticker => {
-                // Only USDT perpetuals — skip inverse contracts like BTCUSD
-                if (!ticker.symbol.endsWith('USDT')) return false;
+    const newPairs = [];
+    const assigned = new Map(); // symbol -> exchange id for this pass
+    const watched = subscribers.watchedSymbols();
+    const pinnedIds = Object.values(SYMBOL_EXCHANGES).filter(isValidExchange);
+    const exchangeIds = [...new Set([...ENABLED_EXCHANGES, ...pinnedIds])];
+
+    for (const exchangeId of exchangeIds) {
+        const exchange = getExchange(exchangeId);
+        try {
+            // Enforce rate limiting
+            await enforceRateLimit();
+            const tickers = await exchange.fetchTickers();
+            const scanAll = ENABLED_EXCHANGES.includes(exchangeId);
 
-                // turnover24h is already in USDT — no price multiplication needed
-                const volume = parseFloat(ticker.turnover24h);
+            for (const ticker of tickers) {
                 const symbol = ticker.symbol;
-
-                if (volume > VOLUME_THRESHOLD) {
-                    // Only track new pairs that cross threshold after initial load
-                    if (initialLoadComplete && !trackedPairs.has(symbol)) {
-                        newPairs.push({
-                            symbol,
-                            volume,
-                            price: parseFloat(ticker.lastPrice),
-                            change: parseFloat(ticker.price24hPcnt) * 100
-                        });
-                    }
-                    trackedPairs.add(symbol);
-                    return true;
+                const pin = SYMBOL_EXCHANGES[symbol];
+                // Pinned symbols only come from their pinned exchange; pin-only exchanges
+                // contribute nothing but their pinned symbols.
+                if (pin ? pin !== exchangeId : !scanAll) continue;
+                const highVolume = ticker.turnover24h > VOLUME_THRESHOLD;
+                if (assigned.has(symbol) || !(highVolume || watched.has(symbol))) continue;
+
+                assigned.set(symbol, exchangeId);
+                // Only track new pairs that cross threshold after initial load
+                if (highVolume && initialLoadComplete && !trackedPairs.has(symbol)) {
+                    newPairs.push({
+                        symbol,
+                        volume: ticker.turnover24h,
+                        price: ticker.lastPrice,
+                        change: ticker.changePercent
+                    });
                 }
-                return false;
-            })
-            .map(ticker => ticker.symbol);
+            }
+        } catch (error) {
+            log(`Error fetching futures pairs from ${exchange.name}: ${error.message}`, 'error');
 
-        // Alert for new pairs that crossed the volume threshold (only after initial load)
-        if (newPairs.length > 0) {
-            alertNewHighVolumePairs(newPairs);
+            if (error.response && error.response.status === 429) {
+                log(`Rate limited by ${exchange.name} (429). Waiting 2 minutes before next call...`, 'warning');
+                await new Promise(resolve => setTimeout(resolve, 2 * 60 * 1000));
+            }
         }
+    }
 
-        return pairs;
-    } catch (error) {
-        log(`Error fetching futures pairs: ${error.message}`, 'error');
-
-        if (error.response && error.response.status === 429) {
-            log('Rate limited by Bybit (429). Waiting 2 minutes before next call...', 'warning');
-            await new Promise(resolve => setTimeout(resolve, 2 * 60 * 1000));
+    for (const [symbol, exchangeId] of assigned) {
+        // A symbol that moved exchange keeps nothing from the old venue's candles
+        const previous = symbolExchanges.get(symbol);
+        if (previous && previous !== exchangeId) {
+            log(`${symbol} moved from ${getExchange(previous).name} to ${getExchange(exchangeId).name} — clearing caches`, 'info');
+            clearSymbolCaches(symbol);
         }
+        symbolExchanges.set(symbol, exchangeId);
+        trackedPairs.add(symbol);
+    }
 
-        return [];
+    // Alert for new pairs that crossed the volume threshold (only after initial load)
+    if (newPairs.length > 0) {
+        alertNewHighVolumePairs(newPairs);
     }
+
+    return [...assigned.keys()];
 }
 
 // Alert when new pairs cross the volume threshold
 async function alertNewHighVolumePairs(newPairs) {
     for (const pair of newPairs) {
         const message = `🔔 *NEW HIGH VOLUME PAIR DETECTED*\n\n` +
-            `*Symbol:* ${pair.symbol}\n` +
+            `*Symbol:* ${displaySymbol(pair.symbol)}\n` +
             `*Volume:* ${formatVolume(pair.volume)}\n` +
             `*Price:* ${formatPrice(pair.price)}\n` +
             `*24h Change:* ${pair.change.toFixed(2)}%\n` +
@@ -501,11 +1143,22 @@ async function alertNewHighVolumePairs(newPairs) {
             `This pair has been added to the monitoring list.`;
 
         try {
-            await bot.sendMessage(TELEGRAM_CHAT_ID, message, { parse_mode: 'Markdown' });
+            publishAlert({
+                event: 'new_pair',
+                symbol: pair.symbol,
+                exchange: exchangeFor(pair.symbol).id,
+                price: pair.price,
+                volume: pair.volume,
+                changePercent: pair.change,
+                chartUrl: getTradingViewUrl(pair.symbol),
+                time: new Date().toISOString()
+            });
+
+            await broadcastAlert({ symbol: pair.symbol, tf: null, mode: null, type: 'newpair' }, message, { parse_mode: 'Markdown' });
 
             // Show desktop notification — match Telegram content
             showDesktopNotification(
-                `🔔 New High Volume Pair: ${pair.symbol}`,
+                `🔔 New High Volume Pair: ${displaySymbol(pair.symbol)}`,
                 `Volume: ${formatVolume(pair.volume)}  Price: ${formatPrice(pair.price)}\n24h Change: ${pair.change.toFixed(2)}%  Added to monitoring`,
                 'info',
                 getTradingViewUrl(pair.symbol)
@@ -526,61 +1179,21 @@ async function alertNewHighVolumePairs(newPairs) {
 async function getKlines(symbol, tf = null) {
     try {
         const interval = tf || TIMEFRAME;
-        // Request enough candles for the active EMA period
-        const requiredPeriod = DUAL_EMA_MODE ? 15 : EMA_PERIOD;
-        const limit = requiredPeriod + 100;
-
-        // Convert timeframe string to Bybit's numeric interval format
-        const bybitInterval = interval
-            .replace('4h', '240')
-            .replace('1h', '60')
-            .replace('m', '');   // '5m'→'5', '15m'→'15'
-
-        const response = await axios.get('https://api.bybit.com/v5/market/kline', {
-            params: { category: 'linear', symbol, interval: bybitInterval, limit },
-            timeout: 10000
-        });
+        // Request enough candles for the active EMA period and the longest alert rule
+        const limit = Math.max(requiredEmaPeriod(), rules.lookback()) + 100;
 
-        // Bybit response: { result: { list: [[ts,o,h,l,c,vol,turnover],...] } }
-        // list is NEWEST first — reverse so oldest is first (same order as Binance)
-        const list = response.data?.result?.list;
-        if (!Array.isArray(list) || list.length === 0) {
-            log(`Empty kline response for ${symbol} [${interval}] — Bybit may be rate-limiting`, 'warning');
+        const exchange = exchangeFor(symbol);
+        const klines = await exchange.fetchKlines(symbol, interval, limit);
+        if (klines.length === 0) {
+            log(`Empty kline response for ${symbol} [${interval}] — ${exchange.name} may be rate-limiting`, 'warning');
             return [];
         }
-        const raw = list.reverse();
-
-        const klines = raw.map(k => ({
-            time:   parseInt(k[0]),
-            open:   parseFloat(k[1]),
-            high:   parseFloat(k[2]),
-            low:    parseFloat(k[3]),
-            close:  parseFloat(k[4]),
-            volume: parseFloat(k[5])
-        }));
 
         // Use composite key when tf is explicitly provided (dual-TF mode)
         const cacheKey = tf ? tfKey(symbol, tf) : symbol;
+        seedIndicatorCaches(cacheKey, klines, tf);
 
-        // Update the kline cache
-        klineCache.set(cacheKey, klines);
-
-        // Calculate and cache EMA based on current mode
-        const closes = klines.map(k => k.close);
-
-        if (DUAL_EMA_MODE) {
-            // Dual EMA mode: calculate EMA(9) and EMA(15)
-            const ema9Values = calculateEMA(closes, 9);
-            const ema15Values = calculateEMA(closes, 15);
-            ema9Cache.set(cacheKey, ema9Values);
-            ema15Cache.set(cacheKey, ema15Values);
-        } else {
-            // Single EMA mode: calculate one EMA for the configured period
-            const emaValues = calculateEMA(closes, EMA_PERIOD);
-            emaCache.set(cacheKey, emaValues);
-        }
-
-        const minPeriod = DUAL_EMA_MODE ? 15 : EMA_PERIOD;
+        const minPeriod = requiredEmaPeriod();
         if (klines.length < minPeriod) {
             log(`Warning: Not enough candles for ${symbol} [${interval}]. Needed ${minPeriod}, got ${klines.length}`, 'warning');
         }
@@ -592,78 +1205,104 @@ async function getKlines(symbol, tf = null) {
     }
 }
 
-// Calculate the EMA for an array of prices given a period
-function calculateEMA(prices, period) {
-    if (prices.length < period) {
-        log(`Warning: Not enough prices for EMA calculation. Needed ${period}, got ${prices.length}`, 'warning');
-        return [];
-    }
-
-    const k = 2 / (period + 1);
-    let emaArray = [];
-
-    // Start with the simple moving average as the first EMA
-    let sma = prices.slice(0, period).reduce((sum, p) => sum + p, 0) / period;
-    let ema = sma;
-
-    // Add the first EMA (which is the SMA)
-    emaArray.push(ema);
-
-    // Calculate EMA for the remaining prices
-    for (let i = period; i < prices.length; i++) {
-        ema = (prices[i] - ema) * k + ema;
-        emaArray.push(ema);
-    }
-
-    return emaArray;
+// Replace the kline cache for a key with a history window and recompute its EMAs for the active mode
+// tf — the series timeframe in crossover mode (selects which EMA periods it needs)
+function seedIndicatorCaches(cacheKey, klines, tf = null) {
+    klineCache.set(cacheKey, klines);
+    // Series streamed only for alert rules need candles, not EMAs
+    if (tf && !modeStreamTimeframes().includes(tf)) return;
+    createSeriesIndicators(cacheKey, klines, tf);
 }
 
-// Update EMA with a new price (for real-time updates)
-function updateEMA(symbol, newPrice) {
-    // Get cached EMA values
-    let emaValues = emaCache.get(symbol);
-
-    // If no cached values, we need to fetch historical data first
-    if (!emaValues || emaValues.length === 0) {
-        log(`No cached EMA values for ${symbol}, fetching historical data...`, 'warning');
-        return false;
-    }
-
-    const k = 2 / (EMA_PERIOD + 1);
-    const lastEMA = emaValues[emaValues.length - 1];
-    const newEMA = (newPrice - lastEMA) * k + lastEMA;
-
-    // Add the new EMA to the cache
-    emaValues.push(newEMA);
-
-    // Keep the cache size reasonable by removing older values
-    if (emaValues.length > EMA_PERIOD * 2) {
-        emaValues = emaValues.slice(-EMA_PERIOD * 2);
+// Build the streaming indicator set of a series (src/streaming.js) and replay its cached candles
+// through it. From then on every closed candle updates each EMA and the ML features in O(1).
+// The EMA histories it keeps are the arrays in emaCache / pairEmaCache (end-aligned, bounded).
+// tf — the series timeframe in crossover mode (selects which EMA periods it needs)
+function createSeriesIndicators(cacheKey, klines, tf = null) {
+    // Crossover mode: one EMA series per period used by any pair (and the confluence trend);
+    // single EMA mode: the configured period only
+    const periods = DUAL_EMA_MODE ? emaPeriodsFor(tf) : [EMA_PERIOD];
+    const emas = Object.fromEntries(periods.map(period => [`ema${period}`, createEMA(period)]));
+    const historyLength = Math.max(200, Math.max(...periods) * 2);
+    const set = createIndicatorSet({
+        ...emas,
+        rsi: createRSI(14),
+        macd: createMACD(12, 26, 9),
+        bb: createBollinger(20, 2),
+        atr: createATR(14),
+        vwap: createVWAP(),
+        supertrend: createSupertrend(10, 3),
+        adx: createADX(14),
+        stochRsi: createStochRSI(14, 14, 3, 3),
+        ichimoku: createIchimoku(9, 26, 52),
+        obv: createOBV(),
+        keltner: createKeltner(20, 10, 2),
+        donchian: createDonchian(20)
+    }, { history: Object.fromEntries(Object.keys(emas).map(name => [name, historyLength])) });
+    for (const kline of klines) set.push(kline);
+
+    indicatorStreams.set(cacheKey, set);
+    for (const period of periods) {
+        if (DUAL_EMA_MODE) pairEmaCache.set(emaKey(cacheKey, period), set.history(`ema${period}`));
+        else emaCache.set(cacheKey, set.history(`ema${period}`));
     }
-
-    emaCache.set(symbol, emaValues);
-    return true;
+    return set;
 }
 
-// Incremental O(1) dual EMA update — appends one new EMA(9) and EMA(15) value
-// key — tfKey(symbol, tf) in dual mode, or symbol in single mode
-function updateDualEMA(key, newClose) {
-    const e9  = ema9Cache.get(key);
-    const e15 = ema15Cache.get(key);
-    if (!e9?.length || !e15?.length) return false;
-
-    const k9  = 2 / (9  + 1);
-    const k15 = 2 / (15 + 1);
-    e9.push((newClose - e9.at(-1)) * k9  + e9.at(-1));
-    e15.push((newClose - e15.at(-1)) * k15 + e15.at(-1));
+// Latest ML feature indicators of a series. Until an indicator has warmed up it reads neutral:
+// RSI 50, a flat MACD, bands collapsed onto the last close, ATR null.
+function streamFeatures(cacheKey) {
+    const set = indicatorStreams.get(cacheKey);
+    const lastClose = klineCache.get(cacheKey)?.at(-1)?.close ?? 0;
+    return {
+        rsi: set?.value('rsi') ?? 50,
+        macd: set?.value('macd') ?? { macd: 0, signal: 0, histogram: 0 },
+        bb: set?.value('bb') ?? { upper: lastClose, middle: lastClose, lower: lastClose, width: 0 },
+        atr: set?.value('atr') ?? null
+    };
+}
 
-    // Keep arrays bounded (max 200 entries is plenty for EMA9/15)
-    if (e9.length  > 200) e9.splice(0, e9.length - 200);
-    if (e15.length > 200) e15.splice(0, e15.length - 200);
+// Columns the extended indicators add to each ML data point (CSV / NDJSON / SQLite snapshots)
+const EXTENDED_FEATURE_COLUMNS = [
+    'vwap', 'vwap_diff', 'supertrend', 'supertrend_dir', 'adx', 'plus_di', 'minus_di', 'stochrsi_k', 'stochrsi_d',
+    'ichimoku_tenkan', 'ichimoku_kijun', 'ichimoku_cloud_a', 'ichimoku_cloud_b', 'obv',
+    'kc_upper', 'kc_middle', 'kc_lower', 'dc_upper', 'dc_middle', 'dc_lower'
+];
+
+// Latest extended indicator values of a series as ML columns — null until each has warmed up
+function extendedFeatures(cacheKey) {
+    const set = indicatorStreams.get(cacheKey);
+    const close = klineCache.get(cacheKey)?.at(-1)?.close;
+    const value = name => set?.value(name) ?? null;
+    const [vwap, supertrend, adx, stochRsi, ichimoku, keltner, donchian] =
+        ['vwap', 'supertrend', 'adx', 'stochRsi', 'ichimoku', 'keltner', 'donchian'].map(value);
+    return {
+        vwap,
+        vwap_diff: vwap && close !== undefined ? (close - vwap) / vwap * 100 : null,
+        supertrend: supertrend?.value ?? null,
+        supertrend_dir: supertrend?.direction ?? null,
+        adx: adx?.adx ?? null,
+        plus_di: adx?.plusDI ?? null,
+        minus_di: adx?.minusDI ?? null,
+        stochrsi_k: stochRsi?.k ?? null,
+        stochrsi_d: stochRsi?.d ?? null,
+        ichimoku_tenkan: ichimoku?.tenkan ?? null,
+        ichimoku_kijun: ichimoku?.kijun ?? null,
+        ichimoku_cloud_a: ichimoku?.cloudA ?? null,
+        ichimoku_cloud_b: ichimoku?.cloudB ?? null,
+        obv: value('obv'),
+        kc_upper: keltner?.upper ?? null,
+        kc_middle: keltner?.middle ?? null,
+        kc_lower: keltner?.lower ?? null,
+        dc_upper: donchian?.upper ?? null,
+        dc_middle: donchian?.middle ?? null,
+        dc_lower: donchian?.lower ?? null
+    };
+}
 
-    ema9Cache.set(key, e9);
-    ema15Cache.set(key, e15);
-    return true;
+// Full EMA series of a close array, end-aligned like the cached histories (empty when too short)
+function emaSeries(closes, period) {
+    return series(createEMA(period), closes).filter(v => v !== null);
 }
 
 // Fetch Open Interest delta around the crossover candle.
@@ -671,16 +1310,12 @@ function updateDualEMA(key, newClose) {
 // Rising OI (>0) = new money entering = stronger signal.
 // Falling OI (<0) = liquidation-driven move = weaker signal.
 async function getOIDelta(symbol) {
+    if (REPLAY_MODE) return null;
     try {
         await enforceRateLimit();
-        const response = await axios.get('https://api.bybit.com/v5/market/open-interest', {
-            params: { category: 'linear', symbol, intervalTime: '5min', limit: 2 },
-            timeout: 8000
-        });
-        const list = response.data?.result?.list;
-        if (!list || list.length < 2) return null;
-        const oiNow  = parseFloat(list[0].openInterest);
-        const oiPrev = parseFloat(list[1].openInterest);
+        const oi = await exchangeFor(symbol).fetchOpenInterest(symbol);
+        if (!oi) return null;
+        const { oiNow, oiPrev } = oi;
         if (!oiPrev) return null;
         const deltaPercent = (oiNow - oiPrev) / oiPrev * 100;
         return { oiNow, oiPrev, deltaPercent };
@@ -690,8 +1325,61 @@ async function getOIDelta(symbol) {
     }
 }
 
+// Bookkeeping for a fired crossover alert: alert history, outcome grading and paper trading.
+// Entry time is the close of the candle that produced the cross, so horizons and
+// stop/target checks line up with later candle closes.
+// pair — the { fast, slow } EMA pair that crossed (crossover mode only)
+function handleFiredAlert(symbol, crossType, price, tf = '', pair = null) {
+    const seriesTf = tf || TIMEFRAME;
+    const klines = klineCache.get(tf ? tfKey(symbol, tf) : symbol) || [];
+    const lastKline = klines.at(-1);
+    const entryTime = lastKline ? lastKline.time + TIMEFRAME_MS[seriesTf] : clock.now();
+    const up = crossType === 'up';
+    const mode = pair ? 'dual' : 'ema';
+    const label = pair ? emaPairLabel(pair) : `EMA(${EMA_PERIOD})`;
+
+    if (store) {
+        try {
+            store.recordAlert({
+                symbol, tf: seriesTf, mode, label, direction: crossType, price, time: entryTime,
+                exchange: exchangeFor(symbol).id
+            });
+        } catch (e) {
+            log(`Could not store alert for ${symbol}: ${e.message}`, 'warning');
+        }
+    }
+    signalOutcomes.record({
+        symbol,
+        tf: seriesTf,
+        mode,
+        label,
+        direction: crossType,
+        state: pair ? emaPairState(pair, up) : (up ? 'above' : 'below'),
+        entryPrice: price,
+        entryTime
+    });
+
+    if (PAPER_TRADING) {
+        const atr = indicatorStreams.get(tf ? tfKey(symbol, tf) : symbol)?.value('atr') ?? 0;
+        const { opened, closed } = paperPortfolio.onSignal({ symbol, tf: seriesTf, direction: crossType, price, atr, time: entryTime });
+        if (closed) logPaperTrade(closed);
+        if (opened) {
+            log(`Paper ${opened.side.toUpperCase()} ${symbol} @ ${formatPrice(opened.entry)} (SL ${formatPrice(opened.stop)}, TP ${formatPrice(opened.target)})`, 'info');
+        } else if (!(atr > 0)) {
+            log(`Paper trade skipped for ${symbol}: not enough candles for ATR`, 'warning');
+        }
+    }
+}
+
+function logPaperTrade(trade) {
+    log(`Paper ${trade.side.toUpperCase()} ${trade.symbol} closed (${trade.exitReason}) @ ${formatPrice(trade.exit)}: ` +
+        `${trade.pnl >= 0 ? '+' : ''}${trade.pnl.toFixed(2)} USDT (${trade.pnlPct.toFixed(2)}%)`, trade.pnl >= 0 ? 'success' : 'warning');
+}
+
 // Send Telegram notification with enhanced formatting
 async function sendTelegramAlert(symbol, crossType, price, ema, difference) {
+    handleFiredAlert(symbol, crossType, price);
+    let alertId;
     try {
         const emoji = crossType === 'up' ? '🟢' : '🔴';
         const signal = crossType === 'up' ? 'BULLISH SIGNAL' : 'BEARISH SIGNAL';
@@ -701,6 +1389,10 @@ async function sendTelegramAlert(symbol, crossType, price, ema, difference) {
         // Get 24hr stats for the symbol
         const stats = await get24HrStats(symbol);
         const oi = await getOIDelta(symbol).catch(() => null);
+        alertId = publishAlert(buildAlertPayload({
+            symbol, tf: TIMEFRAME, mode: 'ema', crossType, price,
+            emas: { [EMA_PERIOD]: ema }, spreadPct: difference, oi, stats
+        }));
 
         // Create a TradingView link
         const tradingViewUrl = getTradingViewUrl(symbol);
@@ -709,7 +1401,7 @@ async function sendTelegramAlert(symbol, crossType, price, ema, difference) {
             ? `*OI Delta:* ${oi.deltaPercent >= 0 ? '+' : ''}${oi.deltaPercent.toFixed(2)}% ${oi.deltaPercent >= 0.5 ? '\u{1F4C8} new money (stronger)' : oi.deltaPercent <= -0.5 ? '\u{1F4C9} liquidation (weaker)' : '\u2192 neutral'}\n`
             : '';
         const message = `${emoji} *${signal}* ${emoji}\n\n` +
-            `*Symbol:* ${symbol}\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
             `*Price:* ${formattedPrice}\n` +
             `*EMA(${EMA_PERIOD}):* ${formattedEma}\n` +
             `*Difference:* ${difference.toFixed(2)}%\n` +
@@ -717,31 +1409,31 @@ async function sendTelegramAlert(symbol, crossType, price, ema, difference) {
             `*24h Volume:* ${formatVolume(stats.quoteVolume)}\n` +
             oiLine +
             `*Timeframe:* ${activeTimeframeLabel()}\n\n` +
-            `*Time:* ${new Date().toLocaleString()}\n\n` +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
             `[View Chart on TradingView](${tradingViewUrl})`;
 
-        await safeSendAlert(TELEGRAM_CHAT_ID, message, {
+        await broadcastAlert({ symbol, tf: TIMEFRAME, mode: 'ema' }, message, {
             parse_mode: 'Markdown',
             disable_web_page_preview: false
-        });
+        }, renderAlertChart(symbol, crossType));
 
         // Show desktop notification — mirrors Telegram message content
         // Clicking the toast opens the TradingView chart in the browser
         showDesktopNotification(
-            `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} — ${symbol}`,
+            `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} — ${displaySymbol(symbol)}`,
             `Price: ${formattedPrice}  EMA(${EMA_PERIOD}): ${formattedEma}\nDiff: ${difference.toFixed(2)}%  24h: ${stats.priceChangePercent}%\nVol: ${formatVolume(stats.quoteVolume)}  TF: ${TIMEFRAME}`,
             crossType === 'up' ? 'info' : 'warning',
             tradingViewUrl
         );
 
-        log(`Telegram alert sent for ${symbol} (${crossType})`, 'success');
+        log(`Telegram alert sent for ${symbol} (${crossType})`, 'success', { symbol, timeframe: TIMEFRAME, alertId });
     } catch (error) {
-        log(`Error sending Telegram message: ${error.message}`, 'error');
+        log(`Error sending Telegram message: ${error.message}`, 'error', { symbol, timeframe: TIMEFRAME, alertId });
 
         // Retry with simpler message if parse_mode might be the issue
         try {
-            const simpleMessage = `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} SIGNAL: ${symbol} at ${formatPrice(price)}`;
-            await safeSendAlert(TELEGRAM_CHAT_ID, simpleMessage);
+            const simpleMessage = `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} SIGNAL: ${displaySymbol(symbol)} at ${formatPrice(price)}`;
+            await broadcastAlert({ symbol, tf: TIMEFRAME, mode: 'ema' }, simpleMessage);
             log(`Sent simplified alert for ${symbol} after error`, 'warning');
         } catch (retryError) {
             log(`Failed to send even simplified message: ${retryError.message}`, 'error');
@@ -749,25 +1441,88 @@ async function sendTelegramAlert(symbol, crossType, price, ema, difference) {
     }
 }
 
+// Signal quality filters (src/filters.js) on one crossover reading of a series.
+// stateKey — the series' alert state key (see shouldAlert). Returns { direction } to act on: the
+// reading's own cross, null when a filter rejected it (the state then moves on as for any candle
+// without an alert), or an earlier cross that has just held for FILTER_CONFIRM_CANDLES; or
+// { hold: true } while a cross waits for confirmation, so the last alerted state stays put.
+function applySignalFilters(symbol, tf, reading, stateKey) {
+    if (SIGNAL_FILTERS.length === 0) return { direction: reading.direction };
+    const seriesTf = tf || TIMEFRAME;
+    const label = reading.pair ? emaPairLabel(reading.pair) : `EMA(${EMA_PERIOD})`;
+    const confirming = SIGNAL_FILTERS.includes('confirm') && FILTER_THRESHOLDS.confirmCandles > 1;
+
+    if (confirming) {
+        const result = signalConfirmations.next(stateKey, reading.state, FILTER_THRESHOLDS.confirmCandles);
+        if (result?.status === 'waiting') return { hold: true };
+        if (result?.status === 'confirmed') {
+            log(`${label} ${result.cross.direction} cross on ${symbol} [${seriesTf}] held for ${FILTER_THRESHOLDS.confirmCandles} candles`, 'info', { symbol, timeframe: seriesTf });
+            return { direction: result.cross.direction };
+        }
+        if (result?.status === 'reversed') {
+            recordSuppressedSignal({
+                symbol, tf: seriesTf, label, direction: result.cross.direction, price: reading.price, filter: 'confirm',
+                reason: `reversed after ${result.cross.held} of ${FILTER_THRESHOLDS.confirmCandles} candles`, metrics: null
+            });
+            return { direction: null };
+        }
+    }
+    if (!reading.direction) return { direction: null };
+
+    const cacheKey = tf ? tfKey(symbol, tf) : symbol;
+    const set = indicatorStreams.get(cacheKey);
+    const metrics = signalMetrics({
+        candles: klineCache.get(cacheKey) || [],
+        ema: reading.pair ? reading.lastSlow : reading.lastEma,
+        atr: set?.value('atr'),
+        adx: set?.value('adx')?.adx,
+        volumeLookback: FILTER_THRESHOLDS.volumeLookback
+    });
+    const rejection = checkFilters(SIGNAL_FILTERS, metrics, FILTER_THRESHOLDS);
+    if (rejection) {
+        recordSuppressedSignal({ symbol, tf: seriesTf, label, direction: reading.direction, price: reading.price, ...rejection, metrics });
+        return { direction: null };
+    }
+    if (confirming) {
+        signalConfirmations.start(stateKey, { direction: reading.direction, state: reading.state, time: clock.now() });
+        log(`${label} ${reading.direction} cross on ${symbol} [${seriesTf}] waiting for ${FILTER_THRESHOLDS.confirmCandles} candles`, 'info', { symbol, timeframe: seriesTf });
+        return { hold: true };
+    }
+    return { direction: reading.direction };
+}
+
+// Log a crossover a quality filter rejected — to the console/log file and, live, one JSON line per
+// signal in SUPPRESSED_SIGNALS_PATH with every metric, for tuning the thresholds later
+function recordSuppressedSignal({ symbol, tf, label, direction, price, filter, reason, metrics }) {
+    log(`${label} ${direction} cross on ${symbol} [${tf}] suppressed by ${filter} filter: ${reason}`, 'info', { symbol, timeframe: tf });
+    alertsSuppressed.inc({ reason: 'filter' });
+    if (REPLAY_MODE) return;
+    const entry = { time: new Date(clock.now()).toISOString(), symbol, tf, label, direction, price, filter, reason, metrics };
+    fs.appendFile(SUPPRESSED_SIGNALS_PATH, JSON.stringify(entry) + '\n', err => {
+        if (err) log(`Could not record suppressed signal: ${err.message}`, 'warning');
+    });
+}
+
 // Check if we should alert for this symbol based on direction change and cooldown
-// tf — '5m' or '15m' in dual-TF mode; '' for single-mode (uses old key format)
-function shouldAlert(symbol, currentState, tf = '') {
-    const now = Date.now();
-    // 4 independent cooldown buckets per symbol in dual-TF mode:
-    //   BTCUSDT_5m_ema9_above  /  BTCUSDT_5m_ema9_below
-    //   BTCUSDT_15m_ema9_above /  BTCUSDT_15m_ema9_below
-    const stateKey = tf ? tfKey(symbol, tf) : symbol;
+// tf — a CROSS_TIMEFRAMES entry in crossover mode; '' for single-mode (uses old key format)
+// pair — the { fast, slow } EMA pair in crossover mode
+function shouldAlert(symbol, currentState, tf = '', pair = null) {
+    const now = clock.now();
+    // 2 independent cooldown buckets per symbol, timeframe and EMA pair in crossover mode:
+    //   BTCUSDT_5m_ema9_above      /  BTCUSDT_5m_ema9_below      (9/15 keeps the original keys)
+    //   BTCUSDT_1h_ema50_200_above /  BTCUSDT_1h_ema50_200_below
+    const stateKey = tf ? (pair ? emaPairStateKey(tfKey(symbol, tf), pair) : tfKey(symbol, tf)) : symbol;
     const alertKey = tf ? `${symbol}_${tf}_${currentState}` : `${symbol}_${currentState}`;
-    const previousState   = coinStates.get(stateKey);
-    const lastAlertTime   = lastAlerts.get(alertKey) || 0;
+    const verdict = evaluateAlertGate(coinStates, lastAlerts, {
+        stateKey, alertKey, currentState, now, cooldownMs: ALERT_COOLDOWN
+    });
 
-    if (previousState !== currentState && now - lastAlertTime >= ALERT_COOLDOWN) {
-        coinStates.set(stateKey, currentState);
-        lastAlerts.set(alertKey, now);
+    if (verdict === 'alert') {
         saveAlertState();
         return true;
-    } else if (previousState !== currentState) {
-        log(`Alert for ${symbol}${tf ? ` [${tf.toUpperCase()}]` : ''} (${currentState}) skipped due to cooldown.`, 'warning');
+    } else if (verdict === 'cooldown') {
+        alertsSuppressed.inc({ reason: 'cooldown' });
+        log(`Alert for ${symbol}${tf ? ` [${tf.toUpperCase()}]` : ''}${pair ? ` ${emaPairLabel(pair)}` : ''} (${currentState}) skipped due to cooldown.`, 'warning', { symbol, timeframe: tf || TIMEFRAME });
     }
     return false;
 }
@@ -775,79 +1530,76 @@ function shouldAlert(symbol, currentState, tf = '') {
 // WebSocket setup for a symbol
 // ---------------------------------------------------------------------------
 // Pooled WebSocket architecture — a small number of connections (typically
-// 1-3) each subscribe to many symbols, instead of one connection per symbol.
-// This avoids the 80+ simultaneous TCP handshakes that trigger Bybit 403s.
+// 1-3 per exchange) each subscribe to many symbols, instead of one connection
+// per symbol. This avoids the 80+ simultaneous TCP handshakes that trigger 403s.
+// A pool connection only ever carries symbols from a single exchange.
 // ---------------------------------------------------------------------------
 
-// Build the subscribe args array for a set of symbols
-function buildSubscribeArgs(symbols) {
-    const args = [];
-    for (const symbol of symbols) {
-        if (DUAL_EMA_MODE) {
-            args.push(`kline.5.${symbol}`, `kline.15.${symbol}`);
-        } else {
-            const bybitInterval = TIMEFRAME
-                .replace('4h', '240')
-                .replace('1h', '60')
-                .replace('m', '');
-            args.push(`kline.${bybitInterval}.${symbol}`);
-        }
-    }
-    return args;
+// Timeframes each symbol is streamed on for the active mode
+function modeStreamTimeframes() {
+    if (!DUAL_EMA_MODE) return [TIMEFRAME];
+    return CONFLUENCE_MODE && !CROSS_TIMEFRAMES.includes(CONFLUENCE_TREND_TF)
+        ? [...CROSS_TIMEFRAMES, CONFLUENCE_TREND_TF]
+        : CROSS_TIMEFRAMES;
+}
+// Timeframes streamed only because an alert rule reads them
+function ruleOnlyTimeframes() {
+    const modeTfs = modeStreamTimeframes();
+    return rules.timeframes().filter(tf => !modeTfs.includes(tf));
+}
+// Every timeframe the WS pool subscribes to
+function activeStreamTimeframes() {
+    return [...modeStreamTimeframes(), ...ruleOnlyTimeframes()];
 }
 
-// Create a single pool connection that subscribes to a chunk of symbols.
-// Returns a poolEntry { ws, symbols, index } stored in wsPool[index].
-function setupPoolConnection(index, symbols) {
+// Create a single pool connection that subscribes to a chunk of symbols on one exchange.
+// Returns a poolEntry { ws, symbols, index, exchange } stored in wsPool[index].
+function setupPoolConnection(index, symbols, exchangeId) {
     const poolKey = `pool_${index}`;
-    const wsUrl = 'wss://stream.bybit.com/v5/public/linear';
+    const exchange = getExchange(exchangeId);
     let reconnectScheduled = false;
 
     try {
-        const ws = new WebSocket(wsUrl);
-        const poolEntry = { ws, symbols: new Set(symbols), index };
+        const ws = new WebSocket(exchange.wsUrl);
+        const poolEntry = { ws, symbols: new Set(symbols), index, exchange: exchangeId };
 
         ws.on('open', () => {
             reconnectionAttempts.set(poolKey, 0);
             reconnectScheduled = false;
-            log(`Pool WS #${index} connected — subscribing ${symbols.length} symbols`, 'success');
-            ws.send(JSON.stringify({ op: 'subscribe', args: buildSubscribeArgs(symbols) }));
+            dashboard.statusChanged();
+            wsLog(`Pool WS #${index} (${exchange.name}) connected — subscribing ${symbols.length} symbols`, 'success');
+            for (const frame of exchange.buildSubscribeMessages(symbols, activeStreamTimeframes())) {
+                ws.send(frame);
+            }
         });
 
         ws.on('message', (data) => {
             try {
-                const message = JSON.parse(data);
-                if (!message.topic || !message.topic.startsWith('kline')) return;
-
-                const klineRaw   = message.data[0];
-                const topicParts = message.topic.split('.'); // ['kline','5','BTCUSDT']
-                const intervalStr = topicParts[1];
-                const symbol     = topicParts[2];
-
-                const kline = {
-                    t: klineRaw.start,
-                    o: klineRaw.open,
-                    h: klineRaw.high,
-                    l: klineRaw.low,
-                    c: klineRaw.close,
-                    v: klineRaw.volume,
-                    x: klineRaw.confirm
-                };
-
-                const tf = DUAL_EMA_MODE
-                    ? (intervalStr === '5' ? '5m' : '15m')
-                    : null;
-
-                if (kline.x === true) {
-                    processClosedCandle(symbol, kline, tf);
+                const parsed = exchange.parseKlineMessage(data);
+                if (!parsed) return;
+
+                const { symbol, kline } = parsed;
+                if (kline.x !== true) {
+                    // Unconfirmed update of the forming candle — early warnings and the dashboard's live price
+                    dashboard.price(symbol, parseFloat(kline.c));
+                    if (EARLY_WARNING && modeStreamTimeframes().includes(parsed.tf)) {
+                        processFormingCandle(symbol, kline, DUAL_EMA_MODE ? parsed.tf : null);
+                    }
+                    return;
                 }
-            } catch (error) {
-                log(`Error processing pool WS #${index} message: ${error.message}`, 'error');
-            }
+
+                if (modeStreamTimeframes().includes(parsed.tf)) {
+                    processClosedCandle(symbol, kline, DUAL_EMA_MODE ? parsed.tf : null);
+                } else {
+                    processRuleCandle(symbol, kline, parsed.tf);
+                }
+            } catch (error) {
+                wsLog(`Error processing pool WS #${index} message: ${error.message}`, 'error');
+            }
         });
 
         ws.on('error', (error) => {
-            log(`Pool WS #${index} error: ${error.message}`, 'error');
+            wsLog(`Pool WS #${index} error: ${error.message}`, 'error');
             if (isReconnecting || reconnectScheduled) return;
             reconnectScheduled = true;
 
@@ -855,18 +1607,21 @@ function setupPoolConnection(index, symbols) {
             if (currentAttempts < MAX_RECONNECTION_ATTEMPTS) {
                 reconnectionAttempts.set(poolKey, currentAttempts + 1);
                 const backoff = Math.min(RECONNECTION_DELAY * Math.pow(2, currentAttempts), 5 * 60 * 1000);
-                log(`Pool WS #${index} reconnecting in ${Math.round(backoff / 1000)}s (attempt ${currentAttempts + 1}/${MAX_RECONNECTION_ATTEMPTS})`, 'info');
+                wsLog(`Pool WS #${index} reconnecting in ${Math.round(backoff / 1000)}s (attempt ${currentAttempts + 1}/${MAX_RECONNECTION_ATTEMPTS})`, 'info');
                 setTimeout(() => {
                     const live = Array.from(poolEntry.symbols).filter(s => trackedPairs.has(s));
-                    if (live.length > 0) wsPool[index] = setupPoolConnection(index, live);
+                    if (live.length === 0) return;
+                    wsReconnects.inc({ pool: index });
+                    wsPool[index] = setupPoolConnection(index, live, exchangeId);
                 }, backoff);
             } else {
-                log(`Pool WS #${index} max reconnection attempts reached`, 'warning');
+                wsLog(`Pool WS #${index} max reconnection attempts reached`, 'warning');
             }
         });
 
         ws.on('close', () => {
-            log(`Pool WS #${index} closed`, 'warning');
+            wsLog(`Pool WS #${index} closed`, 'warning');
+            dashboard.statusChanged();
             // error handler already scheduled a reconnect — skip
             if (isReconnecting || reconnectScheduled) return;
             reconnectScheduled = true;
@@ -875,17 +1630,19 @@ function setupPoolConnection(index, symbols) {
             if (currentAttempts < MAX_RECONNECTION_ATTEMPTS) {
                 reconnectionAttempts.set(poolKey, currentAttempts + 1);
                 const backoff = Math.min(RECONNECTION_DELAY * Math.pow(2, currentAttempts), 5 * 60 * 1000);
-                log(`Pool WS #${index} reconnecting in ${Math.round(backoff / 1000)}s (attempt ${currentAttempts + 1}/${MAX_RECONNECTION_ATTEMPTS})`, 'info');
+                wsLog(`Pool WS #${index} reconnecting in ${Math.round(backoff / 1000)}s (attempt ${currentAttempts + 1}/${MAX_RECONNECTION_ATTEMPTS})`, 'info');
                 setTimeout(() => {
                     const live = Array.from(poolEntry.symbols).filter(s => trackedPairs.has(s));
-                    if (live.length > 0) wsPool[index] = setupPoolConnection(index, live);
+                    if (live.length === 0) return;
+                    wsReconnects.inc({ pool: index });
+                    wsPool[index] = setupPoolConnection(index, live, exchangeId);
                 }, backoff);
             }
         });
 
         return poolEntry;
     } catch (error) {
-        log(`Error creating pool WS #${index}: ${error.message}`, 'error');
+        wsLog(`Error creating pool WS #${index}: ${error.message}`, 'error');
         return null;
     }
 }
@@ -907,32 +1664,45 @@ function setupPooledWebSockets(allSymbols) {
             const safeSymbol = symbol.replace(/[^A-Z0-9]/g, '');
             fs.mkdirSync(path.join(ML_DATA_DIR, safeSymbol), { recursive: true });
         }
-        if (DUAL_EMA_MODE) {
-            getKlines(symbol, '5m').catch(e => log(`Error loading 5m history for ${symbol}: ${e.message}`, 'error'));
-            getKlines(symbol, '15m').catch(e => log(`Error loading 15m history for ${symbol}: ${e.message}`, 'error'));
-        } else {
-            getKlines(symbol).catch(e => log(`Error loading history for ${symbol}: ${e.message}`, 'error'));
-        }
+        loadSymbolHistory(symbol);
     }
 
-    // Chunk symbols into groups and stagger pool connection creation
+    // Group symbols by exchange, chunk each group and stagger pool connection creation
+    const byExchange = new Map();
+    for (const symbol of allSymbols) {
+        const exchangeId = exchangeFor(symbol).id;
+        if (!byExchange.has(exchangeId)) byExchange.set(exchangeId, []);
+        byExchange.get(exchangeId).push(symbol);
+    }
     const chunks = [];
-    for (let i = 0; i < allSymbols.length; i += WS_TOPICS_PER_CONN) {
-        chunks.push(allSymbols.slice(i, i + WS_TOPICS_PER_CONN));
+    for (const [exchangeId, symbols] of byExchange) {
+        for (let i = 0; i < symbols.length; i += WS_TOPICS_PER_CONN) {
+            chunks.push({ exchangeId, symbols: symbols.slice(i, i + WS_TOPICS_PER_CONN) });
+        }
     }
     chunks.forEach((chunk, idx) => {
         setTimeout(() => {
-            wsPool[idx] = setupPoolConnection(idx, chunk);
-            log(`Pool WS #${idx} started with ${chunk.length} symbols`, 'info');
+            wsPool[idx] = setupPoolConnection(idx, chunk.symbols, chunk.exchangeId);
+            wsLog(`Pool WS #${idx} (${getExchange(chunk.exchangeId).name}) started with ${chunk.symbols.length} symbols`, 'info');
         }, idx * 500);  // 500 ms stagger between pool-level connections
     });
 }
 
+// Seed the kline/EMA caches of every streamed series of a symbol from REST history (fire-and-forget)
+function loadSymbolHistory(symbol) {
+    if (!DUAL_EMA_MODE) {
+        getKlines(symbol).catch(e => wsLog(`Error loading history for ${symbol}: ${e.message}`, 'error', { symbol }));
+    }
+    for (const tf of DUAL_EMA_MODE ? activeStreamTimeframes() : ruleOnlyTimeframes()) {
+        getKlines(symbol, tf).catch(e => wsLog(`Error loading ${tf} history for ${symbol}: ${e.message}`, 'error', { symbol, timeframe: tf }));
+    }
+}
+
 // Subscribe a single new symbol to an existing pool connection (mid-session discovery).
 function subscribeSymbolToPool(symbol) {
     // Skip if already subscribed in any pool connection
     if (wsPool.some(e => e && e.symbols.has(symbol))) {
-        log(`${symbol} already subscribed in pool — skipping`, 'info');
+        wsLog(`${symbol} already subscribed in pool — skipping`, 'info', { symbol });
         return;
     }
 
@@ -940,38 +1710,44 @@ function subscribeSymbolToPool(symbol) {
         const safeSymbol = symbol.replace(/[^A-Z0-9]/g, '');
         fs.mkdirSync(path.join(ML_DATA_DIR, safeSymbol), { recursive: true });
     }
-    if (DUAL_EMA_MODE) {
-        getKlines(symbol, '5m').catch(e => log(`Error loading 5m history for ${symbol}: ${e.message}`, 'error'));
-        getKlines(symbol, '15m').catch(e => log(`Error loading 15m history for ${symbol}: ${e.message}`, 'error'));
-    } else {
-        getKlines(symbol).catch(e => log(`Error loading history for ${symbol}: ${e.message}`, 'error'));
-    }
+    loadSymbolHistory(symbol);
 
-    // Find a pool connection with room
-    const target = wsPool.find(e => e && e.ws.readyState === WebSocket.OPEN && e.symbols.size < WS_TOPICS_PER_CONN);
+    // Find a pool connection on the symbol's exchange with room
+    const exchange = exchangeFor(symbol);
+    const target = wsPool.find(e => e && e.exchange === exchange.id && e.ws.readyState === WebSocket.OPEN && e.symbols.size < WS_TOPICS_PER_CONN);
     if (target) {
         target.symbols.add(symbol);
-        target.ws.send(JSON.stringify({ op: 'subscribe', args: buildSubscribeArgs([symbol]) }));
-        log(`Subscribed ${symbol} to pool WS #${target.index}`, 'info');
+        for (const frame of exchange.buildSubscribeMessages([symbol], activeStreamTimeframes())) {
+            target.ws.send(frame);
+        }
+        wsLog(`Subscribed ${symbol} to pool WS #${target.index} (${exchange.name})`, 'info', { symbol });
     } else {
         // No room or no open connections — create a new pool entry
         const newIdx = wsPool.length;
-        wsPool[newIdx] = setupPoolConnection(newIdx, [symbol]);
-        log(`Created new pool WS #${newIdx} for ${symbol}`, 'info');
+        wsPool[newIdx] = setupPoolConnection(newIdx, [symbol], exchange.id);
+        wsLog(`Created new pool WS #${newIdx} (${exchange.name}) for ${symbol}`, 'info', { symbol });
     }
 }
 
 
+// Drop the oldest candles of a cached window once it holds twice maxSize, keeping the newest maxSize.
+// Trimming in place and in batches copies the window once per maxSize candles instead of on every
+// candle, and callers holding the array keep seeing the live cache.
+function trimCandleCache(klines, maxSize) {
+    if (klines.length >= maxSize * 2) klines.splice(0, klines.length - maxSize);
+}
+
 // Process a closed candle from WebSocket with improved ML data collection
-// tf — '5m' or '15m' in dual-TF mode; null in single-mode (uses global TIMEFRAME)
+// tf — a CROSS_TIMEFRAMES entry in crossover mode; null in single-mode (uses global TIMEFRAME)
 async function processClosedCandle(symbol, kline, tf = null) {
     try {
-        lastCandleTime = Date.now();
-        // Composite key for dual-TF mode so 5m and 15m caches never overwrite each other
+        lastCandleTime = clock.now();
+        candlesProcessed.inc({ timeframe: tf || TIMEFRAME });
+        // Composite key for crossover mode so each timeframe's caches never overwrite each other
         const cacheKey = tf ? tfKey(symbol, tf) : symbol;
 
         // Get cached klines or initialize if not exists
-        let klines = klineCache.get(cacheKey) || [];
+        const klines = klineCache.get(cacheKey) || [];
 
         // Create new kline object
         const newKline = {
@@ -987,77 +1763,83 @@ async function processClosedCandle(symbol, kline, tf = null) {
         klines.push(newKline);
 
         // Keep cache size reasonable
-        const maxCacheSize = DUAL_EMA_MODE ? 200 : EMA_PERIOD * 2;
-        if (klines.length > maxCacheSize) {
-            klines = klines.slice(-maxCacheSize);
-        }
-
+        const maxCacheSize = Math.max(DUAL_EMA_MODE ? Math.max(200, requiredEmaPeriod() * 2) : EMA_PERIOD * 2, rules.lookback());
+        trimCandleCache(klines, maxCacheSize);
         klineCache.set(cacheKey, klines);
 
-        // Get closes for EMA calculation
-        const closes = klines.map(k => k.close);
-        const volumes = klines.map(k => k.volume);
+        // Current above/below state of this series — feeds reversal tracking in signalOutcomes.
+        // In crossover mode an object of states keyed by pair label.
+        let seriesState = null;
+
+        // Incremental O(1) indicator update — the first candle of an unseeded series builds the set
+        // from the cached candles (which already include this one)
+        const indicatorSet = indicatorStreams.get(cacheKey);
+        if (indicatorSet) indicatorSet.push(newKline);
+        else createSeriesIndicators(cacheKey, klines, tf);
 
-        // Calculate EMA values based on current mode
+        // Follow-ups for forming-crossover warnings raised on this candle
+        if (earlyWarnings.size() > 0) await resolveEarlyWarnings(symbol, tf, newKline.time);
+
+        // Check for crossovers based on current mode
         if (DUAL_EMA_MODE) {
-            // Incremental O(1) dual EMA update — fall back to full recalc on first candle
-            const updated = updateDualEMA(cacheKey, newKline.close);
-            if (!updated) {
-                ema9Cache.set(cacheKey, calculateEMA(closes, 9));
-                ema15Cache.set(cacheKey, calculateEMA(closes, 15));
+            // The confluence trend timeframe may be streamed only for its trend EMA
+            if (CROSS_TIMEFRAMES.includes(tf)) {
+                const states = await checkPairCrossovers(symbol, tf, newKline.close);
+                if (Object.keys(states).length > 0) seriesState = states;
+            } else if (CONFLUENCE_MODE) {
+                await checkAlignments(symbol, newKline.close);
             }
+        } else {
+            const emaValues = emaCache.get(symbol) || [];
 
-            const e9 = ema9Cache.get(cacheKey) || [];
-            const e15 = ema15Cache.get(cacheKey) || [];
-
-            // Check for dual EMA crossover (EMA9 vs EMA15)
-            if (e9.length >= 2 && e15.length >= 2) {
-                // Align arrays — EMA(9) accumulates 6 more entries than EMA(15)
-                const offset = e9.length - e15.length;
-                const a9  = offset > 0 ? e9.slice(offset)  : e9;
-                const a15 = offset < 0 ? e15.slice(-offset) : e15;
-
-                await checkForDualEmaCrossover(
-                    symbol,
-                    a9.at(-2), a9.at(-1),
-                    a15.at(-2), a15.at(-1),
-                    closes.at(-1), tf
-                );
+            // Check for price vs EMA crossover — the strategy only reads the last two closes
+            const reading = emaCrossStrategy.onCandle({
+                closes: klines.slice(-2).map(k => k.close),
+                ema: () => emaValues,
+                params: { period: EMA_PERIOD, minCrossPct: MIN_CROSS_PCT }
+            });
+            if (reading) {
+                seriesState = reading.state;
+                await checkForCrossover(symbol, reading);
             }
-        } else {
-            // Single EMA mode — update incrementally if cached, fall back to full recalc on first candle
-            const updated = updateEMA(symbol, newKline.close);
-            if (!updated) {
-                const freshEma = calculateEMA(closes, EMA_PERIOD);
-                emaCache.set(symbol, freshEma);
+        }
+
+        await runCustomStrategies(symbol, tf, klines);
+        await checkRules(symbol, tf || TIMEFRAME);
+
+        if (store) {
+            try {
+                store.insertCandle(symbol, tf || TIMEFRAME, newKline);
+            } catch (e) {
+                log(`Could not store candle for ${symbol}: ${e.message}`, 'warning', { symbol, timeframe: tf || TIMEFRAME });
             }
-            const emaValues = emaCache.get(symbol) || [];
+        }
 
-            // Check for price vs EMA crossover
-            if (emaValues.length >= 2) {
-                const lastPrice = closes[closes.length - 1];
-                const prevPrice = closes[closes.length - 2];
-                const lastEMA = emaValues[emaValues.length - 1];
-                const prevEMA = emaValues[emaValues.length - 2];
-                await checkForCrossover(symbol, prevPrice, lastPrice, prevEMA, lastEMA);
+        // Grade open signals of this series against the candle that just closed
+        if (seriesState) {
+            const seriesTf = tf || TIMEFRAME;
+            signalOutcomes.onCandle(symbol, seriesTf, newKline, newKline.time + TIMEFRAME_MS[seriesTf], seriesState);
+        }
+        if (PAPER_TRADING) {
+            const seriesTf = tf || TIMEFRAME;
+            for (const trade of paperPortfolio.onCandle(symbol, seriesTf, newKline, newKline.time + TIMEFRAME_MS[seriesTf])) {
+                logPaperTrade(trade);
             }
         }
 
+        // Live dashboard: this symbol's rows and the status tables
+        if (dashboard.clients() > 0) {
+            dashboard.send('pair', dashboardPair(symbol));
+            dashboard.statusChanged();
+        }
+
         // Collect data for ML training if we have enough data
         if (klines.length >= 30 && ML_ENABLED && !DUAL_EMA_MODE) {
             const emaValues = emaCache.get(symbol) || [];
             if (emaValues.length === 0) return;
 
-            // Calculate additional indicators — cache module ref so require() only runs once
-            if (!_indicatorsModule) _indicatorsModule = require('./src/indicators');
-            const { calculateRSI, calculateMACD, calculateBollingerBands } = _indicatorsModule;
-            const rsi = calculateRSI(closes);
-            const macd = calculateMACD(closes);
-            const bb = calculateBollingerBands(closes);
-
-            // Calculate ATR
-            const atr = calculateATR(klines);
-            const atrValid = klines.length >= 15;
+            // Additional indicators — already updated by the series' streaming set
+            const { rsi, macd, bb, atr } = streamFeatures(cacheKey);
 
             // Create feature vector
             const dataPoint = {
@@ -1070,17 +1852,18 @@ async function processClosedCandle(symbol, kline, tf = null) {
                 volume: newKline.volume,
                 ema: emaValues[emaValues.length - 1],
                 ema_diff: ((newKline.close - emaValues[emaValues.length - 1]) / emaValues[emaValues.length - 1] * 100),
-                rsi: rsi[rsi.length - 1],
-                macd: macd.macd[macd.macd.length - 1],
-                macd_signal: macd.signal[macd.signal.length - 1],
-                macd_hist: macd.histogram[macd.histogram.length - 1],
-                bb_upper: bb.upper[bb.upper.length - 1],
-                bb_middle: bb.middle[bb.middle.length - 1],
-                bb_lower: bb.lower[bb.lower.length - 1],
-                bb_width: (bb.upper[bb.upper.length - 1] - bb.lower[bb.lower.length - 1]) / bb.middle[bb.middle.length - 1],
-                atr: atr,
-                atr_valid: atrValid,
-                volume_change: volumes.length > 1 ? volumes[volumes.length - 1] / volumes[volumes.length - 2] - 1 : 0,
+                rsi,
+                macd: macd.macd,
+                macd_signal: macd.signal,
+                macd_hist: macd.histogram,
+                bb_upper: bb.upper,
+                bb_middle: bb.middle,
+                bb_lower: bb.lower,
+                bb_width: bb.width,
+                atr: atr ?? 0,
+                atr_valid: atr !== null,
+                volume_change: klines.length > 1 ? newKline.volume / klines.at(-2).volume - 1 : 0,
+                ...extendedFeatures(cacheKey),
                 // Target variable (to be filled later)
                 future_price_change: null,
                 label: null // 1 for price increase, 0 for decrease
@@ -1113,13 +1896,202 @@ async function processClosedCandle(symbol, kline, tf = null) {
             if (deferredUpdates.length > 5000) deferredUpdates.splice(0, deferredUpdates.length - 5000);
         }
     } catch (error) {
-        log(`Error processing closed candle for ${symbol}: ${error.message}`, 'error');
+        log(`Error processing closed candle for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: tf || TIMEFRAME });
+    }
+}
+
+// Crossover readings of a series with the key their alerts are tracked under: one per EMA pair in
+// crossover mode, price vs EMA(EMA_PERIOD) otherwise. Without formingClose they describe the last
+// closed candle (the same values the alert path reads); with it, the unconfirmed candle after it
+// at that price, using the EMAs it would produce if it closed there.
+function crossReadings(symbol, tf, formingClose = null) {
+    const cacheKey = tf ? tfKey(symbol, tf) : symbol;
+    const set = indicatorStreams.get(cacheKey);
+    if (!set) return [];
+    const forming = formingClose !== null;
+    // [previous, last] value of an EMA period
+    const lastTwo = period => {
+        const history = set.history(`ema${period}`) || [];
+        return forming ? [history.at(-1), set.peek(`ema${period}`, formingClose)] : history.slice(-2);
+    };
+    const missing = values => values.some(v => v === undefined || v === null);
+
+    if (DUAL_EMA_MODE) {
+        const readings = [];
+        for (const pair of EMA_PAIRS) {
+            const [prevFast, lastFast] = lastTwo(pair.fast);
+            const [prevSlow, lastSlow] = lastTwo(pair.slow);
+            if (missing([prevFast, lastFast, prevSlow, lastSlow])) continue;
+            readings.push({
+                ...emaPairStrategy.evaluate({ pair, prevFast, lastFast, prevSlow, lastSlow, minCrossPct: MIN_CROSS_PCT }),
+                key: emaPairStateKey(cacheKey, pair),
+                label: emaPairLabel(pair),
+                pair,
+                emas: { [pair.fast]: lastFast, [pair.slow]: lastSlow }
+            });
+        }
+        return readings;
+    }
+
+    const closes = (klineCache.get(cacheKey) || []).slice(-2).map(k => k.close);
+    const [prevPrice, lastPrice] = forming ? [closes.at(-1), formingClose] : closes;
+    const [prevEma, lastEma] = lastTwo(EMA_PERIOD);
+    if (missing([prevPrice, lastPrice, prevEma, lastEma])) return [];
+    return [{
+        ...emaCrossStrategy.evaluate({ prevPrice, lastPrice, prevEma, lastEma, minCrossPct: MIN_CROSS_PCT }),
+        key: symbol,
+        label: `EMA(${EMA_PERIOD})`,
+        pair: null,
+        emas: { [EMA_PERIOD]: lastEma }
+    }];
+}
+
+// Unconfirmed update of the candle after the last closed one (EARLY_WARNING): every crossover the
+// candle would make if it closed at this price raises one "forming" alert per candle
+// tf — a CROSS_TIMEFRAMES entry in crossover mode; null in single-mode
+async function processFormingCandle(symbol, kline, tf = null) {
+    try {
+        // The confluence trend timeframe is streamed for its trend EMA only
+        if (DUAL_EMA_MODE && !CROSS_TIMEFRAMES.includes(tf)) return;
+        const seriesTf = tf || TIMEFRAME;
+        const lastClosed = (klineCache.get(tf ? tfKey(symbol, tf) : symbol) || []).at(-1);
+        // Projecting over a missed close would compare against the wrong candle
+        if (!lastClosed || kline.t !== lastClosed.time + TIMEFRAME_MS[seriesTf]) return;
+
+        const price = parseFloat(kline.c);
+        for (const reading of crossReadings(symbol, tf, price)) {
+            if (!reading.direction || coinStates.get(reading.key) === reading.state) continue;
+            if (DUAL_EMA_MODE && CONFLUENCE_MODE && trendDirection(symbol) !== reading.direction) continue;
+
+            const warning = earlyWarnings.warn(reading.key, {
+                candleTime: kline.t,
+                direction: reading.direction,
+                state: reading.state
+            }, clock.now());
+            if (warning) await sendEarlyWarning(symbol, tf, reading, price, warning);
+        }
+    } catch (error) {
+        log(`Error processing forming candle for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: tf || TIMEFRAME });
+    }
+}
+
+// Close of candle `candleTime`: resolve the warnings raised while it was forming
+async function resolveEarlyWarnings(symbol, tf, candleTime) {
+    for (const reading of crossReadings(symbol, tf)) {
+        const resolved = earlyWarnings.resolve(reading.key, candleTime, reading.direction);
+        if (resolved) await sendEarlyWarningOutcome(symbol, tf, reading, resolved);
+    }
+}
+
+// "Forming" alert for a crossover on a candle that has not closed yet. The chats it goes to are
+// kept on the warning before the fan-out starts, so the follow-up goes to exactly the same ones even
+// when the candle closes while it is still being sent.
+async function sendEarlyWarning(symbol, tf, reading, price, warning) {
+    const seriesTf = tf || TIMEFRAME;
+    const mode = DUAL_EMA_MODE ? 'dual' : 'ema';
+    const up = reading.direction === 'up';
+    const signal = `FORMING ${up ? 'BULLISH' : 'BEARISH'} ${reading.label} CROSS [${seriesTf.toUpperCase()}]`;
+    log.banner(['⏳'.yellow + ` ${signal} `.black.bgYellow + ' ' + symbol.bold], 'info', { symbol, timeframe: seriesTf });
+    let alertId;
+    try {
+        alertId = publishAlert({
+            ...buildAlertPayload({
+                symbol, tf: seriesTf, mode, label: reading.label, crossType: reading.direction, price,
+                emas: reading.emas, spreadPct: reading.spreadPct, oi: null, stats: null
+            }),
+            event: 'early_warning',
+            status: 'forming',
+            candleTime: new Date(warning.candleTime).toISOString()
+        });
+
+        const message = `⏳ *${signal}*\n\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Price:* ${formatPrice(price)}\n` +
+            Object.entries(reading.emas).map(([period, value]) => `*EMA(${period}):* ${formatPrice(value)}\n`).join('') +
+            `*${reading.pair ? 'EMA Spread' : 'Difference'}:* ${reading.spreadPct.toFixed(4)}%\n` +
+            `*Candle closes:* ${new Date(warning.candleTime + TIMEFRAME_MS[seriesTf]).toLocaleString()}\n\n` +
+            `_The candle is not closed yet — the EMAs are projected from the current price. ` +
+            `A follow-up confirms or cancels this at the close._\n\n` +
+            `[View Chart on TradingView](${getTradingViewUrl(symbol)})`;
+        warning.recipients = subscribers.recipientsFor({ symbol, tf: seriesTf, mode, early: true }, clock.now());
+        await broadcastAlert({ symbol, tf: seriesTf, mode, early: true, recipients: warning.recipients }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+        log(`Early warning sent for ${symbol} ${reading.label} [${seriesTf}] (${reading.direction})`, 'success', { symbol, timeframe: seriesTf, alertId });
+    } catch (error) {
+        log(`Error sending early warning for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: seriesTf, alertId });
+    }
+}
+
+// Follow-up to a forming alert once its candle closed: did the crossover hold?
+async function sendEarlyWarningOutcome(symbol, tf, reading, { warning, outcome }) {
+    const seriesTf = tf || TIMEFRAME;
+    const mode = DUAL_EMA_MODE ? 'dual' : 'ema';
+    const up = warning.direction === 'up';
+    const confirmed = outcome === 'confirmed';
+    const close = (klineCache.get(tf ? tfKey(symbol, tf) : symbol) || []).at(-1)?.close;
+    const signal = `${up ? 'BULLISH' : 'BEARISH'} ${reading.label} CROSS [${seriesTf.toUpperCase()}] ${confirmed ? 'CONFIRMED' : 'CANCELLED'}`;
+    log(`Early warning ${outcome} for ${symbol} ${reading.label} [${seriesTf}] (${warning.direction})`, confirmed ? 'success' : 'warning', { symbol, timeframe: seriesTf });
+    let alertId;
+    try {
+        alertId = publishAlert({
+            ...buildAlertPayload({
+                symbol, tf: seriesTf, mode, label: reading.label, crossType: warning.direction, price: close,
+                emas: reading.emas, spreadPct: reading.spreadPct, oi: null, stats: null
+            }),
+            event: 'early_warning',
+            status: outcome,
+            candleTime: new Date(warning.candleTime).toISOString()
+        });
+
+        const message = `${confirmed ? '✅' : '❌'} *${signal}*\n\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Close:* ${formatPrice(close)}\n` +
+            Object.entries(reading.emas).map(([period, value]) => `*EMA(${period}):* ${formatPrice(value)}\n`).join('') +
+            `\n_${confirmed ? 'The candle closed with the crossover in place.' : 'The candle closed without the crossover — the early warning is void.'}_`;
+        await broadcastAlert({ symbol, tf: seriesTf, mode, early: true, recipients: warning.recipients }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+    } catch (error) {
+        log(`Error sending early warning follow-up for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: seriesTf, alertId });
+    }
+}
+
+// Closed candle of a timeframe streamed only for alert rules — cached and handed to the rules,
+// nothing else (no EMAs, ML, storage or outcome grading)
+async function processRuleCandle(symbol, kline, tf) {
+    try {
+        lastCandleTime = clock.now();
+        candlesProcessed.inc({ timeframe: tf });
+        const cacheKey = tfKey(symbol, tf);
+        const klines = klineCache.get(cacheKey) || [];
+        klines.push({
+            time: kline.t,
+            open: parseFloat(kline.o),
+            high: parseFloat(kline.h),
+            low: parseFloat(kline.l),
+            close: parseFloat(kline.c),
+            volume: parseFloat(kline.v)
+        });
+        trimCandleCache(klines, Math.max(200, rules.lookback()));
+        klineCache.set(cacheKey, klines);
+        await checkRules(symbol, tf);
+    } catch (error) {
+        log(`Error processing ${tf} rule candle for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: tf });
     }
 }
 
-// Save data point to JSON file
+// Save data point to the database, or to the monthly NDJSON file with STORAGE=files
 async function saveDataPoint(symbol, dataPoint) {
     try {
+        if (store) {
+            // ML data is only collected in single-EMA mode, so the series timeframe is TIMEFRAME
+            store.saveDataPoint(symbol, TIMEFRAME, dataPoint);
+            return true;
+        }
+
         const safeSymbol = symbol.replace(/[^A-Z0-9]/g, '');
         const symbolDir = path.join(ML_DATA_DIR, safeSymbol);
 
@@ -1170,6 +2142,7 @@ function getCsvWriter(csvPath) {
                 { id: 'atr', title: 'ATR' },
                 { id: 'atr_valid', title: 'ATR_VALID' },
                 { id: 'volume_change', title: 'VOLUME_CHANGE' },
+                ...EXTENDED_FEATURE_COLUMNS.map(id => ({ id, title: id.toUpperCase() })),
                 { id: 'future_price_change', title: 'FUTURE_PRICE_CHANGE' },
                 { id: 'label', title: 'LABEL' }
             ]
@@ -1331,11 +2304,16 @@ async function updateFuturePriceChange(symbol, timestamp) {
 // regardless of how many data points the symbol has accumulated.
 async function updateStoredDataPoint(symbol, timestamp, priceChange) {
     try {
+        const label = priceChange > 1.0 ? 2 : priceChange < -1.0 ? 0 : 1;
+        if (store) {
+            store.setLabel(symbol, timestamp, priceChange, label);
+            return true;
+        }
+
         const safeSymbol = symbol.replace(/[^A-Z0-9]/g, '');
         const symbolDir = path.join(ML_DATA_DIR, safeSymbol);
         if (!fs.existsSync(symbolDir)) return false;
 
-        const label = priceChange > 1.0 ? 2 : priceChange < -1.0 ? 0 : 1;
         const labelsPath = path.join(symbolDir, 'labels.ndjson');
         await fs.promises.appendFile(
             labelsPath,
@@ -1352,11 +2330,8 @@ async function updateStoredDataPoint(symbol, timestamp, priceChange) {
 async function getCurrentPrice(symbol) {
     try {
         await enforceRateLimit();
-        const response = await axios.get('https://api.bybit.com/v5/market/tickers', {
-            params: { category: 'linear', symbol },
-            timeout: 10000
-        });
-        return parseFloat(response.data.result.list[0].lastPrice);
+        const ticker = await exchangeFor(symbol).fetchTicker(symbol);
+        return ticker.lastPrice;
     } catch (error) {
         log(`Error getting current price for ${symbol}: ${error.message}`, 'error');
         throw error;
@@ -1364,11 +2339,12 @@ async function getCurrentPrice(symbol) {
 }
 
 // Check for crossover and send alerts if needed with ML prediction
-async function checkForCrossover(symbol, prevPrice, lastPrice, prevEMA, lastEMA) {
+// reading — one result of the built-in "ema" strategy (src/strategies/ema_cross.js)
+async function checkForCrossover(symbol, reading) {
     try {
-        // Determine current state (above or below EMA)
-        const currentState = lastPrice > lastEMA ? 'above' : 'below';
-        const difference = (lastPrice - lastEMA) / lastEMA * 100;
+        const { prevPrice, price: lastPrice, prevEma: prevEMA, lastEma: lastEMA } = reading;
+        const currentState = reading.state;
+        const difference = reading.spreadPct;
 
         // Get ML prediction if available
         let prediction = null;
@@ -1381,17 +2357,20 @@ async function checkForCrossover(symbol, prevPrice, lastPrice, prevEMA, lastEMA)
             }
         }
 
+        // Quality filters may reject the cross or hold it back until it is confirmed
+        const filtered = applySignalFilters(symbol, null, reading, symbol);
+        if (filtered.hold) return;
+        const cross = filtered.direction;
+
         // Upward crossover: price crossing from below to above EMA (with minimum margin)
-        if (prevPrice < prevEMA && lastPrice > lastEMA && (lastPrice - lastEMA) / lastEMA > MIN_CROSS_PCT) {
-            console.log('\n');
-            console.log('▲'.green + ' UPWARD CROSSOVER '.white.bgGreen + ' ' + symbol.bold);
-            console.log(`  Previous Price: ${formatPrice(prevPrice).gray} → Current Price: ${formatPrice(lastPrice).green}`);
-            console.log(`  Previous EMA: ${formatPrice(prevEMA).gray} → Current EMA: ${formatPrice(lastEMA).cyan}`);
-            console.log(`  Difference: ${difference.toFixed(2)}%`.yellow);
-
-            if (prediction !== null) {
-                console.log(`  ML Prediction: ${prediction.toFixed(2)}% expected change`.cyan);
-            }
+        if (cross === 'up') {
+            log.banner([
+                '▲'.green + ' UPWARD CROSSOVER '.white.bgGreen + ' ' + symbol.bold,
+                `  Previous Price: ${formatPrice(prevPrice).gray} → Current Price: ${formatPrice(lastPrice).green}`,
+                `  Previous EMA: ${formatPrice(prevEMA).gray} → Current EMA: ${formatPrice(lastEMA).cyan}`,
+                `  Difference: ${difference.toFixed(2)}%`.yellow,
+                ...(prediction !== null ? [`  ML Prediction: ${prediction.toFixed(2)}% expected change`.cyan] : [])
+            ], 'info', { symbol, timeframe: TIMEFRAME });
 
             if (shouldAlert(symbol, currentState)) {
                 if (prediction !== null) {
@@ -1402,16 +2381,14 @@ async function checkForCrossover(symbol, prevPrice, lastPrice, prevEMA, lastEMA)
             }
         }
         // Downward crossover: price crossing from above to below EMA (with minimum margin)
-        else if (prevPrice > prevEMA && lastPrice < lastEMA && (lastEMA - lastPrice) / lastEMA > MIN_CROSS_PCT) {
-            console.log('\n');
-            console.log('▼'.red + ' DOWNWARD CROSSOVER '.white.bgRed + ' ' + symbol.bold);
-            console.log(`  Previous Price: ${formatPrice(prevPrice).gray} → Current Price: ${formatPrice(lastPrice).red}`);
-            console.log(`  Previous EMA: ${formatPrice(prevEMA).gray} → Current EMA: ${formatPrice(lastEMA).cyan}`);
-            console.log(`  Difference: ${difference.toFixed(2)}%`.yellow);
-
-            if (prediction !== null) {
-                console.log(`  ML Prediction: ${prediction.toFixed(2)}% expected change`.cyan);
-            }
+        else if (cross === 'down') {
+            log.banner([
+                '▼'.red + ' DOWNWARD CROSSOVER '.white.bgRed + ' ' + symbol.bold,
+                `  Previous Price: ${formatPrice(prevPrice).gray} → Current Price: ${formatPrice(lastPrice).red}`,
+                `  Previous EMA: ${formatPrice(prevEMA).gray} → Current EMA: ${formatPrice(lastEMA).cyan}`,
+                `  Difference: ${difference.toFixed(2)}%`.yellow,
+                ...(prediction !== null ? [`  ML Prediction: ${prediction.toFixed(2)}% expected change`.cyan] : [])
+            ], 'info', { symbol, timeframe: TIMEFRAME });
 
             if (shouldAlert(symbol, currentState)) {
                 if (prediction !== null) {
@@ -1425,67 +2402,400 @@ async function checkForCrossover(symbol, prevPrice, lastPrice, prevEMA, lastEMA)
             coinStates.set(symbol, currentState);
         }
     } catch (error) {
-        log(`Error checking for crossover for ${symbol}: ${error.message}`, 'error');
+        log(`Error checking for crossover for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: TIMEFRAME });
+    }
+}
+
+// Run every EMA pair's crossover check on one symbol/timeframe series, reading the EMAs
+// already in pairEmaCache. Returns the current state of each pair keyed by its label
+// (pairs without two EMA values yet are left out).
+async function checkPairCrossovers(symbol, tf, currentPrice) {
+    const cacheKey = tfKey(symbol, tf);
+    const states = {};
+    // EMA arrays are end-aligned, so .at(-1)/.at(-2) are the same candles for both periods
+    const readings = emaPairStrategy.onCandle({
+        closes: [currentPrice],
+        ema: period => pairEmaCache.get(emaKey(cacheKey, period)) || [],
+        params: { pairs: EMA_PAIRS, minCrossPct: MIN_CROSS_PCT }
+    });
+    for (const reading of readings) {
+        states[reading.label] = reading.state;
+        await checkForDualEmaCrossover(symbol, reading, tf);
+    }
+    if (CONFLUENCE_MODE) await checkAlignments(symbol, currentPrice);
+    return states;
+}
+
+// 'up' / 'down' for the fast vs slow EMA of a pair on one timeframe; null until seeded
+function pairDirection(symbol, tf, pair) {
+    const cacheKey = tfKey(symbol, tf);
+    const fast = pairEmaCache.get(emaKey(cacheKey, pair.fast));
+    const slow = pairEmaCache.get(emaKey(cacheKey, pair.slow));
+    if (!fast?.length || !slow?.length) return null;
+    return fast.at(-1) > slow.at(-1) ? 'up' : 'down';
+}
+
+// 'up' / 'down' for the last close vs EMA(CONFLUENCE_TREND_EMA) on the trend timeframe; null until seeded
+function trendDirection(symbol) {
+    const cacheKey = tfKey(symbol, CONFLUENCE_TREND_TF);
+    const lastClose = (klineCache.get(cacheKey) || []).at(-1)?.close;
+    const ema = pairEmaCache.get(emaKey(cacheKey, CONFLUENCE_TREND_EMA));
+    if (lastClose === undefined || !ema?.length) return null;
+    return lastClose > ema.at(-1) ? 'up' : 'down';
+}
+
+// Per-timeframe state behind a confluence alert: the pair on every crossover timeframe, then the trend
+function confluenceRows(symbol, pair) {
+    return [
+        ...CROSS_TIMEFRAMES.map(tf => ({ tf, signal: emaPairLabel(pair), state: pairDirection(symbol, tf, pair) })),
+        { tf: CONFLUENCE_TREND_TF, signal: `Price/EMA${CONFLUENCE_TREND_EMA}`, state: trendDirection(symbol), trend: true }
+    ];
+}
+
+// Monospace table for Telegram (wrapped in ``` by the caller) and the console
+function formatConfluenceTable(rows) {
+    const mark = state => (state === 'up' ? '▲ bull' : state === 'down' ? '▼ bear' : '… n/a');
+    const width = Math.max(6, ...rows.map(r => r.signal.length));
+    return ['TF    ' + 'Signal'.padEnd(width) + '  State',
+        ...rows.map(r => `${r.tf.padEnd(6)}${r.signal.padEnd(width)}  ${mark(r.state)}${r.trend ? ' (trend)' : ''}`)
+    ].join('\n');
+}
+
+// Run the custom strategy plugins on one series. Replays run every plugin; live, only
+// those some active chat has enabled. Plugin EMAs come from the bot's caches when the
+// period is already tracked, otherwise they are computed from the cached candles.
+// tf — the stream timeframe as passed to processClosedCandle (null in single-EMA mode)
+async function runCustomStrategies(symbol, tf, klines) {
+    const custom = strategies.list({ builtin: false });
+    if (custom.length === 0) return;
+    const cacheKey = tf ? tfKey(symbol, tf) : symbol;
+    const enabled = REPLAY_MODE ? null : subscribers.enabledStrategies();
+    const ema = period => pairEmaCache.get(emaKey(cacheKey, period))
+        || (!DUAL_EMA_MODE && period === EMA_PERIOD && emaCache.get(symbol))
+        || emaSeries(klines.map(k => k.close), period);
+
+    for (const plugin of custom) {
+        if (enabled && !enabled.has(plugin.id)) continue;
+        for (const signal of strategies.run(plugin, { symbol, tf: tf || TIMEFRAME, candles: klines, ema })) {
+            await checkStrategySignal(symbol, tf, plugin, signal, klines.at(-1));
+        }
+    }
+}
+
+// Gate a strategy signal like the EMA modes: one alert per state change, ALERT_COOLDOWN apart.
+// A signal without a direction only records the state it reports.
+async function checkStrategySignal(symbol, tf, plugin, signal, lastKline) {
+    const label = signal.label || plugin.name || plugin.id;
+    const stateKey = `${tfKey(symbol, tf || TIMEFRAME)}_strategy_${plugin.id}${signal.label ? `_${signal.label}` : ''}`;
+    const currentState = signal.state || signal.direction;
+    if (!currentState) return;
+    if (signal.direction !== 'up' && signal.direction !== 'down') {
+        coinStates.set(stateKey, currentState);
+        return;
+    }
+
+    const verdict = evaluateAlertGate(coinStates, lastAlerts, {
+        stateKey, alertKey: `${stateKey}_${currentState}`, currentState, now: clock.now(), cooldownMs: ALERT_COOLDOWN
+    });
+    if (verdict === 'alert') {
+        saveAlertState();
+        await sendStrategyAlert(symbol, tf, plugin, { ...signal, label, price: signal.price ?? lastKline.close }, lastKline);
+    } else if (verdict === 'cooldown') {
+        alertsSuppressed.inc({ reason: 'cooldown' });
+        log(`${plugin.id} signal for ${symbol} [${tf || TIMEFRAME}] skipped due to cooldown.`, 'warning', { symbol, timeframe: tf || TIMEFRAME });
+    }
+}
+
+// Send a custom strategy signal to the chats that enabled the strategy and to the outbound channels
+// streamTf — null in single-EMA mode, where the series is cached under the bare symbol
+async function sendStrategyAlert(symbol, streamTf, plugin, signal, lastKline) {
+    const tf = streamTf || TIMEFRAME;
+    const up = signal.direction === 'up';
+    const details = Object.entries(signal.details || {});
+    log.banner([
+        (up ? '▲'.green : '▼'.red) + ` ${signal.label} ${up ? 'BULLISH' : 'BEARISH'} [${tf.toUpperCase()}] `.white[up ? 'bgGreen' : 'bgRed'] + ' ' + symbol.bold,
+        ...details.map(([name, value]) => `  ${name}: ${value}`.gray)
+    ], 'info', { symbol, timeframe: tf });
+
+    if (store) {
+        try {
+            store.recordAlert({
+                symbol, tf, mode: 'strategy', label: `${plugin.id}:${signal.label}`, direction: signal.direction,
+                price: signal.price, time: lastKline.time + TIMEFRAME_MS[tf],
+                exchange: exchangeFor(symbol).id
+            });
+        } catch (e) {
+            log(`Could not store alert for ${symbol}: ${e.message}`, 'warning');
+        }
+    }
+
+    let alertId;
+    try {
+        const stats = await get24HrStats(symbol);
+        alertId = publishAlert({
+            ...buildAlertPayload({
+                symbol, tf, mode: 'strategy', label: signal.label, crossType: signal.direction, price: signal.price,
+                emas: {}, spreadPct: 0, oi: null, stats
+            }),
+            event: 'signal',
+            strategy: plugin.id,
+            details: signal.details || {}
+        });
+
+        const emoji = up ? '🟢' : '🔴';
+        const message = `${emoji} *${up ? 'BULLISH' : 'BEARISH'} ${signal.label} [${tf.toUpperCase()}]* ${emoji}\n\n` +
+            `*Strategy:* ${plugin.name || plugin.id}\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Price:* ${formatPrice(signal.price)}\n` +
+            details.map(([name, value]) => `*${name}:* ${value}\n`).join('') +
+            `*24h Change:* ${stats.priceChangePercent}%\n` +
+            `*Timeframe:* ${tf}\n\n` +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
+            `[View Chart on TradingView](${getTradingViewUrl(symbol)})`;
+        await broadcastAlert({ symbol, tf, mode: 'strategy', strategy: plugin.id }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: false
+        }, renderAlertChart(symbol, signal.direction, streamTf || ''));
+        log(`${plugin.id} alert sent for ${symbol} [${tf}] (${signal.direction})`, 'success', { symbol, timeframe: tf, alertId });
+    } catch (error) {
+        log(`Error sending ${plugin.id} alert: ${error.message}`, 'error', { symbol, timeframe: tf, alertId });
+    }
+}
+
+// Evaluate every alert rule that runs on this timeframe for one symbol. A rule alerts its owner
+// when it turns true (once per transition, ALERT_COOLDOWN apart) — never on the first evaluation,
+// so adding a rule or restarting does not fire for a condition that was already true.
+async function checkRules(symbol, tf) {
+    for (const rule of rules.forTimeframe(tf)) {
+        const getCandles = ruleTf => klineCache.get(seriesCacheKey(symbol, ruleTf));
+        const state = rules.stateFor(rule, symbol);
+        let matched;
+        try {
+            matched = evaluateRule(rule.compiled, getCandles, state);
+        } catch (error) {
+            log(`Rule "${rule.name}" failed on ${symbol}: ${error.message}`, 'error');
+            continue;
+        }
+        if (matched === null) continue; // some indicator is still warming up
+
+        const stateKey = `${symbol}_rule_${rule.chatId}_${rule.name}`;
+        const currentState = matched ? 'match' : 'no_match';
+        if (!matched || !coinStates.has(stateKey)) {
+            coinStates.set(stateKey, currentState);
+            continue;
+        }
+        const verdict = evaluateAlertGate(coinStates, lastAlerts, {
+            stateKey, alertKey: stateKey, currentState, now: clock.now(), cooldownMs: ALERT_COOLDOWN
+        });
+        if (verdict === 'alert') {
+            saveAlertState();
+            await sendRuleAlert(symbol, rule, snapshotRule(rule.compiled, getCandles, state));
+        } else if (verdict === 'cooldown') {
+            alertsSuppressed.inc({ reason: 'cooldown' });
+            log(`Rule "${rule.name}" for ${symbol} skipped due to cooldown.`, 'warning');
+        }
+    }
+}
+
+// Indicator values can be prices, volumes, oscillators or negative MACD readings
+function formatRuleValue(value) {
+    if (value === null) return 'n/a';
+    return Math.abs(value) >= 100 ? value.toFixed(2) : String(Number(value.toPrecision(6)));
+}
+
+// Rule alerts go only to the chat that owns the rule
+async function sendRuleAlert(symbol, rule, values) {
+    const tf = rule.compiled.tf;
+    const price = klineCache.get(seriesCacheKey(symbol, tf))?.at(-1)?.close;
+    log.banner([
+        '◆'.cyan + ` RULE ${rule.name} [${tf.toUpperCase()}] `.white.bgBlue + ' ' + symbol.bold,
+        `  ${rule.text}`.gray
+    ], 'info', { symbol, timeframe: tf });
+    try {
+        const message = `📐 *RULE ${rule.name}* [${tf.toUpperCase()}]\n\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Price:* ${formatPrice(price)}\n\n` +
+            '```\n' + rule.text + '\n\n' + values.map(v => `${v.label.padEnd(18)} ${formatRuleValue(v.value)}`).join('\n') + '\n```\n' +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
+            `[View Chart on TradingView](${getTradingViewUrl(symbol)})`;
+        recordAlertHistory({
+            event: 'rule',
+            symbol,
+            exchange: exchangeFor(symbol).id,
+            label: rule.name,
+            timeframe: tf,
+            price: price ?? null,
+            rule: rule.text,
+            values: Object.fromEntries(values.map(v => [v.label, v.value])),
+            chartUrl: getTradingViewUrl(symbol),
+            time: new Date(clock.now()).toISOString()
+        }, rule.chatId);
+        await broadcastAlert({ symbol, tf, mode: 'rule', chatId: rule.chatId }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+        log(`Rule "${rule.name}" alert sent for ${symbol} to ${rule.chatId}`, 'success', { symbol, timeframe: tf });
+    } catch (error) {
+        log(`Error sending rule alert: ${error.message}`, 'error', { symbol, timeframe: tf });
+    }
+}
+
+// Full alignment: every crossover timeframe of a pair and the trend point the same way.
+// Fires once per transition into alignment (with ALERT_COOLDOWN), never on the first
+// observation after startup so a restart does not replay an alignment that already happened.
+async function checkAlignments(symbol, currentPrice) {
+    for (const pair of EMA_PAIRS) {
+        const rows = confluenceRows(symbol, pair);
+        if (rows.some(r => r.state === null)) continue;
+        const aligned = rows.every(r => r.state === rows[0].state) ? rows[0].state : null;
+        const currentState = aligned ? `aligned_${aligned}` : 'mixed';
+        const stateKey = `${emaPairStateKey(symbol, pair)}_alignment`;
+
+        const previousState = coinStates.get(stateKey);
+        if (!aligned || previousState === undefined) {
+            coinStates.set(stateKey, currentState);
+            continue;
+        }
+        const verdict = evaluateAlertGate(coinStates, lastAlerts, {
+            stateKey, alertKey: `${stateKey}_${currentState}`, currentState, now: clock.now(), cooldownMs: ALERT_COOLDOWN
+        });
+        if (verdict === 'alert') {
+            saveAlertState();
+            await sendAlignmentAlert(symbol, pair, aligned, currentPrice, rows);
+        } else if (verdict === 'cooldown') {
+            alertsSuppressed.inc({ reason: 'cooldown' });
+            log(`Full alignment for ${symbol} ${emaPairLabel(pair)} (${aligned}) skipped due to cooldown.`, 'warning', { symbol, timeframe: CONFLUENCE_TREND_TF });
+        }
+    }
+}
+
+// Send the "full alignment" alert — every monitored timeframe agrees on one direction
+async function sendAlignmentAlert(symbol, pair, direction, price, rows) {
+    const up = direction === 'up';
+    const label = emaPairLabel(pair);
+    const table = formatConfluenceTable(rows);
+    log.banner([
+        (up ? '▲'.green : '▼'.red) + ` FULL ALIGNMENT ${up ? 'BULLISH' : 'BEARISH'} ${label} `.white[up ? 'bgGreen' : 'bgRed'] + ' ' + symbol.bold,
+        ...table.split('\n').map(line => line.gray)
+    ], 'info', { symbol, timeframe: CONFLUENCE_TREND_TF });
+    let alertId;
+    try {
+        const stats = await get24HrStats(symbol);
+        alertId = publishAlert({
+            ...buildAlertPayload({
+                symbol, tf: CONFLUENCE_TREND_TF, mode: 'dual', label, crossType: direction, price,
+                emas: {}, spreadPct: 0, oi: null, stats
+            }),
+            event: 'alignment',
+            confluence: { status: 'aligned', timeframes: rows.map(({ tf, signal, state }) => ({ tf, signal, state })) }
+        });
+
+        const emoji = up ? '🚀' : '🧊';
+        const message = `${emoji} *FULL ALIGNMENT — ${up ? 'BULLISH' : 'BEARISH'}* ${emoji}\n\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Price:* ${formatPrice(price)}\n` +
+            `*Signal:* ${label} on ${CROSS_TIMEFRAMES.join(', ')} + ${CONFLUENCE_TREND_TF} trend\n` +
+            `*24h Change:* ${stats.priceChangePercent}%\n\n` +
+            '```\n' + table + '\n```\n' +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
+            `[View Chart on TradingView](${getTradingViewUrl(symbol)})`;
+        await broadcastAlert({ symbol, tf: null, tfs: rows.map(row => row.tf), mode: 'dual' }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: false
+        });
+        log(`Full alignment alert sent for ${symbol} ${label} (${direction})`, 'success', { symbol, timeframe: CONFLUENCE_TREND_TF, alertId });
+    } catch (error) {
+        log(`Error sending full alignment alert: ${error.message}`, 'error', { symbol, timeframe: CONFLUENCE_TREND_TF, alertId });
     }
 }
 
-// Check for dual EMA(9) vs EMA(15) crossover
-// tf — '5m' or '15m' in dual-TF mode; '' in legacy single-TF mode
-async function checkForDualEmaCrossover(symbol, prevEma9, lastEma9, prevEma15, lastEma15, currentPrice, tf = '') {
+// Check for a fast vs slow EMA crossover of one pair (e.g. EMA(9) vs EMA(15))
+// tf — a CROSS_TIMEFRAMES entry
+// reading — one pair result of the built-in "dual" strategy (src/strategies/ema_pair.js)
+async function checkForDualEmaCrossover(symbol, reading, tf) {
+    const { pair, prevFast, lastFast, prevSlow, lastSlow, price: currentPrice } = reading;
     try {
-        // State: is EMA(9) above or below EMA(15)?
-        const currentState = lastEma9 > lastEma15 ? 'ema9_above' : 'ema9_below';
-        const difference = (lastEma9 - lastEma15) / lastEma15 * 100;
-        const tfTag = tf ? ` [${tf.toUpperCase()}]` : '';
-
-        // Bullish: EMA(9) crosses above EMA(15) (with minimum margin)
-        if (prevEma9 < prevEma15 && lastEma9 > lastEma15 && (lastEma9 - lastEma15) / lastEma15 > MIN_CROSS_PCT) {
-            console.log('\n');
-            console.log('▲'.green + ` EMA 9/15 BULLISH CROSSOVER${tfTag} `.white.bgGreen + ' ' + symbol.bold);
-            console.log(`  EMA(9): ${formatPrice(prevEma9).gray} → ${formatPrice(lastEma9).green}`);
-            console.log(`  EMA(15): ${formatPrice(prevEma15).gray} → ${formatPrice(lastEma15).cyan}`);
-            console.log(`  Price: ${formatPrice(currentPrice).white}`);
-            console.log(`  EMA Spread: ${difference.toFixed(4)}%`.yellow);
-
-            if (shouldAlert(symbol, currentState, tf)) {
-                await sendDualEmaAlert(symbol, 'up', currentPrice, lastEma9, lastEma15, difference, tf);
+        // State: is the fast EMA above or below the slow one?
+        const currentState = reading.state;
+        const difference = reading.spreadPct;
+        const tfTag = ` [${tf.toUpperCase()}]`;
+        const stateKey = emaPairStateKey(tfKey(symbol, tf), pair);
+
+        // Confluence: only crossovers the trend timeframe agrees with are alerted
+        if (reading.direction && CONFLUENCE_MODE) {
+            const trend = trendDirection(symbol);
+            if (trend !== reading.direction) {
+                log(`${emaPairLabel(pair)} ${reading.direction === 'up' ? 'bullish' : 'bearish'} cross on ${symbol}${tfTag} not confirmed — ` +
+                    `${CONFLUENCE_TREND_TF} trend is ${trend || 'not available yet'}`, 'info', { symbol, timeframe: tf });
+                coinStates.set(stateKey, currentState);
+                return;
             }
         }
-        // Bearish: EMA(9) crosses below EMA(15) (with minimum margin)
-        else if (prevEma9 > prevEma15 && lastEma9 < lastEma15 && (lastEma15 - lastEma9) / lastEma15 > MIN_CROSS_PCT) {
-            console.log('\n');
-            console.log('▼'.red + ` EMA 9/15 BEARISH CROSSOVER${tfTag} `.white.bgRed + ' ' + symbol.bold);
-            console.log(`  EMA(9): ${formatPrice(prevEma9).gray} → ${formatPrice(lastEma9).red}`);
-            console.log(`  EMA(15): ${formatPrice(prevEma15).gray} → ${formatPrice(lastEma15).cyan}`);
-            console.log(`  Price: ${formatPrice(currentPrice).white}`);
-            console.log(`  EMA Spread: ${difference.toFixed(4)}%`.yellow);
-
-            if (shouldAlert(symbol, currentState, tf)) {
-                await sendDualEmaAlert(symbol, 'down', currentPrice, lastEma9, lastEma15, difference, tf);
+
+        // Quality filters may reject the cross or hold it back until it is confirmed
+        const filtered = applySignalFilters(symbol, tf, reading, stateKey);
+        if (filtered.hold) return;
+        const cross = filtered.direction;
+
+        // Bullish: fast EMA crosses above slow EMA (with minimum margin)
+        if (cross === 'up') {
+            log.banner([
+                '▲'.green + ` ${emaPairLabel(pair)} BULLISH CROSSOVER${tfTag} `.white.bgGreen + ' ' + symbol.bold,
+                `  EMA(${pair.fast}): ${formatPrice(prevFast).gray} → ${formatPrice(lastFast).green}`,
+                `  EMA(${pair.slow}): ${formatPrice(prevSlow).gray} → ${formatPrice(lastSlow).cyan}`,
+                `  Price: ${formatPrice(currentPrice).white}`,
+                `  EMA Spread: ${difference.toFixed(4)}%`.yellow
+            ], 'info', { symbol, timeframe: tf });
+
+            if (shouldAlert(symbol, currentState, tf, pair)) {
+                await sendDualEmaAlert(symbol, pair, 'up', currentPrice, lastFast, lastSlow, difference, tf);
+            }
+        }
+        // Bearish: fast EMA crosses below slow EMA (with minimum margin)
+        else if (cross === 'down') {
+            log.banner([
+                '▼'.red + ` ${emaPairLabel(pair)} BEARISH CROSSOVER${tfTag} `.white.bgRed + ' ' + symbol.bold,
+                `  EMA(${pair.fast}): ${formatPrice(prevFast).gray} → ${formatPrice(lastFast).red}`,
+                `  EMA(${pair.slow}): ${formatPrice(prevSlow).gray} → ${formatPrice(lastSlow).cyan}`,
+                `  Price: ${formatPrice(currentPrice).white}`,
+                `  EMA Spread: ${difference.toFixed(4)}%`.yellow
+            ], 'info', { symbol, timeframe: tf });
+
+            if (shouldAlert(symbol, currentState, tf, pair)) {
+                await sendDualEmaAlert(symbol, pair, 'down', currentPrice, lastFast, lastSlow, difference, tf);
             }
         } else {
             // No crossover — update tracked state so future crossovers are detected
-            const stateKey = tf ? tfKey(symbol, tf) : symbol;
             coinStates.set(stateKey, currentState);
         }
     } catch (error) {
-        log(`Error checking dual EMA crossover for ${symbol}: ${error.message}`, 'error');
+        log(`Error checking ${emaPairLabel(pair)} crossover for ${symbol}: ${error.message}`, 'error', { symbol, timeframe: tf });
     }
 }
 
-// Send Telegram alert for dual EMA 9/15 crossover
-// tf — '5m' or '15m' in dual-TF mode; '' for legacy single-TF mode
-async function sendDualEmaAlert(symbol, crossType, price, ema9, ema15, spread, tf = '') {
+// Send Telegram alert for a fast/slow EMA pair crossover
+// tf — a CROSS_TIMEFRAMES entry
+async function sendDualEmaAlert(symbol, pair, crossType, price, emaFast, emaSlow, spread, tf) {
+    handleFiredAlert(symbol, crossType, price, tf, pair);
+    let alertId;
     try {
+        const label   = emaPairLabel(pair);
         const emoji   = crossType === 'up' ? '🟢' : '🔴';
-        const tfLabel = tf ? ` [${tf.toUpperCase()}]` : '';
-        const signal  = crossType === 'up'
-            ? `BULLISH EMA 9/15 CROSS${tfLabel}`
-            : `BEARISH EMA 9/15 CROSS${tfLabel}`;
+        const tfLabel = ` [${tf.toUpperCase()}]`;
+        // Confluence mode only gets here when the trend agreed — show every timeframe's state
+        const rows    = CONFLUENCE_MODE ? confluenceRows(symbol, pair) : null;
+        const signal  = `${rows ? 'CONFIRMED ' : ''}${crossType === 'up' ? 'BULLISH' : 'BEARISH'} ${label} CROSS${tfLabel}`;
 
         // Get 24hr stats
         const stats = await get24HrStats(symbol);
         const oi = await getOIDelta(symbol).catch(() => null);
+        alertId = publishAlert({
+            ...buildAlertPayload({
+                symbol, tf, mode: 'dual', label, crossType, price,
+                emas: { [pair.fast]: emaFast, [pair.slow]: emaSlow }, spreadPct: spread, oi, stats
+            }),
+            ...(rows ? { confluence: { status: 'confirmed', timeframes: rows.map(({ tf, signal, state }) => ({ tf, signal, state })) } } : {})
+        });
 
         // TradingView link
         const tradingViewUrl = getTradingViewUrl(symbol);
@@ -1494,39 +2804,39 @@ async function sendDualEmaAlert(symbol, crossType, price, ema9, ema15, spread, t
             ? `*OI Delta:* ${oi.deltaPercent >= 0 ? '+' : ''}${oi.deltaPercent.toFixed(2)}% ${oi.deltaPercent >= 0.5 ? '\u{1F4C8} new money (stronger)' : oi.deltaPercent <= -0.5 ? '\u{1F4C9} liquidation (weaker)' : '\u2192 neutral'}\n`
             : '';
         const message = `${emoji} *${signal}* ${emoji}\n\n` +
-            `*Symbol:* ${symbol}\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
             `*Price:* ${formatPrice(price)}\n` +
-            `*EMA(9):* ${formatPrice(ema9)}\n` +
-            `*EMA(15):* ${formatPrice(ema15)}\n` +
+            `*EMA(${pair.fast}):* ${formatPrice(emaFast)}\n` +
+            `*EMA(${pair.slow}):* ${formatPrice(emaSlow)}\n` +
             `*EMA Spread:* ${spread.toFixed(4)}%\n` +
             `*24h Change:* ${stats.priceChangePercent}%\n` +
             `*24h Volume:* ${formatVolume(stats.quoteVolume)}\n` +
             oiLine +
             `*Timeframe:* ${activeTimeframeLabel(tf)}\n\n` +
-            `*Time:* ${new Date().toLocaleString()}\n\n` +
+            (rows ? '```\n' + formatConfluenceTable(rows) + '\n```\n' : '') +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
             `[View Chart on TradingView](${tradingViewUrl})`;
 
-        await safeSendAlert(TELEGRAM_CHAT_ID, message, {
+        await broadcastAlert({ symbol, tf, mode: 'dual' }, message, {
             parse_mode: 'Markdown',
             disable_web_page_preview: false
-        });
+        }, renderAlertChart(symbol, crossType, tf, pair));
 
         // Show desktop notification — mirrors Telegram message content
         // Clicking the toast opens the TradingView chart in the browser
         showDesktopNotification(
-            `${crossType === 'up' ? '🟢 EMA 9/15 BULL' : '🔴 EMA 9/15 BEAR'}${tfLabel} — ${symbol}`,
-            `EMA(9): ${formatPrice(ema9)}  EMA(15): ${formatPrice(ema15)}\nSpread: ${spread.toFixed(4)}%  24h: ${stats.priceChangePercent}%\nVol: ${formatVolume(stats.quoteVolume)}  TF: ${tf || TIMEFRAME}`,
+            `${crossType === 'up' ? `🟢 ${label} BULL` : `🔴 ${label} BEAR`}${tfLabel} — ${displaySymbol(symbol)}`,
+            `EMA(${pair.fast}): ${formatPrice(emaFast)}  EMA(${pair.slow}): ${formatPrice(emaSlow)}\nSpread: ${spread.toFixed(4)}%  24h: ${stats.priceChangePercent}%\nVol: ${formatVolume(stats.quoteVolume)}  TF: ${tf}`,
             crossType === 'up' ? 'info' : 'warning',
             tradingViewUrl
         );
 
-        log(`Dual EMA alert sent for ${symbol}${tfLabel} (${crossType})`, 'success');
+        log(`${label} alert sent for ${symbol}${tfLabel} (${crossType})`, 'success', { symbol, timeframe: tf, alertId });
     } catch (error) {
-        log(`Error sending dual EMA alert: ${error.message}`, 'error');
+        log(`Error sending ${emaPairLabel(pair)} alert: ${error.message}`, 'error', { symbol, timeframe: tf, alertId });
         try {
-            const tfLabel = tf ? ` [${tf.toUpperCase()}]` : '';
-            const simpleMsg = `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} EMA 9/15 CROSS${tfLabel}: ${symbol} at ${formatPrice(price)}`;
-            await safeSendAlert(TELEGRAM_CHAT_ID, simpleMsg);
+            const simpleMsg = `${crossType === 'up' ? '🟢 BULLISH' : '🔴 BEARISH'} ${emaPairLabel(pair)} CROSS [${tf.toUpperCase()}]: ${displaySymbol(symbol)} at ${formatPrice(price)}`;
+            await broadcastAlert({ symbol, tf, mode: 'dual' }, simpleMsg);
         } catch (retryError) {
             log(`Failed to send even simplified dual EMA message: ${retryError.message}`, 'error');
         }
@@ -1541,22 +2851,16 @@ async function predictPriceMovement(symbol, price, ema, emaDiff) {
         // Get the ML model module
         const mlModel = require('./src/ml/model');
 
-        // In dual mode klines are stored under the TF-keyed cache (e.g. "BTCUSDT_15m").
+        // In crossover mode klines are stored under the TF-keyed cache (e.g. "BTCUSDT_15m").
         // Using the flat symbol would always return undefined → prediction silently disabled.
-        // 15m is preferred as the ML feature source — more signal than 5m noise.
-        const mlCacheKey = DUAL_EMA_MODE ? tfKey(symbol, '15m') : symbol;
+        const mlCacheKey = DUAL_EMA_MODE ? tfKey(symbol, mlTimeframe()) : symbol;
         const klines = klineCache.get(mlCacheKey) || [];
         if (klines.length < 30) return null;
 
-        const closes = klines.map(k => k.close);
-        const volumes = klines.map(k => k.volume || 0);
+        const volumes = klines.slice(-10).map(k => k.volume || 0);
 
-        // Calculate indicators
-        const { calculateRSI, calculateMACD, calculateBollingerBands } = require('./src/indicators');
-        const rsi = calculateRSI(closes);
-        const macd = calculateMACD(closes);
-        const bb = calculateBollingerBands(closes);
-        const atr = calculateATR(klines);
+        // Latest indicator values from the series' streaming set
+        const { rsi, macd, bb, atr } = streamFeatures(mlCacheKey);
 
         // Create feature object for prediction
         const features = {
@@ -1565,9 +2869,9 @@ async function predictPriceMovement(symbol, price, ema, emaDiff) {
             volumeChange: volumes[volumes.length - 1] / volumes[volumes.length - 2] - 1,
             relativeVolume: volumes[volumes.length - 1] / volumes.slice(-10).reduce((sum, vol) => sum + vol, 0) * 10,
             atr: atr || 0,
-            bbWidth: (bb.upper[bb.upper.length - 1] - bb.lower[bb.lower.length - 1]) / bb.middle[bb.middle.length - 1],
-            rsi: rsi[rsi.length - 1],
-            macdHist: macd.histogram[macd.histogram.length - 1]
+            bbWidth: bb.width,
+            rsi,
+            macdHist: macd.histogram
         };
 
         // Make prediction
@@ -1589,8 +2893,10 @@ async function predictPriceMovement(symbol, price, ema, emaDiff) {
                 modelPerformance.set(symbol, perf);
             }
 
+            const predictionId = store ? store.recordPrediction(symbol, Date.now(), price, prediction) : null;
+
             // Schedule accuracy update
-            deferredInsert({ executeAt: Date.now() + 24 * 60 * 60 * 1000, fn: () => updateModelAccuracy(symbol, price, prediction) });
+            deferredInsert({ executeAt: Date.now() + 24 * 60 * 60 * 1000, fn: () => updateModelAccuracy(symbol, price, prediction, predictionId) });
             // Safety cap — mirrors the cap in processClosedCandle
             if (deferredUpdates.length > 5000) deferredUpdates.splice(0, deferredUpdates.length - 5000);
         }
@@ -1603,7 +2909,7 @@ async function predictPriceMovement(symbol, price, ema, emaDiff) {
 }
 
 // Update model accuracy after 24 hours
-async function updateModelAccuracy(symbol, originalPrice, prediction) {
+async function updateModelAccuracy(symbol, originalPrice, prediction, predictionId = null) {
     try {
         // Get current price
         const currentPrice = await getCurrentPrice(symbol);
@@ -1613,6 +2919,7 @@ async function updateModelAccuracy(symbol, originalPrice, prediction) {
 
         // Determine if prediction was correct (same direction)
         const predictionCorrect = (prediction > 0 && actualChange > 0) || (prediction < 0 && actualChange < 0);
+        if (store && predictionId !== null) store.resolvePrediction(predictionId, actualChange, predictionCorrect, Date.now());
 
         // Update model performance
         if (modelPerformance.has(symbol)) {
@@ -1639,51 +2946,47 @@ async function setupAllWebSockets() {
         const pairs = await getFuturesPairs();
         const pairSet = new Set(pairs);
 
-        fs.appendFileSync(
-            getDailyLogPath(),
-            `[${new Date().toISOString()}] Setting up pooled WebSockets for ${pairs.length} pairs\n`
-        );
+        wsLog(`Setting up pooled WebSockets for ${pairs.length} pairs`, 'debug');
 
         // Clean caches for symbols that dropped out of the active pair list
         for (const symbol of Array.from(trackedPairs)) {
             if (!pairSet.has(symbol)) {
-                fs.appendFileSync(
-                    getDailyLogPath(),
-                    `[${new Date().toISOString()}] Cleaning caches for ${symbol} (no longer tracked)\n`
-                );
+                wsLog(`Cleaning caches for ${symbol} (no longer tracked)`, 'debug', { symbol });
                 trackedPairs.delete(symbol);
+                symbolExchanges.delete(symbol);
 
                 const safeSymbol = symbol.replace(/[^A-Z0-9]/g, '');
                 const csvPath = path.join(CSV_DATA_DIR, safeSymbol, `${safeSymbol}_training_data.csv`);
                 csvWriterCache.delete(csvPath);
 
-                for (const key of [symbol, `${symbol}_5m`, `${symbol}_15m`]) {
-                    klineCache.delete(key);
-                    emaCache.delete(key);
-                    ema9Cache.delete(key);
-                    ema15Cache.delete(key);
-                }
-                for (const key of [...coinStates.keys()].filter(k => k === symbol || k.startsWith(`${symbol}_`))) {
-                    coinStates.delete(key);
-                }
-                for (const key of [...lastAlerts.keys()].filter(k => k === symbol || k.startsWith(`${symbol}_`))) {
-                    lastAlerts.delete(key);
-                }
+                clearSymbolCaches(symbol);
             }
         }
 
         // Close old pool connections and recreate with the current pair list
         setupPooledWebSockets(pairs);
 
-        fs.appendFileSync(
-            getDailyLogPath(),
-            `[${new Date().toISOString()}] Pooled WebSocket setup completed — ${pairs.length} symbols across ${Math.ceil(pairs.length / WS_TOPICS_PER_CONN)} connection(s)\n`
-        );
+        wsLog(`Pooled WebSocket setup completed — ${pairs.length} symbols across ${Math.ceil(pairs.length / WS_TOPICS_PER_CONN)} connection(s)`, 'debug');
     } catch (error) {
-        fs.appendFileSync(
-            getDailyLogPath(),
-            `[${new Date().toISOString()}] Error setting up pooled WebSockets: ${error.message}\n`
-        );
+        wsLog(`Error setting up pooled WebSockets: ${error.message}`, 'error');
+    }
+}
+
+// Drop every cached kline/EMA series, coin state and cooldown for a symbol
+function clearSymbolCaches(symbol) {
+    for (const key of [symbol, ...VALID_TIMEFRAMES.map(tf => tfKey(symbol, tf))]) {
+        klineCache.delete(key);
+        emaCache.delete(key);
+        indicatorStreams.delete(key);
+    }
+    for (const key of [...pairEmaCache.keys()].filter(k => k.startsWith(`${symbol}_`))) {
+        pairEmaCache.delete(key);
+    }
+    for (const key of [...coinStates.keys()].filter(k => k === symbol || k.startsWith(`${symbol}_`))) {
+        coinStates.delete(key);
+    }
+    for (const key of [...lastAlerts.keys()].filter(k => k === symbol || k.startsWith(`${symbol}_`))) {
+        lastAlerts.delete(key);
     }
 }
 
@@ -1716,9 +3019,9 @@ async function checkEMACross() {
         let results;
 
         if (DUAL_EMA_MODE) {
-            // In dual-TF mode fetch both 5m and 15m for every pair
+            // In crossover mode fetch every streamed series (crossover + confluence trend) for every pair
             const dualPromises = [];
-            for (const tf of ['5m', '15m']) {
+            for (const tf of activeStreamTimeframes()) {
                 for (const pair of pairs) {
                     dualPromises.push(
                         getKlines(pair, tf)
@@ -1745,7 +3048,7 @@ async function checkEMACross() {
             process.stdout.write('.');
             if ((i + 1) % 50 === 0) process.stdout.write('\n  ');
 
-            const requiredPeriod = DUAL_EMA_MODE ? 15 : EMA_PERIOD;
+            const requiredPeriod = requiredEmaPeriod();
             if (error || klines.length < requiredPeriod) {
                 if (klines.length < requiredPeriod) {
                     log(`Skipping ${pair}${tf ? ` [${tf}]` : ''}: Not enough candles (${klines.length}/${requiredPeriod})`, 'warning');
@@ -1754,44 +3057,28 @@ async function checkEMACross() {
             }
 
             if (DUAL_EMA_MODE) {
+                // Trend-only series just seed the confluence EMA — pairs don't run on them
+                if (!CROSS_TIMEFRAMES.includes(tf)) continue;
                 // Read EMAs from cache — getKlines() already populated them
-                const key = tfKey(pair, tf);
-                const e9  = ema9Cache.get(key)  || [];
-                const e15 = ema15Cache.get(key) || [];
-
-                if (e9.length < 2 || e15.length < 2) {
-                    log(`Skipping ${pair} [${tf}]: Not enough EMA values`, 'warning');
-                    continue;
+                const states = await checkPairCrossovers(pair, tf, klines.at(-1).close);
+                if (Object.keys(states).length < EMA_PAIRS.length) {
+                    log(`Skipping some EMA pairs for ${pair} [${tf}]: Not enough EMA values`, 'warning');
                 }
-
-                // Align arrays — EMA(9) accumulates 6 more values than EMA(15)
-                const _offset = e9.length - e15.length;
-                const a9  = _offset > 0 ? e9.slice(_offset)   : e9;
-                const a15 = _offset < 0 ? e15.slice(-_offset) : e15;
-
-                const closes = klines.map(k => k.close);
-                await checkForDualEmaCrossover(
-                    pair,
-                    a9.at(-2), a9.at(-1),
-                    a15.at(-2), a15.at(-1),
-                    closes.at(-1), tf
-                );
             } else {
                 // Single EMA crossover check (price vs EMA)
                 const closes = klines.map(k => k.close);
-                const ema = calculateEMA(closes, EMA_PERIOD);
+                const reading = emaCrossStrategy.onCandle({
+                    closes,
+                    ema: period => emaSeries(closes, period),
+                    params: { period: EMA_PERIOD, minCrossPct: MIN_CROSS_PCT }
+                });
 
-                if (ema.length < 2) {
+                if (!reading) {
                     log(`Skipping ${pair}: Not enough EMA values calculated`, 'warning');
                     continue;
                 }
 
-                const lastPrice = closes[closes.length - 1];
-                const lastEMA = ema[ema.length - 1];
-                const prevPrice = closes[closes.length - 2];
-                const prevEMA = ema[ema.length - 2];
-
-                await checkForCrossover(pair, prevPrice, lastPrice, prevEMA, lastEMA);
+                await checkForCrossover(pair, reading);
             }
         }
 
@@ -1814,10 +3101,16 @@ function saveTrainingData() {
         }
 
         // Save model performance data
-        const perfPath = path.join(ML_DATA_DIR, 'model_performance.json');
-        fs.writeFile(perfPath, JSON.stringify(Array.from(modelPerformance.entries()), null, 2),
-            (err) => { if (err) log(`Error writing model performance data: ${err.message}`, 'error'); }
-        );
+        if (store) {
+            store.transaction(() => {
+                for (const [symbol, perf] of modelPerformance) store.saveModelMetrics(symbol, perf);
+            });
+        } else {
+            const perfPath = path.join(ML_DATA_DIR, 'model_performance.json');
+            fs.writeFile(perfPath, JSON.stringify(Array.from(modelPerformance.entries()), null, 2),
+                (err) => { if (err) log(`Error writing model performance data: ${err.message}`, 'error'); }
+            );
+        }
 
         log(`Saved training data for ${trainingData.size} symbols`, 'success');
     } catch (error) {
@@ -1830,6 +3123,18 @@ function loadTrainingData() {
     try {
         log('Loading training data...', 'info');
 
+        // One indexed query instead of re-parsing every recorded file
+        if (store) {
+            for (const [symbol, points] of store.loadTrainingData(1000)) {
+                trainingData.set(symbol, points);
+            }
+            for (const [symbol, perf] of store.loadModelMetrics()) {
+                modelPerformance.set(symbol, perf);
+            }
+            log(`Loaded training data for ${trainingData.size} symbols and ${modelPerformance.size} models from SQLite`, 'success');
+            return;
+        }
+
         if (!fs.existsSync(ML_DATA_DIR)) {
             fs.mkdirSync(ML_DATA_DIR, { recursive: true });
             log('Created ML data directory', 'info');
@@ -1991,137 +3296,1011 @@ async function trainAllModels(chatId) {
             }
         }
 
-        // Save updated model performance data
-        saveTrainingData();
+        // Save updated model performance data
+        saveTrainingData();
+
+        await bot.sendMessage(
+            chatId,
+            `🧠 *ML Training Complete*\n\n` +
+            `✅ Successfully trained: ${trainedCount} models\n` +
+            `❌ Failed: ${failedCount} models\n\n` +
+            `Use /mlstatus to check model performance.`,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        log(`Error in trainAllModels: ${error.message}`, 'error');
+        await bot.sendMessage(chatId, `❌ Error training models: ${error.message}`);
+    }
+}
+
+// Enhanced Telegram alert with ML confidence
+async function sendTelegramAlertWithML(symbol, crossType, price, ema, difference, prediction) {
+    handleFiredAlert(symbol, crossType, price);
+    let alertId;
+    try {
+        const emoji = crossType === 'up' ? '🟢' : '🔴';
+        const signal = crossType === 'up' ? 'BULLISH SIGNAL' : 'BEARISH SIGNAL';
+        const formattedPrice = formatPrice(price);
+        const formattedEma = formatPrice(ema);
+
+        // Get 24hr stats for the symbol
+        const stats = await get24HrStats(symbol);
+        const oi = await getOIDelta(symbol).catch(() => null);
+        alertId = publishAlert(buildAlertPayload({
+            symbol, tf: TIMEFRAME, mode: 'ema', crossType, price,
+            emas: { [EMA_PERIOD]: ema }, spreadPct: difference, oi, stats, prediction
+        }));
+
+        // Format ML prediction with confidence emoji
+        const confidenceEmoji = mlConfidenceEmoji(prediction);
+
+        // Create a TradingView link
+        const tradingViewUrl = getTradingViewUrl(symbol);
+
+        const oiLine = oi
+            ? `*OI Delta:* ${oi.deltaPercent >= 0 ? '+' : ''}${oi.deltaPercent.toFixed(2)}% ${oi.deltaPercent >= 0.5 ? '📈 new money (stronger)' : oi.deltaPercent <= -0.5 ? '📉 liquidation (weaker)' : '→ neutral'}\n`
+            : '';
+        const message = `${emoji} *${signal}* ${emoji}\n\n` +
+            `*Symbol:* ${displaySymbol(symbol)}\n` +
+            `*Price:* ${formattedPrice}\n` +
+            `*EMA(${EMA_PERIOD}):* ${formattedEma}\n` +
+            `*Difference:* ${difference.toFixed(2)}%\n` +
+            `*24h Change:* ${stats.priceChangePercent}%\n` +
+            `*24h Volume:* ${formatVolume(stats.quoteVolume)}\n` +
+            oiLine +
+            `*Timeframe:* ${activeTimeframeLabel()}\n` +
+            `*ML Prediction:* ${confidenceEmoji} ${prediction.toFixed(2)}% (24h)\n\n` +
+            `*Time:* ${new Date(clock.now()).toLocaleString()}\n\n` +
+            `[View Chart on TradingView](${tradingViewUrl})`;
+
+        await broadcastAlert({ symbol, tf: TIMEFRAME, mode: 'ema' }, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: false
+        }, renderAlertChart(symbol, crossType));
+
+        // Show desktop notification — mirrors Telegram message content
+        // Clicking the toast opens the TradingView chart in the browser
+        showDesktopNotification(
+            `${crossType === 'up' ? '🟢 BULLISH+ML' : '🔴 BEARISH+ML'} — ${displaySymbol(symbol)}`,
+            `Price: ${formattedPrice}  EMA(${EMA_PERIOD}): ${formattedEma}\nDiff: ${difference.toFixed(2)}%  ML: ${confidenceEmoji} ${prediction.toFixed(2)}% (24h)\n24h: ${stats.priceChangePercent}%  TF: ${TIMEFRAME}`,
+            crossType === 'up' ? 'info' : 'warning',
+            tradingViewUrl
+        );
+
+        log(`ML-enhanced Telegram alert sent for ${symbol} (${crossType})`, 'success', { symbol, timeframe: TIMEFRAME, alertId });
+    } catch (error) {
+        log(`Error sending ML-enhanced Telegram message: ${error.message}`, 'error', { symbol, timeframe: TIMEFRAME, alertId });
+
+        // Fall back to regular alert
+        await sendTelegramAlert(symbol, crossType, price, ema, difference)
+            .catch(e => log(`Fallback alert failed for ${symbol}: ${e.message}`, 'error'));
+    }
+}
+
+// Minimum subscriber role per command — anything not listed is open to every active subscriber
+const COMMAND_ROLES = {
+    '/settings': 'admin',
+    '/refresh': 'admin',
+    '/train': 'admin',
+    '/collectdata': 'admin',
+    '/exportcsv': 'admin',
+    '/subscribers': 'admin',
+    '/role': 'admin',
+    '/kick': 'admin',
+    '/webhook': 'admin',
+    '/channels': 'admin',
+    '/portfolio': 'trader',
+    '/trades': 'trader',
+    '/prefs': 'trader',
+    '/watch': 'trader',
+    '/unwatch': 'trader',
+    '/ignore': 'trader',
+    '/watchlist': 'trader',
+    '/strategy': 'trader',
+    '/rule': 'trader',
+    '/rules': 'trader'
+};
+
+// Role needed for a command line; /exchange, /pairs, /confluence, /earlywarning and /strategies are read-only without arguments
+function requiredRole(text) {
+    const [command, ...args] = text.split(/\s+/);
+    if (['/exchange', '/pairs', '/confluence', '/earlywarning', '/strategies'].includes(command) && args.length > 0) return 'admin';
+    return COMMAND_ROLES[command] || 'viewer';
+}
+
+// Command handler
+async function handleMessage(msg) {
+    const chatId = msg.chat.id;
+    if (!msg.text) return;
+    // Writing again after blocking the bot means the chat unblocked it
+    if (subscribers.unblock(chatId)) log(`Chat ${chatId} unblocked the bot — alerts resume`, 'info');
+
+    // Anyone may ask to join; everything else needs an approved subscription
+    if (/^\/subscribe(\s|$)/.test(msg.text)) {
+        await handleSubscribeCommand(msg);
+        return;
+    }
+    const subscriber = subscribers.get(chatId);
+    if (!subscriber || subscriber.status !== 'active') {
+        const reply = !subscriber ? '⛔ Unauthorized. Send /subscribe to request access.'
+            : subscriber.status === 'rejected' ? '⛔ Your subscription request was rejected.'
+                : '⏳ Your subscription request is waiting for admin approval.';
+        bot.sendMessage(chatId, reply).catch(() => {});
+        log(`Unauthorized access attempt from chatId ${chatId}`, 'warning');
+        return;
+    }
+    const role = requiredRole(msg.text);
+    if (!subscribers.hasRole(chatId, role)) {
+        bot.sendMessage(chatId, `⛔ This command needs the ${role} role (you are ${subscriber.role}).`).catch(() => {});
+        return;
+    }
+
+    if (msg.text === '/start' || msg.text === '/menu') {
+        sendMainMenu(chatId);
+    } else if (msg.text === '/status') {
+        sendStatusUpdate(chatId);
+    } else if (msg.text === '/settings') {
+        sendSettingsMenu(chatId);
+    } else if (msg.text === '/help') {
+        sendHelpMessage(chatId);
+    } else if (msg.text === '/top') {
+        sendTopPerformers(chatId);
+    } else if (msg.text === '/refresh') {
+        refreshWebSockets(chatId);
+    } else if (msg.text === '/mlstatus') {
+        sendModelPerformance(chatId);
+    } else if (msg.text === '/train') {
+        const guard = beginCommand('/train');
+        if (!guard.ok) {
+            await bot.sendMessage(chatId, '⚠️ /train is already running or cooling down. Please wait.').catch(() => {});
+            return;
+        }
+        try {
+            await trainAllModels(chatId);
+        } finally {
+            endCommand('/train');
+        }
+    } else if (msg.text === '/collectdata') {
+        const guard = beginCommand('/collectdata');
+        if (!guard.ok) {
+            await bot.sendMessage(chatId, '⚠️ /collectdata is already running or cooling down. Please wait.').catch(() => {});
+            return;
+        }
+        try {
+            await startManualDataCollection(chatId);
+        } finally {
+            endCommand('/collectdata');
+        }
+    } else if (msg.text === '/exportcsv') {
+        exportAllDataToCSV();
+        bot.sendMessage(chatId, '📊 All training data exported to CSV format successfully!');
+    } else if (msg.text && /^\/exchange(\s|$)/.test(msg.text)) {
+        await handleExchangeCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text && /^\/history(\s|$)/.test(msg.text)) {
+        await handleHistoryCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text && /^\/signalstats(\s|$)/.test(msg.text)) {
+        await sendSignalStats(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text && /^\/leaderboard(\s|$)/.test(msg.text)) {
+        await sendSignalLeaderboard(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text === '/portfolio') {
+        await sendPaperPortfolio(chatId);
+    } else if (msg.text && /^\/trades(\s|$)/.test(msg.text)) {
+        await sendPaperTrades(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text === '/unsubscribe') {
+        await handleUnsubscribeCommand(chatId);
+    } else if (msg.text === '/subscribers') {
+        await sendSubscriberList(chatId);
+    } else if (/^\/role(\s|$)/.test(msg.text)) {
+        await handleRoleCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/kick(\s|$)/.test(msg.text)) {
+        await handleKickCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/prefs(\s|$)/.test(msg.text)) {
+        await handlePrefsCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/(watch|unwatch|ignore)(\s|$)/.test(msg.text)) {
+        const [command, ...args] = msg.text.split(/\s+/);
+        await handleWatchCommand(chatId, command.slice(1), args);
+    } else if (msg.text === '/watchlist') {
+        await sendWatchlist(chatId);
+    } else if (/^\/channels(\s|$)/.test(msg.text)) {
+        await handleChannelsCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/webhook(\s|$)/.test(msg.text)) {
+        await handleWebhookCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/pairs(\s|$)/.test(msg.text)) {
+        await handlePairsCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/confluence(\s|$)/.test(msg.text)) {
+        await handleConfluenceCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/earlywarning(\s|$)/.test(msg.text)) {
+        await handleEarlyWarningCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/strategies(\s|$)/.test(msg.text)) {
+        await handleStrategiesCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (/^\/strategy(\s|$)/.test(msg.text)) {
+        await handleStrategyCommand(chatId, msg.text.split(/\s+/).slice(1));
+    } else if (msg.text === '/rules') {
+        await sendRuleList(chatId);
+    } else if (/^\/rule(\s|$)/.test(msg.text)) {
+        await handleRuleCommand(chatId, msg.text.replace(/^\/rule\s*/, ''));
+    }
+}
+
+// Telegram names go into legacy Markdown messages as plain text: `_`, `*`, `` ` `` and `[` would
+// otherwise open an entity and the whole message is refused. Escapes only work outside entities.
+function escapeMarkdown(text) {
+    return String(text).replace(/[_*`[]/g, '\\$&');
+}
+
+// /subscribe — queue an access request and ask every admin to approve or reject it
+async function handleSubscribeCommand(msg) {
+    const chatId = msg.chat.id;
+    const name = msg.from?.username ? `@${msg.from.username}` : (msg.from?.first_name || msg.chat.title || String(chatId));
+    const result = subscribers.request(chatId, name);
+
+    if (result === 'active') {
+        await bot.sendMessage(chatId, '✅ You are already subscribed. Use /prefs to tune your alerts.').catch(() => {});
+        return;
+    }
+    if (result === 'pending') {
+        await bot.sendMessage(chatId, '⏳ Your request is already waiting for admin approval.').catch(() => {});
+        return;
+    }
+    if (result === 'rejected') {
+        const hours = Math.round(REJECT_COOLDOWN_MS / 3600000);
+        await bot.sendMessage(chatId, `⛔ Your last request was rejected. You can ask again ${hours}h after the rejection.`).catch(() => {});
+        return;
+    }
+
+    log(`Subscription requested by ${name} (${chatId})`, 'info');
+    await bot.sendMessage(chatId, '📨 Request sent. You will be notified once an admin approves it.').catch(() => {});
+    for (const admin of subscribers.admins()) {
+        await bot.sendMessage(admin.chatId, `🙋 *Subscription request*\n\n${escapeMarkdown(name)} (\`${chatId}\`) wants to receive alerts.`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '✅ Trader', callback_data: `sub_approve_${chatId}_trader` },
+                        { text: '✅ Viewer', callback_data: `sub_approve_${chatId}_viewer` }
+                    ],
+                    [{ text: '❌ Reject', callback_data: `sub_reject_${chatId}` }]
+                ]
+            }
+        }).catch(e => log(`Could not notify admin ${admin.chatId}: ${e.message}`, 'warning'));
+    }
+}
+
+async function handleUnsubscribeCommand(chatId) {
+    if (!subscribers.remove(chatId)) {
+        await bot.sendMessage(chatId, '⛔ The owner chat cannot unsubscribe — set TELEGRAM_CHAT_ID instead.');
+        return;
+    }
+    log(`Chat ${chatId} unsubscribed`, 'info');
+    await bot.sendMessage(chatId, '👋 Unsubscribed. Send /subscribe to request access again.');
+}
+
+// Admin approval/rejection from the inline buttons on a subscription request
+async function handleSubscriptionCallback(adminChatId, action) {
+    const approve = /^sub_approve_(-?\d+)_(\w+)$/.exec(action);
+    const reject = /^sub_reject_(-?\d+)$/.exec(action);
+
+    if (approve) {
+        const [, chatId, role] = approve;
+        const sub = subscribers.approve(chatId, role, adminChatId);
+        if (!sub) {
+            await bot.sendMessage(adminChatId, '⚠️ That request no longer exists.');
+            return;
+        }
+        log(`Subscriber ${sub.name} (${chatId}) approved as ${role} by ${adminChatId}`, 'success');
+        await bot.sendMessage(adminChatId, `✅ ${sub.name} approved as ${role}.`);
+        await bot.sendMessage(chatId, `✅ Your subscription was approved (role: ${role}). Send /menu to get started.`)
+            .catch(e => log(`Could not notify new subscriber ${chatId}: ${e.message}`, 'warning'));
+    } else if (reject) {
+        const [, chatId] = reject;
+        const sub = subscribers.reject(chatId, adminChatId);
+        if (!sub) {
+            await bot.sendMessage(adminChatId, '⚠️ That request no longer exists.');
+            return;
+        }
+        log(`Subscription request from ${sub.name} (${chatId}) rejected by ${adminChatId}`, 'info');
+        await bot.sendMessage(adminChatId, `❌ Request from ${sub.name} rejected.`);
+        await bot.sendMessage(chatId, '❌ Your subscription request was rejected.').catch(() => {});
+    }
+}
+
+function describePrefs(prefs) {
+    return [
+        `modes: ${prefs.modes ? prefs.modes.join(', ') : 'all'}`,
+        `timeframes: ${prefs.timeframes ? prefs.timeframes.join(', ') : 'all'}`,
+        `symbols: ${prefs.symbols ? prefs.symbols.join(', ') : 'all'}`,
+        `cooldown: ${prefs.cooldownMs ? `${Math.round(prefs.cooldownMs / 60000)}m` : 'off'}`,
+        prefs.strategies.length ? `strategies: ${prefs.strategies.join(', ')}` : null,
+        prefs.muted ? 'muted' : null
+    ].filter(Boolean).join(' | ');
+}
+
+// /subscribers — every chat with role, status and alert preferences
+async function sendSubscriberList(chatId) {
+    const all = subscribers.list();
+    const icons = { active: '🟢', pending: '⏳', rejected: '❌' };
+    const line = sub => `${icons[sub.status]} ${escapeMarkdown(sub.name)} \`${sub.chatId}\` — ${sub.role}` +
+        (sub.status === 'active' ? `\n   ${escapeMarkdown(describePrefs(sub.prefs))}` : ` (${sub.status})`);
+    const message = `👥 *Subscribers (${all.length})*\n\n` + all.map(line).join('\n') +
+        `\n\n_/role CHAT_ID ${ROLES.join('|')} · /kick CHAT_ID_`;
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+// /role CHAT_ID ROLE — change a subscriber's role
+async function handleRoleCommand(chatId, args) {
+    const [targetId, role] = args;
+    if (!targetId || !ROLES.includes(role)) {
+        await bot.sendMessage(chatId, `⛔ Usage: /role CHAT_ID ${ROLES.join('|')}`);
+        return;
+    }
+    const sub = subscribers.setRole(targetId, role);
+    if (!sub) {
+        await bot.sendMessage(chatId, '⛔ Unknown subscriber (the owner\'s role cannot be changed).');
+        return;
+    }
+    log(`Role of ${sub.name} (${targetId}) set to ${role} by ${chatId}`, 'success');
+    await bot.sendMessage(chatId, `✅ ${sub.name} is now ${role}.`);
+    await bot.sendMessage(targetId, `ℹ️ Your role was changed to ${role}.`).catch(() => {});
+}
+
+// /kick CHAT_ID — remove a subscriber or pending request
+async function handleKickCommand(chatId, args) {
+    const targetId = args[0];
+    const sub = targetId ? subscribers.get(targetId) : null;
+    if (!sub || !subscribers.remove(targetId)) {
+        await bot.sendMessage(chatId, '⛔ Usage: /kick CHAT_ID (the owner cannot be removed)');
+        return;
+    }
+    log(`Subscriber ${sub.name} (${targetId}) removed by ${chatId}`, 'warning');
+    await bot.sendMessage(chatId, `✅ ${sub.name} removed.`);
+    await bot.sendMessage(targetId, '👋 You were unsubscribed by an admin.').catch(() => {});
+}
+
+// /prefs                              — show your alert preferences
+// /prefs modes ema,dual|all           — crossover modes to receive
+// /prefs tf 5m,15m|all                — timeframes to receive
+// /prefs symbols BTCUSDT,ETHUSDT|all  — symbol whitelist
+// /prefs cooldown 30m|off             — extra quiet period per symbol/timeframe
+// /prefs mute|unmute
+async function handlePrefsCommand(chatId, args) {
+    const [key, rawValue] = [(args[0] || '').toLowerCase(), args[1] || ''];
+    const value = rawValue.toLowerCase();
+    const list = v => (v === 'all' ? null : v.split(',').map(x => x.trim()).filter(Boolean));
+    const usage = '⛔ Usage: /prefs [modes ema,dual|all] [tf 5m,15m|all] [symbols BTCUSDT,...|all] [cooldown 30m|off] [mute|unmute]';
+    let patch = null;
+
+    if (!key) {
+        const sub = subscribers.get(chatId);
+        await bot.sendMessage(chatId, `🎛 *Your alert preferences*\n\n${describePrefs(sub.prefs).split(' | ').join('\n')}\n\n` +
+            `_Alerts only arrive for modes the bot is running (currently ${DUAL_EMA_MODE ? 'dual' : 'ema'})._`, { parse_mode: 'Markdown' });
+        return;
+    } else if (key === 'mute' || key === 'unmute') {
+        patch = { muted: key === 'mute' };
+    } else if (key === 'modes' && value) {
+        const modes = list(value);
+        if (modes && !modes.every(m => ['ema', 'dual'].includes(m))) return bot.sendMessage(chatId, usage);
+        patch = { modes };
+    } else if (key === 'tf' && value) {
+        const timeframes = list(value);
+        if (timeframes && !timeframes.every(tf => VALID_TIMEFRAMES.includes(tf))) return bot.sendMessage(chatId, usage);
+        patch = { timeframes };
+    } else if (key === 'symbols' && value) {
+        const symbols = list(rawValue.toUpperCase() === 'ALL' ? 'all' : rawValue.toUpperCase());
+        if (symbols && !symbols.every(sym => /^[A-Z0-9]+$/.test(sym))) return bot.sendMessage(chatId, usage);
+        patch = { symbols };
+    } else if (key === 'cooldown' && value) {
+        const match = /^(\d+)(m|h)$/.exec(value);
+        if (value !== 'off' && !match) return bot.sendMessage(chatId, usage);
+        patch = { cooldownMs: match ? parseInt(match[1], 10) * (match[2] === 'h' ? 3600000 : 60000) : 0 };
+    } else {
+        await bot.sendMessage(chatId, usage);
+        return;
+    }
+
+    const prefs = subscribers.setPrefs(chatId, patch);
+    log(`Alert preferences updated for ${chatId}: ${describePrefs(prefs)}`, 'info');
+    await bot.sendMessage(chatId, `✅ Preferences updated — ${describePrefs(prefs)}`);
+}
+
+// /webhook      — configured URLs and delivery counters
+// /webhook test — send a sample alert (marked test: true) to every URL
+async function handleWebhookCommand(chatId, args) {
+    if (!webhooks) {
+        await bot.sendMessage(chatId, 'ℹ️ No webhooks configured. Set WEBHOOK_URLS to enable them.');
+        return;
+    }
+    if (args[0] === 'test') {
+        const payload = {
+            ...buildAlertPayload({
+                symbol: 'BTCUSDT', tf: TIMEFRAME, mode: DUAL_EMA_MODE ? 'dual' : 'ema',
+                label: DUAL_EMA_MODE ? emaPairLabel(EMA_PAIRS[0]) : undefined, crossType: 'up', price: 0,
+                emas: {}, spreadPct: 0, oi: null, stats: null
+            }),
+            test: true
+        };
+        await bot.sendMessage(chatId, `📤 Sending a test alert to ${WEBHOOK_URLS.length} webhook(s)...`);
+        const delivered = await webhooks.send(payload);
+        await bot.sendMessage(chatId, `${delivered === WEBHOOK_URLS.length ? '✅' : '⚠️'} Delivered to ${delivered}/${WEBHOOK_URLS.length}.`);
+        return;
+    }
+
+    const stats = webhooks.stats();
+    const hosts = WEBHOOK_URLS.map(u => {
+        try { return new URL(u).host; } catch (e) { return 'invalid URL'; }
+    });
+    await bot.sendMessage(chatId, `🪝 *Webhooks*\n\n` +
+        `*URLs:* ${hosts.join(', ')}\n` +
+        `*Signing:* ${WEBHOOK_SECRET ? 'HMAC-SHA256' : 'off'}\n` +
+        `*Delivered:* ${stats.delivered} | *Retries:* ${stats.retried} | *Dead-lettered:* ${stats.deadLettered}\n\n` +
+        `_/webhook test sends a sample alert_`, { parse_mode: 'Markdown' });
+}
+
+// /pairs                   — EMA pairs and timeframes of crossover mode
+// /pairs 9/15,20/50,50/200 — replace the EMA pairs (admin)
+// /pairs tf 5m,15m,1h      — replace the timeframes every pair runs on (admin)
+async function handlePairsCommand(chatId, args) {
+    if (args.length === 0) {
+        await bot.sendMessage(chatId, `📐 *EMA Crossover Pairs*\n\n` +
+            `*Pairs:* ${EMA_PAIRS.map(emaPairLabel).join(', ')}\n` +
+            `*Timeframes:* ${CROSS_TIMEFRAMES.join(', ')}\n` +
+            `*Mode:* ${DUAL_EMA_MODE ? 'active ✅' : 'inactive — enable EMA Pair Cross in /settings'}\n\n` +
+            `_/pairs 9/15,50/200 sets the pairs; /pairs tf 5m,15m,1h sets the timeframes._`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (args[0] === 'tf') {
+        const timeframes = [...new Set((args[1] || '').split(',').map(tf => tf.trim()).filter(Boolean))];
+        const invalid = timeframes.filter(tf => !VALID_TIMEFRAMES.includes(tf));
+        if (timeframes.length === 0 || invalid.length > 0) {
+            await bot.sendMessage(chatId, `⛔ Timeframes must be a comma-separated list of ${VALID_TIMEFRAMES.join(', ')}.`);
+            return;
+        }
+        CROSS_TIMEFRAMES = timeframes;
+    } else {
+        try {
+            EMA_PAIRS = parseEmaPairs(args.join(''));
+        } catch (error) {
+            await bot.sendMessage(chatId, `⛔ ${error.message}`);
+            return;
+        }
+    }
+
+    log(`EMA crossover pairs set to ${crossModeLabel()}`, 'success');
+    saveSettings();
+    pairEmaCache.clear();
+    indicatorStreams.clear();
+    coinStates.clear();
+    await bot.sendMessage(chatId, `✅ Crossover mode now runs ${crossModeLabel()}.` +
+        (DUAL_EMA_MODE ? '' : ' It takes effect once EMA Pair Cross is enabled in /settings.'));
+    if (DUAL_EMA_MODE) refreshWebSockets(chatId, { queue: true }); // re-seed history on the new timeframes
+}
+
+// /confluence              — confluence settings
+// /confluence on|off       — require trend agreement before crossover alerts (admin)
+// /confluence trend 1h 200 — trend timeframe and EMA period (admin)
+async function handleConfluenceCommand(chatId, args) {
+    if (args.length === 0) {
+        await bot.sendMessage(chatId, `🧭 *Multi-timeframe Confluence*\n\n` +
+            `*Status:* ${CONFLUENCE_MODE ? 'on ✅' : 'off ❌'}${DUAL_EMA_MODE ? '' : ' (applies to EMA Pair Cross mode only)'}\n` +
+            `*Trend filter:* price vs EMA(${CONFLUENCE_TREND_EMA}) on ${CONFLUENCE_TREND_TF}\n` +
+            `*Crossovers:* ${crossModeLabel()}\n\n` +
+            `_Crossovers are only alerted (as CONFIRMED) when the trend agrees; a FULL ALIGNMENT alert fires when every timeframe points the same way._\n` +
+            `_/confluence on|off, /confluence trend 1h 200_`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (args[0] === 'on' || args[0] === 'off') {
+        CONFLUENCE_MODE = args[0] === 'on';
+    } else if (args[0] === 'trend') {
+        const tf = args[1];
+        const period = args[2] === undefined ? CONFLUENCE_TREND_EMA : parseInt(args[2], 10);
+        if (!VALID_TIMEFRAMES.includes(tf) || !isValidEmaPeriod(period)) {
+            await bot.sendMessage(chatId, `⛔ Usage: /confluence trend <${VALID_TIMEFRAMES.join('|')}> [EMA period 2-${MAX_EMA_PERIOD}]`);
+            return;
+        }
+        CONFLUENCE_TREND_TF = tf;
+        CONFLUENCE_TREND_EMA = period;
+    } else {
+        await bot.sendMessage(chatId, '⛔ Usage: /confluence [on|off|trend <tf> [period]]');
+        return;
+    }
+
+    log(`Confluence ${CONFLUENCE_MODE ? 'on' : 'off'} — trend EMA(${CONFLUENCE_TREND_EMA}) on ${CONFLUENCE_TREND_TF}`, 'success');
+    saveSettings();
+    await bot.sendMessage(chatId, `✅ Confluence ${CONFLUENCE_MODE ? 'on' : 'off'} — trend filter EMA(${CONFLUENCE_TREND_EMA}) on ${CONFLUENCE_TREND_TF}.`);
+    if (DUAL_EMA_MODE) refreshWebSockets(chatId, { queue: true }); // stream and seed the trend timeframe
+}
+
+// /earlywarning        — early-warning status
+// /earlywarning on|off — alert crossovers forming on unconfirmed candles (admin)
+async function handleEarlyWarningCommand(chatId, args) {
+    if (args.length === 0) {
+        await bot.sendMessage(chatId, `⏳ *Early Warning*\n\n` +
+            `*Status:* ${EARLY_WARNING ? 'on ✅' : 'off ❌'}\n` +
+            `*Cooldown:* ${Math.round(EARLY_WARNING_COOLDOWN / 60000)} min per symbol, timeframe and direction\n` +
+            `*Waiting for close:* ${earlyWarnings.size()}\n\n` +
+            `_While a candle is still forming, a crossover its current price would make is alerted once as FORMING; ` +
+            `the close follows up with CONFIRMED or CANCELLED._\n` +
+            `_/earlywarning on|off_`, { parse_mode: 'Markdown' });
+        return;
+    }
+    if (args[0] !== 'on' && args[0] !== 'off') {
+        await bot.sendMessage(chatId, '⛔ Usage: /earlywarning [on|off]');
+        return;
+    }
+
+    EARLY_WARNING = args[0] === 'on';
+    log(`Early warning ${EARLY_WARNING ? 'on' : 'off'}`, 'success');
+    saveSettings();
+    await bot.sendMessage(chatId, `✅ Early warning ${EARLY_WARNING ? 'on — forming crossovers are alerted before the candle closes' : 'off'}.`);
+}
+
+// /strategies        — built-in and custom strategies, and which ones this chat receives
+// /strategies reload — re-read STRATEGIES_DIR without restarting (admin)
+async function handleStrategiesCommand(chatId, args) {
+    if (args[0] === 'reload') {
+        loadStrategies();
+        await bot.sendMessage(chatId, `✅ Strategies reloaded — custom: ${strategies.list({ builtin: false }).map(p => p.id).join(', ') || 'none'}.`);
+        return;
+    }
+    if (args.length > 0) {
+        await bot.sendMessage(chatId, '⛔ Usage: /strategies [reload]');
+        return;
+    }
+
+    const prefs = subscribers.get(chatId).prefs;
+    const line = p => {
+        const on = p.builtin ? (!prefs.modes || prefs.modes.includes(p.id)) : prefs.strategies.includes(p.id);
+        const running = p.builtin ? (p.id === 'dual') === DUAL_EMA_MODE : true;
+        const errors = strategies.errorCount(p.id);
+        return `${on ? '✅' : '▫️'} \`${p.id}\` — *${p.name || p.id}*${running ? '' : ' (mode not active)'}` +
+            `${p.timeframes ? ` [${p.timeframes.join(', ')}]` : ''}${errors ? ` ⚠️ ${errors} error(s)` : ''}\n   _${p.description || 'no description'}_`;
+    };
+    const builtins = strategies.list({ builtin: true });
+    const custom = strategies.list({ builtin: false });
+    await bot.sendMessage(chatId, `🧩 *Strategies*\n\n*Built-in:*\n${builtins.map(line).join('\n')}\n\n` +
+        `*Custom (${path.basename(STRATEGIES_DIR)}/):*\n${custom.length ? custom.map(line).join('\n') : '_none loaded_'}\n\n` +
+        `_/strategy enable|disable <id> · ✅ = sent to this chat_`, { parse_mode: 'Markdown' });
+}
+
+// /strategy enable|disable <id> — choose which strategies alert this chat.
+// The built-ins map onto the /prefs modes filter; custom strategies are opt-in.
+async function handleStrategyCommand(chatId, args) {
+    const [action, id] = [(args[0] || '').toLowerCase(), (args[1] || '').toLowerCase()];
+    const plugin = strategies.get(id);
+    if (!['enable', 'disable'].includes(action) || !plugin) {
+        await bot.sendMessage(chatId, `⛔ Usage: /strategy enable|disable <${strategies.list().map(p => p.id).join('|')}>`);
+        return;
+    }
+    const enabled = action === 'enable';
+    let prefs;
+    if (plugin.builtin) {
+        const current = subscribers.get(chatId).prefs.modes || ['ema', 'dual'];
+        const modes = enabled ? [...new Set([...current, id])] : current.filter(m => m !== id);
+        prefs = subscribers.setPrefs(chatId, { modes: modes.length === 2 ? null : modes });
+    } else {
+        prefs = subscribers.setStrategy(chatId, id, enabled);
+    }
+    log(`Strategy ${id} ${enabled ? 'enabled' : 'disabled'} for ${chatId}: ${describePrefs(prefs)}`, 'info');
+    await bot.sendMessage(chatId, `✅ ${plugin.name || id} ${enabled ? 'enabled' : 'disabled'} for this chat.`);
+}
+
+// /rule add NAME EXPRESSION — add (or replace) an alert rule for this chat
+// /rule del NAME            — remove one
+// /rule test NAME SYMBOL    — evaluate a rule now and show the values it reads
+// /rule list (or /rules)    — this chat's rules
+async function handleRuleCommand(chatId, text) {
+    const [, action = '', name = '', rest = ''] = /^(\S*)\s*(\S*)\s*([\s\S]*)$/.exec(text.trim());
+    const usage = '⛔ Usage: /rule add NAME EXPRESSION · /rule del NAME · /rule test NAME SYMBOL · /rules\n' +
+        'e.g. /rule add dip ema(9,5m) crosses_above ema(21,5m) and rsi(14,15m) < 70 and volume > 2*sma(volume,20)';
+
+    if (action === 'list' || (action === '' && name === '')) return sendRuleList(chatId);
+    if (!['add', 'del', 'test'].includes(action) || !/^[a-z0-9_-]{1,20}$/i.test(name)) return bot.sendMessage(chatId, usage);
+
+    if (action === 'add') {
+        if (!rest) return bot.sendMessage(chatId, usage);
+        const existing = rules.get(chatId, name);
+        if (!existing && rules.list(chatId).length >= MAX_RULES_PER_CHAT) {
+            return bot.sendMessage(chatId, `⛔ You already have ${MAX_RULES_PER_CHAT} rules — remove one with /rule del NAME.`);
+        }
+        const streamedBefore = activeStreamTimeframes();
+        let rule;
+        try {
+            rule = rules.add(chatId, name, rest);
+        } catch (error) {
+            await bot.sendMessage(chatId, '⛔ Invalid rule:\n```\n' + describeRuleError(rest, error) + '\n```', { parse_mode: 'Markdown' });
+            return;
+        }
+        log(`Rule "${name}" ${existing ? 'replaced' : 'added'} for ${chatId}: ${rule.text}`, 'info');
+        const newTfs = rule.compiled.timeframes.filter(tf => !streamedBefore.includes(tf));
+        await bot.sendMessage(chatId, `✅ Rule *${name}* ${existing ? 'replaced' : 'added'} — checked on every closed ${rule.compiled.tf} candle.\n` +
+            '```\n' + rule.text + '\n```' +
+            (newTfs.length ? `\n_Subscribing to ${newTfs.join(', ')} candles for it — streams reconnect now._` : ''), { parse_mode: 'Markdown' });
+        if (newTfs.length) refreshWebSockets(chatId, { queue: true });
+    } else if (action === 'del') {
+        if (!rules.remove(chatId, name)) return bot.sendMessage(chatId, `⛔ You have no rule called ${name}.`);
+        log(`Rule "${name}" removed for ${chatId}`, 'info');
+        await bot.sendMessage(chatId, `✅ Rule ${name} removed.`);
+    } else {
+        const rule = rules.get(chatId, name);
+        const symbol = rest.trim().toUpperCase();
+        if (!rule || !rule.compiled || !/^[A-Z0-9]+$/.test(symbol)) {
+            return bot.sendMessage(chatId, '⛔ Usage: /rule test NAME SYMBOL — NAME must be one of your valid rules (see /rules).');
+        }
+        const getCandles = tf => klineCache.get(seriesCacheKey(symbol, tf));
+        if (!getCandles(rule.compiled.tf)) return bot.sendMessage(chatId, `⛔ No ${rule.compiled.tf} candles cached for ${symbol} — is it tracked?`);
+        const state = rules.stateFor(rule, symbol);
+        const matched = evaluateRule(rule.compiled, getCandles, state);
+        const values = snapshotRule(rule.compiled, getCandles, state);
+        await bot.sendMessage(chatId, `🧪 *${name}* on ${displaySymbol(symbol)}: ${matched === null ? '⏳ not enough history yet' : matched ? '✅ true' : '❌ false'}\n` +
+            '```\n' + values.map(v => `${v.label.padEnd(18)} ${formatRuleValue(v.value)}`).join('\n') + '\n```', { parse_mode: 'Markdown' });
+    }
+}
+
+// /rules — this chat's alert rules
+async function sendRuleList(chatId) {
+    const list = rules.list(chatId);
+    if (list.length === 0) {
+        await bot.sendMessage(chatId, 'ℹ️ No alert rules yet. Add one with /rule add NAME EXPRESSION, e.g.\n' +
+            '/rule add oversold rsi(14,15m) < 30 and close > ema(200,1h)');
+        return;
+    }
+    const lines = list.map(r => `*${r.name}* [${r.compiled ? r.compiled.tf : 'invalid'}]\n\`${r.text.replace(/`/g, "'")}\`` +
+        (r.error ? `\n⚠️ _${r.error.replace(/[_*`[]/g, '')}_` : ''));
+    await bot.sendMessage(chatId, `📐 *Your alert rules (${list.length}/${MAX_RULES_PER_CHAT})*\n\n${lines.join('\n\n')}\n\n` +
+        '_/rule add NAME EXPRESSION · /rule del NAME · /rule test NAME SYMBOL_', { parse_mode: 'Markdown' });
+}
+
+// /channels      — Discord/Slack routing, delivery counters and circuit-breaker state
+// /channels test — send a sample bullish alert card to every channel
+async function handleChannelsCommand(chatId, args) {
+    if (chatChannels.length === 0) {
+        await bot.sendMessage(chatId, 'ℹ️ No Discord/Slack channels configured. Set DISCORD_WEBHOOK_URL and/or SLACK_WEBHOOK_URL.');
+        return;
+    }
+    if (args[0] === 'test') {
+        const card = {
+            ...buildAlertCard(buildAlertPayload({
+                symbol: 'BTCUSDT', tf: TIMEFRAME, mode: DUAL_EMA_MODE ? 'dual' : 'ema',
+                label: DUAL_EMA_MODE ? emaPairLabel(EMA_PAIRS[0]) : undefined, crossType: 'up', price: 0,
+                emas: {}, spreadPct: 0, oi: null, stats: null
+            })),
+            title: '🧪 Test alert from EMA Tracker'
+        };
+        const results = await Promise.all(chatChannels.map(channel => channel.send(card)));
+        await bot.sendMessage(chatId, chatChannels.map((channel, i) => `${results[i] ? '✅' : '❌'} ${channel.name}`).join('\n'));
+        return;
+    }
+
+    const lines = chatChannels.map(channel => {
+        const stats = channel.stats();
+        return `*${channel.name}* ${channel.isPaused() ? '⏸ paused (circuit open)' : '🟢'}\n` +
+            `   Routes: ${channel.types().join(', ')}\n` +
+            `   Sent ${stats.sent} | Failed ${stats.failed} | Suppressed ${stats.suppressed}`;
+    });
+    await bot.sendMessage(chatId, `📣 *Chat channels*\n\n${lines.join('\n\n')}\n\n_/channels test sends a sample alert_`, { parse_mode: 'Markdown' });
+}
+
+// First exchange (pin, then ENABLED_EXCHANGES order) that lists a symbol, or null
+async function findSymbolExchange(symbol) {
+    const pin = SYMBOL_EXCHANGES[symbol];
+    for (const exchangeId of pin ? [pin] : ENABLED_EXCHANGES) {
+        try {
+            await enforceRateLimit();
+            const ticker = await getExchange(exchangeId).fetchTicker(symbol);
+            if (ticker && ticker.symbol === symbol) return exchangeId;
+        } catch (error) {
+            // not listed there (or the request failed) — try the next exchange
+        }
+    }
+    return null;
+}
+
+// /watch SYMBOL   — always track SYMBOL, whatever its 24h volume
+// /ignore SYMBOL  — never send alerts for SYMBOL to this chat
+// /unwatch SYMBOL — take SYMBOL off the watchlist or blacklist
+async function handleWatchCommand(chatId, command, args) {
+    const symbol = (args[0] || '').toUpperCase();
+    if (!/^[A-Z0-9]+USDT$/.test(symbol)) {
+        await bot.sendMessage(chatId, `⛔ Usage: /${command} SYMBOL (e.g. /${command} SOLUSDT)`);
+        return;
+    }
+
+    if (command === 'watch') {
+        const exchangeId = trackedPairs.has(symbol) ? symbolExchanges.get(symbol) : await findSymbolExchange(symbol);
+        if (!exchangeId) {
+            await bot.sendMessage(chatId, `⛔ ${symbol} is not listed on ${ENABLED_EXCHANGES.map(e => getExchange(e).name).join(', ')}.`);
+            return;
+        }
+        subscribers.watch(chatId, symbol);
+        log(`${symbol} added to the watchlist of ${chatId}`, 'info');
+        if (!trackedPairs.has(symbol)) {
+            symbolExchanges.set(symbol, exchangeId);
+            trackedPairs.add(symbol);
+            subscribeSymbolToPool(symbol);
+        }
+        await bot.sendMessage(chatId, `👀 ${symbol} is on your watchlist and tracked on ${getExchange(exchangeId).name}.`);
+    } else if (command === 'ignore') {
+        subscribers.ignore(chatId, symbol);
+        log(`${symbol} added to the blacklist of ${chatId}`, 'info');
+        await bot.sendMessage(chatId, `🙈 You will no longer get alerts for ${symbol}.`);
+    } else {
+        subscribers.unwatch(chatId, symbol);
+        log(`${symbol} removed from the watch/ignore lists of ${chatId}`, 'info');
+        const note = subscribers.watchedSymbols().has(symbol)
+            ? ''
+            : ' It stays tracked only while its volume is above the threshold (checked on the next refresh).';
+        await bot.sendMessage(chatId, `✅ ${symbol} removed from your watchlist and blacklist.${note}`);
+    }
+}
+
+// /watchlist — this chat's watched and ignored symbols
+async function sendWatchlist(chatId) {
+    const { watch, ignore } = subscribers.get(chatId).prefs;
+    const watching = watch.map(sym => `${sym}${trackedPairs.has(sym) ? '' : ' _(not streaming yet)_'}`);
+    const message = `👀 *Watchlist*\n${watching.length ? watching.join('\n') : 'none'}\n\n` +
+        `🙈 *Ignored*\n${ignore.length ? ignore.join('\n') : 'none'}\n\n` +
+        `_/watch SYMBOL · /ignore SYMBOL · /unwatch SYMBOL_`;
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+// /exchange                  — list enabled exchanges, pins and per-exchange pair counts
+// /exchange SYMBOL EXCHANGE  — track SYMBOL on EXCHANGE (bybit, binance, okx)
+// /exchange SYMBOL auto      — remove the pin and fall back to ENABLED_EXCHANGES order
+async function handleExchangeCommand(chatId, args) {
+    if (args.length === 0) {
+        const counts = {};
+        for (const exchangeId of symbolExchanges.values()) counts[exchangeId] = (counts[exchangeId] || 0) + 1;
+        const pins = Object.entries(SYMBOL_EXCHANGES);
+        const message = `*Exchanges*\n\n` +
+            `*Enabled (priority order):* ${ENABLED_EXCHANGES.map(e => getExchange(e).name).join(' → ')}\n` +
+            `*Tracked pairs:* ${EXCHANGE_IDS.filter(e => counts[e]).map(e => `${getExchange(e).name} ${counts[e]}`).join(', ') || 'none'}\n` +
+            `*Pinned symbols:* ${pins.length ? pins.map(([sym, ex]) => `${sym}→${getExchange(ex).name}`).join(', ') : 'none'}\n\n` +
+            `Usage: /exchange SYMBOL ${EXCHANGE_IDS.join('|')}|auto`;
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    const symbol = (args[0] || '').toUpperCase();
+    const exchangeId = (args[1] || '').toLowerCase();
+    if (!/^[A-Z0-9]+USDT$/.test(symbol) || !(exchangeId === 'auto' || isValidExchange(exchangeId))) {
+        await bot.sendMessage(chatId, `⛔ Usage: /exchange SYMBOL ${EXCHANGE_IDS.join('|')}|auto`);
+        return;
+    }
+
+    if (exchangeId === 'auto') {
+        delete SYMBOL_EXCHANGES[symbol];
+    } else {
+        SYMBOL_EXCHANGES[symbol] = exchangeId;
+    }
+    saveSettings();
+    log(`Exchange for ${symbol} set to ${exchangeId}`, 'success');
+    await bot.sendMessage(
+        chatId,
+        exchangeId === 'auto'
+            ? `✅ ${symbol} unpinned — it will be tracked on the first enabled exchange that lists it.`
+            : `✅ ${symbol} will be tracked on ${getExchange(exchangeId).name}. Reconnecting streams...`
+    );
+    refreshWebSockets(chatId, { queue: true }); // reconnect in background — re-resolves pair → exchange assignments
+}
+
+function formatStatPct(value, digits = 2) {
+    if (value === null || value === undefined) return 'n/a';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
+
+// /signalstats [SYMBOL] [DAYS] — hit rate, average move, MFE/MAE and reversal rate per horizon
+async function sendSignalStats(chatId, args) {
+    const symbol = args.find(a => /^[A-Za-z0-9]+USDT$/i.test(a))?.toUpperCase() || null;
+    const days = parseInt(args.find(a => /^\d+$/.test(a)), 10) || null;
+    const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : null;
+    const summary = signalOutcomes.summarize({ symbol, since });
+
+    if (summary.signals === 0) {
+        await bot.sendMessage(chatId, `📭 No alerts recorded${symbol ? ` for ${symbol}` : ''}${days ? ` in the last ${days}d` : ''} yet.`);
+        return;
+    }
+
+    let message = `📐 *Signal Outcomes${symbol ? ` — ${symbol}` : ''}${days ? ` (last ${days}d)` : ''}*\n\n` +
+        `*Alerts:* ${summary.signals} (${summary.longs} long / ${summary.shorts} short)\n` +
+        `*Still grading:* ${signalOutcomes.signals({ symbol, since }).filter(s => HORIZON_KEYS.some(h => s.outcomes[h] === undefined)).length}\n\n`;
+    for (const horizon of HORIZON_KEYS) {
+        const h = summary.horizons[horizon];
+        if (h.graded === 0) {
+            message += `*${horizon}:* no graded alerts\n`;
+            continue;
+        }
+        message += `*${horizon}* (${h.graded}): hit ${h.hitRate.toFixed(0)}% | avg ${formatStatPct(h.avgMove)} | ` +
+            `MFE ${formatStatPct(h.avgMfe)} | MAE ${formatStatPct(h.avgMae)} | reversed ${h.reversalRate.toFixed(0)}%\n`;
+    }
+    message += `\n_Move is measured in the signal's direction. Usage: /signalstats [SYMBOL] [DAYS]_`;
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
 
-        await bot.sendMessage(
-            chatId,
-            `🧠 *ML Training Complete*\n\n` +
-            `✅ Successfully trained: ${trainedCount} models\n` +
-            `❌ Failed: ${failedCount} models\n\n` +
-            `Use /mlstatus to check model performance.`,
-            { parse_mode: 'Markdown' }
-        );
-    } catch (error) {
-        log(`Error in trainAllModels: ${error.message}`, 'error');
-        await bot.sendMessage(chatId, `❌ Error training models: ${error.message}`);
+// /leaderboard [15m|1h|4h|24h] — best and worst symbol/timeframe/mode groups at a horizon
+async function sendSignalLeaderboard(chatId, args) {
+    const horizon = args[0] || '4h';
+    if (!HORIZON_KEYS.includes(horizon)) {
+        await bot.sendMessage(chatId, `⛔ Usage: /leaderboard [${HORIZON_KEYS.join('|')}]`);
+        return;
     }
-}
 
-// Enhanced Telegram alert with ML confidence
-async function sendTelegramAlertWithML(symbol, crossType, price, ema, difference, prediction) {
-    try {
-        const emoji = crossType === 'up' ? '🟢' : '🔴';
-        const signal = crossType === 'up' ? 'BULLISH SIGNAL' : 'BEARISH SIGNAL';
-        const formattedPrice = formatPrice(price);
-        const formattedEma = formatPrice(ema);
+    const rows = signalOutcomes.leaderboard({ horizon });
+    if (rows.length === 0) {
+        await bot.sendMessage(chatId, `📭 Not enough graded alerts at ${horizon} yet (need 3 per symbol/timeframe).`);
+        return;
+    }
 
-        // Get 24hr stats for the symbol
-        const stats = await get24HrStats(symbol);
-        const oi = await getOIDelta(symbol).catch(() => null);
+    const line = (row, i) => `${i + 1}. ${row.symbol} ${row.tf} ${row.label} — avg ${formatStatPct(row.avgMove)}, ` +
+        `hit ${row.hitRate.toFixed(0)}% (${row.graded})`;
+    const top = rows.slice(0, 10);
+    const bottom = rows.length > 10 ? rows.slice(-5).reverse() : [];
 
-        // Format ML prediction with confidence emoji
-        let confidenceEmoji = '⚠️'; // Neutral/uncertain
-        if (Math.abs(prediction) > 3) {
-            confidenceEmoji = prediction > 0 ? '🔥' : '❄️'; // Strong signal
-        } else if (Math.abs(prediction) > 1) {
-            confidenceEmoji = prediction > 0 ? '📈' : '📉'; // Moderate signal
-        }
+    let message = `🏆 *Signal Leaderboard — ${horizon}*\n\n` + top.map(line).join('\n');
+    if (bottom.length > 0) {
+        message += `\n\n*Worst:*\n` + bottom.map(line).join('\n');
+    }
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
 
-        // Create a TradingView link
-        const tradingViewUrl = getTradingViewUrl(symbol);
+// /history [SYMBOL] [DAYS]        — alerts sent, newest first, paged with inline buttons
+// /history export [SYMBOL] [DAYS] — the same alerts as a CSV file with their full payloads
+async function handleHistoryCommand(chatId, args) {
+    const exporting = args[0] === 'export';
+    const rest = exporting ? args.slice(1) : args;
+    const symbol = rest.find(a => /^[A-Za-z0-9]+USDT$/i.test(a))?.toUpperCase() || null;
+    const days = parseInt(rest.find(a => /^\d+$/.test(a)), 10) || null;
+    if (exporting) await sendHistoryExport(chatId, symbol, days);
+    else await sendHistoryPage(chatId, { symbol, days, offset: 0 });
+}
 
-        const oiLine = oi
-            ? `*OI Delta:* ${oi.deltaPercent >= 0 ? '+' : ''}${oi.deltaPercent.toFixed(2)}% ${oi.deltaPercent >= 0.5 ? '📈 new money (stronger)' : oi.deltaPercent <= -0.5 ? '📉 liquidation (weaker)' : '→ neutral'}\n`
-            : '';
-        const message = `${emoji} *${signal}* ${emoji}\n\n` +
-            `*Symbol:* ${symbol}\n` +
-            `*Price:* ${formattedPrice}\n` +
-            `*EMA(${EMA_PERIOD}):* ${formattedEma}\n` +
-            `*Difference:* ${difference.toFixed(2)}%\n` +
-            `*24h Change:* ${stats.priceChangePercent}%\n` +
-            `*24h Volume:* ${formatVolume(stats.quoteVolume)}\n` +
-            oiLine +
-            `*Timeframe:* ${activeTimeframeLabel()}\n` +
-            `*ML Prediction:* ${confidenceEmoji} ${prediction.toFixed(2)}% (24h)\n\n` +
-            `*Time:* ${new Date().toLocaleString()}\n\n` +
-            `[View Chart on TradingView](${tradingViewUrl})`;
+const HISTORY_PAGE_SIZE = 10;
+
+// One alert as a line of the /history table (times in UTC)
+function historyLine(entry) {
+    const time = new Date(entry.time).toISOString().slice(5, 16).replace('T', ' ');
+    const icon = entry.event === 'new_pair' ? '🔔'
+        : entry.event === 'rule' ? '📐'
+            : entry.event === 'early_warning' ? { forming: '⏳', confirmed: '✅', cancelled: '❌' }[entry.payload.status]
+                : entry.direction === 'up' ? '▲' : '▼';
+    const what = entry.event === 'new_pair' ? 'new pair' : entry.event === 'alignment' ? `${entry.label} aligned` : entry.label;
+    const price = entry.payload.price;
+    return `${time} ${icon} ${entry.symbol}${entry.tf ? ` ${entry.tf}` : ''} ${what}${typeof price === 'number' ? ` @ ${formatPrice(price)}` : ''}`;
+}
 
-        await safeSendAlert(TELEGRAM_CHAT_ID, message, {
-            parse_mode: 'Markdown',
-            disable_web_page_preview: false
-        });
+// One page of /history; messageId edits the page in place when a paging button is pressed
+async function sendHistoryPage(chatId, { symbol, days, offset }, messageId = null) {
+    const from = days ? clock.now() - days * 24 * 60 * 60 * 1000 : null;
+    const { total, entries } = alertHistory.query({ symbol, from, chatId, offset, limit: HISTORY_PAGE_SIZE });
+    const scope = `${symbol ? ` — ${symbol}` : ''}${days ? ` (last ${days}d)` : ''}`;
+    if (total === 0) {
+        await bot.sendMessage(chatId, `📭 No alerts recorded${symbol ? ` for ${symbol}` : ''}${days ? ` in the last ${days}d` : ''} yet.`);
+        return;
+    }
 
-        // Show desktop notification — mirrors Telegram message content
-        // Clicking the toast opens the TradingView chart in the browser
-        showDesktopNotification(
-            `${crossType === 'up' ? '🟢 BULLISH+ML' : '🔴 BEARISH+ML'} — ${symbol}`,
-            `Price: ${formattedPrice}  EMA(${EMA_PERIOD}): ${formattedEma}\nDiff: ${difference.toFixed(2)}%  ML: ${confidenceEmoji} ${prediction.toFixed(2)}% (24h)\n24h: ${stats.priceChangePercent}%  TF: ${TIMEFRAME}`,
-            crossType === 'up' ? 'info' : 'warning',
-            tradingViewUrl
-        );
+    const page = Math.floor(offset / HISTORY_PAGE_SIZE) + 1;
+    const pages = Math.ceil(total / HISTORY_PAGE_SIZE);
+    const text = `📜 *Alert History${scope}*\n${total} alert(s), page ${page}/${pages}, times in UTC\n\n` +
+        '```\n' + entries.map(historyLine).join('\n') + '\n```\n' +
+        `_/history [SYMBOL] [DAYS], /history export [SYMBOL] [DAYS]_`;
+    // hist_<offset>_<symbol|all>_<days|0>
+    const pageButton = (label, pageOffset) => ({ text: label, callback_data: `hist_${pageOffset}_${symbol || 'all'}_${days || 0}` });
+    const nav = [];
+    if (offset > 0) nav.push(pageButton('◀ Newer', Math.max(0, offset - HISTORY_PAGE_SIZE)));
+    if (offset + HISTORY_PAGE_SIZE < total) nav.push(pageButton('Older ▶', offset + HISTORY_PAGE_SIZE));
+    const opts = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: nav.length ? [nav] : [] } };
+
+    if (messageId) await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...opts });
+    else await bot.sendMessage(chatId, text, opts);
+}
 
-        log(`ML-enhanced Telegram alert sent for ${symbol} (${crossType})`, 'success');
-    } catch (error) {
-        log(`Error sending ML-enhanced Telegram message: ${error.message}`, 'error');
+async function sendHistoryExport(chatId, symbol, days) {
+    const from = days ? clock.now() - days * 24 * 60 * 60 * 1000 : null;
+    const { total, entries } = alertHistory.query({ symbol, from, chatId });
+    if (total === 0) {
+        await bot.sendMessage(chatId, `📭 No alerts recorded${symbol ? ` for ${symbol}` : ''}${days ? ` in the last ${days}d` : ''} yet.`);
+        return;
+    }
+    const filename = `alert_history${symbol ? `_${symbol}` : ''}${days ? `_${days}d` : ''}.csv`;
+    await bot.sendDocument(chatId, Buffer.from(alertHistoryCsv(entries)), { caption: `📜 ${total} alert(s)` },
+        { filename, contentType: 'text/csv' });
+}
 
-        // Fall back to regular alert
-        await sendTelegramAlert(symbol, crossType, price, ema, difference)
-            .catch(e => log(`Fallback alert failed for ${symbol}: ${e.message}`, 'error'));
+// Daily digest: how many alerts went out in the last 24 hours per alert type, timeframe and direction.
+// Sent to every active subscriber; per-chat /rule alerts are not counted.
+async function sendDailyDigest() {
+    try {
+        const to = clock.now();
+        const { entries } = alertHistory.query({ from: to - 24 * 60 * 60 * 1000, to });
+        const summary = summarizeAlerts(entries);
+        const counts = (byKey, name = key => key) => Object.entries(byKey)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, n]) => `${name(key)} ${n}`)
+            .join(' · ') || 'none';
+        const message = `🗞 *Daily Alert Digest* — last 24h\n\n` +
+            `*Alerts:* ${summary.total}\n` +
+            `*By type:* ${counts(summary.byType)}\n` +
+            `*By timeframe:* ${counts(summary.byTf)}\n` +
+            `*By direction:* ${counts(summary.byDirection, d => (d === 'up' ? '▲ bullish' : '▼ bearish'))}\n` +
+            (summary.topSymbols.length ? `*Most active:* ${summary.topSymbols.map(([symbol, n]) => `${symbol} ${n}`).join(', ')}\n` : '') +
+            `\n_Details with /history [SYMBOL] [DAYS]_`;
+        await broadcastAlert({ symbol: null, tf: null, mode: null }, message, { parse_mode: 'Markdown' });
+        log(`Daily digest sent (${summary.total} alerts)`, 'success');
+    } catch (error) {
+        log(`Error sending daily digest: ${error.message}`, 'error');
     }
 }
 
-// Command handler
-async function handleMessage(msg) {
-    const chatId = msg.chat.id;
+// Send the digest every day at DAILY_DIGEST_HOUR UTC, starting with the next one.
+// Calling it again replaces the schedule (settings changed); nothing is scheduled while DAILY_DIGEST is off.
+let digestTimer = null;
+function scheduleDailyDigest() {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+    if (!DAILY_DIGEST) return;
+    const now = Date.now();
+    const next = new Date(now);
+    next.setUTCHours(DAILY_DIGEST_HOUR, 0, 0, 0);
+    if (next.getTime() <= now) next.setUTCDate(next.getUTCDate() + 1);
+    digestTimer = setTimeout(() => {
+        sendDailyDigest();
+        digestTimer = setInterval(sendDailyDigest, 24 * 60 * 60 * 1000);
+    }, next.getTime() - now);
+}
 
-    // Authorization: only the configured owner may control this bot
-    if (chatId.toString() !== TELEGRAM_CHAT_ID) {
-        bot.sendMessage(chatId, '⛔ Unauthorized.').catch(() => {});
-        log(`Unauthorized access attempt from chatId ${chatId}`, 'warning');
+// /portfolio — paper trading equity, open PnL and open positions
+async function sendPaperPortfolio(chatId) {
+    if (!PAPER_TRADING) {
+        await bot.sendMessage(chatId, '📴 Paper trading is disabled (PAPER_TRADING=false).');
         return;
     }
+    const stats = paperPortfolio.stats();
+    const usdt = v => `${v >= 0 ? '+' : ''}${v.toFixed(2)} USDT`;
+
+    let message = `💼 *Paper Portfolio*\n\n` +
+        `*Equity:* ${stats.equity.toFixed(2)} USDT (${formatStatPct(stats.returnPct)})\n` +
+        `*Balance:* ${stats.balance.toFixed(2)} USDT\n` +
+        `*Open PnL:* ${usdt(stats.openPnl)}\n` +
+        `*Realized PnL:* ${usdt(stats.realizedPnl)}\n` +
+        `*Closed trades:* ${stats.trades}${stats.winRate !== null ? ` (win rate ${stats.winRate.toFixed(0)}%)` : ''}\n\n`;
+
+    const positions = paperPortfolio.positions();
+    if (positions.length === 0) {
+        message += '_No open positions._';
+    } else {
+        message += `*Open positions (${positions.length}):*\n` + positions.map(p =>
+            `${p.side === 'long' ? '🟢' : '🔴'} ${p.symbol} ${p.side.toUpperCase()} @ ${formatPrice(p.entry)} → ${formatPrice(p.mark)} ` +
+            `| ${usdt(p.openPnl)} | SL ${formatPrice(p.stop)} TP ${formatPrice(p.target)}`
+        ).join('\n');
+    }
+    message += `\n\n_Size ${PAPER_CONFIG.positionPct}% of equity, SL ${PAPER_CONFIG.slAtr}×ATR, TP ${PAPER_CONFIG.tpAtr}×ATR, ` +
+        `fee ${PAPER_CONFIG.feePct}% + slippage ${PAPER_CONFIG.slippagePct}% per leg_`;
 
-    if (msg.text === '/start' || msg.text === '/menu') {
-        sendMainMenu(chatId);
-    } else if (msg.text === '/status') {
-        sendStatusUpdate(chatId);
-    } else if (msg.text === '/settings') {
-        sendSettingsMenu(chatId);
-    } else if (msg.text === '/help') {
-        sendHelpMessage(chatId);
-    } else if (msg.text === '/top') {
-        sendTopPerformers(chatId);
-    } else if (msg.text === '/refresh') {
-        refreshWebSockets(chatId);
-    } else if (msg.text === '/mlstatus') {
-        sendModelPerformance(chatId);
-    } else if (msg.text === '/train') {
-        const guard = beginCommand('/train');
-        if (!guard.ok) {
-            await bot.sendMessage(chatId, '⚠️ /train is already running or cooling down. Please wait.').catch(() => {});
-            return;
-        }
-        try {
-            await trainAllModels(chatId);
-        } finally {
-            endCommand('/train');
-        }
-    } else if (msg.text === '/collectdata') {
-        const guard = beginCommand('/collectdata');
-        if (!guard.ok) {
-            await bot.sendMessage(chatId, '⚠️ /collectdata is already running or cooling down. Please wait.').catch(() => {});
-            return;
-        }
-        try {
-            await startManualDataCollection(chatId);
-        } finally {
-            endCommand('/collectdata');
-        }
-    } else if (msg.text === '/exportcsv') {
-        exportAllDataToCSV();
-        bot.sendMessage(chatId, '📊 All training data exported to CSV format successfully!');
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+// /trades [N] — last N closed paper trades (default 10)
+async function sendPaperTrades(chatId, args) {
+    if (!PAPER_TRADING) {
+        await bot.sendMessage(chatId, '📴 Paper trading is disabled (PAPER_TRADING=false).');
+        return;
+    }
+    const count = Math.min(parseInt(args[0], 10) || 10, 30);
+    const trades = paperPortfolio.trades().slice(-count).reverse();
+    if (trades.length === 0) {
+        await bot.sendMessage(chatId, '📭 No closed paper trades yet.');
+        return;
     }
+
+    const reasons = { stop: '🛑 SL', target: '🎯 TP', reverse: '🔄 reverse' };
+    const message = `📒 *Last ${trades.length} Paper Trades*\n\n` + trades.map(t =>
+        `${t.pnl >= 0 ? '✅' : '❌'} ${t.symbol} ${t.side.toUpperCase()} ${formatPrice(t.entry)} → ${formatPrice(t.exit)} ` +
+        `${reasons[t.exitReason] || t.exitReason} | ${t.pnl >= 0 ? '+' : ''}${t.pnl.toFixed(2)} USDT (${formatStatPct(t.pnlPct)})\n` +
+        `   _${new Date(t.openedAt).toLocaleString()} → ${new Date(t.closedAt).toLocaleString()}_`
+    ).join('\n');
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
 }
 
 // Function to manually collect data for all tracked pairs
@@ -2142,11 +4321,13 @@ async function startManualDataCollection(chatId) {
 
         for (const symbol of pairs) {
             try {
-                // In dual mode, pre-seed the 5m EMA + kline cache via a REST call so
-                // 5m crossover detection is ready immediately. Without this the 5m
-                // bucket stays empty until the first 5m WebSocket candle closes
-                // (up to 5 minutes after manual collection finishes).
-                if (DUAL_EMA_MODE) await getKlines(symbol, '5m');
+                // In crossover mode, pre-seed the other timeframes' EMA + kline caches via
+                // REST so their crossover detection is ready immediately. Without this those
+                // buckets stay empty until their first WebSocket candle closes.
+                const replayTf = DUAL_EMA_MODE ? mlTimeframe() : null;
+                for (const tf of DUAL_EMA_MODE ? activeStreamTimeframes() : []) {
+                    if (tf !== replayTf) await getKlines(symbol, tf);
+                }
 
                 // Get historical klines (15m or flat depending on mode)
                 const klines = await getKlines(symbol);
@@ -2173,9 +4354,8 @@ async function startManualDataCollection(chatId) {
                         v: candle.volume.toString()
                     };
 
-                    // Process this candle — pass tf so dual mode writes to the correct cache key
-                    // (symbol_15m) rather than the flat (symbol) bucket
-                    const replayTf = DUAL_EMA_MODE ? '15m' : null;
+                    // Process this candle — pass tf so crossover mode writes to the correct cache key
+                    // (e.g. symbol_15m) rather than the flat (symbol) bucket
                     await processClosedCandle(symbol, klineObj, replayTf);
                 }
 
@@ -2221,15 +4401,22 @@ async function startManualDataCollection(chatId) {
 
 // Graceful WebSocket reconnect — closes all connections, waits 30 s, then reconnects
 // with whatever settings (TIMEFRAME, EMA_PERIOD, VOLUME_THRESHOLD) are currently active.
-// Uses isReconnecting to prevent concurrent reconnects.
-async function refreshWebSockets(chatId) {
+// Uses isReconnecting to prevent concurrent reconnects. queue — for a settings change: a reconnect
+// already running may have read the old settings, so another one is queued to follow it.
+async function refreshWebSockets(chatId, { queue = false } = {}) {
     if (isReconnecting) {
-        if (chatId) await bot.sendMessage(chatId, '⚠️ A reconnection is already in progress. Please wait for it to finish.').catch(() => {});
+        if (queue) {
+            reconnectQueued = true;
+            wsLog('Settings changed during a reconnect — another reconnect will follow it', 'info');
+            if (chatId) await bot.sendMessage(chatId, '⏳ A reconnection is in progress — the new settings apply with the next one, right after it.').catch(() => {});
+        } else if (chatId) {
+            await bot.sendMessage(chatId, '⚠️ A reconnection is already in progress. Please wait for it to finish.').catch(() => {});
+        }
         return;
     }
     isReconnecting = true;
     try {
-        log('Graceful reconnect started — closing all WebSocket streams...', 'info');
+        wsLog('Graceful reconnect started — closing all WebSocket streams...', 'info');
         if (chatId) await bot.sendMessage(chatId, '⏳ *Disconnecting all WebSocket streams...*', { parse_mode: 'Markdown' }).catch(() => {});
 
         // Terminate every pool connection
@@ -2239,38 +4426,56 @@ async function refreshWebSockets(chatId) {
         wsPool.length = 0;
         reconnectionAttempts.clear();
 
-        log('All WebSockets closed. Waiting 10 s before reconnecting...', 'info');
+        wsLog('All WebSockets closed. Waiting 10 s before reconnecting...', 'info');
         if (chatId) await bot.sendMessage(chatId, '⏳ Waiting 10 seconds before reconnecting...').catch(() => {});
 
         await new Promise(resolve => setTimeout(resolve, 10000));
 
-        log('Reconnecting WebSockets with current settings...', 'info');
+        wsLog('Reconnecting WebSockets with current settings...', 'info');
         await setupAllWebSockets();
 
         if (chatId) await bot.sendMessage(chatId, '✅ *WebSocket connections re-established!*', { parse_mode: 'Markdown' }).catch(() => {});
-        log('Graceful reconnect complete.', 'success');
+        wsLog('Graceful reconnect complete.', 'success');
     } catch (error) {
-        log(`Error during graceful reconnect: ${error.message}`, 'error');
+        wsLog(`Error during graceful reconnect: ${error.message}`, 'error');
         if (chatId) await bot.sendMessage(chatId, `❌ Reconnect error: ${error.message}`).catch(() => {});
     } finally {
-        isReconnecting = false;
+        finishReconnect();
+    }
+}
+
+// Clear isReconnecting and run the reconnect queued meanwhile, if any
+function finishReconnect() {
+    isReconnecting = false;
+    if (reconnectQueued) {
+        reconnectQueued = false;
+        refreshWebSockets();
     }
 }
 
+// Inline-button actions reserved for admins (exact names or prefixes)
+const ADMIN_CALLBACKS = [
+    'settings', 'timeframe_', 'ema_', 'toggle_dual_ema', 'volume_', 'toggle_ml', 'filter_',
+    'refresh_ws', 'export_csv', 'train_models', 'sub_'
+];
+
 // Callback query handler for inline buttons
 async function handleCallbackQuery(callbackQuery) {
     const action = callbackQuery.data;
     const chatId = callbackQuery.message.chat.id;
 
-    // Authorization: silently reject callbacks from anyone other than the owner
-    if (chatId.toString() !== TELEGRAM_CHAT_ID) {
-        await bot.answerCallbackQuery(callbackQuery.id, { text: '⛔ Unauthorized.' }).catch(() => {});
-        log(`Unauthorized callback attempt from chatId ${chatId}`, 'warning');
+    // Authorization: active subscribers only; buttons that change global state need an admin
+    const adminOnly = ADMIN_CALLBACKS.some(prefix => action === prefix || action.startsWith(prefix));
+    if (!subscribers.hasRole(chatId, adminOnly ? 'admin' : 'viewer')) {
+        await bot.answerCallbackQuery(callbackQuery.id, { text: adminOnly ? '⛔ Admins only.' : '⛔ Unauthorized.' }).catch(() => {});
+        log(`Unauthorized callback attempt (${action}) from chatId ${chatId}`, 'warning');
         return;
     }
 
     try {
-        if (action === 'status') {
+        if (action.startsWith('sub_')) {
+            await handleSubscriptionCallback(chatId, action);
+        } else if (action === 'status') {
             await sendStatusUpdate(chatId);
         } else if (action === 'settings') {
             await sendSettingsMenu(chatId);
@@ -2299,10 +4504,10 @@ async function handleCallbackQuery(callbackQuery) {
             log(`Timeframe updated to ${newTimeframe}`, 'success');
             saveSettings();
             await sendSettingsMenu(chatId); // show updated menu immediately
-            refreshWebSockets(chatId);      // reconnect in background — sends its own progress msgs
+            refreshWebSockets(chatId, { queue: true }); // reconnect in background — sends its own progress msgs
         } else if (action.startsWith('ema_')) {
             const newEma = parseInt(action.replace('ema_', ''), 10);
-            if (!VALID_EMA_PERIODS.includes(newEma)) {
+            if (!isValidEmaPeriod(newEma)) {
                 await bot.answerCallbackQuery(callbackQuery.id, { text: '⛔ Invalid EMA period.' });
                 return;
             }
@@ -2310,29 +4515,29 @@ async function handleCallbackQuery(callbackQuery) {
             DUAL_EMA_MODE = false;
             log(`EMA period updated to ${newEma}, dual mode disabled`, 'success');
             saveSettings();
-            ema9Cache.clear();
-            ema15Cache.clear();
+            pairEmaCache.clear();
             emaCache.clear();
+            indicatorStreams.clear();
             coinStates.clear();
             await sendSettingsMenu(chatId); // show updated menu immediately
-            refreshWebSockets(chatId);      // reconnect in background — sends its own progress msgs
+            refreshWebSockets(chatId, { queue: true }); // reconnect in background — sends its own progress msgs
         } else if (action === 'toggle_dual_ema') {
             DUAL_EMA_MODE = !DUAL_EMA_MODE;
-            log(`Dual EMA 9/15 mode ${DUAL_EMA_MODE ? 'enabled' : 'disabled'}`, 'success');
+            log(`EMA crossover mode (${crossModeLabel()}) ${DUAL_EMA_MODE ? 'enabled' : 'disabled'}`, 'success');
             saveSettings();
             emaCache.clear();
-            ema9Cache.clear();
-            ema15Cache.clear();
+            pairEmaCache.clear();
+            indicatorStreams.clear();
             coinStates.clear();
             await bot.sendMessage(
                 chatId,
                 DUAL_EMA_MODE
-                    ? '✅ *EMA 9/15 Crossover Mode Enabled [5m + 15m]*\nAlerts will fire when EMA(9) crosses EMA(15) on BOTH the 5-minute and 15-minute timeframes independently. Single EMA settings are ignored.'
-                    : `✅ *EMA 9/15 Mode Disabled*\nReverted to Price vs EMA(${EMA_PERIOD}) crossover mode.`,
+                    ? `✅ *EMA Crossover Mode Enabled*\n${crossModeLabel()}\nAlerts will fire when each fast EMA crosses its slow EMA, on every listed timeframe independently. Single EMA settings are ignored. Change pairs and timeframes with /pairs.`
+                    : `✅ *EMA Crossover Mode Disabled*\nReverted to Price vs EMA(${EMA_PERIOD}) crossover mode.`,
                 { parse_mode: 'Markdown' }
             );
             await sendSettingsMenu(chatId); // show updated menu immediately
-            refreshWebSockets(chatId);      // reconnect in background — sends its own progress msgs
+            refreshWebSockets(chatId, { queue: true }); // reconnect in background — sends its own progress msgs
         } else if (action.startsWith('volume_')) {
             const newVolume = parseInt(action.replace('volume_', ''), 10);
             if (!VALID_VOLUMES.includes(newVolume)) {
@@ -2343,7 +4548,7 @@ async function handleCallbackQuery(callbackQuery) {
             log(`Volume threshold updated to ${newVolume}`, 'success');
             saveSettings();
             await sendSettingsMenu(chatId); // show updated menu immediately
-            refreshWebSockets(chatId);      // reconnect in background — re-fetches pairs with new threshold
+            refreshWebSockets(chatId, { queue: true });      // reconnect in background — re-fetches pairs with new threshold
         } else if (action === 'ml_status') {
             await sendModelPerformance(chatId);
         } else if (action === 'train_models') {
@@ -2357,6 +4562,13 @@ async function handleCallbackQuery(callbackQuery) {
                     endCommand('/train');
                 }
             }
+        } else if (action.startsWith('hist_')) {
+            const [, offset, symbol, days] = action.split('_');
+            await sendHistoryPage(chatId, {
+                symbol: /^[A-Z0-9]+USDT$/.test(symbol) ? symbol : null,
+                days: parseInt(days, 10) || null,
+                offset: Math.max(0, parseInt(offset, 10) || 0)
+            }, callbackQuery.message.message_id);
         } else if (action === 'toggle_ml') {
             ML_ENABLED = !ML_ENABLED;
             saveSettings();
@@ -2365,6 +4577,18 @@ async function handleCallbackQuery(callbackQuery) {
                 `🧠 Machine Learning is now ${ML_ENABLED ? 'enabled' : 'disabled'}`
             );
             await sendSettingsMenu(chatId);
+        } else if (action.startsWith('filter_')) {
+            const filter = action.replace('filter_', '');
+            if (!FILTER_IDS.includes(filter)) {
+                await bot.answerCallbackQuery(callbackQuery.id, { text: '⛔ Unknown filter.' });
+                return;
+            }
+            const enabled = !SIGNAL_FILTERS.includes(filter);
+            SIGNAL_FILTERS = FILTER_IDS.filter(id => (id === filter ? enabled : SIGNAL_FILTERS.includes(id)));
+            if (filter === 'confirm') signalConfirmations.clear();
+            log(`${FILTER_LABELS[filter]} filter ${enabled ? 'enabled' : 'disabled'}`, 'success');
+            saveSettings();
+            await sendSettingsMenu(chatId);
         }
 
         // Answer callback query to remove loading state
@@ -2375,73 +4599,252 @@ async function handleCallbackQuery(callbackQuery) {
     }
 }
 
-// Add this function to save settings to a file
+// settings.json — every runtime setting; edits are picked up while the bot runs (see watchSettings)
+const SETTINGS_PATH = path.join(__dirname, 'settings.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// FILTER_THRESHOLDS entry behind each filter threshold setting
+const FILTER_THRESHOLD_SETTINGS = {
+    FILTER_MIN_REL_VOLUME: 'minRelVolume',
+    FILTER_VOLUME_LOOKBACK: 'volumeLookback',
+    FILTER_MIN_ATR_PCT: 'minAtrPct',
+    FILTER_MIN_ADX: 'minAdx',
+    FILTER_MAX_EMA_DISTANCE_PCT: 'maxEmaDistancePct',
+    FILTER_CONFIRM_CANDLES: 'confirmCandles'
+};
+
+// PAPER_CONFIG entry behind each paper trading setting. PAPER_START_BALANCE is not one: it only
+// seeds a new portfolio and stays the return baseline of the saved one
+const PAPER_CONFIG_SETTINGS = {
+    PAPER_POSITION_PCT: 'positionPct',
+    PAPER_SL_ATR: 'slAtr',
+    PAPER_TP_ATR: 'tpAtr',
+    PAPER_FEE_PCT: 'feePct',
+    PAPER_SLIPPAGE_PCT: 'slippagePct'
+};
+
+// The persisted settings as saved to settings.json (also GET /api/settings)
+function currentSettings() {
+    return {
+        EMA_PERIOD,
+        TIMEFRAME,
+        VOLUME_THRESHOLD,
+        CHECK_INTERVAL,
+        ALERT_COOLDOWN,
+        ML_ENABLED,
+        DUAL_EMA_MODE,
+        EMA_PAIRS: EMA_PAIRS.map(p => `${p.fast}/${p.slow}`).join(','),
+        CROSS_TIMEFRAMES,
+        CONFLUENCE_MODE,
+        CONFLUENCE_TREND_TF,
+        CONFLUENCE_TREND_EMA,
+        EARLY_WARNING,
+        EARLY_WARNING_COOLDOWN,
+        MIN_CROSS_PCT,
+        SIGNAL_FILTERS,
+        ...Object.fromEntries(Object.entries(FILTER_THRESHOLD_SETTINGS).map(([key, threshold]) => [key, FILTER_THRESHOLDS[threshold]])),
+        EXCHANGES: ENABLED_EXCHANGES,
+        SYMBOL_EXCHANGES,
+        WS_TOPICS_PER_CONN,
+        API_RATE_LIMIT,
+        CHART_ALERTS,
+        CHART_CANDLES,
+        DAILY_DIGEST,
+        DAILY_DIGEST_HOUR,
+        PAPER_TRADING,
+        ...Object.fromEntries(Object.entries(PAPER_CONFIG_SETTINGS).map(([key, option]) => [key, PAPER_CONFIG[option]])),
+        WEBHOOK_RETRIES,
+        WEBHOOK_TIMEOUT_MS,
+        DISCORD_ALERTS,
+        SLACK_ALERTS,
+        MAX_RULES_PER_CHAT,
+        ...logSettings()
+    };
+}
+
+// { SOLUSDT: 'okx' } — every entry must be a USDT symbol pinned to a known exchange
+function parseSymbolExchanges(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    for (const [symbol, exchange] of Object.entries(value)) {
+        if (!/^[A-Z0-9]+USDT$/.test(symbol)) throw new Error(`"${symbol}" is not a USDT symbol`);
+        if (!isValidExchange(exchange)) throw new Error(`${symbol}: expected one of ${EXCHANGE_IDS.join(', ')}, got ${JSON.stringify(exchange)}`);
+    }
+    return { ...value };
+}
+
+// "ml=warning, ws=debug" → "ml=warning,ws=debug"; any entry that is not module=level is an error
+function parseLogLevels(value) {
+    if (typeof value !== 'string') return undefined;
+    const { levels, invalid } = parseModuleLevels(value);
+    if (invalid.length > 0) throw new Error(`not module=level: ${invalid.map(entry => JSON.stringify(entry)).join(', ')}`);
+    return Object.entries(levels).map(([module, level]) => `${module}=${level}`).join(',');
+}
+
+// Schema of every setting that can be changed at runtime (settings.json, POST /api/settings) —
+// field types in src/config.js
+const SETTINGS_SCHEMA = {
+    EMA_PERIOD: integer({ min: 2, max: MAX_EMA_PERIOD }),
+    TIMEFRAME: oneOf(VALID_TIMEFRAMES),
+    VOLUME_THRESHOLD: oneOf(VALID_VOLUMES),
+    CHECK_INTERVAL: integer({ min: 60 * 1000, max: DAY_MS, unit: 'ms' }),
+    ALERT_COOLDOWN: integer({ min: 0, max: DAY_MS, unit: 'ms' }),
+    ML_ENABLED: boolean(),
+    DUAL_EMA_MODE: boolean(),
+    EMA_PAIRS: field('FAST/SLOW EMA pairs, e.g. "9/15,20/50"', parseEmaPairs),
+    CROSS_TIMEFRAMES: listOf(VALID_TIMEFRAMES, { min: 1 }),
+    CONFLUENCE_MODE: boolean(),
+    CONFLUENCE_TREND_TF: oneOf(VALID_TIMEFRAMES),
+    CONFLUENCE_TREND_EMA: integer({ min: 2, max: MAX_EMA_PERIOD }),
+    EARLY_WARNING: boolean(),
+    EARLY_WARNING_COOLDOWN: integer({ min: 0, max: DAY_MS, unit: 'ms' }),
+    MIN_CROSS_PCT: number({ min: 0, max: 0.05, unit: 'fraction of price' }),
+    SIGNAL_FILTERS: listOf(FILTER_IDS),
+    FILTER_MIN_REL_VOLUME: number({ min: 0 }),
+    FILTER_VOLUME_LOOKBACK: integer({ min: 2, max: 100, unit: 'candles' }),
+    FILTER_MIN_ATR_PCT: number({ min: 0, unit: '%' }),
+    FILTER_MIN_ADX: number({ min: 0, max: 100 }),
+    FILTER_MAX_EMA_DISTANCE_PCT: number({ min: 0, unit: '%' }),
+    FILTER_CONFIRM_CANDLES: integer({ min: 1, max: 10, unit: 'candles' }),
+    EXCHANGES: listOf(EXCHANGE_IDS, { min: 1 }),
+    SYMBOL_EXCHANGES: field('an object of symbol → exchange, e.g. { "SOLUSDT": "okx" }', parseSymbolExchanges),
+    WS_TOPICS_PER_CONN: integer({ min: 1, max: 500, unit: 'symbols per connection' }),
+    API_RATE_LIMIT: integer({ min: 0, max: 60 * 1000, unit: 'ms between REST calls' }),
+    CHART_ALERTS: boolean(),
+    CHART_CANDLES: integer({ min: 10, max: 200 }),
+    DAILY_DIGEST: boolean(),
+    DAILY_DIGEST_HOUR: integer({ min: 0, max: 23, unit: 'UTC' }),
+    PAPER_TRADING: boolean(),
+    PAPER_POSITION_PCT: number({ min: 0.1, max: 100, unit: '% of equity' }),
+    PAPER_SL_ATR: number({ min: 0.1, max: 20, unit: 'ATR' }),
+    PAPER_TP_ATR: number({ min: 0.1, max: 50, unit: 'ATR' }),
+    PAPER_FEE_PCT: number({ min: 0, max: 5, unit: '% per leg' }),
+    PAPER_SLIPPAGE_PCT: number({ min: 0, max: 5, unit: '% per leg' }),
+    WEBHOOK_RETRIES: integer({ min: 0, max: 10 }),
+    WEBHOOK_TIMEOUT_MS: integer({ min: 500, max: 60 * 1000, unit: 'ms' }),
+    DISCORD_ALERTS: listOf(ALERT_TYPES, { min: 1 }),
+    SLACK_ALERTS: listOf(ALERT_TYPES, { min: 1 }),
+    MAX_RULES_PER_CHAT: integer({ min: 1, max: 100 }),
+    LOG_LEVEL: oneOf(Object.keys(LEVELS)),
+    LOG_LEVELS: field('module=level pairs, e.g. "ml=warning,ws=debug"', parseLogLevels),
+    LOG_CONSOLE: oneOf(CONSOLE_MODES),
+    LOG_MAX_SIZE_MB: number({ min: 0.1, max: 1024, unit: 'MB' }),
+    LOG_MAX_FILES: integer({ min: 1, max: 100, unit: 'archives' })
+};
+
+const LOG_SETTINGS = ['LOG_LEVEL', 'LOG_LEVELS', 'LOG_CONSOLE', 'LOG_MAX_SIZE_MB', 'LOG_MAX_FILES'];
+
+// Assign settings already normalized by SETTINGS_SCHEMA; the LOG_* ones reconfigure the logger
+function applySettings(values) {
+    const logValues = Object.fromEntries(Object.entries(values).filter(([key]) => LOG_SETTINGS.includes(key)));
+    if (Object.keys(logValues).length > 0) configureLogger(logValues);
+    for (const [key, value] of Object.entries(values)) {
+        switch (key) {
+            case 'EMA_PERIOD': EMA_PERIOD = value; break;
+            case 'TIMEFRAME': TIMEFRAME = value; break;
+            case 'VOLUME_THRESHOLD': VOLUME_THRESHOLD = value; break;
+            case 'CHECK_INTERVAL': CHECK_INTERVAL = value; break;
+            case 'ALERT_COOLDOWN': ALERT_COOLDOWN = value; break;
+            case 'ML_ENABLED': ML_ENABLED = value; break;
+            case 'DUAL_EMA_MODE': DUAL_EMA_MODE = value; break;
+            case 'EMA_PAIRS': EMA_PAIRS = value; break;
+            case 'CROSS_TIMEFRAMES': CROSS_TIMEFRAMES = value; break;
+            case 'CONFLUENCE_MODE': CONFLUENCE_MODE = value; break;
+            case 'CONFLUENCE_TREND_TF': CONFLUENCE_TREND_TF = value; break;
+            case 'CONFLUENCE_TREND_EMA': CONFLUENCE_TREND_EMA = value; break;
+            case 'EARLY_WARNING': EARLY_WARNING = value; break;
+            case 'EARLY_WARNING_COOLDOWN': EARLY_WARNING_COOLDOWN = value; break;
+            case 'MIN_CROSS_PCT': MIN_CROSS_PCT = value; break;
+            case 'SIGNAL_FILTERS': SIGNAL_FILTERS = value; break;
+            case 'EXCHANGES': ENABLED_EXCHANGES = value; break;
+            case 'SYMBOL_EXCHANGES': SYMBOL_EXCHANGES = value; break;
+            case 'WS_TOPICS_PER_CONN': WS_TOPICS_PER_CONN = value; break;
+            case 'API_RATE_LIMIT': API_RATE_LIMIT = value; break;
+            case 'CHART_ALERTS': CHART_ALERTS = value; break;
+            case 'CHART_CANDLES': CHART_CANDLES = value; break;
+            case 'DAILY_DIGEST': DAILY_DIGEST = value; break;
+            case 'DAILY_DIGEST_HOUR': DAILY_DIGEST_HOUR = value; break;
+            case 'PAPER_TRADING': PAPER_TRADING = value; break;
+            case 'WEBHOOK_RETRIES': WEBHOOK_RETRIES = value; break;
+            case 'WEBHOOK_TIMEOUT_MS': WEBHOOK_TIMEOUT_MS = value; break;
+            case 'DISCORD_ALERTS': DISCORD_ALERTS = value; break;
+            case 'SLACK_ALERTS': SLACK_ALERTS = value; break;
+            case 'MAX_RULES_PER_CHAT': MAX_RULES_PER_CHAT = value; break;
+            default:
+                if (FILTER_THRESHOLD_SETTINGS[key]) FILTER_THRESHOLDS[FILTER_THRESHOLD_SETTINGS[key]] = value;
+                if (PAPER_CONFIG_SETTINGS[key]) PAPER_CONFIG[PAPER_CONFIG_SETTINGS[key]] = value;
+        }
+    }
+}
+
+// Write settings.json — through a temporary file, so the watcher never reads half of it
 function saveSettings() {
     try {
-        const settings = {
-            EMA_PERIOD,
-            TIMEFRAME,
-            VOLUME_THRESHOLD,
-            CHECK_INTERVAL,
-            ALERT_COOLDOWN,
-            ML_ENABLED,
-            DUAL_EMA_MODE
-        };
-
-        fs.writeFile(
-            path.join(__dirname, 'settings.json'),
-            JSON.stringify(settings, null, 2),
-            (err) => { if (err) log(`Error writing settings file: ${err.message}`, 'error'); }
-        );
+        // Never a value that fails the schema: the file would be rejected on every later edit
+        const { values: settings } = validateSettings(SETTINGS_SCHEMA, currentSettings());
+        const tmpPath = `${SETTINGS_PATH}.tmp`;
+
+        fs.writeFile(tmpPath, JSON.stringify(settings, null, 2), (err) => {
+            if (err) return log(`Error writing settings file: ${err.message}`, 'error');
+            fs.rename(tmpPath, SETTINGS_PATH, (renameErr) => {
+                if (renameErr) log(`Error writing settings file: ${renameErr.message}`, 'error');
+            });
+        });
         log('Settings saved to file', 'success');
     } catch (error) {
         log(`Error saving settings: ${error.message}`, 'error');
     }
 }
 
-// Add this function to load settings from file
+// Settings from the environment pass the same schema as settings.json. An invalid filter threshold
+// or paper trading value (a NaN would silently turn a filter off or break every position) is reported
+// and replaced by its default, like the LOG_* values; any other invalid value is reported, stays in
+// effect and is never written to settings.json (see saveSettings)
+function checkEnvironmentSettings() {
+    const withDefaults = [
+        [FILTER_THRESHOLD_SETTINGS, FILTER_THRESHOLDS, DEFAULT_THRESHOLDS],
+        [PAPER_CONFIG_SETTINGS, PAPER_CONFIG, PAPER_DEFAULTS]
+    ];
+    for (const [settings, values, defaults] of withDefaults) {
+        for (const [key, option] of Object.entries(settings)) {
+            if (SETTINGS_SCHEMA[key].parse(values[option]) !== undefined) continue;
+            log(`${key} "${process.env[key]}" is not ${SETTINGS_SCHEMA[key].expected} — using ${defaults[option]}`, 'warning');
+            values[option] = defaults[option];
+        }
+    }
+    for (const error of validateSettings(SETTINGS_SCHEMA, currentSettings()).errors) {
+        log(`Environment: ${error} — kept, but not saved to settings.json`, 'warning');
+    }
+}
+
+// Apply settings.json at startup — unknown keys and invalid values are reported and skipped
 function loadSettings() {
+    if (!fs.existsSync(SETTINGS_PATH)) return;
     try {
-        const settingsPath = path.join(__dirname, 'settings.json');
-        if (fs.existsSync(settingsPath)) {
-            const parsed = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
-                throw new Error('Invalid settings format: expected a JSON object');
-            }
-
-            const allowedKeys = new Set([
-                'EMA_PERIOD',
-                'TIMEFRAME',
-                'VOLUME_THRESHOLD',
-                'CHECK_INTERVAL',
-                'ALERT_COOLDOWN',
-                'ML_ENABLED',
-                'DUAL_EMA_MODE'
-            ]);
-
-            for (const key of Object.keys(parsed)) {
-                if (!allowedKeys.has(key)) {
-                    throw new Error(`Unknown settings key: ${key}`);
-                }
-            }
-
-            // Clone to a plain data object so inherited/prototype properties are ignored.
-            const settings = Object.assign(Object.create(null), parsed);
-
-            // Update variables with saved settings (whitelist-validated to prevent corrupted settings file)
-            if (VALID_EMA_PERIODS.includes(settings.EMA_PERIOD)) EMA_PERIOD = settings.EMA_PERIOD;
-            if (VALID_TIMEFRAMES.includes(settings.TIMEFRAME)) TIMEFRAME = settings.TIMEFRAME;
-            if (VALID_VOLUMES.includes(settings.VOLUME_THRESHOLD)) VOLUME_THRESHOLD = settings.VOLUME_THRESHOLD;
-            ML_ENABLED = settings.ML_ENABLED !== undefined ? settings.ML_ENABLED : ML_ENABLED;
-            DUAL_EMA_MODE = settings.DUAL_EMA_MODE !== undefined ? settings.DUAL_EMA_MODE : DUAL_EMA_MODE;
-
-            log('Settings loaded from file', 'success');
-        }
+        const { values, errors } = validateSettings(SETTINGS_SCHEMA, readConfigFile(SETTINGS_PATH));
+        for (const error of errors) log(`settings.json: ${error} — ignored`, 'warning');
+        applySettings(values);
+        log('Settings loaded from file', 'success');
     } catch (error) {
         log(`Error loading settings: ${error.message}`, 'error');
     }
 }
 
+// Apply edits of settings.json while the bot runs. A file with any invalid setting is rejected
+// as a whole, so a half-finished edit never applies; keys removed from the file keep their value.
+function watchSettings() {
+    watchConfigFile(SETTINGS_PATH, {
+        onChange(raw) {
+            const { values, errors } = validateSettings(SETTINGS_SCHEMA, raw);
+            if (errors.length > 0) {
+                log(`settings.json not applied — ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, 'error');
+                return;
+            }
+            changeSettings(values, 'settings.json');
+        },
+        onError: error => log(`${error.message} — keeping the current settings`, 'error')
+    });
+}
+
 // Send main menu with ML options
 async function sendMainMenu(chatId) {
     const keyboard = {
@@ -2479,14 +4882,18 @@ async function sendStatusUpdate(chatId) {
 
         const message = `*EMA Tracker Status*\n\n` +
             `*Active Configuration:*\n` +
-            `- EMA Mode: ${DUAL_EMA_MODE ? 'EMA 9/15 Crossover [5m + 15m]' : 'Price vs EMA(' + EMA_PERIOD + ')'}\n` +
-            `- Timeframe: ${DUAL_EMA_MODE ? '5m + 15m' : TIMEFRAME}\n` +
+            `- EMA Mode: ${DUAL_EMA_MODE ? crossModeLabel() + ' Crossover' : 'Price vs EMA(' + EMA_PERIOD + ')'}\n` +
+            `- Timeframe: ${DUAL_EMA_MODE ? CROSS_TIMEFRAMES.join(' + ') : TIMEFRAME}\n` +
+            (DUAL_EMA_MODE && CONFLUENCE_MODE ? `- Confluence: trend EMA(${CONFLUENCE_TREND_EMA}) on ${CONFLUENCE_TREND_TF} ✅\n` : '') +
+            (EARLY_WARNING ? `- Early Warning: forming crossovers ✅\n` : '') +
+            (SIGNAL_FILTERS.length ? `- Signal Filters: ${SIGNAL_FILTERS.map(signalFilterText).join(', ')}\n` : '') +
             `- Volume Threshold: ${VOLUME_THRESHOLD.toLocaleString()}\n` +
+            `- Exchanges: ${ENABLED_EXCHANGES.map(e => getExchange(e).name).join(', ')}\n` +
             `- Monitoring: ${pairs.length} pairs\n` +
             `- Active WebSockets: ${activeWsCount}/${pairs.length}\n` +
             `- Machine Learning: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}\n` +
             `- Last Check: ${new Date().toLocaleString()}\n\n` +
-            `Bot is actively monitoring for ${DUAL_EMA_MODE ? 'EMA 9/15 [5m + 15m]' : 'EMA'} crossovers in real-time.`;
+            `Bot is actively monitoring for ${DUAL_EMA_MODE ? crossModeLabel() : 'EMA'} crossovers in real-time.`;
 
         await bot.sendMessage(chatId, message, {
             parse_mode: 'Markdown',
@@ -2504,9 +4911,21 @@ async function sendStatusUpdate(chatId) {
 }
 
 // Send settings menu with ML toggle and dual EMA option
+// Short description of an enabled signal filter and its threshold, e.g. "ADX ≥ 20"
+function signalFilterText(id) {
+    const t = FILTER_THRESHOLDS;
+    return {
+        volume: `volume ≥ ${t.minRelVolume}x avg(${t.volumeLookback})`,
+        atr: `ATR ≥ ${t.minAtrPct}%`,
+        adx: `ADX ≥ ${t.minAdx}`,
+        distance: `≤ ${t.maxEmaDistancePct}% from EMA`,
+        confirm: `${t.confirmCandles}-candle confirm`
+    }[id];
+}
+
 async function sendSettingsMenu(chatId) {
     // Build the EMA mode display string
-    const emaModeText = DUAL_EMA_MODE ? 'EMA 9/15 Cross' : `EMA ${EMA_PERIOD}`;
+    const emaModeText = DUAL_EMA_MODE ? `${EMA_PAIRS.map(emaPairLabel).join(', ')} Cross` : `EMA ${EMA_PERIOD}`;
 
     const keyboard = {
         inline_keyboard: [
@@ -2523,7 +4942,7 @@ async function sendSettingsMenu(chatId) {
                 { text: 'EMA 200', callback_data: 'ema_200' }
             ],
             [
-                { text: `EMA 9/15 Cross: ${DUAL_EMA_MODE ? 'Enabled ✅' : 'Disabled ❌'}`, callback_data: 'toggle_dual_ema' }
+                { text: `EMA Pair Cross: ${DUAL_EMA_MODE ? 'Enabled ✅' : 'Disabled ❌'}`, callback_data: 'toggle_dual_ema' }
             ],
             [
                 { text: 'Vol 20M', callback_data: 'volume_20000000' },
@@ -2536,13 +4955,21 @@ async function sendSettingsMenu(chatId) {
             [
                 { text: `ML: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}`, callback_data: 'toggle_ml' }
             ],
+            // Signal quality filters, two per row
+            ...FILTER_IDS.reduce((rows, id, i) => {
+                const button = { text: `${FILTER_LABELS[id]} ${SIGNAL_FILTERS.includes(id) ? '✅' : '❌'}`, callback_data: `filter_${id}` };
+                if (i % 2 === 0) rows.push([button]);
+                else rows[rows.length - 1].push(button);
+                return rows;
+            }, []),
             [{ text: '🔙 Back to Menu', callback_data: 'menu' }]
         ]
     };
 
+    const filtersText = `- Signal Filters: ${SIGNAL_FILTERS.length ? SIGNAL_FILTERS.map(signalFilterText).join(', ') : 'none'}`;
     const configText = DUAL_EMA_MODE
-        ? `*Settings*\n\nCurrent Configuration:\n- EMA Mode: 9/15 Crossover ✅\n- Timeframe: 5m + 15m (both monitored)\n- Volume Threshold: ${formatVolume(VOLUME_THRESHOLD)}\n- Machine Learning: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}\n\n_EMA 9/15 monitors both 5m and 15m timeframes simultaneously. Single EMA settings (50/100/200) are ignored._\n\nSelect a new setting:`
-        : `*Settings*\n\nCurrent Configuration:\n- EMA: ${EMA_PERIOD}\n- Timeframe: ${TIMEFRAME}\n- Volume Threshold: ${formatVolume(VOLUME_THRESHOLD)}\n- Machine Learning: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}\n\nSelect a new setting:`;
+        ? `*Settings*\n\nCurrent Configuration:\n- EMA Mode: ${EMA_PAIRS.map(p => `${p.fast}/${p.slow}`).join(', ')} Crossover ✅\n- Timeframe: ${CROSS_TIMEFRAMES.join(' + ')} (all monitored)\n- Volume Threshold: ${formatVolume(VOLUME_THRESHOLD)}\n- Machine Learning: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}\n${filtersText}\n\n_Every pair is checked on every listed timeframe independently; change them with /pairs. Single EMA settings are ignored._\n\nSelect a new setting:`
+        : `*Settings*\n\nCurrent Configuration:\n- EMA: ${EMA_PERIOD}\n- Timeframe: ${TIMEFRAME}\n- Volume Threshold: ${formatVolume(VOLUME_THRESHOLD)}\n- Machine Learning: ${ML_ENABLED ? 'Enabled ✅' : 'Disabled ❌'}\n${filtersText}\n\nSelect a new setting:`;
 
     await bot.sendMessage(chatId, configText, {
         parse_mode: 'Markdown',
@@ -2553,7 +4980,7 @@ async function sendSettingsMenu(chatId) {
 // Send help message
 async function sendHelpMessage(chatId) {
     const helpText = `*EMA Tracker Bot Help*\n\n` +
-        `This bot monitors Bybit Futures markets for EMA crossovers and sends alerts when they occur.\n\n` +
+        `This bot monitors ${ENABLED_EXCHANGES.map(e => getExchange(e).name).join(', ')} Futures markets for EMA crossovers and sends alerts when they occur.\n\n` +
         `*Available Commands:*\n` +
         `/menu - Show the main menu\n` +
         `/status - Check bot status\n` +
@@ -2564,11 +4991,31 @@ async function sendHelpMessage(chatId) {
         `/train - Train ML models manually\n` +
         `/collectdata - Manually collect training data\n` +
         `/exportcsv - Export data to CSV format\n` +
+        `/exchange - List exchanges; /exchange SYMBOL EXCHANGE pins a symbol (EXCHANGE=auto to unpin)\n` +
+        `/history [SYMBOL] [DAYS] - Alerts sent, newest first; /history export [SYMBOL] [DAYS] for a CSV\n` +
+        `/signalstats [SYMBOL] [DAYS] - How past alerts played out at 15m/1h/4h/24h\n` +
+        `/leaderboard [HORIZON] - Best and worst symbol/timeframe/mode combinations\n` +
+        `/portfolio - Paper trading equity, open PnL and positions\n` +
+        `/trades [N] - Last N closed paper trades\n` +
+        `/prefs - Your alert preferences (modes, timeframes, symbols, cooldown, mute)\n` +
+        `/watch, /ignore, /unwatch SYMBOL - Always track a symbol / never alert on it / undo\n` +
+        `/watchlist - Your watched and ignored symbols\n` +
+        `/subscribe, /unsubscribe - Request or drop access to alerts\n` +
+        `/subscribers, /role, /kick - Manage subscribers (admin)\n` +
+        `/webhook [test] - Webhook delivery status or send a test alert (admin)\n` +
+        `/pairs [FAST/SLOW,...|tf 5m,15m] - Show or set crossover EMA pairs and timeframes (setting: admin)\n` +
+        `/confluence [on|off|trend 1h 200] - Show or set the higher-timeframe trend filter (setting: admin)\n` +
+        `/earlywarning [on|off] - Show or toggle alerts for crossovers forming before the candle closes (setting: admin)\n` +
+        `/channels [test] - Discord/Slack routing and status, or send a test alert (admin)\n` +
+        `/strategies [reload] - Built-in and custom signal strategies (reload: admin)\n` +
+        `/strategy enable|disable ID - Receive or stop a strategy's alerts in this chat\n` +
+        `/rule add NAME EXPR, /rule del NAME, /rule test NAME SYMBOL - Your own alert rules, e.g. rsi(14,15m) < 30 and close > ema(200,1h)\n` +
+        `/rules - List your alert rules\n` +
         `/help - Show this help message\n\n` +
         `*How It Works:*\n` +
         `The bot uses WebSockets to track price movements in real-time.\n\n` +
         `*Price vs EMA Mode:* Detects when price crosses above or below a single EMA (50/100/200) on the ${TIMEFRAME} timeframe.\n\n` +
-        `*EMA 9/15 Cross Mode:* Detects when EMA(9) crosses above or below EMA(15) — a short-term momentum strategy. Toggle it in Settings.\n\n` +
+        `*EMA Pair Cross Mode:* Detects when a fast EMA crosses above or below a slow EMA (default 9/15; e.g. 20/50 or 50/200 with /pairs) on each monitored timeframe. Toggle it in Settings.\n\n` +
         `*Machine Learning:*\n` +
         `When enabled, ML models predict future price movements after crossovers to enhance signal quality.`;
 
@@ -2585,37 +5032,35 @@ async function sendTopPerformers(chatId, type = 'gainers') {
     try {
         await bot.sendMessage(chatId, '⏳ Fetching data...');
 
+        // Rank on the primary exchange — the first entry in ENABLED_EXCHANGES
+        const exchange = getExchange(ENABLED_EXCHANGES[0]);
         await enforceRateLimit();
-        const response = await axios.get('https://api.bybit.com/v5/market/tickers', {
-            params: { category: 'linear' },
-            timeout: 10000
-        });
-        let coins = response.data.result.list.filter(coin => coin.symbol.endsWith('USDT'));
+        let coins = await exchange.fetchTickers();
 
         // Sort based on type
         if (type === 'gainers') {
-            coins.sort((a, b) => parseFloat(b.price24hPcnt) - parseFloat(a.price24hPcnt));
+            coins.sort((a, b) => b.changePercent - a.changePercent);
             coins = coins.slice(0, 10); // Top 10 gainers
         } else if (type === 'losers') {
-            coins.sort((a, b) => parseFloat(a.price24hPcnt) - parseFloat(b.price24hPcnt));
+            coins.sort((a, b) => a.changePercent - b.changePercent);
             coins = coins.slice(0, 10); // Top 10 losers
         } else if (type === 'volume') {
-            coins.sort((a, b) => parseFloat(b.turnover24h) - parseFloat(a.turnover24h));
+            coins.sort((a, b) => b.turnover24h - a.turnover24h);
             coins = coins.slice(0, 10); // Top 10 by volume
         }
 
         let title;
-        if (type === 'gainers') title = '📈 *Top Gainers (24h)*';
-        else if (type === 'losers') title = '📉 *Top Losers (24h)*';
-        else title = '💰 *Highest Volume (24h)*';
+        if (type === 'gainers') title = `📈 *Top Gainers (24h) — ${exchange.name}*`;
+        else if (type === 'losers') title = `📉 *Top Losers (24h) — ${exchange.name}*`;
+        else title = `💰 *Highest Volume (24h) — ${exchange.name}*`;
 
         let message = `${title}\n\n`;
 
         coins.forEach((coin, index) => {
             const symbol = coin.symbol;
-            const price = formatPrice(parseFloat(coin.lastPrice));
-            const change = (parseFloat(coin.price24hPcnt) * 100).toFixed(2);
-            const volume = formatVolume(parseFloat(coin.turnover24h));
+            const price = formatPrice(coin.lastPrice);
+            const change = coin.changePercent.toFixed(2);
+            const volume = formatVolume(coin.turnover24h);
 
             const changeEmoji = parseFloat(change) >= 0 ? '🟢' : '🔴';
             message += `${index + 1}. ${symbol}: ${price} (${changeEmoji} ${change}%) - Vol: ${volume}\n`;
@@ -2711,14 +5156,14 @@ async function sendStartupMessage() {
     try {
         const message = `🤖 *EMA Tracker Bot Started* 🤖\n\n` +
             `*Configuration:*\n` +
-            `- EMA Mode: ${DUAL_EMA_MODE ? 'EMA 9/15 Crossover [5m + 15m]' : 'Price vs EMA(' + EMA_PERIOD + ')'}\n` +
-            `- Timeframe: ${DUAL_EMA_MODE ? '5m + 15m (both monitored)' : TIMEFRAME}\n` +
+            `- EMA Mode: ${DUAL_EMA_MODE ? crossModeLabel() + ' Crossover' : 'Price vs EMA(' + EMA_PERIOD + ')'}\n` +
+            `- Timeframe: ${DUAL_EMA_MODE ? CROSS_TIMEFRAMES.join(' + ') + ' (all monitored)' : TIMEFRAME}\n` +
             `- Volume Threshold: ${VOLUME_THRESHOLD.toLocaleString()}\n` +
             `- Check Interval: ${(CHECK_INTERVAL / 60000).toFixed(1)} minutes\n` +
             `- Alert Cooldown: ${(ALERT_COOLDOWN / 60000).toFixed(1)} minutes\n` +
             `- WebSocket Monitoring: Enabled\n` +
             `- ML Enhancement: ${ML_ENABLED ? 'Enabled' : 'Disabled'}\n\n` +
-            `Bot is now monitoring for ${DUAL_EMA_MODE ? 'EMA 9/15 crossovers on both 5m and 15m' : 'EMA crossovers'} in real-time${ML_ENABLED ? ' with ML predictions' : ''}...`;
+            `Bot is now monitoring for ${DUAL_EMA_MODE ? `${EMA_PAIRS.map(emaPairLabel).join(', ')} crossovers on ${CROSS_TIMEFRAMES.join(', ')}` : 'EMA crossovers'} in real-time${ML_ENABLED ? ' with ML predictions' : ''}...`;
 
         await bot.sendMessage(TELEGRAM_CHAT_ID, message, { parse_mode: 'Markdown' });
         log('Startup message sent to Telegram', 'success');
@@ -2726,7 +5171,7 @@ async function sendStartupMessage() {
         // Show desktop notification — mirrors startup message content
         showDesktopNotification(
             '🤖 EMA Tracker Started',
-            `Mode: ${DUAL_EMA_MODE ? 'EMA 9/15 [5m+15m]' : 'Price vs EMA(' + EMA_PERIOD + ')'}\nTimeframe: ${DUAL_EMA_MODE ? '5m + 15m' : TIMEFRAME}  Vol: ${formatVolume(VOLUME_THRESHOLD)}\nML: ${ML_ENABLED ? 'Enabled' : 'Disabled'}`,
+            `Mode: ${DUAL_EMA_MODE ? crossModeLabel() : 'Price vs EMA(' + EMA_PERIOD + ')'}\nTimeframe: ${DUAL_EMA_MODE ? CROSS_TIMEFRAMES.join(' + ') : TIMEFRAME}  Vol: ${formatVolume(VOLUME_THRESHOLD)}\nML: ${ML_ENABLED ? 'Enabled' : 'Disabled'}`,
             'info'
         );
 
@@ -2748,29 +5193,21 @@ function startWebSocketHeartbeat() {
                 const entry = wsPool[i];
                 if (!entry || !entry.ws) continue;
                 if (entry.ws.readyState === WebSocket.CLOSED || entry.ws.readyState === WebSocket.CLOSING) {
-                    fs.appendFileSync(
-                        getDailyLogPath(),
-                        `[${new Date().toISOString()}] Pool WS #${i} is dead. Reconnecting ${entry.symbols.size} symbols...\n`
-                    );
+                    wsLog(`Pool WS #${i} is dead. Reconnecting ${entry.symbols.size} symbols...`, 'warning');
                     const live = Array.from(entry.symbols).filter(s => trackedPairs.has(s));
                     if (live.length > 0) {
                         reconnectionAttempts.set(`pool_${i}`, 0);
-                        wsPool[i] = setupPoolConnection(i, live);
+                        wsReconnects.inc({ pool: i });
+                        wsPool[i] = setupPoolConnection(i, live, entry.exchange);
                         reconnected++;
                     }
                 }
             }
             if (reconnected > 0) {
-                fs.appendFileSync(
-                    getDailyLogPath(),
-                    `[${new Date().toISOString()}] Reconnected ${reconnected} pool connection(s) during heartbeat\n`
-                );
+                wsLog(`Reconnected ${reconnected} pool connection(s) during heartbeat`, 'info');
             }
         } catch (error) {
-            fs.appendFileSync(
-                getDailyLogPath(),
-                `[${new Date().toISOString()}] Error in WebSocket heartbeat: ${error.message}\n`
-            );
+            wsLog(`Error in WebSocket heartbeat: ${error.message}`, 'error');
         }
     }, 60000);
 
@@ -2783,11 +5220,12 @@ function startWebSocketHeartbeat() {
         }
     }, 3 * 60 * 1000);
 
-    // Bybit requires an application-level JSON ping every 20 seconds
+    // Application-level keepalive every 20 seconds for exchanges that need one (Bybit, OKX)
     setInterval(() => {
         for (const entry of wsPool) {
             if (entry && entry.ws && entry.ws.readyState === WebSocket.OPEN) {
-                entry.ws.send(JSON.stringify({ op: 'ping' }));
+                const payload = getExchange(entry.exchange).pingPayload;
+                if (payload) entry.ws.send(payload);
             }
         }
     }, 20 * 1000);
@@ -2956,67 +5394,272 @@ process.on('unhandledRejection', (reason, promise) => {
 // // installRequiredPackages — COMMENTED OUT: not needed, packages are installed via npm
 // async function installRequiredPackages() { ... }
 
-// Calculate ATR (Average True Range) using Wilder's smoothing
-function calculateATR(klines, period = 14) {
-    if (klines.length < period + 1) {
-        return 0;
+// WS pool connections as reported by /api/ws and the dashboard
+function poolStatus() {
+    return wsPool.filter(Boolean).map(entry => ({
+        index: entry.index,
+        exchange: entry.exchange,
+        state: ['connecting', 'open', 'closing', 'closed'][entry.ws.readyState],
+        symbols: entry.symbols.size,
+        reconnectAttempts: reconnectionAttempts.get(`pool_${entry.index}`) || 0
+    }));
+}
+
+// Time of the candle on which series a last crossed series b (both end-aligned with klines), or
+// null when it has stayed on one side for the whole cached window
+function lastCrossTime(klines, a, b) {
+    const n = Math.min(klines.length, a.length, b.length);
+    const above = i => a.at(-1 - i) > b.at(-1 - i);
+    for (let i = 0; i < n - 1; i++) {
+        if (above(i) !== above(i + 1)) return klines.at(-1 - i).time;
     }
+    return null;
+}
 
-    const trueRanges = [];
+// Dashboard rows of a symbol: per crossover timeframe and EMA (pair), above/below, price distance
+// from the EMA (the slow one for pairs) and when the current side was entered
+function dashboardPair(symbol) {
+    const series = [];
+    let price = null;
+    for (const tf of DUAL_EMA_MODE ? CROSS_TIMEFRAMES : [TIMEFRAME]) {
+        const cacheKey = DUAL_EMA_MODE ? tfKey(symbol, tf) : symbol;
+        const klines = klineCache.get(cacheKey);
+        const set = indicatorStreams.get(cacheKey);
+        if (!klines || klines.length === 0 || !set) continue;
+        const close = klines.at(-1).close;
+        price = price ?? close;
+        const history = period => set.history(`ema${period}`) || [];
 
-    // Calculate True Range for each candle
-    for (let i = 1; i < klines.length; i++) {
-        const high = klines[i].high;
-        const low = klines[i].low;
-        const prevClose = klines[i - 1].close;
+        if (DUAL_EMA_MODE) {
+            for (const pair of EMA_PAIRS) {
+                const fast = history(pair.fast);
+                const slow = history(pair.slow);
+                if (fast.length === 0 || slow.length === 0) continue;
+                series.push({
+                    tf,
+                    label: emaPairLabel(pair),
+                    above: fast.at(-1) > slow.at(-1),
+                    distancePct: (close - slow.at(-1)) / slow.at(-1) * 100,
+                    crossedAt: lastCrossTime(klines, fast, slow)
+                });
+            }
+        } else {
+            const ema = history(EMA_PERIOD);
+            if (ema.length === 0) continue;
+            series.push({
+                tf,
+                label: `EMA(${EMA_PERIOD})`,
+                above: close > ema.at(-1),
+                distancePct: (close - ema.at(-1)) / ema.at(-1) * 100,
+                crossedAt: lastCrossTime(klines, klines.map(k => k.close), ema)
+            });
+        }
+    }
+    return { symbol, exchange: symbolExchanges.get(symbol) || null, price, series };
+}
 
-        // True Range is the greatest of:
-        // 1. Current High - Current Low
-        // 2. |Current High - Previous Close|
-        // 3. |Current Low - Previous Close|
-        const tr1 = high - low;
-        const tr2 = Math.abs(high - prevClose);
-        const tr3 = Math.abs(low - prevClose);
+function dashboardStatus() {
+    return {
+        pool: poolStatus(),
+        reconnecting: isReconnecting,
+        lastCandleTime,
+        models: [...modelPerformance].map(([symbol, perf]) => ({ symbol, ...perf }))
+    };
+}
 
-        const trueRange = Math.max(tr1, tr2, tr3);
-        trueRanges.push(trueRange);
-    }
+function dashboardSnapshot() {
+    return {
+        mode: DUAL_EMA_MODE ? `EMA Pair Cross ${crossModeLabel()}` : `Price vs EMA(${EMA_PERIOD}) [${TIMEFRAME}]`,
+        timeframes: DUAL_EMA_MODE ? CROSS_TIMEFRAMES : [TIMEFRAME],
+        mlEnabled: ML_ENABLED,
+        pairs: [...trackedPairs].sort().map(dashboardPair),
+        alerts: alertHistory.query({ limit: 50 }).entries.map(entry => entry.payload),
+        ...dashboardStatus()
+    };
+}
 
-    // Wilder's smoothed ATR: seed with SMA of first `period` TRs, then smooth
-    let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
-    for (let i = period; i < trueRanges.length; i++) {
-        atr = (atr * (period - 1) + trueRanges[i]) / period;
+const dashboard = createDashboard({ snapshot: dashboardSnapshot, status: dashboardStatus, log: createLogger('dashboard') });
+
+// Settings whose change rebuilds the EMA series (and resets crossover states), and those that need
+// the WS pool reconnected — always, or in crossover mode only — mirroring the Telegram commands
+const INDICATOR_SETTINGS = ['EMA_PERIOD', 'DUAL_EMA_MODE', 'EMA_PAIRS', 'CROSS_TIMEFRAMES'];
+const RECONNECT_SETTINGS = ['TIMEFRAME', 'EMA_PERIOD', 'DUAL_EMA_MODE', 'VOLUME_THRESHOLD', 'EXCHANGES', 'SYMBOL_EXCHANGES', 'WS_TOPICS_PER_CONN'];
+const CROSS_RECONNECT_SETTINGS = ['EMA_PAIRS', 'CROSS_TIMEFRAMES', 'CONFLUENCE_MODE', 'CONFLUENCE_TREND_TF', 'CONFLUENCE_TREND_EMA'];
+const DIGEST_SETTINGS = ['DAILY_DIGEST', 'DAILY_DIGEST_HOUR'];
+const WEBHOOK_SETTINGS = ['WEBHOOK_RETRIES', 'WEBHOOK_TIMEOUT_MS'];
+
+// Apply validated settings and restart only what they affect: EMA caches, the WS pool, the periodic
+// check, the digest timer, the early-warning cooldown, the webhook and chat channels (the logger is
+// reconfigured by applySettings). Everything else (alert cooldown, filter thresholds, paper trading,
+// rate limit, charts, rule limit) is read where it is used. source — named in the log line
+function changeSettings(values, source) {
+    const before = currentSettings();
+    applySettings(values);
+    const after = currentSettings();
+    const changed = Object.keys(values).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (changed.length === 0) return { changed, reconnecting: false, queued: false, settings: after };
+
+    log(`Settings changed via ${source}: ${changed.join(', ')}`, 'success');
+    if (changed.some(key => INDICATOR_SETTINGS.includes(key))) {
+        emaCache.clear();
+        pairEmaCache.clear();
+        indicatorStreams.clear();
+        coinStates.clear();
     }
+    if (!SIGNAL_FILTERS.includes('confirm')) signalConfirmations.clear();
+    if (changed.includes('EARLY_WARNING_COOLDOWN')) earlyWarnings.setCooldown(EARLY_WARNING_COOLDOWN);
+    if (changed.includes('CHECK_INTERVAL') && monitoringInterval) startPeriodicCheck();
+    if (changed.some(key => DIGEST_SETTINGS.includes(key)) && initialLoadComplete) scheduleDailyDigest();
+    if (changed.some(key => WEBHOOK_SETTINGS.includes(key))) webhooks?.configure({ retries: WEBHOOK_RETRIES, timeoutMs: WEBHOOK_TIMEOUT_MS });
+    if (changed.includes('DISCORD_ALERTS')) discordChannel?.setTypes(DISCORD_ALERTS);
+    if (changed.includes('SLACK_ALERTS')) slackChannel?.setTypes(SLACK_ALERTS);
+    const reconnect = changed.some(key => RECONNECT_SETTINGS.includes(key) ||
+        (DUAL_EMA_MODE && CROSS_RECONNECT_SETTINGS.includes(key)));
+    // queued — a reconnect was already running; the one for these settings follows it
+    const queued = reconnect && isReconnecting;
+    if (reconnect) refreshWebSockets(null, { queue: true }); // in background, like the Telegram settings menu
+    return { changed, reconnecting: reconnect, queued, settings: after };
+}
 
-    return atr;
+// Change settings from POST /api/settings — all keys are validated before any is applied
+function updateSettingsFromApi(body) {
+    const { values, errors } = validateSettings(SETTINGS_SCHEMA, body);
+    if (errors.length > 0) throw apiError(400, errors.join('; '));
+    const result = changeSettings(values, 'API');
+    if (result.changed.length > 0) saveSettings();
+    return result;
 }
 
-// Remove log files older than 7 days to prevent unbounded disk growth
-function rotateLogs() {
-    try {
-        const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-        if (!fs.existsSync(LOG_DIR)) return;
-        const files = fs.readdirSync(LOG_DIR).filter(f => f.endsWith('.log'));
-        for (const file of files) {
-            const filePath = path.join(LOG_DIR, file);
-            const stats = fs.statSync(filePath);
-            if (stats.mtimeMs < sevenDaysAgo) {
-                fs.unlinkSync(filePath);
-                log(`Rotated old log file: ${file}`, 'info');
+// Coin state / cooldown keys of a symbol: the bare symbol (single EMA mode) or "SYMBOL_..."
+function isSymbolKey(key, symbol) {
+    return key === symbol || key.startsWith(`${symbol}_`);
+}
+
+function queryLimit(value, fallback, max) {
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, max) : fallback;
+}
+
+// JSON API routes (src/api.js) — read-only state for internal tools, plus authenticated control
+function createBotApi() {
+    const api = createApiRouter({ token: API_TOKEN, log: createLogger('api') });
+
+    api.get('/api/pairs', () => ({
+        count: trackedPairs.size,
+        pairs: [...trackedPairs].sort().map(symbol => ({
+            symbol,
+            exchange: symbolExchanges.get(symbol) || null,
+            streaming: wsPool.some(e => e && e.symbols.has(symbol))
+        }))
+    }));
+
+    // Candles, EMA series and latest indicator values of every streamed timeframe (?candles=N, default 50)
+    api.get('/api/symbols/:symbol', ({ params, query }) => {
+        const symbol = params.symbol.toUpperCase();
+        const count = queryLimit(query.candles, 50, 1000);
+        const timeframes = activeStreamTimeframes().map(tf => {
+            const cacheKey = seriesCacheKey(symbol, tf);
+            const klines = klineCache.get(cacheKey);
+            if (!klines) return null;
+            const emas = {};
+            if (DUAL_EMA_MODE) {
+                for (const period of emaPeriodsFor(tf)) emas[period] = (pairEmaCache.get(emaKey(cacheKey, period)) || []).slice(-count);
+            } else if (tf === TIMEFRAME) {
+                emas[EMA_PERIOD] = (emaCache.get(cacheKey) || []).slice(-count);
             }
-        }
-    } catch (error) {
-        log(`Error rotating logs: ${error.message}`, 'error');
-    }
+            const set = indicatorStreams.get(cacheKey);
+            return {
+                tf,
+                candles: klines.slice(-count),
+                emas,
+                indicators: set ? Object.fromEntries(set.names().map(name => [name, set.value(name)])) : null
+            };
+        }).filter(Boolean);
+        if (!trackedPairs.has(symbol) && timeframes.length === 0) throw apiError(404, `${symbol} is not tracked`);
+
+        return {
+            symbol,
+            exchange: symbolExchanges.get(symbol) || null,
+            tracked: trackedPairs.has(symbol),
+            states: Object.fromEntries([...coinStates].filter(([key]) => isSymbolKey(key, symbol))),
+            timeframes
+        };
+    });
+
+    // Crossover states and alert cooldowns (?symbol=)
+    api.get('/api/states', ({ query }) => {
+        const symbol = query.symbol ? query.symbol.toUpperCase() : null;
+        const now = clock.now();
+        return {
+            cooldownMs: ALERT_COOLDOWN,
+            states: [...coinStates]
+                .filter(([key]) => !symbol || isSymbolKey(key, symbol))
+                .map(([key, state]) => ({ key, state })),
+            cooldowns: [...lastAlerts]
+                .filter(([key]) => !symbol || isSymbolKey(key, symbol))
+                .map(([key, time]) => ({
+                    key,
+                    lastAlert: new Date(time).toISOString(),
+                    remainingMs: Math.max(0, ALERT_COOLDOWN - (now - time))
+                }))
+        };
+    });
+
+    // Recent alerts from the alert history, newest first (?symbol=&tf=&limit=&offset=)
+    api.get('/api/alerts', ({ query }) => {
+        const { total, entries } = alertHistory.query({
+            symbol: query.symbol ? query.symbol.toUpperCase() : null,
+            tf: query.tf || null,
+            offset: Math.max(0, parseInt(query.offset, 10) || 0),
+            limit: queryLimit(query.limit, 50, 500)
+        });
+        return { total, alerts: entries.map(entry => entry.payload) };
+    });
+
+    api.get('/api/ws', () => ({
+        reconnecting: isReconnecting,
+        lastCandleTime,
+        timeframes: activeStreamTimeframes(),
+        connections: poolStatus()
+    }));
+
+    api.get('/api/settings', () => currentSettings());
+    api.post('/api/settings', ({ body }) => updateSettingsFromApi(body));
+
+    api.post('/api/refresh', () => {
+        if (isReconnecting) throw apiError(409, 'A reconnection is already in progress');
+        refreshWebSockets();
+        return { status: 'reconnecting' };
+    });
+
+    // Progress and results go to the owner chat, as with /train
+    api.post('/api/train', () => {
+        const guard = beginCommand('/train');
+        if (!guard.ok) throw apiError(409, `Training is ${guard.reason === 'cooldown' ? 'cooling down' : 'already running'}`);
+        trainAllModels(TELEGRAM_CHAT_ID).finally(() => endCommand('/train'));
+        return { status: 'training' };
+    });
+
+    return api;
 }
 
 // Tiny HTTP health endpoint for external monitoring (UptimeRobot, cron jobs, etc.).
-// Returns 200 + JSON status blob on GET /health.
+// Returns 200 + JSON status blob on GET /health and Prometheus metrics on /metrics; the JSON API
+// (createBotApi) answers /api/* and the live dashboard (src/dashboard.js) /dashboard.
 // Configure port via HEALTH_PORT env var (default: 3000).
 function startHealthServer() {
     const port = parseInt(process.env.HEALTH_PORT, 10) || 3000;
-    const server = http.createServer((req, res) => {
-        if (req.url !== '/health') { res.writeHead(404); res.end(); return; }
+    const api = createBotApi();
+    const server = http.createServer(async (req, res) => {
+        if (req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': metricsRegistry.contentType });
+            res.end(metricsRegistry.render());
+            return;
+        }
+        if (req.url !== '/health') {
+            if (!dashboard.handle(req, res) && !(await api.handle(req, res))) { res.writeHead(404); res.end(); }
+            return;
+        }
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
             status: 'ok',
@@ -3032,15 +5675,115 @@ function startHealthServer() {
     server.on('error', e => log(`Health server error: ${e.message}`, 'warning'));
 }
 
+// Offline replay — recorded candles are fed through processClosedCandle in place of the
+// WS pool. The first requiredPeriod candles of each series seed the caches the same way the
+// REST history fetch does live, so EMAs line up with what the bot would have seen.
+async function runReplayMode() {
+    // Never re-record replayed candles into ml_data
+    ML_ENABLED = false;
+    if (!DUAL_EMA_MODE && REPLAY_OPTIONS.tf) TIMEFRAME = REPLAY_OPTIONS.tf;
+    const streamTfs = activeStreamTimeframes();
+
+    let events;
+    try {
+        events = loadReplayEvents({ ...REPLAY_OPTIONS, tf: REPLAY_OPTIONS.tf || streamTfs.at(-1) });
+    } catch (error) {
+        log(`Replay: could not read candle files: ${error.message}`, 'error');
+        process.exitCode = 1;
+        return;
+    }
+    events = events.filter(e => streamTfs.includes(e.tf));
+    if (events.length === 0) {
+        log(`Replay: no ${streamTfs.join('/')} candles found in ${REPLAY_OPTIONS.paths.join(', ')}`, 'warning');
+        return;
+    }
+
+    clock = createSimulatedClock(events[0].kline.t);
+    const requiredPeriod = requiredEmaPeriod();
+    const warmup = new Map(); // cacheKey -> candles buffered until the series can seed its EMAs
+    const symbols = new Set(events.map(e => e.symbol));
+    for (const symbol of symbols) trackedPairs.add(symbol);
+
+    log(`Replay: ${events.length} candles for ${symbols.size} symbol(s) from ${new Date(events[0].kline.t).toISOString()} to ${new Date(events.at(-1).closeTime).toISOString()}`, 'info');
+
+    await runReplay(events, {
+        clock,
+        speed: REPLAY_OPTIONS.speed,
+        onCandle: async ({ symbol, tf, kline }) => {
+            // Timeframes replayed only for alert rules always use composite keys
+            const ruleOnly = !modeStreamTimeframes().includes(tf);
+            const streamTf = DUAL_EMA_MODE || ruleOnly ? tf : null;
+            const cacheKey = streamTf ? tfKey(symbol, streamTf) : symbol;
+            const buffered = warmup.get(cacheKey);
+            if (buffered !== null) {
+                const candles = buffered || [];
+                candles.push({
+                    time: kline.t,
+                    open: parseFloat(kline.o),
+                    high: parseFloat(kline.h),
+                    low: parseFloat(kline.l),
+                    close: parseFloat(kline.c),
+                    volume: parseFloat(kline.v)
+                });
+                if (candles.length < requiredPeriod) {
+                    warmup.set(cacheKey, candles);
+                } else {
+                    seedIndicatorCaches(cacheKey, candles, streamTf);
+                    warmup.set(cacheKey, null); // warmed up — live processing from here on
+                }
+                return;
+            }
+            if (ruleOnly) await processRuleCandle(symbol, kline, tf);
+            else await processClosedCandle(symbol, kline, streamTf);
+        }
+    });
+
+    log(`Replay complete: ${events.length} candles processed, ${replayAlertCount} alert(s) would have been sent`, 'success');
+    const outcomes = signalOutcomes.summarize();
+    for (const horizon of HORIZON_KEYS) {
+        const h = outcomes.horizons[horizon];
+        if (h.graded > 0) {
+            log(`Replay outcomes ${horizon}: ${h.graded} graded, hit ${h.hitRate.toFixed(0)}%, avg move ${formatStatPct(h.avgMove)}, avg MAE ${formatStatPct(h.avgMae)}`, 'info');
+        }
+    }
+    if (PAPER_TRADING) {
+        const paper = paperPortfolio.stats();
+        log(`Replay paper trading: equity ${paper.equity.toFixed(2)} USDT (${formatStatPct(paper.returnPct)}), ` +
+            `${paper.trades} closed trade(s)${paper.winRate !== null ? `, win rate ${paper.winRate.toFixed(0)}%` : ''}, ${paper.openPositions} open`, 'info');
+    }
+}
+
+// Run the check every CHECK_INTERVAL as a backup to the real-time WebSocket monitoring
+// (restarted when CHECK_INTERVAL changes)
+function startPeriodicCheck() {
+    clearInterval(monitoringInterval);
+    monitoringInterval = setInterval(async () => {
+        log('Running periodic check as backup to WebSockets...', 'info');
+        await checkEMACross();
+    }, CHECK_INTERVAL);
+}
+
 // Initialize the terminal and start monitoring
 async function initialize() {
     try {
         // Initialize terminal and load settings
         initializeTerminal();
+        checkEnvironmentSettings();
         loadSettings();
+        loadStrategies();
+        loadRules();
+        if (REPLAY_MODE) {
+            await runReplayMode();
+            return;
+        }
+        watchSettings();
         startHealthServer();
+        openStorage();
+        openAlertHistory();
         loadAlertState(); // restore last-alert timestamps so restarts don't re-fire crossovers
-        rotateLogs();
+        loadSubscribers();
+        loadSignalOutcomes();
+        loadPaperPortfolio();
 
         // Register toast app so click-to-open works on Windows
         registerToastApp();
@@ -3097,7 +5840,8 @@ async function initialize() {
                     if (live.length > 0 && entry.ws.readyState !== WebSocket.OPEN) {
                         log(`Resetting reconnection counter for pool WS #${i} and re-attempting (${live.length} symbols)...`, 'info');
                         reconnectionAttempts.set(poolKey, 0);
-                        wsPool[i] = setupPoolConnection(i, live);
+                        wsReconnects.inc({ pool: i });
+                        wsPool[i] = setupPoolConnection(i, live, entry.exchange);
                     }
                 }
             }
@@ -3108,9 +5852,14 @@ async function initialize() {
             scheduleModelTraining();
         }
 
+        scheduleDailyDigest();
+
         // Schedule periodic saving of training data
         setInterval(saveTrainingData, 30 * 60 * 1000); // Save every 30 minutes
 
+        // Close out signal horizons whose series stopped streaming
+        setInterval(() => signalOutcomes.expire(Date.now()), 5 * 60 * 1000);
+
         // Process deferred updates (replaces unbounded 24h setTimeout timers)
         setInterval(async () => {
             const now = Date.now();
@@ -3120,12 +5869,7 @@ async function initialize() {
             }
         }, 60 * 1000); // check every minute
 
-        // Run the check at the specified interval as a backup
-        // This is in addition to the real-time WebSocket monitoring
-        monitoringInterval = setInterval(async () => {
-            log('Running periodic check as backup to WebSockets...', 'info');
-            await checkEMACross();
-        }, CHECK_INTERVAL);
+        startPeriodicCheck();
 
         log(`Initialization complete. Bot is now monitoring in real-time via WebSockets${ML_ENABLED ? ' with ML enhancement' : ''}.`, 'success');
     } catch (error) {
@@ -0,0 +1,157 @@
+// Backtest the EMA crossover strategies against historical klines.
+//
+//   node scripts/backtest.js --symbols BTCUSDT,ETHUSDT --from 2025-01-01 --to 2025-02-01
+//   node scripts/backtest.js --symbols SOLUSDT --from 2025-01-01 --to 2025-01-15 --mode dual
+//   node scripts/backtest.js --symbols BTCUSDT --from 2025-01-01 --mode dual --pairs 20/50,50/200 --tfs 1h,4h
+//   node scripts/backtest.js --data ml_data --tf 15m --ema 200 --from 2025-01-01 --to 2025-02-01
+//
+// Reports (result.json, signals.csv, summary.csv) are written to backtests/<timestamp>/.
+require('dotenv').config();
+const path = require('path');
+const { getExchange } = require('../src/exchanges');
+const { MIN_CROSS_PCT, DEFAULT_EMA_PAIRS, parseEmaPairs } = require('../src/signals');
+const { TIMEFRAME_MS, parseTime, loadReplayEvents } = require('../src/replay');
+const { DEFAULT_HORIZONS, parseDuration, fetchHistory, runBacktest, writeReports } = require('../src/backtest');
+
+const USAGE = `Usage: node scripts/backtest.js --symbols A,B --from <date> --to <date> [options]
+
+  --symbols A,B       Symbols to test (required unless --data is given)
+  --from <date>       Window start, ISO date or epoch ms (required)
+  --to <date>         Window end, ISO date or epoch ms (default: now)
+  --mode ema|dual     ema = price vs EMA(--ema) on --tf; dual = EMA pairs on --tfs (default: ema)
+  --ema <n>           EMA period for ema mode (default: EMA_PERIOD or 200)
+  --tf <tf>           Timeframe for ema mode (default: TIMEFRAME or 15m)
+  --pairs F/S,...     Fast/slow EMA pairs for dual mode (default: EMA_PAIRS or 9/15)
+  --tfs a,b           Timeframes for dual mode (default: CROSS_TIMEFRAMES or 5m,15m)
+  --exchange <id>     Exchange to pull history from (default: first of EXCHANGES or bybit)
+  --horizons a,b      Forward-return horizons (default: ${DEFAULT_HORIZONS.join(',')})
+  --cooldown <ms>     Alert cooldown (default: ALERT_COOLDOWN or 60000)
+  --min-cross <pct>   Minimum crossover margin as a fraction (default: ${MIN_CROSS_PCT})
+  --data <path>       Use recorded candle files instead of the exchange API
+  --out <dir>         Output directory (default: backtests/<timestamp>)`;
+
+function parseArgs(argv) {
+    const opts = {
+        symbols: null,
+        from: null,
+        to: Date.now(),
+        mode: 'ema',
+        emaPeriod: parseInt(process.env.EMA_PERIOD || '200', 10),
+        tf: process.env.TIMEFRAME || '15m',
+        pairs: process.env.EMA_PAIRS || DEFAULT_EMA_PAIRS,
+        timeframes: (process.env.CROSS_TIMEFRAMES || '5m,15m').split(',').map(tf => tf.trim()).filter(Boolean),
+        exchange: (process.env.EXCHANGES || 'bybit').split(',')[0].trim().toLowerCase(),
+        horizons: DEFAULT_HORIZONS,
+        cooldownMs: parseInt(process.env.ALERT_COOLDOWN || '60000', 10),
+        minCrossPct: MIN_CROSS_PCT,
+        data: null,
+        out: null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+        if (arg === '--symbols') opts.symbols = next().toUpperCase().split(',').filter(Boolean);
+        else if (arg === '--from') opts.from = parseTime(next());
+        else if (arg === '--to') opts.to = parseTime(next());
+        else if (arg === '--mode') opts.mode = next();
+        else if (arg === '--ema') opts.emaPeriod = parseInt(next(), 10);
+        else if (arg === '--tf') opts.tf = next();
+        else if (arg === '--pairs') opts.pairs = next();
+        else if (arg === '--tfs') opts.timeframes = next().split(',').map(tf => tf.trim()).filter(Boolean);
+        else if (arg === '--exchange') opts.exchange = next().toLowerCase();
+        else if (arg === '--horizons') opts.horizons = next().split(',').filter(Boolean);
+        else if (arg === '--cooldown') opts.cooldownMs = parseInt(next(), 10);
+        else if (arg === '--min-cross') opts.minCrossPct = parseFloat(next());
+        else if (arg === '--data') opts.data = next();
+        else if (arg === '--out') opts.out = next();
+        else if (arg === '--help' || arg === '-h') { console.log(USAGE); process.exit(0); }
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    if (opts.from === null || Number.isNaN(opts.from) || Number.isNaN(opts.to)) {
+        throw new Error('--from (and --to if given) must be ISO dates or epoch milliseconds');
+    }
+    if (opts.from >= opts.to) throw new Error('--from must be before --to');
+    if (!['ema', 'dual'].includes(opts.mode)) throw new Error('--mode must be ema or dual');
+    if (!TIMEFRAME_MS[opts.tf]) throw new Error(`--tf must be one of ${Object.keys(TIMEFRAME_MS).join(', ')}`);
+    if (opts.timeframes.length === 0 || !opts.timeframes.every(tf => TIMEFRAME_MS[tf])) {
+        throw new Error(`--tfs must be a comma-separated list of ${Object.keys(TIMEFRAME_MS).join(', ')}`);
+    }
+    opts.pairs = parseEmaPairs(opts.pairs);
+    if (!Number.isInteger(opts.emaPeriod) || opts.emaPeriod < 2) throw new Error('--ema must be an integer >= 2');
+    if (!Number.isFinite(opts.cooldownMs) || opts.cooldownMs < 0) throw new Error('--cooldown must be >= 0');
+    if (!Number.isFinite(opts.minCrossPct) || opts.minCrossPct < 0) throw new Error('--min-cross must be >= 0');
+    opts.horizons.forEach(parseDuration);
+    if (!opts.symbols && !opts.data) throw new Error('--symbols is required when not using --data');
+    return opts;
+}
+
+// Candle source backed by recorded files: loaded once, sliced per symbol/timeframe
+function recordedCandleSource(dataPath, opts) {
+    const tfs = opts.mode === 'dual' ? opts.timeframes : [opts.tf];
+    const series = new Map();
+    for (const tf of tfs) {
+        for (const event of loadReplayEvents({ paths: [dataPath], tf, symbols: opts.symbols })) {
+            if (event.tf !== tf) continue;
+            const key = `${event.symbol}_${tf}`;
+            if (!series.has(key)) series.set(key, []);
+            const k = event.kline;
+            series.get(key).push({
+                time: k.t,
+                open: parseFloat(k.o),
+                high: parseFloat(k.h),
+                low: parseFloat(k.l),
+                close: parseFloat(k.c),
+                volume: parseFloat(k.v)
+            });
+        }
+    }
+    const symbols = [...new Set([...series.keys()].map(key => key.split('_')[0]))].sort();
+    const loadCandles = async (symbol, tf, startMs, endMs) =>
+        (series.get(`${symbol}_${tf}`) || []).filter(c => c.time >= startMs && c.time <= endMs);
+    return { symbols, loadCandles };
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+
+    let loadCandles;
+    if (opts.data) {
+        const source = recordedCandleSource(opts.data, opts);
+        opts.symbols = opts.symbols || source.symbols;
+        loadCandles = source.loadCandles;
+        console.log(`Using recorded data from ${opts.data} (${opts.symbols.length} symbols)`);
+    } else {
+        const exchange = getExchange(opts.exchange);
+        loadCandles = (symbol, tf, startMs, endMs) => fetchHistory(exchange, symbol, tf, startMs, endMs);
+        console.log(`Fetching history from ${exchange.name}`);
+    }
+
+    const { data, out, exchange, ...params } = opts;
+    const result = await runBacktest(
+        { ...params, exchange: data ? null : exchange, data },
+        { loadCandles, log: msg => console.log(`  ${msg}`) }
+    );
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outDir = out || path.join(__dirname, '..', 'backtests', stamp);
+    const files = await writeReports(result, outDir);
+
+    const overall = result.summary.overall;
+    console.log(`\n${overall.signals} signals (${overall.longs} long / ${overall.shorts} short), ${overall.suppressedByCooldown} suppressed by cooldown`);
+    for (const horizon of result.params.horizons) {
+        const h = overall.horizons[horizon];
+        const fmt = v => (v === null ? 'n/a' : v.toFixed(2));
+        console.log(`  ${horizon.padEnd(4)} evaluated ${String(h.evaluated).padStart(4)} | hit ${fmt(h.hitRate)}% | avg move ${fmt(h.avgMove)}% | avg MAE ${fmt(h.avgMae)}% | worst MAE ${fmt(h.worstMae)}%`);
+    }
+    console.log(`\nReports written to ${path.dirname(files.jsonPath)}`);
+}
+
+main().catch(error => {
+    console.error(`Backtest failed: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+});
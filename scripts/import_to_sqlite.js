@@ -0,0 +1,201 @@
+// One-time import of the legacy file stores into the SQLite database.
+//
+//   node scripts/import_to_sqlite.js                 # import everything found under the project root
+//   node scripts/import_to_sqlite.js --tf 15m        # timeframe the ML data points were collected on
+//   node scripts/import_to_sqlite.js --force         # re-import files that were already imported
+//
+// Reads ml_data/<SYMBOL>/*.ndjson|json, ml_data/<SYMBOL>/labels.ndjson, ml_data/model_performance.json,
+// csv_data/<SYMBOL>/*.csv, alert_state.json and signal_outcomes.json. Every file is recorded in the
+// imports table with its mtime, so running the script again only picks up files that changed.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { openStore } = require('../src/db');
+const { parseCsv } = require('../src/replay');
+
+const ROOT = path.join(__dirname, '..');
+const NON_CANDLE_FILES = new Set(['labels.ndjson', 'model_performance.json']);
+
+function parseArgs(argv) {
+    let settingsTf = null;
+    try {
+        settingsTf = JSON.parse(fs.readFileSync(path.join(ROOT, 'settings.json'), 'utf8')).TIMEFRAME || null;
+    } catch (e) {
+        // no settings.json — fall back to env/default
+    }
+    const opts = {
+        db: process.env.DB_PATH || path.join(ROOT, 'ema_tracker.db'),
+        tf: settingsTf || process.env.TIMEFRAME || '15m',
+        force: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--db') opts.db = argv[++i];
+        else if (argv[i] === '--tf') opts.tf = argv[++i];
+        else if (argv[i] === '--force') opts.force = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return opts;
+}
+
+function readLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+function num(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// A recorded ML data point (NDJSON/JSON/CSV row) with numeric fields restored
+function toDataPoint(record, symbol) {
+    const point = {
+        timestamp: num(record.timestamp ?? record.time),
+        symbol: String(record.symbol || symbol).toUpperCase()
+    };
+    for (const key of ['open', 'high', 'low', 'close', 'volume', 'ema', 'ema_diff', 'rsi', 'macd', 'macd_signal',
+        'macd_hist', 'bb_upper', 'bb_middle', 'bb_lower', 'bb_width', 'atr', 'volume_change', 'future_price_change', 'label',
+        'vwap', 'vwap_diff', 'supertrend', 'supertrend_dir', 'adx', 'plus_di', 'minus_di', 'stochrsi_k', 'stochrsi_d',
+        'ichimoku_tenkan', 'ichimoku_kijun', 'ichimoku_cloud_a', 'ichimoku_cloud_b', 'obv',
+        'kc_upper', 'kc_middle', 'kc_lower', 'dc_upper', 'dc_middle', 'dc_lower']) {
+        point[key] = num(record[key]);
+    }
+    point.atr_valid = record.atr_valid === true || record.atr_valid === 'true' ? true
+        : record.atr_valid === false || record.atr_valid === 'false' ? false : null;
+    const complete = [point.timestamp, point.open, point.high, point.low, point.close].every(v => v !== null);
+    return complete ? point : null;
+}
+
+// Import one file once (per mtime); handler returns the number of rows written
+function importFile(store, filePath, force, handler) {
+    const mtime = Math.floor(fs.statSync(filePath).mtimeMs);
+    const rel = path.relative(ROOT, filePath);
+    const previous = store.getImport(rel);
+    if (!force && previous && previous.mtime === mtime) {
+        console.log(`  skip ${rel} (already imported, ${previous.rows} rows)`);
+        return 0;
+    }
+    const rows = store.transaction(() => handler(filePath));
+    store.markImport(rel, mtime, rows);
+    console.log(`  ${rel}: ${rows} rows`);
+    return rows;
+}
+
+function symbolDirs(base) {
+    if (!fs.existsSync(base)) return [];
+    return fs.readdirSync(base)
+        .filter(entry => fs.statSync(path.join(base, entry)).isDirectory())
+        .map(entry => ({ symbol: entry, dir: path.join(base, entry) }));
+}
+
+function importDataPoints(store, records, symbol, tf) {
+    let rows = 0;
+    for (const record of records) {
+        const point = toDataPoint(record, symbol);
+        if (!point) continue;
+        if (point.ema !== null) store.saveDataPoint(point.symbol, tf, point);
+        else store.insertCandle(point.symbol, tf, { time: point.timestamp, ...point });
+        rows++;
+    }
+    return rows;
+}
+
+// alert_state.json keys: SYMBOL_state (single mode) or SYMBOL_tf_state (crossover mode), where a
+// crossover state is ema9_above (EMA 9/15) or emaFAST_SLOW_above (any other pair)
+function parseAlertKey(key) {
+    const match = /^([A-Z0-9]+?)_(?:(\d+[mh])_)?(?:ema(\d+)(?:_(\d+))?_)?(above|below)$/.exec(key);
+    if (!match) return null;
+    const [, symbol, tf, fast, slow, side] = match;
+    return {
+        symbol,
+        tf: tf || null,
+        mode: fast ? 'dual' : 'ema',
+        label: fast ? `EMA ${fast}/${slow || 15}` : null,
+        direction: side === 'above' ? 'up' : 'down'
+    };
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const store = openStore(opts.db);
+    console.log(`Importing into ${opts.db} (ML data timeframe: ${opts.tf})`);
+    let total = 0;
+
+    // CSV snapshots first: the NDJSON files are the source of truth and overwrite them
+    for (const { symbol, dir } of symbolDirs(path.join(ROOT, 'csv_data'))) {
+        for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.csv')).sort()) {
+            total += importFile(store, path.join(dir, file), opts.force, p =>
+                importDataPoints(store, parseCsv(fs.readFileSync(p, 'utf8')), symbol, opts.tf));
+        }
+    }
+
+    for (const { symbol, dir } of symbolDirs(path.join(ROOT, 'ml_data'))) {
+        for (const file of fs.readdirSync(dir).sort()) {
+            const filePath = path.join(dir, file);
+            if (file === 'labels.ndjson') {
+                total += importFile(store, filePath, opts.force, p => {
+                    let rows = 0;
+                    for (const l of readLines(p)) {
+                        if (num(l.timestamp) === null || num(l.future_price_change) === null) continue;
+                        store.setLabel(symbol, num(l.timestamp), num(l.future_price_change), num(l.label));
+                        rows++;
+                    }
+                    return rows;
+                });
+            } else if (/\.(ndjson|json)$/.test(file) && !NON_CANDLE_FILES.has(file)) {
+                total += importFile(store, filePath, opts.force, p => {
+                    const records = file.endsWith('.ndjson') ? readLines(p) : JSON.parse(fs.readFileSync(p, 'utf8'));
+                    return importDataPoints(store, Array.isArray(records) ? records : [], symbol, opts.tf);
+                });
+            }
+        }
+    }
+
+    const perfPath = path.join(ROOT, 'ml_data', 'model_performance.json');
+    if (fs.existsSync(perfPath)) {
+        total += importFile(store, perfPath, opts.force, p => {
+            const entries = JSON.parse(fs.readFileSync(p, 'utf8'));
+            for (const [symbol, perf] of entries) store.saveModelMetrics(symbol, perf);
+            return entries.length;
+        });
+    }
+
+    const alertStatePath = path.join(ROOT, 'alert_state.json');
+    if (fs.existsSync(alertStatePath)) {
+        total += importFile(store, alertStatePath, opts.force, p => {
+            const { alerts = [] } = JSON.parse(fs.readFileSync(p, 'utf8'));
+            let rows = 0;
+            for (const [key, time] of alerts) {
+                const parsed = parseAlertKey(key);
+                if (parsed && store.recordAlert({ ...parsed, time, source: 'alert_state' })) rows++;
+            }
+            return rows;
+        });
+    }
+
+    const outcomesPath = path.join(ROOT, 'signal_outcomes.json');
+    if (fs.existsSync(outcomesPath)) {
+        total += importFile(store, outcomesPath, opts.force, p => {
+            const { open = [], closed = [] } = JSON.parse(fs.readFileSync(p, 'utf8'));
+            let rows = 0;
+            for (const s of [...closed, ...open]) {
+                const alert = {
+                    symbol: s.symbol, tf: s.tf, mode: s.mode, label: s.label, direction: s.direction,
+                    price: s.entryPrice, time: s.entryTime, source: 'outcomes'
+                };
+                if (store.recordAlert(alert)) rows++;
+            }
+            return rows;
+        });
+    }
+
+    store.close();
+    console.log(`Done — ${total} rows imported.`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Import failed: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,109 @@
+// Local stand-in for a webhook consumer — prints every alert the bot POSTs and checks its signature.
+//
+//   node scripts/webhook_receiver.js                     # listen on http://localhost:8787/
+//   node scripts/webhook_receiver.js --port 9000
+//   node scripts/webhook_receiver.js --fail 2            # answer 503 to the first 2 requests (exercises retries)
+//   node scripts/webhook_receiver.js --status 400        # reject everything with 400 (exercises the dead-letter file)
+//   node scripts/webhook_receiver.js --send              # also POST one sample alert to itself through the real channel
+//
+// Point the bot at it with WEBHOOK_URLS=http://localhost:8787/ and, if WEBHOOK_SECRET is set,
+// run the receiver with the same environment so signatures can be verified.
+require('dotenv').config();
+const http = require('http');
+const path = require('path');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature, createWebhookChannel } = require('../src/channels/webhook');
+
+function parseArgs(argv) {
+    const opts = { port: 8787, fail: 0, status: null, send: false, secret: process.env.WEBHOOK_SECRET || '' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') opts.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--fail') opts.fail = parseInt(argv[++i], 10);
+        else if (argv[i] === '--status') opts.status = parseInt(argv[++i], 10);
+        else if (argv[i] === '--secret') opts.secret = argv[++i];
+        else if (argv[i] === '--send') opts.send = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return opts;
+}
+
+function samplePayload() {
+    return {
+        event: 'crossover',
+        id: `BTCUSDT_15m_${Date.now()}`,
+        symbol: 'BTCUSDT',
+        exchange: 'bybit',
+        mode: 'ema',
+        label: 'EMA(200)',
+        timeframe: '15m',
+        direction: 'up',
+        signal: 'bullish',
+        price: 65000,
+        emas: { 200: 64800 },
+        spreadPct: 0.31,
+        oi: { oiNow: 51000, oiPrev: 50500, deltaPercent: 0.99 },
+        stats24h: { changePercent: 2.4, quoteVolume: 5200000000 },
+        ml: null,
+        chartUrl: 'https://www.tradingview.com/chart/?symbol=BYBIT:BTCUSDT.P',
+        time: new Date().toISOString(),
+        test: true
+    };
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    let received = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received++;
+            let verdict = 'unsigned';
+            if (opts.secret) {
+                verdict = verifySignature(opts.secret, req.headers[TIMESTAMP_HEADER.toLowerCase()], body, req.headers[SIGNATURE_HEADER.toLowerCase()])
+                    ? 'signature ok'
+                    : 'BAD SIGNATURE';
+            }
+
+            let status = opts.status || 200;
+            if (received <= opts.fail) status = 503;
+            if (verdict === 'BAD SIGNATURE') status = 401;
+
+            let summary = body;
+            try {
+                const alert = JSON.parse(body);
+                summary = `${alert.symbol} ${alert.timeframe} ${alert.signal} @ ${alert.price} (${alert.mode})`;
+            } catch (e) {
+                // not JSON — print it raw
+            }
+            console.log(`#${received} ${req.method} ${req.url} → ${status} [${verdict}] ${summary}`);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: status < 300 }));
+        });
+    });
+
+    server.listen(opts.port, async () => {
+        const url = `http://localhost:${opts.port}/`;
+        console.log(`Webhook receiver listening on ${url}${opts.secret ? ' (verifying signatures)' : ''}`);
+        if (!opts.send) return;
+
+        const channel = createWebhookChannel({
+            urls: [url],
+            secret: opts.secret,
+            retries: 3,
+            backoffMs: 200,
+            deadLetterPath: path.join(__dirname, '..', 'webhook_dead_letter.ndjson'),
+            log: message => console.log(`  channel: ${message}`)
+        });
+        const delivered = await channel.send(samplePayload());
+        console.log(`Sample alert ${delivered ? 'delivered' : 'dead-lettered'} — ${JSON.stringify(channel.stats())}`);
+        server.close();
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Webhook receiver failed: ${error.message}`);
+    process.exit(1);
+}
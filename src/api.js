@@ -0,0 +1,125 @@
+// Local JSON API, served next to /health on HEALTH_PORT.
+// GET routes are read-only and open; POST routes change the bot and need
+//   Authorization: Bearer <API_TOKEN>
+// (they answer 403 while no token is configured). Handlers get { params, query, body } and
+// return the JSON to send; throw apiError(status, message) for a client error.
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Error a handler throws to answer with `status` instead of 500
+function apiError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function tokenMatches(token, header) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(String(header || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(apiError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(apiError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// '/api/symbols/:symbol' → matcher returning { symbol } for '/api/symbols/BTCUSDT', else null
+function compilePath(pattern) {
+    const parts = pattern.split('/');
+    return (pathname) => {
+        const actual = pathname.split('/');
+        if (actual.length !== parts.length) return null;
+        const params = {};
+        for (let i = 0; i < parts.length; i++) {
+            if (!parts[i].startsWith(':')) {
+                if (parts[i] !== actual[i]) return null;
+                continue;
+            }
+            try {
+                params[parts[i].slice(1)] = decodeURIComponent(actual[i]);
+            } catch (error) {
+                return null; // malformed %-escape
+            }
+        }
+        return params;
+    };
+}
+
+// token — API_TOKEN for POST routes ('' disables them); log(message, type) — main.js logger
+function createApiRouter({ token = '', log = () => {} } = {}) {
+    const routes = [];
+
+    function route(method, pattern, handler) {
+        routes.push({ method, match: compilePath(pattern), handler });
+    }
+
+    // Answer req if one of the routes matches → true, false when none does (the caller 404s)
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const matching = routes.filter(r => r.match(url.pathname) !== null);
+        if (matching.length === 0) return false;
+
+        const target = matching.find(r => r.method === req.method);
+        if (!target) {
+            res.setHeader('Allow', matching.map(r => r.method).join(', '));
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+            return true;
+        }
+        const params = target.match(url.pathname);
+
+        try {
+            if (req.method === 'POST') {
+                if (!token) throw apiError(403, 'POST routes are disabled — set API_TOKEN');
+                if (!tokenMatches(token, req.headers.authorization)) {
+                    log(`API: rejected ${req.method} ${url.pathname} from ${req.socket.remoteAddress} (bad token)`, 'warning');
+                    throw apiError(401, 'Missing or invalid bearer token');
+                }
+            }
+            const body = req.method === 'POST' ? await readBody(req) : {};
+            const query = Object.fromEntries(url.searchParams);
+            const result = await target.handler({ params, query, body });
+            sendJson(res, 200, result);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) log(`API ${req.method} ${url.pathname} failed: ${error.message}`, 'error');
+            sendJson(res, status, { error: error.message });
+        }
+        return true;
+    }
+
+    return {
+        get: (pattern, handler) => route('GET', pattern, handler),
+        post: (pattern, handler) => route('POST', pattern, handler),
+        handle
+    };
+}
+
+module.exports = {
+    apiError,
+    createApiRouter
+};
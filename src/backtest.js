@@ -0,0 +1,293 @@
+// Backtesting engine for the EMA crossover strategies.
+// Replays historical klines through the same rules the live tracker uses (src/signals.js:
+// MIN_CROSS_PCT margin + direction-change/ALERT_COOLDOWN gate) and scores every simulated
+// signal by its forward return, hit rate and max adverse/favorable excursion.
+const fs = require('fs');
+const path = require('path');
+const { createObjectCsvWriter } = require('csv-writer');
+const { createEMA, series } = require('./streaming');
+const { DEFAULT_EMA_PAIRS, emaPairLabel, emaPairStateKey, evaluateAlertGate } = require('./signals');
+const emaCrossStrategy = require('./strategies/ema_cross');
+const emaPairStrategy = require('./strategies/ema_pair');
+const { TIMEFRAME_MS } = require('./replay');
+
+const DEFAULT_HORIZONS = ['15m', '1h', '4h', '24h'];
+const DUAL_TIMEFRAMES = ['5m', '15m'];
+
+// '15m' → 900000, '4h' → 14400000, '1d' → 86400000
+function parseDuration(str) {
+    const match = /^(\d+)(m|h|d)$/.exec(String(str).trim());
+    if (!match) throw new Error(`Invalid duration "${str}" — expected e.g. 15m, 4h, 1d`);
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+    return parseInt(match[1], 10) * unit;
+}
+
+// Page backwards through an exchange's kline history until startMs is covered.
+// Returns candles oldest-first with open time in [startMs, endMs].
+async function fetchHistory(exchange, symbol, tf, startMs, endMs, { pageSize = 1000, delayMs = 1200 } = {}) {
+    const byTime = new Map();
+    let end = endMs;
+    while (end >= startMs) {
+        const page = await exchange.fetchKlines(symbol, tf, pageSize, end);
+        if (page.length === 0) break;
+        for (const candle of page) byTime.set(candle.time, candle);
+        const earliest = page[0].time;
+        if (earliest <= startMs || earliest > end) break;
+        end = earliest - 1;
+        // Same spacing as the live enforceRateLimit so a long backtest never trips a 429
+        await new Promise(r => setTimeout(r, delayMs));
+    }
+    return [...byTime.values()]
+        .filter(c => c.time >= startMs && c.time <= endMs)
+        .sort((a, b) => a.time - b.time);
+}
+
+// Forward performance of a signal at candle i over the next `steps` candles.
+// move/mae/mfe are signed in the signal's favour (a winning short has a positive move).
+function forwardStats(candles, i, steps, direction) {
+    if (i + steps >= candles.length) return null;
+    const entry = candles[i].close;
+    const exit = candles[i + steps].close;
+    const sign = direction === 'up' ? 1 : -1;
+
+    let worst = 0;
+    let best = 0;
+    for (let j = i + 1; j <= i + steps; j++) {
+        const adverse = direction === 'up' ? candles[j].low : candles[j].high;
+        const favorable = direction === 'up' ? candles[j].high : candles[j].low;
+        worst = Math.min(worst, sign * (adverse - entry) / entry * 100);
+        best = Math.max(best, sign * (favorable - entry) / entry * 100);
+    }
+
+    const ret = (exit - entry) / entry * 100;
+    return { ret, move: sign * ret, mae: worst, mfe: best, hit: sign * ret > 0 };
+}
+
+// Run one symbol/timeframe series through the live rules.
+// Only candles whose open time falls in [from, to] can produce signals; earlier candles
+// warm up the EMAs and later ones exist only to score forward returns.
+// pair — the { fast, slow } EMA pair simulated in dual mode
+function simulateSeries({ symbol, tf, candles, mode, emaPeriod, pair = DEFAULT_EMA_PAIRS[0], minCrossPct, cooldownMs, from, to, horizons }) {
+    const tfMs = TIMEFRAME_MS[tf];
+    const closes = candles.map(c => c.close);
+    const states = new Map();
+    const alerts = new Map();
+    const signals = [];
+    let suppressed = 0;
+
+    // EMA values index-aligned with candles (null during warm-up)
+    const fast = series(createEMA(mode === 'dual' ? pair.fast : emaPeriod), closes);
+    const slow = mode === 'dual' ? series(createEMA(pair.slow), closes) : null;
+    const firstValid = mode === 'dual' ? pair.slow : emaPeriod;
+    const label = mode === 'dual' ? emaPairLabel(pair) : `EMA(${emaPeriod})`;
+
+    // Live single mode keys state by symbol only; dual mode keys by symbol + timeframe (+ pair)
+    const stateKey = mode === 'dual' ? emaPairStateKey(`${symbol}_${tf}`, pair) : symbol;
+
+    for (let i = firstValid; i < candles.length; i++) {
+        const openTime = candles[i].time;
+        if (openTime < from || openTime > to) continue;
+
+        // Same rule functions as the bot's built-in strategies
+        let reading, reference;
+        if (mode === 'dual') {
+            reading = emaPairStrategy.evaluate({ pair, prevFast: fast[i - 1], lastFast: fast[i], prevSlow: slow[i - 1], lastSlow: slow[i], minCrossPct });
+            reference = { emaFast: fast[i], emaSlow: slow[i] };
+        } else {
+            reading = emaCrossStrategy.evaluate({ prevPrice: closes[i - 1], lastPrice: closes[i], prevEma: fast[i - 1], lastEma: fast[i], minCrossPct });
+            reference = { ema: fast[i] };
+        }
+        const { direction: cross, state: currentState, spreadPct: spread } = reading;
+
+        if (!cross) {
+            // No crossover — update tracked state so future crossovers are detected
+            states.set(stateKey, currentState);
+            continue;
+        }
+
+        const alertKey = mode === 'dual' ? `${symbol}_${tf}_${currentState}` : `${symbol}_${currentState}`;
+        const closeTime = openTime + tfMs;
+        const verdict = evaluateAlertGate(states, alerts, { stateKey, alertKey, currentState, now: closeTime, cooldownMs });
+        if (verdict === 'cooldown') suppressed++;
+        if (verdict !== 'alert') continue;
+
+        const signal = {
+            symbol,
+            mode,
+            label,
+            tf,
+            direction: cross,
+            time: new Date(closeTime).toISOString(),
+            entryPrice: closes[i],
+            ...reference,
+            spreadPct: spread,
+            horizons: {}
+        };
+        for (const horizon of horizons) {
+            signal.horizons[horizon] = forwardStats(candles, i, Math.ceil(parseDuration(horizon) / tfMs), cross);
+        }
+        signals.push(signal);
+    }
+
+    return { signals, suppressed };
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Hit rate, average move and excursions per horizon for a set of signals
+function summarizeSignals(signals, horizons) {
+    const summary = {
+        signals: signals.length,
+        longs: signals.filter(s => s.direction === 'up').length,
+        shorts: signals.filter(s => s.direction === 'down').length,
+        horizons: {}
+    };
+    for (const horizon of horizons) {
+        const scored = signals.map(s => s.horizons[horizon]).filter(Boolean);
+        summary.horizons[horizon] = {
+            evaluated: scored.length,
+            hitRate: scored.length ? scored.filter(s => s.hit).length / scored.length * 100 : null,
+            avgMove: mean(scored.map(s => s.move)),
+            avgMae: mean(scored.map(s => s.mae)),
+            worstMae: scored.length ? Math.min(...scored.map(s => s.mae)) : null,
+            avgMfe: mean(scored.map(s => s.mfe))
+        };
+    }
+    return summary;
+}
+
+// Run a full backtest.
+// opts: { symbols, from, to, mode: 'ema'|'dual', emaPeriod, tf, pairs, timeframes, horizons, cooldownMs, minCrossPct }
+// pairs/timeframes apply to dual mode (default EMA 9/15 on 5m + 15m).
+// loadCandles(symbol, tf, startMs, endMs) supplies history (exchange or recorded files).
+async function runBacktest(opts, { loadCandles, log = () => {} }) {
+    const horizons = opts.horizons || DEFAULT_HORIZONS;
+    const pairs = opts.mode === 'dual' ? (opts.pairs || DEFAULT_EMA_PAIRS) : [null];
+    const tfs = opts.mode === 'dual' ? (opts.timeframes || DUAL_TIMEFRAMES) : [opts.tf];
+    const warmupPeriod = opts.mode === 'dual' ? Math.max(...pairs.map(p => p.slow)) : opts.emaPeriod;
+    const maxHorizonMs = Math.max(...horizons.map(parseDuration));
+
+    const signals = [];
+    let suppressed = 0;
+    for (const symbol of opts.symbols) {
+        for (const tf of tfs) {
+            const tfMs = TIMEFRAME_MS[tf];
+            // 3x the EMA period of warm-up lets the SMA seed wash out before the window opens
+            const startMs = opts.from - Math.max(warmupPeriod * 3, 100) * tfMs;
+            const endMs = Math.min(opts.to + maxHorizonMs, Date.now());
+            const candles = await loadCandles(symbol, tf, startMs, endMs);
+            log(`${symbol} [${tf}]: ${candles.length} candles`);
+            if (candles.length <= warmupPeriod) {
+                log(`${symbol} [${tf}]: not enough candles for EMA(${warmupPeriod}) — skipped`);
+                continue;
+            }
+            for (const pair of pairs) {
+                const result = simulateSeries({ ...opts, symbol, tf, candles, horizons, ...(pair ? { pair } : {}) });
+                signals.push(...result.signals);
+                suppressed += result.suppressed;
+            }
+        }
+    }
+    signals.sort((a, b) => a.time.localeCompare(b.time) || a.symbol.localeCompare(b.symbol));
+
+    const bySymbol = {};
+    for (const symbol of opts.symbols) {
+        bySymbol[symbol] = summarizeSignals(signals.filter(s => s.symbol === symbol), horizons);
+    }
+
+    return {
+        params: {
+            ...opts,
+            horizons,
+            from: new Date(opts.from).toISOString(),
+            to: new Date(opts.to).toISOString()
+        },
+        signals,
+        summary: { overall: { ...summarizeSignals(signals, horizons), suppressedByCooldown: suppressed }, bySymbol }
+    };
+}
+
+// Write result.json, signals.csv and summary.csv into outDir; returns the written paths
+async function writeReports(result, outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const { horizons } = result.params;
+
+    const jsonPath = path.join(outDir, 'result.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(result, null, 2));
+
+    const signalsPath = path.join(outDir, 'signals.csv');
+    const signalHeader = [
+        { id: 'time', title: 'TIME' },
+        { id: 'symbol', title: 'SYMBOL' },
+        { id: 'mode', title: 'MODE' },
+        { id: 'label', title: 'SIGNAL' },
+        { id: 'tf', title: 'TIMEFRAME' },
+        { id: 'direction', title: 'DIRECTION' },
+        { id: 'entryPrice', title: 'ENTRY_PRICE' },
+        { id: 'ema', title: 'EMA' },
+        { id: 'emaFast', title: 'EMA_FAST' },
+        { id: 'emaSlow', title: 'EMA_SLOW' },
+        { id: 'spreadPct', title: 'SPREAD_PCT' }
+    ];
+    for (const h of horizons) {
+        signalHeader.push(
+            { id: `ret_${h}`, title: `RET_${h.toUpperCase()}` },
+            { id: `move_${h}`, title: `MOVE_${h.toUpperCase()}` },
+            { id: `mae_${h}`, title: `MAE_${h.toUpperCase()}` },
+            { id: `mfe_${h}`, title: `MFE_${h.toUpperCase()}` },
+            { id: `hit_${h}`, title: `HIT_${h.toUpperCase()}` }
+        );
+    }
+    await createObjectCsvWriter({ path: signalsPath, header: signalHeader }).writeRecords(
+        result.signals.map(s => {
+            const row = { ...s };
+            delete row.horizons;
+            for (const h of horizons) {
+                const f = s.horizons[h];
+                if (!f) continue;
+                Object.assign(row, { [`ret_${h}`]: f.ret, [`move_${h}`]: f.move, [`mae_${h}`]: f.mae, [`mfe_${h}`]: f.mfe, [`hit_${h}`]: f.hit });
+            }
+            return row;
+        })
+    );
+
+    const summaryPath = path.join(outDir, 'summary.csv');
+    const summaryRows = [];
+    const scopes = [['ALL', result.summary.overall], ...Object.entries(result.summary.bySymbol)];
+    for (const [scope, s] of scopes) {
+        for (const h of horizons) {
+            summaryRows.push({ scope, horizon: h, signals: s.signals, longs: s.longs, shorts: s.shorts, ...s.horizons[h] });
+        }
+    }
+    await createObjectCsvWriter({
+        path: summaryPath,
+        header: [
+            { id: 'scope', title: 'SCOPE' },
+            { id: 'horizon', title: 'HORIZON' },
+            { id: 'signals', title: 'SIGNALS' },
+            { id: 'longs', title: 'LONGS' },
+            { id: 'shorts', title: 'SHORTS' },
+            { id: 'evaluated', title: 'EVALUATED' },
+            { id: 'hitRate', title: 'HIT_RATE_PCT' },
+            { id: 'avgMove', title: 'AVG_MOVE_PCT' },
+            { id: 'avgMae', title: 'AVG_MAE_PCT' },
+            { id: 'worstMae', title: 'WORST_MAE_PCT' },
+            { id: 'avgMfe', title: 'AVG_MFE_PCT' }
+        ]
+    }).writeRecords(summaryRows);
+
+    return { jsonPath, signalsPath, summaryPath };
+}
+
+module.exports = {
+    DEFAULT_HORIZONS,
+    parseDuration,
+    fetchHistory,
+    forwardStats,
+    simulateSeries,
+    summarizeSignals,
+    runBacktest,
+    writeReports
+};
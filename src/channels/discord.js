@@ -0,0 +1,27 @@
+// Discord incoming-webhook channel — one embed per alert, colored by direction.
+const { createIncomingWebhookChannel } = require('./incoming');
+
+const COLORS = { bull: 0x2ecc71, bear: 0xe74c3c, info: 0x3498db };
+
+function renderDiscord(card) {
+    return {
+        username: 'EMA Tracker',
+        embeds: [{
+            title: card.title,
+            url: card.url || undefined,
+            color: COLORS[card.color] ?? COLORS.info,
+            fields: card.fields.map(f => ({ name: f.name, value: String(f.value), inline: true })),
+            description: card.url ? `[${card.urlLabel || 'Open'}](${card.url})` : undefined,
+            timestamp: card.time
+        }]
+    };
+}
+
+function createDiscordChannel({ url, types, log }) {
+    return createIncomingWebhookChannel({ name: 'Discord', url, types, render: renderDiscord, log });
+}
+
+module.exports = {
+    renderDiscord,
+    createDiscordChannel
+};
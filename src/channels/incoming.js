@@ -0,0 +1,63 @@
+// Chat-platform incoming webhooks (Discord, Slack).
+// Alerts arrive as a platform-neutral card built in main.js:
+//   { title, color: 'bull'|'bear'|'info', fields: [{ name, value }], url, urlLabel, time }
+// and each platform module supplies render(card) → request body. Sends go through the same
+// circuit breaker as Telegram's safeSendAlert: 5 consecutive failures pause the channel for 5 minutes.
+const axios = require('axios');
+
+const BREAKER_THRESHOLD = 5;
+const BREAKER_PAUSE_MS = 5 * 60 * 1000;
+
+// name — 'Discord' / 'Slack' for logs; types — alert types routed here (ema, dual, newpair)
+function createIncomingWebhookChannel({ name, url, types, render, log = () => {}, timeoutMs = 5000 }) {
+    let failCount = 0;
+    let pausedUntil = 0;
+    const stats = { sent: 0, failed: 0, suppressed: 0 };
+
+    function accepts(type) {
+        return types.includes(type);
+    }
+
+    // Route a new list of alert types here from the next alert on
+    function setTypes(next) {
+        types = next.slice();
+    }
+
+    async function send(card) {
+        if (Date.now() < pausedUntil) {
+            stats.suppressed++;
+            log(`${name} circuit open — alert suppressed`, 'warning');
+            return false;
+        }
+        try {
+            await axios.post(url, render(card), { timeout: timeoutMs });
+            failCount = 0;
+            stats.sent++;
+            return true;
+        } catch (error) {
+            stats.failed++;
+            const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+            log(`${name} alert failed: ${reason}`, 'error');
+            if (++failCount >= BREAKER_THRESHOLD) {
+                pausedUntil = Date.now() + BREAKER_PAUSE_MS;
+                log(`${name} circuit breaker tripped — pausing sends for 5 minutes`, 'warning');
+                failCount = 0;
+            }
+            return false;
+        }
+    }
+
+    return {
+        name,
+        accepts,
+        send,
+        types: () => types.slice(),
+        setTypes,
+        isPaused: () => Date.now() < pausedUntil,
+        stats: () => ({ ...stats })
+    };
+}
+
+module.exports = {
+    createIncomingWebhookChannel
+};
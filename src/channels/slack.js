@@ -0,0 +1,37 @@
+// Slack incoming-webhook channel — Block Kit message inside a colored attachment
+// (Slack only colors the side bar of attachments, not top-level blocks).
+const { createIncomingWebhookChannel } = require('./incoming');
+
+const COLORS = { bull: '#2ecc71', bear: '#e74c3c', info: '#3498db' };
+const MAX_SECTION_FIELDS = 10; // Slack rejects sections with more fields
+
+function renderSlack(card) {
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: card.title, emoji: true } }];
+    for (let i = 0; i < card.fields.length; i += MAX_SECTION_FIELDS) {
+        blocks.push({
+            type: 'section',
+            fields: card.fields.slice(i, i + MAX_SECTION_FIELDS).map(f => ({ type: 'mrkdwn', text: `*${f.name}*\n${f.value}` }))
+        });
+    }
+    if (card.url) {
+        blocks.push({
+            type: 'actions',
+            elements: [{ type: 'button', text: { type: 'plain_text', text: card.urlLabel || 'Open' }, url: card.url }]
+        });
+    }
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: new Date(card.time).toUTCString() }] });
+
+    return {
+        text: card.title, // notification / fallback text
+        attachments: [{ color: COLORS[card.color] || COLORS.info, blocks }]
+    };
+}
+
+function createSlackChannel({ url, types, log }) {
+    return createIncomingWebhookChannel({ name: 'Slack', url, types, render: renderSlack, log });
+}
+
+module.exports = {
+    renderSlack,
+    createSlackChannel
+};
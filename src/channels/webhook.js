@@ -0,0 +1,117 @@
+// Outbound webhook channel.
+// POSTs each alert as JSON to every configured URL. When a secret is set the request carries
+//   X-EMA-Timestamp: <ms>
+//   X-EMA-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// so receivers can verify the sender and reject replays. Network errors, timeouts, 429 and 5xx
+// responses are retried with exponential backoff; anything still undelivered (or rejected with
+// another 4xx) is appended to a dead-letter NDJSON file for inspection or manual re-delivery.
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const SIGNATURE_HEADER = 'X-EMA-Signature';
+const TIMESTAMP_HEADER = 'X-EMA-Timestamp';
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Constant-time check of a received signature — for receivers written in Node
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// config: { urls, secret, retries, backoffMs, timeoutMs, deadLetterPath } — retries and timeoutMs
+// can be changed later with configure()
+// log(message, type) — main.js logger
+function createWebhookChannel({ urls, secret = '', retries = 4, backoffMs = 1000, timeoutMs = 5000, deadLetterPath = null, log = () => {} }) {
+    const stats = { delivered: 0, retried: 0, deadLettered: 0 };
+    let options = { retries, timeoutMs }; // replaced by configure()
+
+    function deadLetter(url, payload, attempts, error) {
+        stats.deadLettered++;
+        log(`Webhook ${url} gave up after ${attempts} attempt(s): ${error}`, 'error');
+        if (!deadLetterPath) return;
+        const entry = { failedAt: new Date().toISOString(), url, attempts, error, payload };
+        fs.appendFile(deadLetterPath, JSON.stringify(entry) + '\n', () => {});
+    }
+
+    async function deliver(url, payload) {
+        // A delivery keeps the retry count and timeout it started with
+        const { retries, timeoutMs } = options;
+        const body = JSON.stringify(payload);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const timestamp = String(Date.now());
+            const headers = { 'Content-Type': 'application/json', 'User-Agent': 'ema-tracker-webhook' };
+            if (secret) {
+                headers[TIMESTAMP_HEADER] = timestamp;
+                headers[SIGNATURE_HEADER] = sign(secret, timestamp, body);
+            }
+
+            try {
+                const response = await axios.post(url, body, {
+                    headers,
+                    timeout: timeoutMs,
+                    validateStatus: () => true,
+                    transformRequest: [data => data] // send the exact bytes that were signed
+                });
+                if (response.status >= 200 && response.status < 300) {
+                    stats.delivered++;
+                    return true;
+                }
+                lastError = `HTTP ${response.status}`;
+                // Other 4xx mean the receiver rejected the payload — resending it won't help
+                if (!isRetryable(response.status)) {
+                    deadLetter(url, payload, attempt, lastError);
+                    return false;
+                }
+            } catch (error) {
+                lastError = error.code || error.message;
+            }
+
+            if (attempt > retries) break;
+            stats.retried++;
+            // 1s, 2s, 4s, ... with up to 20% jitter so several alerts don't retry in lockstep
+            const delay = backoffMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+            log(`Webhook ${url} failed (${lastError}) — retry ${attempt}/${retries} in ${Math.round(delay)}ms`, 'warning');
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        deadLetter(url, payload, retries + 1, lastError);
+        return false;
+    }
+
+    // Deliver one payload to every URL in parallel. Never rejects; resolves to the
+    // number of URLs that accepted it.
+    async function send(payload) {
+        const results = await Promise.all(urls.map(url => deliver(url, payload)));
+        return results.filter(Boolean).length;
+    }
+
+    // New { retries, timeoutMs } for the deliveries that start from now on
+    function configure(changes) {
+        options = { ...options, ...changes };
+    }
+
+    return {
+        send,
+        configure,
+        urls: () => urls.slice(),
+        stats: () => ({ ...stats })
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    sign,
+    verifySignature,
+    createWebhookChannel
+};
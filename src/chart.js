@@ -0,0 +1,289 @@
+// Candlestick chart rendering for alerts — pure Node, no browser or native canvas.
+// Draws into an RGB pixel buffer (candles, EMA lines, crossover marker, price axis and a
+// small bitmap-font title) and encodes it as PNG with zlib, so it works on any host the bot runs on.
+const zlib = require('zlib');
+
+const THEME = {
+    background: [19, 23, 34],
+    grid: [42, 46, 57],
+    text: [209, 212, 220],
+    muted: [120, 123, 134],
+    bull: [38, 166, 154],
+    bear: [239, 83, 80]
+};
+
+// 5×7 bitmap font — one number per row, high bit on the left
+const GLYPHS = {
+    '0': [0b01110, 0b10001, 0b10011, 0b10101, 0b11001, 0b10001, 0b01110],
+    '1': [0b00100, 0b01100, 0b00100, 0b00100, 0b00100, 0b00100, 0b01110],
+    '2': [0b01110, 0b10001, 0b00001, 0b00010, 0b00100, 0b01000, 0b11111],
+    '3': [0b11111, 0b00010, 0b00100, 0b00010, 0b00001, 0b10001, 0b01110],
+    '4': [0b00010, 0b00110, 0b01010, 0b10010, 0b11111, 0b00010, 0b00010],
+    '5': [0b11111, 0b10000, 0b11110, 0b00001, 0b00001, 0b10001, 0b01110],
+    '6': [0b00110, 0b01000, 0b10000, 0b11110, 0b10001, 0b10001, 0b01110],
+    '7': [0b11111, 0b00001, 0b00010, 0b00100, 0b01000, 0b01000, 0b01000],
+    '8': [0b01110, 0b10001, 0b10001, 0b01110, 0b10001, 0b10001, 0b01110],
+    '9': [0b01110, 0b10001, 0b10001, 0b01111, 0b00001, 0b00010, 0b01100],
+    'A': [0b01110, 0b10001, 0b10001, 0b11111, 0b10001, 0b10001, 0b10001],
+    'B': [0b11110, 0b10001, 0b10001, 0b11110, 0b10001, 0b10001, 0b11110],
+    'C': [0b01110, 0b10001, 0b10000, 0b10000, 0b10000, 0b10001, 0b01110],
+    'D': [0b11100, 0b10010, 0b10001, 0b10001, 0b10001, 0b10010, 0b11100],
+    'E': [0b11111, 0b10000, 0b10000, 0b11110, 0b10000, 0b10000, 0b11111],
+    'F': [0b11111, 0b10000, 0b10000, 0b11110, 0b10000, 0b10000, 0b10000],
+    'G': [0b01110, 0b10001, 0b10000, 0b10111, 0b10001, 0b10001, 0b01111],
+    'H': [0b10001, 0b10001, 0b10001, 0b11111, 0b10001, 0b10001, 0b10001],
+    'I': [0b01110, 0b00100, 0b00100, 0b00100, 0b00100, 0b00100, 0b01110],
+    'J': [0b00111, 0b00010, 0b00010, 0b00010, 0b00010, 0b10010, 0b01100],
+    'K': [0b10001, 0b10010, 0b10100, 0b11000, 0b10100, 0b10010, 0b10001],
+    'L': [0b10000, 0b10000, 0b10000, 0b10000, 0b10000, 0b10000, 0b11111],
+    'M': [0b10001, 0b11011, 0b10101, 0b10101, 0b10001, 0b10001, 0b10001],
+    'N': [0b10001, 0b10001, 0b11001, 0b10101, 0b10011, 0b10001, 0b10001],
+    'O': [0b01110, 0b10001, 0b10001, 0b10001, 0b10001, 0b10001, 0b01110],
+    'P': [0b11110, 0b10001, 0b10001, 0b11110, 0b10000, 0b10000, 0b10000],
+    'Q': [0b01110, 0b10001, 0b10001, 0b10001, 0b10101, 0b10010, 0b01101],
+    'R': [0b11110, 0b10001, 0b10001, 0b11110, 0b10100, 0b10010, 0b10001],
+    'S': [0b01111, 0b10000, 0b10000, 0b01110, 0b00001, 0b00001, 0b11110],
+    'T': [0b11111, 0b00100, 0b00100, 0b00100, 0b00100, 0b00100, 0b00100],
+    'U': [0b10001, 0b10001, 0b10001, 0b10001, 0b10001, 0b10001, 0b01110],
+    'V': [0b10001, 0b10001, 0b10001, 0b10001, 0b10001, 0b01010, 0b00100],
+    'W': [0b10001, 0b10001, 0b10001, 0b10101, 0b10101, 0b10101, 0b01010],
+    'X': [0b10001, 0b10001, 0b01010, 0b00100, 0b01010, 0b10001, 0b10001],
+    'Y': [0b10001, 0b10001, 0b10001, 0b01010, 0b00100, 0b00100, 0b00100],
+    'Z': [0b11111, 0b00001, 0b00010, 0b00100, 0b01000, 0b10000, 0b11111],
+    '.': [0b00000, 0b00000, 0b00000, 0b00000, 0b00000, 0b01100, 0b01100],
+    ':': [0b00000, 0b01100, 0b01100, 0b00000, 0b01100, 0b01100, 0b00000],
+    '/': [0b00001, 0b00001, 0b00010, 0b00100, 0b01000, 0b10000, 0b10000],
+    '(': [0b00010, 0b00100, 0b01000, 0b01000, 0b01000, 0b00100, 0b00010],
+    ')': [0b01000, 0b00100, 0b00010, 0b00010, 0b00010, 0b00100, 0b01000],
+    '[': [0b01110, 0b01000, 0b01000, 0b01000, 0b01000, 0b01000, 0b01110],
+    ']': [0b01110, 0b00010, 0b00010, 0b00010, 0b00010, 0b00010, 0b01110],
+    '-': [0b00000, 0b00000, 0b00000, 0b11111, 0b00000, 0b00000, 0b00000],
+    '+': [0b00000, 0b00100, 0b00100, 0b11111, 0b00100, 0b00100, 0b00000],
+    '%': [0b11000, 0b11001, 0b00010, 0b00100, 0b01000, 0b10011, 0b00011]
+};
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+
+// ── PNG encoding ─────────────────────────────────────────────────────────────
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB, no interlace; every scanline uses filter type 0
+function encodePng(width, height, rgb) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: truecolor
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rgb.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// ── Raster canvas ────────────────────────────────────────────────────────────
+
+function createCanvas(width, height, background) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < width * height; i++) pixels.set(background, i * 3);
+
+    function setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        pixels.set(color, (y * width + x) * 3);
+    }
+
+    function fillRect(x, y, w, h, color) {
+        const x0 = Math.round(x);
+        const y0 = Math.round(y);
+        for (let yy = y0; yy < y0 + Math.max(1, Math.round(h)); yy++) {
+            for (let xx = x0; xx < x0 + Math.max(1, Math.round(w)); xx++) setPixel(xx, yy, color);
+        }
+    }
+
+    // Bresenham; thickness 2 doubles the line one pixel down
+    function line(x0, y0, x1, y1, color, thickness = 1) {
+        x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        for (;;) {
+            for (let t = 0; t < thickness; t++) setPixel(x0, y0 + t, color);
+            if (x0 === x1 && y0 === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+        }
+    }
+
+    // Filled isosceles triangle with its tip at (x, y), pointing up or down
+    function triangle(x, y, size, pointingUp, color) {
+        for (let row = 0; row < size; row++) {
+            const half = Math.floor(row / 2);
+            const yy = pointingUp ? y + row : y - row;
+            for (let xx = x - half; xx <= x + half; xx++) setPixel(xx, yy, color);
+        }
+    }
+
+    function text(str, x, y, color, scale = 2) {
+        let cursor = Math.round(x);
+        for (const ch of String(str).toUpperCase()) {
+            const glyph = GLYPHS[ch];
+            if (glyph) {
+                for (let row = 0; row < GLYPH_H; row++) {
+                    for (let col = 0; col < GLYPH_W; col++) {
+                        if (glyph[row] & (1 << (GLYPH_W - 1 - col))) fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+                    }
+                }
+            }
+            cursor += (GLYPH_W + 1) * scale;
+        }
+    }
+
+    return {
+        setPixel,
+        fillRect,
+        line,
+        triangle,
+        text,
+        textWidth: (str, scale = 2) => String(str).length * (GLYPH_W + 1) * scale,
+        toPng: () => encodePng(width, height, pixels)
+    };
+}
+
+// ── Chart ────────────────────────────────────────────────────────────────────
+
+function hexColor(hex) {
+    const n = parseInt(hex.replace('#', ''), 16);
+    return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+function formatAxisPrice(value) {
+    if (value >= 1000) return value.toFixed(1);
+    if (value >= 1) return value.toFixed(3);
+    return value.toPrecision(4);
+}
+
+// Render a candlestick chart to a PNG buffer.
+//   candles — [{ open, high, low, close }] oldest first
+//   lines   — [{ label, color: '#rrggbb', values }] aligned to candles from the end
+//             (values.at(-1) belongs to candles.at(-1)); shorter arrays start later
+//   marker  — { index, direction: 'up'|'down' } — arrow under/over that candle
+//   title   — drawn top-left, e.g. "BYBIT:BTCUSDT 15M"
+function renderCandleChart({ candles, lines = [], marker = null, title = '', width = 800, height = 450 }) {
+    const canvas = createCanvas(width, height, THEME.background);
+    const plot = { left: 10, top: 40, right: width - 110, bottom: height - 20 };
+    const plotW = plot.right - plot.left;
+    const plotH = plot.bottom - plot.top;
+
+    // Price range across candles and visible line values, padded so markers fit
+    let min = Infinity;
+    let max = -Infinity;
+    for (const c of candles) {
+        min = Math.min(min, c.low);
+        max = Math.max(max, c.high);
+    }
+    const aligned = lines.map(l => {
+        const values = l.values.slice(-candles.length);
+        return { ...l, values, offset: candles.length - values.length };
+    });
+    for (const l of aligned) {
+        for (const v of l.values) {
+            if (Number.isFinite(v)) { min = Math.min(min, v); max = Math.max(max, v); }
+        }
+    }
+    if (!Number.isFinite(min) || !Number.isFinite(max)) throw new Error('No price data to chart');
+    const pad = (max - min || max * 0.01 || 1) * 0.08;
+    min -= pad;
+    max += pad;
+    const y = price => plot.top + (max - price) / (max - min) * plotH;
+
+    // Grid and price axis
+    const gridLines = 5;
+    for (let i = 0; i <= gridLines; i++) {
+        const price = min + (max - min) * i / gridLines;
+        const gy = y(price);
+        for (let gx = plot.left; gx < plot.right; gx += 4) canvas.setPixel(gx, gy, THEME.grid);
+        canvas.text(formatAxisPrice(price), plot.right + 8, gy - GLYPH_H, THEME.muted);
+    }
+
+    // Candles
+    const step = plotW / candles.length;
+    const bodyW = Math.max(1, Math.floor(step * 0.7));
+    const cx = i => plot.left + step * i + step / 2;
+    candles.forEach((c, i) => {
+        const color = c.close >= c.open ? THEME.bull : THEME.bear;
+        canvas.line(cx(i), y(c.high), cx(i), y(c.low), color);
+        const top = y(Math.max(c.open, c.close));
+        canvas.fillRect(cx(i) - bodyW / 2, top, bodyW, Math.max(1, y(Math.min(c.open, c.close)) - top), color);
+    });
+
+    // EMA lines
+    for (const l of aligned) {
+        const color = hexColor(l.color);
+        for (let j = 1; j < l.values.length; j++) {
+            const a = l.values[j - 1];
+            const b = l.values[j];
+            if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+            canvas.line(cx(l.offset + j - 1), y(a), cx(l.offset + j), y(b), color, 2);
+        }
+    }
+
+    // Crossover marker
+    if (marker && candles[marker.index]) {
+        const c = candles[marker.index];
+        const up = marker.direction === 'up';
+        canvas.triangle(cx(marker.index), up ? y(c.low) + 6 : y(c.high) - 6, 14, up, up ? THEME.bull : THEME.bear);
+    }
+
+    // Last price tag on the axis
+    const last = candles.at(-1);
+    const lastColor = last.close >= last.open ? THEME.bull : THEME.bear;
+    const tagY = y(last.close);
+    canvas.fillRect(plot.right + 4, tagY - GLYPH_H - 3, width - plot.right - 6, GLYPH_H * 2 + 6, lastColor);
+    canvas.text(formatAxisPrice(last.close), plot.right + 8, tagY - GLYPH_H, THEME.background);
+
+    // Title and legend
+    canvas.text(title, plot.left + 4, 10, THEME.text);
+    let legendX = plot.left + 4 + canvas.textWidth(title) + 24;
+    for (const l of aligned) {
+        canvas.fillRect(legendX, 16, 16, 3, hexColor(l.color));
+        canvas.text(l.label, legendX + 22, 10, hexColor(l.color));
+        legendX += 22 + canvas.textWidth(l.label) + 20;
+    }
+
+    return canvas.toPng();
+}
+
+module.exports = {
+    encodePng,
+    renderCandleChart
+};
@@ -0,0 +1,151 @@
+// Settings file schema and hot reload. main.js describes every runtime setting with the field
+// types below; validate() checks a whole settings object against that schema and reports every
+// problem, e.g.
+//   ALERT_COOLDOWN: expected an integer from 0 to 86400000 (ms), got "15m"
+//   ALERT_COOLDONW: unknown setting (did you mean ALERT_COOLDOWN?)
+// watchConfigFile() re-reads the file whenever it changes on disk and hands it back to main.js,
+// which applies it and restarts only the subsystems whose settings changed.
+const fs = require('fs');
+const path = require('path');
+
+const WATCH_INTERVAL_MS = 2000;
+
+// A setting: parse(value) → normalized value, undefined when invalid (or throws an Error
+// explaining why); expected — what a valid value looks like, for the error message
+function field(expected, parse) {
+    return { expected, parse };
+}
+
+function describeRange(min, max, unit) {
+    let text = '';
+    if (Number.isFinite(min) && Number.isFinite(max)) text = ` from ${min} to ${max}`;
+    else if (Number.isFinite(min)) text = ` ≥ ${min}`;
+    else if (Number.isFinite(max)) text = ` ≤ ${max}`;
+    return unit ? `${text} (${unit})` : text;
+}
+
+function integer({ min = -Infinity, max = Infinity, unit = '' } = {}) {
+    return field(`an integer${describeRange(min, max, unit)}`,
+        v => (Number.isInteger(v) && v >= min && v <= max ? v : undefined));
+}
+
+function number({ min = -Infinity, max = Infinity, unit = '' } = {}) {
+    return field(`a number${describeRange(min, max, unit)}`,
+        v => (typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max ? v : undefined));
+}
+
+function boolean() {
+    return field('true or false', v => (typeof v === 'boolean' ? v : undefined));
+}
+
+function oneOf(values) {
+    return field(`one of ${values.map(v => JSON.stringify(v)).join(', ')}`, v => (values.includes(v) ? v : undefined));
+}
+
+// Array of `values` entries (duplicates dropped); min — fewest entries allowed
+function listOf(values, { min = 0 } = {}) {
+    return field(`a list of ${values.map(v => JSON.stringify(v)).join(', ')}${min > 0 ? ` (at least ${min})` : ''}`,
+        v => (Array.isArray(v) && v.length >= min && v.every(item => values.includes(item)) ? [...new Set(v)] : undefined));
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+// ' (did you mean KEY?)' for a near miss of a schema key, else ''
+function suggestKey(schema, key) {
+    const upper = key.toUpperCase();
+    let best = null;
+    for (const candidate of Object.keys(schema)) {
+        const distance = editDistance(upper, candidate);
+        if (distance <= 2 && (!best || distance < best.distance)) best = { candidate, distance };
+    }
+    return best ? ` (did you mean ${best.candidate}?)` : '';
+}
+
+// Check every key of `raw` → { values, errors }: the normalized valid settings, and one message
+// per unknown key or invalid value
+function validate(schema, raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { values: {}, errors: ['expected a JSON object of settings'] };
+    }
+    const values = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(raw)) {
+        if (!Object.hasOwn(schema, key)) {
+            errors.push(`${key}: unknown setting${suggestKey(schema, key)}`);
+            continue;
+        }
+        try {
+            const parsed = schema[key].parse(value);
+            if (parsed === undefined) errors.push(`${key}: expected ${schema[key].expected}, got ${JSON.stringify(value)}`);
+            else values[key] = parsed;
+        } catch (error) {
+            errors.push(`${key}: ${error.message}`);
+        }
+    }
+    return { values, errors };
+}
+
+function readText(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`${path.basename(filePath)}: cannot read (${error.code || error.message})`);
+    }
+}
+
+function parseText(filePath, text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path.basename(filePath)}: invalid JSON — ${error.message}`);
+    }
+}
+
+// Parsed JSON of a settings file; throws with the file name when it cannot be read or parsed
+function readConfigFile(filePath) {
+    return parseText(filePath, readText(filePath));
+}
+
+// Call onChange(settings) with the re-read file after every change of its content, or onError(error)
+// when it cannot be read or parsed. Polls, so editors that replace the file are seen too; a deleted
+// file is ignored. → stop() to stop watching
+function watchConfigFile(filePath, { onChange, onError, intervalMs = WATCH_INTERVAL_MS }) {
+    let lastText = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const listener = (current) => {
+        if (current.mtimeMs === 0) return;
+        try {
+            const text = readText(filePath);
+            if (text === lastText) return;
+            lastText = text;
+            onChange(parseText(filePath, text));
+        } catch (error) {
+            onError(error);
+        }
+    };
+    fs.watchFile(filePath, { interval: intervalMs, persistent: false }, listener);
+    return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+    field,
+    integer,
+    number,
+    boolean,
+    oneOf,
+    listOf,
+    validate,
+    readConfigFile,
+    watchConfigFile
+};
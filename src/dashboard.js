@@ -0,0 +1,112 @@
+// Live web dashboard, served by the health server:
+//   GET /dashboard         — the single page (public/dashboard.html)
+//   GET /dashboard/events  — Server-Sent Events stream the page listens to
+// A new stream gets a `snapshot` event with the whole state, then incremental events:
+//   pair   — a symbol's rows after one of its candles closed
+//   alert  — an alert payload as it goes out
+//   prices — latest forming-candle prices, batched every PRICE_FLUSH_MS
+//   status — WS pool and ML model tables, at most once per STATUS_THROTTLE_MS
+// Nothing is computed while no browser is connected.
+const fs = require('fs');
+const path = require('path');
+
+const PAGE_PATH = path.join(__dirname, '..', 'public', 'dashboard.html');
+const PRICE_FLUSH_MS = 2000;
+const STATUS_THROTTLE_MS = 2000;
+const KEEPALIVE_MS = 25000; // comment line so proxies keep idle streams open
+
+// snapshot() → state for a new stream; status() → { pool, models } — both provided by main.js
+// log(message, type) — main.js logger
+function createDashboard({ snapshot, status, log = () => {} }) {
+    const clients = new Set();
+    const prices = new Map(); // symbol -> latest price not pushed yet
+    let priceTimer = null;
+    let statusTimer = null;
+    let keepAlive = null;
+
+    function write(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    function send(event, data) {
+        for (const res of clients) write(res, event, data);
+    }
+
+    function openStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        write(res, 'snapshot', snapshot());
+        clients.add(res);
+        if (!keepAlive) {
+            keepAlive = setInterval(() => { for (const client of clients) client.write(': keep-alive\n\n'); }, KEEPALIVE_MS);
+            keepAlive.unref();
+        }
+        req.on('close', () => {
+            clients.delete(res);
+            if (clients.size === 0) {
+                clearInterval(keepAlive);
+                keepAlive = null;
+                prices.clear();
+            }
+        });
+    }
+
+    // Answer the dashboard routes → true, false for any other URL
+    function handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET' || (pathname !== '/dashboard' && pathname !== '/dashboard/events')) return false;
+        if (pathname === '/dashboard/events') {
+            openStream(req, res);
+            return true;
+        }
+        fs.readFile(PAGE_PATH, (err, html) => {
+            if (err) {
+                log(`Dashboard page unavailable: ${err.message}`, 'error');
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        });
+        return true;
+    }
+
+    // Forming-candle price of a symbol — pushed with the next batch
+    function price(symbol, value) {
+        if (clients.size === 0) return;
+        prices.set(symbol, value);
+        if (priceTimer) return;
+        priceTimer = setTimeout(() => {
+            priceTimer = null;
+            if (prices.size === 0) return;
+            send('prices', Object.fromEntries(prices));
+            prices.clear();
+        }, PRICE_FLUSH_MS);
+    }
+
+    // Something the status tables show changed (candle, pool connection, training)
+    function statusChanged() {
+        if (clients.size === 0 || statusTimer) return;
+        statusTimer = setTimeout(() => {
+            statusTimer = null;
+            if (clients.size > 0) send('status', status());
+        }, STATUS_THROTTLE_MS);
+    }
+
+    return {
+        handle,
+        send: (event, data) => { if (clients.size > 0) send(event, data); },
+        price,
+        statusChanged,
+        // Connected browsers
+        clients: () => clients.size
+    };
+}
+
+module.exports = {
+    createDashboard
+};
@@ -0,0 +1,434 @@
+// Embedded SQLite store (better-sqlite3, single file, no server).
+// Holds candles, indicator snapshots, alerts, labels, ML predictions and model metrics so
+// startup loads one indexed file instead of re-parsing every NDJSON/CSV/JSON on disk.
+// The schema is versioned with PRAGMA user_version; add a migration, never edit an old one.
+const Database = require('better-sqlite3');
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        sql: `
+            CREATE TABLE candles (
+                symbol TEXT NOT NULL,
+                tf TEXT NOT NULL,
+                time INTEGER NOT NULL,
+                open REAL NOT NULL,
+                high REAL NOT NULL,
+                low REAL NOT NULL,
+                close REAL NOT NULL,
+                volume REAL NOT NULL DEFAULT 0,
+                PRIMARY KEY (symbol, tf, time)
+            ) WITHOUT ROWID;
+
+            CREATE TABLE indicator_snapshots (
+                symbol TEXT NOT NULL,
+                tf TEXT NOT NULL,
+                time INTEGER NOT NULL,
+                ema REAL,
+                ema_diff REAL,
+                rsi REAL,
+                macd REAL,
+                macd_signal REAL,
+                macd_hist REAL,
+                bb_upper REAL,
+                bb_middle REAL,
+                bb_lower REAL,
+                bb_width REAL,
+                atr REAL,
+                atr_valid INTEGER,
+                volume_change REAL,
+                PRIMARY KEY (symbol, tf, time)
+            ) WITHOUT ROWID;
+
+            CREATE TABLE labels (
+                symbol TEXT NOT NULL,
+                time INTEGER NOT NULL,
+                future_price_change REAL NOT NULL,
+                label INTEGER NOT NULL,
+                PRIMARY KEY (symbol, time)
+            ) WITHOUT ROWID;
+
+            CREATE TABLE alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                symbol TEXT NOT NULL,
+                tf TEXT,
+                mode TEXT,
+                label TEXT,
+                direction TEXT NOT NULL,
+                price REAL,
+                time INTEGER NOT NULL,
+                exchange TEXT,
+                source TEXT NOT NULL DEFAULT 'live',
+                UNIQUE (symbol, tf, time, direction)
+            );
+            CREATE INDEX idx_alerts_symbol_time ON alerts (symbol, time);
+            CREATE INDEX idx_alerts_time ON alerts (time);
+
+            CREATE TABLE predictions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                symbol TEXT NOT NULL,
+                time INTEGER NOT NULL,
+                price REAL NOT NULL,
+                predicted_change REAL NOT NULL,
+                actual_change REAL,
+                correct INTEGER,
+                resolved_at INTEGER
+            );
+            CREATE INDEX idx_predictions_symbol_time ON predictions (symbol, time);
+
+            CREATE TABLE model_metrics (
+                symbol TEXT PRIMARY KEY,
+                predictions INTEGER NOT NULL DEFAULT 0,
+                correct_predictions INTEGER NOT NULL DEFAULT 0,
+                accuracy REAL NOT NULL DEFAULT 0,
+                last_training TEXT,
+                data_points INTEGER NOT NULL DEFAULT 0,
+                updated_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE imports (
+                path TEXT PRIMARY KEY,
+                mtime INTEGER NOT NULL,
+                rows INTEGER NOT NULL,
+                imported_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'alerts unique per signal label',
+        // Several EMA pairs can cross on the same candle; SQLite cannot alter a UNIQUE
+        // constraint in place, so the table is rebuilt.
+        sql: `
+            CREATE TABLE alerts_v2 (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                symbol TEXT NOT NULL,
+                tf TEXT,
+                mode TEXT,
+                label TEXT NOT NULL DEFAULT '',
+                direction TEXT NOT NULL,
+                price REAL,
+                time INTEGER NOT NULL,
+                exchange TEXT,
+                source TEXT NOT NULL DEFAULT 'live',
+                UNIQUE (symbol, tf, label, time, direction)
+            );
+            INSERT INTO alerts_v2 (id, symbol, tf, mode, label, direction, price, time, exchange, source)
+                SELECT id, symbol, tf, mode, COALESCE(label, ''), direction, price, time, exchange, source FROM alerts;
+            DROP TABLE alerts;
+            ALTER TABLE alerts_v2 RENAME TO alerts;
+            CREATE INDEX idx_alerts_symbol_time ON alerts (symbol, time);
+            CREATE INDEX idx_alerts_time ON alerts (time);
+        `
+    },
+    {
+        version: 3,
+        name: 'extended indicator features',
+        sql: `
+            ALTER TABLE indicator_snapshots ADD COLUMN vwap REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN vwap_diff REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN supertrend REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN supertrend_dir REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN adx REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN plus_di REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN minus_di REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN stochrsi_k REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN stochrsi_d REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN ichimoku_tenkan REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN ichimoku_kijun REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN ichimoku_cloud_a REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN ichimoku_cloud_b REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN obv REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN kc_upper REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN kc_middle REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN kc_lower REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN dc_upper REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN dc_middle REAL;
+            ALTER TABLE indicator_snapshots ADD COLUMN dc_lower REAL;
+        `
+    },
+    {
+        version: 4,
+        name: 'alert history',
+        // Every alert sent, with its full JSON payload (see src/history.js). chat_id is set for
+        // alerts that went to one chat only (/rule alerts).
+        sql: `
+            CREATE TABLE alert_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                time INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                type TEXT,
+                symbol TEXT,
+                tf TEXT,
+                label TEXT,
+                direction TEXT,
+                chat_id TEXT,
+                payload TEXT NOT NULL
+            );
+            CREATE INDEX idx_alert_history_time ON alert_history (time);
+            CREATE INDEX idx_alert_history_symbol_time ON alert_history (symbol, time);
+        `
+    }
+];
+
+// Apply every migration newer than the file's user_version, each in its own transaction
+function migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current) continue;
+        db.transaction(() => {
+            db.exec(migration.sql);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        applied.push(migration);
+    }
+    return applied;
+}
+
+const SNAPSHOT_COLUMNS = [
+    'ema', 'ema_diff', 'rsi', 'macd', 'macd_signal', 'macd_hist',
+    'bb_upper', 'bb_middle', 'bb_lower', 'bb_width', 'atr', 'atr_valid', 'volume_change',
+    'vwap', 'vwap_diff', 'supertrend', 'supertrend_dir', 'adx', 'plus_di', 'minus_di', 'stochrsi_k', 'stochrsi_d',
+    'ichimoku_tenkan', 'ichimoku_kijun', 'ichimoku_cloud_a', 'ichimoku_cloud_b', 'obv',
+    'kc_upper', 'kc_middle', 'kc_lower', 'dc_upper', 'dc_middle', 'dc_lower'
+];
+
+// SQLite has no boolean/undefined — store numbers or NULL
+function toSql(value) {
+    if (value === undefined || value === null || Number.isNaN(value)) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+// Open (creating if needed) and migrate the store at filePath; ':memory:' works for throwaway use
+function openStore(filePath) {
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    const migrations = migrate(db);
+
+    const stmt = {
+        insertCandle: db.prepare(`
+            INSERT INTO candles (symbol, tf, time, open, high, low, close, volume)
+            VALUES (@symbol, @tf, @time, @open, @high, @low, @close, @volume)
+            ON CONFLICT (symbol, tf, time) DO UPDATE SET
+                open = excluded.open, high = excluded.high, low = excluded.low,
+                close = excluded.close, volume = excluded.volume`),
+        insertSnapshot: db.prepare(`
+            INSERT OR REPLACE INTO indicator_snapshots (symbol, tf, time, ${SNAPSHOT_COLUMNS.join(', ')})
+            VALUES (@symbol, @tf, @time, ${SNAPSHOT_COLUMNS.map(c => `@${c}`).join(', ')})`),
+        upsertLabel: db.prepare(`
+            INSERT OR REPLACE INTO labels (symbol, time, future_price_change, label)
+            VALUES (@symbol, @time, @future_price_change, @label)`),
+        insertAlert: db.prepare(`
+            INSERT OR IGNORE INTO alerts (symbol, tf, mode, label, direction, price, time, exchange, source)
+            VALUES (@symbol, @tf, @mode, @label, @direction, @price, @time, @exchange, @source)`),
+        insertPrediction: db.prepare(`
+            INSERT INTO predictions (symbol, time, price, predicted_change)
+            VALUES (@symbol, @time, @price, @predicted_change)`),
+        resolvePrediction: db.prepare(`
+            UPDATE predictions SET actual_change = @actual_change, correct = @correct, resolved_at = @resolved_at
+            WHERE id = @id`),
+        upsertMetrics: db.prepare(`
+            INSERT OR REPLACE INTO model_metrics
+                (symbol, predictions, correct_predictions, accuracy, last_training, data_points, updated_at)
+            VALUES (@symbol, @predictions, @correct_predictions, @accuracy, @last_training, @data_points, @updated_at)`),
+        // Most recent N snapshots per symbol joined with their candle and label, oldest first
+        trainingRows: db.prepare(`
+            SELECT * FROM (
+                SELECT s.*, c.open, c.high, c.low, c.close, c.volume,
+                       l.future_price_change, l.label,
+                       ROW_NUMBER() OVER (PARTITION BY s.symbol ORDER BY s.time DESC) AS rn
+                FROM indicator_snapshots s
+                JOIN candles c ON c.symbol = s.symbol AND c.tf = s.tf AND c.time = s.time
+                LEFT JOIN labels l ON l.symbol = s.symbol AND l.time = s.time
+            ) WHERE rn <= @limit
+            ORDER BY symbol, time`),
+        insertHistory: db.prepare(`
+            INSERT INTO alert_history (time, event, type, symbol, tf, label, direction, chat_id, payload)
+            VALUES (@time, @event, @type, @symbol, @tf, @label, @direction, @chat_id, @payload)`),
+        allMetrics: db.prepare('SELECT * FROM model_metrics'),
+        getImport: db.prepare('SELECT * FROM imports WHERE path = ?'),
+        markImport: db.prepare(`
+            INSERT OR REPLACE INTO imports (path, mtime, rows, imported_at) VALUES (@path, @mtime, @rows, @imported_at)`)
+    };
+
+    function insertCandle(symbol, tf, candle) {
+        stmt.insertCandle.run({
+            symbol,
+            tf,
+            time: candle.time,
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: toSql(candle.volume) ?? 0
+        });
+    }
+
+    // One ML data point (the object main.js builds per closed candle): candle + indicators
+    function saveDataPoint(symbol, tf, point) {
+        db.transaction(() => {
+            insertCandle(symbol, tf, { time: point.timestamp, ...point });
+            const row = { symbol, tf, time: point.timestamp };
+            for (const column of SNAPSHOT_COLUMNS) row[column] = toSql(point[column]);
+            stmt.insertSnapshot.run(row);
+            if (point.future_price_change !== null && point.future_price_change !== undefined) {
+                setLabel(symbol, point.timestamp, point.future_price_change, point.label);
+            }
+        })();
+    }
+
+    function setLabel(symbol, time, futurePriceChange, label) {
+        stmt.upsertLabel.run({ symbol, time, future_price_change: futurePriceChange, label });
+    }
+
+    // alert: { symbol, tf, mode, label, direction, price, time, exchange, source }
+    function recordAlert(alert) {
+        return stmt.insertAlert.run({
+            tf: null, mode: null, price: null, exchange: null, source: 'live',
+            ...alert,
+            label: alert.label || ''
+        }).changes > 0;
+    }
+
+    // entry: { time, event, type, symbol, tf, label, direction, chatId, payload } — see src/history.js
+    function recordAlertHistory(entry) {
+        return stmt.insertHistory.run({
+            time: entry.time,
+            event: entry.event,
+            type: entry.type ?? null,
+            symbol: entry.symbol ?? null,
+            tf: entry.tf ?? null,
+            label: entry.label ?? null,
+            direction: entry.direction ?? null,
+            chat_id: entry.chatId ?? null,
+            payload: JSON.stringify(entry.payload)
+        }).lastInsertRowid;
+    }
+
+    function recordPrediction(symbol, time, price, predictedChange) {
+        return stmt.insertPrediction.run({ symbol, time, price, predicted_change: predictedChange }).lastInsertRowid;
+    }
+
+    function resolvePrediction(id, actualChange, correct, resolvedAt) {
+        stmt.resolvePrediction.run({ id, actual_change: actualChange, correct: correct ? 1 : 0, resolved_at: resolvedAt });
+    }
+
+    // perf: the modelPerformance entry shape used by main.js
+    function saveModelMetrics(symbol, perf, now = Date.now()) {
+        stmt.upsertMetrics.run({
+            symbol,
+            predictions: perf.predictions || 0,
+            correct_predictions: perf.correctPredictions || 0,
+            accuracy: perf.accuracy || 0,
+            last_training: perf.lastTraining || null,
+            data_points: perf.dataPoints || 0,
+            updated_at: now
+        });
+    }
+
+    function loadModelMetrics() {
+        return stmt.allMetrics.all().map(row => [row.symbol, {
+            predictions: row.predictions,
+            correctPredictions: row.correct_predictions,
+            accuracy: row.accuracy,
+            lastTraining: row.last_training || '',
+            dataPoints: row.data_points
+        }]);
+    }
+
+    // Map symbol -> data points in the same shape saveDataPoint receives, newest `limit` per symbol
+    function loadTrainingData(limit = 1000) {
+        const bySymbol = new Map();
+        for (const row of stmt.trainingRows.iterate({ limit })) {
+            const point = { timestamp: row.time, symbol: row.symbol };
+            for (const key of ['open', 'high', 'low', 'close', 'volume', ...SNAPSHOT_COLUMNS]) point[key] = row[key];
+            point.atr_valid = row.atr_valid === null ? null : row.atr_valid === 1;
+            point.future_price_change = row.future_price_change;
+            point.label = row.label;
+            if (!bySymbol.has(row.symbol)) bySymbol.set(row.symbol, []);
+            bySymbol.get(row.symbol).push(point);
+        }
+        return bySymbol;
+    }
+
+    // Candles oldest-first, filtered by any of symbol / tf / [from, to] open time
+    function queryCandles({ symbol = null, tf = null, from = null, to = null } = {}) {
+        const { where, params } = filters({ symbol, tf, from, to });
+        return db.prepare(`SELECT * FROM candles ${where} ORDER BY time, symbol, tf`).all(params);
+    }
+
+    // Alerts newest-first, e.g. queryAlerts({ symbol: 'SOLUSDT', from: Date.now() - 7 * 86400000 })
+    function queryAlerts({ symbol = null, tf = null, from = null, to = null, limit = null } = {}) {
+        const { where, params } = filters({ symbol, tf, from, to });
+        const sql = `SELECT * FROM alerts ${where} ORDER BY time DESC${limit ? ' LIMIT @limit' : ''}`;
+        return db.prepare(sql).all(limit ? { ...params, limit } : params);
+    }
+
+    // Alert history newest-first as { total, entries } — one page with offset/limit. chatId: alerts
+    // sent to a single chat are only included for that chat (null: public alerts only).
+    function queryAlertHistory({ symbol = null, tf = null, from = null, to = null, chatId = null, offset = 0, limit = null } = {}) {
+        const { where, params } = filters({ symbol, tf, from, to });
+        const visible = `${where ? `${where} AND` : 'WHERE'} (chat_id IS NULL${chatId !== null ? ' OR chat_id = @chatId' : ''})`;
+        if (chatId !== null) params.chatId = String(chatId);
+        const total = db.prepare(`SELECT COUNT(*) AS n FROM alert_history ${visible}`).get(params).n;
+        const rows = db.prepare(`SELECT * FROM alert_history ${visible} ORDER BY time DESC, id DESC` +
+            `${limit ? ' LIMIT @limit OFFSET @offset' : ''}`).all(limit ? { ...params, limit, offset } : params);
+        return {
+            total,
+            entries: rows.map(row => ({
+                id: row.id,
+                time: row.time,
+                event: row.event,
+                type: row.type,
+                symbol: row.symbol,
+                tf: row.tf,
+                label: row.label,
+                direction: row.direction,
+                chatId: row.chat_id,
+                payload: JSON.parse(row.payload)
+            }))
+        };
+    }
+
+    function filters({ symbol, tf, from, to }) {
+        const clauses = [];
+        const params = {};
+        if (symbol) { clauses.push('symbol = @symbol'); params.symbol = symbol; }
+        if (tf) { clauses.push('tf = @tf'); params.tf = tf; }
+        if (from !== null) { clauses.push('time >= @from'); params.from = from; }
+        if (to !== null) { clauses.push('time <= @to'); params.to = to; }
+        return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    return {
+        db,
+        migrations,
+        insertCandle,
+        saveDataPoint,
+        setLabel,
+        recordAlert,
+        recordAlertHistory,
+        queryAlertHistory,
+        recordPrediction,
+        resolvePrediction,
+        saveModelMetrics,
+        loadModelMetrics,
+        loadTrainingData,
+        queryCandles,
+        queryAlerts,
+        getImport: path => stmt.getImport.get(path),
+        markImport: (path, mtime, rows) => stmt.markImport.run({ path, mtime, rows, imported_at: Date.now() }),
+        transaction: fn => db.transaction(fn)(),
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    MIGRATIONS,
+    migrate,
+    openStore
+};
@@ -0,0 +1,49 @@
+// Early-warning (intra-candle) crossover tracker.
+// A forming candle whose projected EMAs cross raises at most one warning per series key and
+// candle; when that candle closes the warning resolves as 'confirmed' (the closed candle crossed
+// the same way) or 'cancelled'. Warnings have their own cooldown, independent of the
+// confirmed-alert cooldown in signals.evaluateAlertGate.
+
+function createEarlyWarningTracker({ cooldownMs = 15 * 60 * 1000 } = {}) {
+    const pending = new Map();    // series key -> warning of its forming candle
+    const lastWarned = new Map(); // `${key}|${state}` -> time of the last warning
+
+    // Record a warning for the forming candle `candleTime` of a series.
+    // warning: { candleTime, direction, state, ... } — extra fields are kept for the follow-up.
+    // Returns the stored warning, or null when this candle already warned or the state is cooling down.
+    function warn(key, warning, now = Date.now()) {
+        if (pending.get(key)?.candleTime === warning.candleTime) return null;
+        const cooldownKey = `${key}|${warning.state}`;
+        if (now - (lastWarned.get(cooldownKey) || 0) < cooldownMs) return null;
+
+        lastWarned.set(cooldownKey, now);
+        const stored = { ...warning };
+        pending.set(key, stored);
+        return stored;
+    }
+
+    // Candle `candleTime` of a series closed with crossover `direction` ('up', 'down' or null).
+    // -> { warning, outcome: 'confirmed' | 'cancelled' } for a warning raised on that candle, else null.
+    // A warning left over from an earlier candle (its close was missed) is dropped silently.
+    function resolve(key, candleTime, direction) {
+        const warning = pending.get(key);
+        if (!warning || warning.candleTime > candleTime) return null;
+        pending.delete(key);
+        if (warning.candleTime < candleTime) return null;
+        return { warning, outcome: warning.direction === direction ? 'confirmed' : 'cancelled' };
+    }
+
+    return {
+        warn,
+        resolve,
+        // Warnings waiting for their candle to close
+        size: () => pending.size,
+        clear: () => pending.clear(),
+        // New cooldown for the next warnings (settings changed at runtime)
+        setCooldown: (ms) => { cooldownMs = ms; }
+    };
+}
+
+module.exports = {
+    createEarlyWarningTracker
+};
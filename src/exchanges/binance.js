@@ -0,0 +1,116 @@
+// Binance USDT-M futures adapter.
+// REST: https://fapi.binance.com/fapi/v1/*
+// WS:   wss://fstream.binance.com/ws — streams "<symbol>@kline_<interval>"
+const axios = require('axios');
+
+const REST_URL = 'https://fapi.binance.com';
+// Binance caps a single SUBSCRIBE request; split large pools into several frames
+const MAX_STREAMS_PER_MESSAGE = 200;
+
+function normalizeTicker(ticker) {
+    return {
+        symbol: ticker.symbol,
+        lastPrice: parseFloat(ticker.lastPrice),
+        // priceChangePercent is already a percentage ("1.234" = 1.234%)
+        changePercent: parseFloat(ticker.priceChangePercent),
+        turnover24h: parseFloat(ticker.quoteVolume)
+    };
+}
+
+async function fetchTickers() {
+    const response = await axios.get(`${REST_URL}/fapi/v1/ticker/24hr`, { timeout: 10000 });
+    // endsWith('USDT') keeps perpetuals and drops dated contracts like BTCUSDT_250328
+    return response.data
+        .filter(t => t.symbol.endsWith('USDT'))
+        .map(normalizeTicker);
+}
+
+async function fetchTicker(symbol) {
+    const response = await axios.get(`${REST_URL}/fapi/v1/ticker/24hr`, {
+        params: { symbol },
+        timeout: 10000
+    });
+    return normalizeTicker(response.data);
+}
+
+// Returns candles oldest-first: [{ time, open, high, low, close, volume }]
+// end — optional open-time upper bound (ms) for paging back through history
+async function fetchKlines(symbol, tf, limit, end = null) {
+    // Binance uses the same interval strings we do ('5m', '1h', '4h')
+    const params = { symbol, interval: tf, limit };
+    if (end !== null) params.endTime = end;
+    const response = await axios.get(`${REST_URL}/fapi/v1/klines`, { params, timeout: 10000 });
+
+    // [[openTime, o, h, l, c, volume, closeTime, ...], ...] — already oldest first
+    const list = response.data;
+    if (!Array.isArray(list) || list.length === 0) return [];
+    return list.map(k => ({
+        time:   parseInt(k[0]),
+        open:   parseFloat(k[1]),
+        high:   parseFloat(k[2]),
+        low:    parseFloat(k[3]),
+        close:  parseFloat(k[4]),
+        volume: parseFloat(k[5])
+    }));
+}
+
+// Two most recent 5-minute open interest samples, or null if unavailable
+async function fetchOpenInterest(symbol) {
+    const response = await axios.get(`${REST_URL}/futures/data/openInterestHist`, {
+        params: { symbol, period: '5m', limit: 2 },
+        timeout: 8000
+    });
+    // Oldest first: [{ sumOpenInterest, timestamp }, ...]
+    const list = response.data;
+    if (!Array.isArray(list) || list.length < 2) return null;
+    return {
+        oiNow:  parseFloat(list[1].sumOpenInterest),
+        oiPrev: parseFloat(list[0].sumOpenInterest)
+    };
+}
+
+// Build the subscribe payloads for a set of symbols on the given timeframes
+function buildSubscribeMessages(symbols, tfs) {
+    const params = [];
+    for (const symbol of symbols) {
+        for (const tf of tfs) params.push(`${symbol.toLowerCase()}@kline_${tf}`);
+    }
+    const messages = [];
+    for (let i = 0; i < params.length; i += MAX_STREAMS_PER_MESSAGE) {
+        messages.push(JSON.stringify({
+            method: 'SUBSCRIBE',
+            params: params.slice(i, i + MAX_STREAMS_PER_MESSAGE),
+            id: Date.now() + i
+        }));
+    }
+    return messages;
+}
+
+// Parse a raw WS frame into { symbol, tf, kline } — null for acks and other events
+function parseKlineMessage(data) {
+    const message = JSON.parse(data);
+    if (message.e !== 'kline' || !message.k) return null;
+
+    const k = message.k;
+    return {
+        symbol: message.s,
+        tf: k.i,
+        kline: { t: k.t, o: k.o, h: k.h, l: k.l, c: k.c, v: k.v, x: k.x }
+    };
+}
+
+module.exports = {
+    id: 'binance',
+    name: 'Binance',
+    tvPrefix: 'BINANCE',
+    restUrl: REST_URL,
+    wsUrl: 'wss://fstream.binance.com/ws',
+    // Binance pings the client itself; ws answers with a pong automatically
+    pingPayload: null,
+    fetchTickers,
+    fetchTicker,
+    fetchKlines,
+    fetchOpenInterest,
+    buildSubscribeMessages,
+    parseKlineMessage
+};
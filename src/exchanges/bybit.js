@@ -0,0 +1,132 @@
+// Bybit USDT perpetual (v5 "linear" category) adapter.
+// REST: https://api.bybit.com/v5/market/*
+// WS:   wss://stream.bybit.com/v5/public/linear — topics "kline.<interval>.<symbol>"
+const axios = require('axios');
+
+const REST_URL = 'https://api.bybit.com';
+
+// '5m'→'5', '15m'→'15', '1h'→'60', '4h'→'240'
+function toInterval(tf) {
+    return tf
+        .replace('4h', '240')
+        .replace('1h', '60')
+        .replace('m', '');
+}
+
+function fromInterval(interval) {
+    if (interval === '240') return '4h';
+    if (interval === '60') return '1h';
+    return `${interval}m`;
+}
+
+function normalizeTicker(ticker) {
+    return {
+        symbol: ticker.symbol,
+        lastPrice: parseFloat(ticker.lastPrice),
+        changePercent: parseFloat(ticker.price24hPcnt) * 100,
+        // turnover24h is already in USDT — no price multiplication needed
+        turnover24h: parseFloat(ticker.turnover24h)
+    };
+}
+
+async function fetchTickers() {
+    const response = await axios.get(`${REST_URL}/v5/market/tickers`, {
+        params: { category: 'linear' },
+        timeout: 10000
+    });
+    // Only USDT perpetuals — skip inverse contracts like BTCUSD
+    return response.data.result.list
+        .filter(t => t.symbol.endsWith('USDT'))
+        .map(normalizeTicker);
+}
+
+async function fetchTicker(symbol) {
+    const response = await axios.get(`${REST_URL}/v5/market/tickers`, {
+        params: { category: 'linear', symbol },
+        timeout: 10000
+    });
+    return normalizeTicker(response.data.result.list[0]);
+}
+
+// Returns candles oldest-first: [{ time, open, high, low, close, volume }]
+// end — optional open-time upper bound (ms) for paging back through history
+async function fetchKlines(symbol, tf, limit, end = null) {
+    const params = { category: 'linear', symbol, interval: toInterval(tf), limit };
+    if (end !== null) params.end = end;
+    const response = await axios.get(`${REST_URL}/v5/market/kline`, { params, timeout: 10000 });
+
+    // Bybit response: { result: { list: [[ts,o,h,l,c,vol,turnover],...] } }
+    // list is NEWEST first — reverse so oldest is first
+    const list = response.data?.result?.list;
+    if (!Array.isArray(list) || list.length === 0) return [];
+    return list.reverse().map(k => ({
+        time:   parseInt(k[0]),
+        open:   parseFloat(k[1]),
+        high:   parseFloat(k[2]),
+        low:    parseFloat(k[3]),
+        close:  parseFloat(k[4]),
+        volume: parseFloat(k[5])
+    }));
+}
+
+// Two most recent 5-minute open interest samples, or null if unavailable
+async function fetchOpenInterest(symbol) {
+    const response = await axios.get(`${REST_URL}/v5/market/open-interest`, {
+        params: { category: 'linear', symbol, intervalTime: '5min', limit: 2 },
+        timeout: 8000
+    });
+    const list = response.data?.result?.list;
+    if (!list || list.length < 2) return null;
+    return {
+        oiNow:  parseFloat(list[0].openInterest),
+        oiPrev: parseFloat(list[1].openInterest)
+    };
+}
+
+// Build the subscribe payloads for a set of symbols on the given timeframes
+function buildSubscribeMessages(symbols, tfs) {
+    const args = [];
+    for (const symbol of symbols) {
+        for (const tf of tfs) args.push(`kline.${toInterval(tf)}.${symbol}`);
+    }
+    return [JSON.stringify({ op: 'subscribe', args })];
+}
+
+// Parse a raw WS frame into { symbol, tf, kline } — null for pongs, acks and non-kline topics
+function parseKlineMessage(data) {
+    const message = JSON.parse(data);
+    if (!message.topic || !message.topic.startsWith('kline')) return null;
+
+    const klineRaw   = message.data[0];
+    const topicParts = message.topic.split('.'); // ['kline','5','BTCUSDT']
+
+    return {
+        symbol: topicParts[2],
+        tf: fromInterval(topicParts[1]),
+        kline: {
+            t: klineRaw.start,
+            o: klineRaw.open,
+            h: klineRaw.high,
+            l: klineRaw.low,
+            c: klineRaw.close,
+            v: klineRaw.volume,
+            x: klineRaw.confirm
+        }
+    };
+}
+
+module.exports = {
+    id: 'bybit',
+    name: 'Bybit',
+    tvPrefix: 'BYBIT',
+    restUrl: REST_URL,
+    wsUrl: 'wss://stream.bybit.com/v5/public/linear',
+    // Bybit requires an application-level JSON ping every 20 seconds
+    pingPayload: JSON.stringify({ op: 'ping' }),
+    fetchTickers,
+    fetchTicker,
+    fetchKlines,
+    fetchOpenInterest,
+    buildSubscribeMessages,
+    parseKlineMessage
+};
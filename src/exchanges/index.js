@@ -0,0 +1,38 @@
+// Exchange adapter registry.
+//
+// Every adapter exposes the same surface so main.js never talks to an
+// exchange API directly:
+//   id, name, tvPrefix          — identifiers (tvPrefix is the TradingView exchange prefix)
+//   restUrl                     — REST base URL (used to label REST metrics per endpoint)
+//   fetchTickers()              → [{ symbol, lastPrice, changePercent, turnover24h }] (USDT perps only)
+//   fetchTicker(symbol)         → one normalized ticker
+//   fetchKlines(symbol, tf, n, end?) → [{ time, open, high, low, close, volume }] oldest first,
+//                                  optionally ending at open time `end` (ms) for history paging
+//   fetchOpenInterest(symbol)   → { oiNow, oiPrev } or null
+//   wsUrl, pingPayload          — kline stream endpoint and app-level keepalive (null if none)
+//   buildSubscribeMessages(symbols, tfs) → array of raw frames to send after connect
+//   parseKlineMessage(data)     → { symbol, tf, kline: { t,o,h,l,c,v,x } } or null
+const bybit = require('./bybit');
+const binance = require('./binance');
+const okx = require('./okx');
+
+const EXCHANGES = { bybit, binance, okx };
+const EXCHANGE_IDS = Object.keys(EXCHANGES);
+
+function isValidExchange(id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(EXCHANGES, id);
+}
+
+function getExchange(id) {
+    if (!isValidExchange(id)) {
+        throw new Error(`Unknown exchange: ${id}. Expected one of ${EXCHANGE_IDS.join(', ')}`);
+    }
+    return EXCHANGES[id];
+}
+
+module.exports = {
+    EXCHANGES,
+    EXCHANGE_IDS,
+    isValidExchange,
+    getExchange
+};
@@ -0,0 +1,154 @@
+// OKX USDT-margined perpetual swap adapter.
+// REST: https://www.okx.com/api/v5/*
+// WS:   wss://ws.okx.com:8443/ws/v5/business — channel "candle<bar>" per instId
+//
+// OKX names instruments "BTC-USDT-SWAP"; the rest of the tracker uses the
+// flat "BTCUSDT" form, so symbols are translated at this boundary.
+const axios = require('axios');
+
+const REST_URL = 'https://www.okx.com';
+
+function toInstId(symbol) {
+    return `${symbol.slice(0, -4)}-USDT-SWAP`;
+}
+
+function fromInstId(instId) {
+    return instId.replace('-USDT-SWAP', 'USDT');
+}
+
+// OKX bars use upper-case hour units: '1H', '4H'
+function toBar(tf) {
+    return tf.replace('h', 'H');
+}
+
+function fromBar(bar) {
+    return bar.replace('H', 'h');
+}
+
+function normalizeTicker(ticker) {
+    const last = parseFloat(ticker.last);
+    const open = parseFloat(ticker.open24h);
+    return {
+        symbol: fromInstId(ticker.instId),
+        lastPrice: last,
+        changePercent: open ? (last - open) / open * 100 : 0,
+        // volCcy24h is denominated in the base coin for swaps — convert to USDT
+        turnover24h: parseFloat(ticker.volCcy24h) * last
+    };
+}
+
+async function fetchTickers() {
+    const response = await axios.get(`${REST_URL}/api/v5/market/tickers`, {
+        params: { instType: 'SWAP' },
+        timeout: 10000
+    });
+    return response.data.data
+        .filter(t => t.instId.endsWith('-USDT-SWAP'))
+        .map(normalizeTicker);
+}
+
+async function fetchTicker(symbol) {
+    const response = await axios.get(`${REST_URL}/api/v5/market/ticker`, {
+        params: { instId: toInstId(symbol) },
+        timeout: 10000
+    });
+    return normalizeTicker(response.data.data[0]);
+}
+
+// One request: recent candles, up to 300. Older pages come from history-candles
+// (100 per request); `after` returns candles strictly earlier than the given ts.
+async function fetchKlinePage(symbol, tf, limit, end) {
+    const params = { instId: toInstId(symbol), bar: toBar(tf), limit: Math.min(limit, end !== null ? 100 : 300) };
+    if (end !== null) params.after = end + 1;
+    const endpoint = end !== null ? 'history-candles' : 'candles';
+    const response = await axios.get(`${REST_URL}/api/v5/market/${endpoint}`, { params, timeout: 10000 });
+
+    // [[ts,o,h,l,c,vol,volCcy,volCcyQuote,confirm], ...] — NEWEST first
+    const list = response.data?.data;
+    if (!Array.isArray(list) || list.length === 0) return [];
+    return list.reverse().map(k => ({
+        time:   parseInt(k[0]),
+        open:   parseFloat(k[1]),
+        high:   parseFloat(k[2]),
+        low:    parseFloat(k[3]),
+        close:  parseFloat(k[4]),
+        volume: parseFloat(k[6])
+    }));
+}
+
+// Returns candles oldest-first: [{ time, open, high, low, close, volume }]
+// end — optional open-time upper bound (ms) for paging back through history.
+// Recent requests for more than one page (long EMAs) continue back through history-candles.
+async function fetchKlines(symbol, tf, limit, end = null) {
+    const candles = await fetchKlinePage(symbol, tf, limit, end);
+    while (end === null && candles.length > 0 && candles.length < limit) {
+        const older = await fetchKlinePage(symbol, tf, limit - candles.length, candles[0].time - 1);
+        if (older.length === 0) break;
+        candles.unshift(...older);
+    }
+    return candles;
+}
+
+// Two most recent 5-minute open interest samples, or null if unavailable
+async function fetchOpenInterest(symbol) {
+    const response = await axios.get(`${REST_URL}/api/v5/rubik/stat/contracts/open-interest-history`, {
+        params: { instId: toInstId(symbol), period: '5m', limit: 2 },
+        timeout: 8000
+    });
+    // [[ts, oi, oiCcy, oiUsd], ...] — NEWEST first
+    const list = response.data?.data;
+    if (!Array.isArray(list) || list.length < 2) return null;
+    return {
+        oiNow:  parseFloat(list[0][2]),
+        oiPrev: parseFloat(list[1][2])
+    };
+}
+
+// Build the subscribe payloads for a set of symbols on the given timeframes
+function buildSubscribeMessages(symbols, tfs) {
+    const args = [];
+    for (const symbol of symbols) {
+        for (const tf of tfs) args.push({ channel: `candle${toBar(tf)}`, instId: toInstId(symbol) });
+    }
+    return [JSON.stringify({ op: 'subscribe', args })];
+}
+
+// Parse a raw WS frame into { symbol, tf, kline } — null for pongs, acks and other channels
+function parseKlineMessage(data) {
+    const text = data.toString();
+    if (text === 'pong') return null;
+
+    const message = JSON.parse(text);
+    if (!message.arg || !message.arg.channel?.startsWith('candle') || !Array.isArray(message.data)) return null;
+
+    const k = message.data[0];
+    return {
+        symbol: fromInstId(message.arg.instId),
+        tf: fromBar(message.arg.channel.replace('candle', '')),
+        kline: {
+            t: parseInt(k[0]),
+            o: k[1],
+            h: k[2],
+            l: k[3],
+            c: k[4],
+            v: k[6],
+            x: k[8] === '1'
+        }
+    };
+}
+
+module.exports = {
+    id: 'okx',
+    name: 'OKX',
+    tvPrefix: 'OKX',
+    restUrl: REST_URL,
+    wsUrl: 'wss://ws.okx.com:8443/ws/v5/business',
+    // OKX drops idle connections after 30 s — a plain-text "ping" keeps them open
+    pingPayload: 'ping',
+    fetchTickers,
+    fetchTicker,
+    fetchKlines,
+    fetchOpenInterest,
+    buildSubscribeMessages,
+    parseKlineMessage
+};
@@ -0,0 +1,111 @@
+// Signal quality filters — optional checks an EMA crossover must pass before it is alerted,
+// on top of the MIN_CROSS_PCT margin. Each can be switched on and off from /settings:
+//   volume   — volume of the cross candle vs the average of the candles before it
+//   atr      — ATR(14) as a % of price, to skip dead markets
+//   adx      — ADX(14) trend strength
+//   distance — how far price already is from the EMA (the slow one for pairs), to skip late entries
+//   confirm  — the new side has to hold for N closed candles; the alert then fires on the Nth
+// Kept free of I/O like signals.js; main.js logs whatever a filter rejects.
+
+const FILTER_IDS = ['volume', 'atr', 'adx', 'distance', 'confirm'];
+
+const FILTER_LABELS = {
+    volume: 'Volume spike',
+    atr: 'Min ATR%',
+    adx: 'ADX trend',
+    distance: 'Max EMA distance',
+    confirm: 'Candle confirmation'
+};
+
+const DEFAULT_THRESHOLDS = {
+    minRelVolume: 1.5,      // cross candle volume / average volume of the lookback
+    volumeLookback: 20,     // candles averaged for the relative volume
+    minAtrPct: 0.2,         // ATR(14) / close, %
+    minAdx: 20,
+    maxEmaDistancePct: 2,   // |close - EMA| / EMA, %
+    confirmCandles: 2       // closes on the new side, the cross candle included
+};
+
+// 'volume,adx' → ['volume', 'adx'] — unknown names are dropped
+function parseFilterIds(value) {
+    const ids = Array.isArray(value) ? value : String(value || '').split(',');
+    return FILTER_IDS.filter(id => ids.map(v => String(v).trim().toLowerCase()).includes(id));
+}
+
+// What the instant filters look at, for the last candle of `candles` (the cross candle).
+// A metric is null when there is not enough data yet — filters never reject on a missing metric.
+function signalMetrics({ candles, ema, atr, adx, volumeLookback = DEFAULT_THRESHOLDS.volumeLookback }) {
+    const last = candles.at(-1);
+    const previous = candles.slice(-volumeLookback - 1, -1);
+    const avgVolume = previous.reduce((sum, c) => sum + c.volume, 0) / (previous.length || 1);
+    return {
+        relVolume: last && previous.length === volumeLookback && avgVolume > 0 ? last.volume / avgVolume : null,
+        atrPct: last && atr > 0 ? atr / last.close * 100 : null,
+        adx: Number.isFinite(adx) ? adx : null,
+        emaDistancePct: last && ema > 0 ? Math.abs(last.close - ema) / ema * 100 : null
+    };
+}
+
+// Reason a filter rejects the metrics, or null when it passes
+const CHECKS = {
+    volume: (m, t) => (m.relVolume !== null && m.relVolume < t.minRelVolume
+        ? `relative volume ${m.relVolume.toFixed(2)}x < ${t.minRelVolume}x` : null),
+    atr: (m, t) => (m.atrPct !== null && m.atrPct < t.minAtrPct
+        ? `ATR ${m.atrPct.toFixed(3)}% < ${t.minAtrPct}%` : null),
+    adx: (m, t) => (m.adx !== null && m.adx < t.minAdx
+        ? `ADX ${m.adx.toFixed(1)} < ${t.minAdx}` : null),
+    distance: (m, t) => (m.emaDistancePct !== null && m.emaDistancePct > t.maxEmaDistancePct
+        ? `${m.emaDistancePct.toFixed(2)}% from the EMA > ${t.maxEmaDistancePct}%` : null)
+};
+
+// First enabled instant filter (every filter but confirm) that rejects → { filter, reason }, else null
+function checkFilters(enabled, metrics, thresholds = DEFAULT_THRESHOLDS) {
+    for (const id of enabled) {
+        const reason = CHECKS[id]?.(metrics, thresholds);
+        if (reason) return { filter: id, reason };
+    }
+    return null;
+}
+
+// Crosses waiting for the confirm filter, keyed by the alert state key of their series
+function createConfirmationTracker() {
+    const pending = new Map();
+
+    // A cross passed the instant filters on its candle — it now has to hold
+    function start(key, { direction, state, time }) {
+        pending.set(key, { direction, state, time, held: 1 });
+    }
+
+    // Next closed candle of a series, with its current state. → null when no cross is pending, else
+    // { status, cross }: 'waiting' (held, not long enough yet), 'confirmed' after `required` candles
+    // on the new side, or 'reversed' when the state flipped back first. Both of the latter drop it.
+    function next(key, state, required) {
+        const cross = pending.get(key);
+        if (!cross) return null;
+        if (state !== cross.state) {
+            pending.delete(key);
+            return { status: 'reversed', cross };
+        }
+        cross.held++;
+        if (cross.held < required) return { status: 'waiting', cross };
+        pending.delete(key);
+        return { status: 'confirmed', cross };
+    }
+
+    return {
+        start,
+        next,
+        size: () => pending.size,
+        clear: () => pending.clear()
+    };
+}
+
+module.exports = {
+    FILTER_IDS,
+    FILTER_LABELS,
+    DEFAULT_THRESHOLDS,
+    parseFilterIds,
+    signalMetrics,
+    checkFilters,
+    createConfirmationTracker
+};
@@ -0,0 +1,154 @@
+// Alert history — every alert the bot sends, with its full payload, behind /history, the CSV
+// export and the daily digest. Lives in the SQLite store when there is one (alert_history
+// table), otherwise in an NDJSON file; replays keep it in memory.
+const fs = require('fs');
+const { createObjectCsvStringifier } = require('csv-writer');
+
+const MAX_FILE_ENTRIES = 20000; // file backend only — oldest entries are dropped first
+const COMPACT_BATCH = 1000;     // entries past MAX_FILE_ENTRIES before the file is rewritten
+
+// Alert type of a payload — the names DISCORD_ALERTS / SLACK_ALERTS route by
+function alertType(payload) {
+    if (payload.event === 'new_pair') return 'newpair';
+    if (payload.event === 'early_warning') return 'early';
+    if (payload.event === 'rule') return 'rule';
+    return payload.mode || null;
+}
+
+// Counts per alert type, timeframe and direction, plus the most alerted symbols
+function summarize(entries) {
+    const count = (key) => {
+        const counts = {};
+        for (const entry of entries) {
+            const value = key(entry);
+            if (value) counts[value] = (counts[value] || 0) + 1;
+        }
+        return counts;
+    };
+    const bySymbol = count(e => e.symbol);
+    return {
+        total: entries.length,
+        byType: count(e => e.type),
+        byTf: count(e => e.tf),
+        byDirection: count(e => e.direction),
+        topSymbols: Object.entries(bySymbol).sort((a, b) => b[1] - a[1]).slice(0, 5)
+    };
+}
+
+const CSV_HEADER = [
+    { id: 'time', title: 'time' },
+    { id: 'event', title: 'event' },
+    { id: 'type', title: 'type' },
+    { id: 'symbol', title: 'symbol' },
+    { id: 'tf', title: 'timeframe' },
+    { id: 'label', title: 'label' },
+    { id: 'direction', title: 'direction' },
+    { id: 'price', title: 'price' },
+    { id: 'payload', title: 'payload' }
+];
+
+// Entries (newest-first as queried) as CSV text, one row per alert with its payload as JSON
+function toCsv(entries) {
+    const csv = createObjectCsvStringifier({ header: CSV_HEADER });
+    return csv.getHeaderString() + csv.stringifyRecords(entries.map(entry => ({
+        ...entry,
+        time: new Date(entry.time).toISOString(),
+        price: entry.payload.price ?? '',
+        payload: JSON.stringify(entry.payload)
+    })));
+}
+
+// store — the SQLite store (src/db.js) or null; filePath — NDJSON file used without a store
+// (null keeps the history in memory). The file is appended to synchronously, so a rewrite never
+// races an append; past MAX_FILE_ENTRIES + COMPACT_BATCH entries it is rewritten with the newest
+// MAX_FILE_ENTRIES.
+function createAlertHistory({ store = null, filePath = null, log = () => {} } = {}) {
+    let entries = []; // file/memory backend, oldest first
+    let nextId = 1;
+
+    // Rewrite the file with the entries kept — through a temporary file, so a crash never truncates it
+    function compact() {
+        try {
+            fs.writeFileSync(`${filePath}.tmp`, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+            fs.renameSync(`${filePath}.tmp`, filePath);
+        } catch (error) {
+            log(`Could not compact the alert history file: ${error.message}`, 'warning');
+        }
+    }
+
+    if (!store && filePath && fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line after a crash — skip it
+            }
+        }
+        if (entries.length > MAX_FILE_ENTRIES) {
+            entries = entries.slice(-MAX_FILE_ENTRIES);
+            compact();
+        }
+        nextId = (entries.at(-1)?.id || 0) + 1;
+    }
+
+    // Store an alert payload (the object published to webhooks/channels, or a rule alert).
+    // chatId — set when the alert went to that chat only
+    function record(payload, { chatId = null } = {}) {
+        const entry = {
+            time: Date.parse(payload.time) || Date.now(),
+            event: payload.event,
+            type: alertType(payload),
+            symbol: payload.symbol || null,
+            tf: payload.timeframe || null,
+            label: payload.label || null,
+            direction: payload.direction || null,
+            chatId: chatId === null ? null : String(chatId),
+            payload
+        };
+        if (store) return { id: store.recordAlertHistory(entry), ...entry };
+
+        entry.id = nextId++;
+        entries.push(entry);
+        if (entries.length > MAX_FILE_ENTRIES + COMPACT_BATCH) {
+            entries.splice(0, entries.length - MAX_FILE_ENTRIES);
+            if (filePath) compact();
+        } else if (filePath) {
+            try {
+                fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                log(`Could not record alert history: ${error.message}`, 'warning', { symbol: entry.symbol, alertId: payload.id });
+            }
+        }
+        return entry;
+    }
+
+    // Newest-first page of the history → { total, entries }. chatId: single-chat alerts are only
+    // included for that chat (null: public alerts only)
+    function query({ symbol = null, tf = null, from = null, to = null, chatId = null, offset = 0, limit = null } = {}) {
+        if (store) return store.queryAlertHistory({ symbol, tf, from, to, chatId, offset, limit });
+
+        const matches = entries.filter(e =>
+            (!symbol || e.symbol === symbol) &&
+            (!tf || e.tf === tf) &&
+            (from === null || e.time >= from) &&
+            (to === null || e.time <= to) &&
+            (e.chatId === null || (chatId !== null && e.chatId === String(chatId)))
+        ).reverse();
+        return { total: matches.length, entries: limit ? matches.slice(offset, offset + limit) : matches };
+    }
+
+    return {
+        record,
+        query
+    };
+}
+
+module.exports = {
+    MAX_FILE_ENTRIES,
+    COMPACT_BATCH,
+    alertType,
+    summarize,
+    toCsv,
+    createAlertHistory
+};
@@ -2,6 +2,7 @@
  * Technical indicators module for financial analysis
  * Provides functions to calculate various technical indicators with proper validation
  */
+const streaming = require('./streaming');
 
 // Utility function to validate price data
 function validatePriceData(prices, minLength = 1, functionName = '') {
@@ -71,6 +72,10 @@ function validatePriceData(prices, minLength = 1, functionName = '') {
         }
       }
       
+      // Wilder's smoothing continues from the average gain and loss of the first period
+      gains /= period;
+      losses /= period;
+      
       // Avoid division by zero
       if (losses === 0) {
         rsiValues.push(100);
@@ -222,8 +227,13 @@ function validatePriceData(prices, minLength = 1, functionName = '') {
         }
       }
       
-      // Calculate Signal line (EMA of MACD line)
-      const signalLine = calculateEMA(macdLine, signalPeriod);
+      // Calculate Signal line (EMA of the MACD line from its first real value, so the
+      // placeholder zeros above do not drag the signal's seed towards 0)
+      const warmMacd = macdLine.slice(slowPeriod - 1);
+      const signalLine = padArray(
+        warmMacd.length >= signalPeriod ? calculateEMA(warmMacd, signalPeriod) : Array(warmMacd.length).fill(0),
+        prices.length, 0, true
+      );
       
       // Calculate Histogram
       const histogram = [];
@@ -293,7 +303,7 @@ function validatePriceData(prices, minLength = 1, functionName = '') {
    * Calculate Average True Range (ATR)
    * @param {Array<Object>} klines - Array of kline objects with high, low, close properties
    * @param {number} period - ATR period
-   * @returns {number} ATR value
+   * @returns {number} Wilder's smoothed ATR of the latest candle (0 with fewer than period + 1 klines)
    */
   function calculateATR(klines, period = 14) {
     const functionName = 'calculateATR';
@@ -344,27 +354,254 @@ function validatePriceData(prices, minLength = 1, functionName = '') {
         trueRanges.push(trueRange);
       }
   
-      // Calculate ATR (simple average of true ranges)
-      if (trueRanges.length < period) {
-        return trueRanges.reduce((sum, tr) => sum + tr, 0) / trueRanges.length;
+      // Wilder's smoothed ATR: seed with SMA of first `period` TRs, then smooth
+      let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+      for (let i = period; i < trueRanges.length; i++) {
+        atr = (atr * (period - 1) + trueRanges[i]) / period;
       }
-  
-      // Use the last 'period' true ranges
-      const recentTrueRanges = trueRanges.slice(-period);
-      return recentTrueRanges.reduce((sum, tr) => sum + tr, 0) / period;
+      return atr;
     } catch (error) {
       throw new Error(`${functionName}: ${error.message}`);
     }
   }
   
+  // Utility function to validate kline data (objects with numeric high, low, close and, when
+  // needed, volume / time fields)
+  function validateKlineData(klines, functionName = '', fields = ['high', 'low', 'close']) {
+    if (!Array.isArray(klines)) {
+      throw new Error(`${functionName}: Klines must be an array`);
+    }
+    
+    for (let i = 0; i < klines.length; i++) {
+      const kline = klines[i];
+      if (!kline || typeof kline !== 'object') {
+        throw new Error(`${functionName}: Each kline must be an object`);
+      }
+      
+      const invalid = fields.find(field => kline[field] === null || kline[field] === undefined || isNaN(Number(kline[field])));
+      if (invalid) {
+        throw new Error(`${functionName}: Kline at index ${i} has an invalid ${invalid} value`);
+      }
+    }
+  }
+  
+  // Utility function to validate a period-like argument
+  function validatePeriod(value, name, functionName) {
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`${functionName}: ${name} must be a positive integer`);
+    }
+  }
+  
+  // Utility function to validate a multiplier argument
+  function validateMultiplier(value, functionName) {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${functionName}: Multiplier must be a positive number`);
+    }
+  }
+  
+  // Klines with numeric fields, as the streaming indicators expect
+  function toCandles(klines) {
+    return klines.map(k => ({
+      time: Number(k.time),
+      open: Number(k.open),
+      high: Number(k.high),
+      low: Number(k.low),
+      close: Number(k.close),
+      volume: Number(k.volume)
+    }));
+  }
+  
+  // Turn an array of indicator objects (null during warm-up) into one array per field
+  function toColumns(values, fields) {
+    const columns = {};
+    for (const field of fields) {
+      columns[field] = values.map(value => (value === null ? null : value[field]));
+    }
+    return columns;
+  }
+  
+  // The indicators below run the stateful indicators of ./streaming over the whole series, so the
+  // batch values here and the bot's per-candle values always agree. Entries before the indicator
+  // has warmed up are null.
+  
+  /**
+   * Calculate VWAP (Volume Weighted Average Price) of the typical price
+   * @param {Array<Object>} klines - Array of kline objects with time, high, low, close, volume properties
+   * @param {Object} options - { sessionMs } session length (default one UTC day) or { anchor } timestamp for an anchored VWAP
+   * @returns {Array<number|null>} VWAP values (null before the anchor or while no volume has traded)
+   */
+  function calculateVWAP(klines, { sessionMs = 24 * 60 * 60 * 1000, anchor = null } = {}) {
+    const functionName = 'calculateVWAP';
+    
+    // Validate inputs
+    validatePeriod(sessionMs, 'Session length', functionName);
+    if (anchor !== null && !Number.isFinite(anchor)) {
+      throw new Error(`${functionName}: Anchor must be a timestamp in milliseconds`);
+    }
+    validateKlineData(klines, functionName, ['time', 'high', 'low', 'close', 'volume']);
+    
+    return streaming.series(streaming.createVWAP({ sessionMs, anchor }), toCandles(klines));
+  }
+  
+  /**
+   * Calculate Supertrend
+   * @param {Array<Object>} klines - Array of kline objects with high, low, close properties
+   * @param {number} period - ATR period
+   * @param {number} multiplier - ATR multiplier
+   * @returns {Object} Object containing value, direction (1 up, -1 down), upper and lower arrays
+   */
+  function calculateSupertrend(klines, period = 10, multiplier = 3) {
+    const functionName = 'calculateSupertrend';
+    
+    // Validate inputs
+    validatePeriod(period, 'Period', functionName);
+    validateMultiplier(multiplier, functionName);
+    validateKlineData(klines, functionName);
+    
+    const values = streaming.series(streaming.createSupertrend(period, multiplier), toCandles(klines));
+    return toColumns(values, ['value', 'direction', 'upper', 'lower']);
+  }
+  
+  /**
+   * Calculate ADX with the directional indicators (DMI)
+   * @param {Array<Object>} klines - Array of kline objects with high, low, close properties
+   * @param {number} period - Smoothing period
+   * @returns {Object} Object containing adx, plusDI and minusDI arrays
+   */
+  function calculateADX(klines, period = 14) {
+    const functionName = 'calculateADX';
+    
+    // Validate inputs
+    validatePeriod(period, 'Period', functionName);
+    validateKlineData(klines, functionName);
+    
+    const values = streaming.series(streaming.createADX(period), toCandles(klines));
+    return toColumns(values, ['adx', 'plusDI', 'minusDI']);
+  }
+  
+  /**
+   * Calculate Stochastic RSI
+   * @param {Array<number>} prices - Array of price values
+   * @param {number} rsiPeriod - RSI period
+   * @param {number} stochPeriod - Lookback of the RSI high/low range
+   * @param {number} kPeriod - %K smoothing period
+   * @param {number} dPeriod - %D smoothing period
+   * @returns {Object} Object containing k and d arrays (0-100)
+   */
+  function calculateStochRSI(prices, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) {
+    const functionName = 'calculateStochRSI';
+    
+    // Validate inputs
+    validatePeriod(rsiPeriod, 'RSI period', functionName);
+    validatePeriod(stochPeriod, 'Stochastic period', functionName);
+    validatePeriod(kPeriod, 'K period', functionName);
+    validatePeriod(dPeriod, 'D period', functionName);
+    // The first %D needs rsiPeriod + 1 prices for the RSI, then stochPeriod, kPeriod and dPeriod
+    // values of each stage
+    if (!validatePriceData(prices, rsiPeriod + stochPeriod + kPeriod + dPeriod - 2, functionName)) {
+      return { k: Array(prices.length).fill(null), d: Array(prices.length).fill(null) };
+    }
+    
+    const values = streaming.series(streaming.createStochRSI(rsiPeriod, stochPeriod, kPeriod, dPeriod), prices.map(Number));
+    return toColumns(values, ['k', 'd']);
+  }
+  
+  /**
+   * Calculate Ichimoku Kinko Hyo
+   * @param {Array<Object>} klines - Array of kline objects with high, low, close properties
+   * @param {number} tenkanPeriod - Conversion line period
+   * @param {number} kijunPeriod - Base line period
+   * @param {number} spanBPeriod - Leading span B period
+   * @param {number} displacement - How far ahead the leading spans are plotted
+   * @returns {Object} Object containing tenkan, kijun, spanA, spanB (computed on each candle) and
+   * cloudA, cloudB (the spans plotted at each candle) arrays
+   */
+  function calculateIchimoku(klines, tenkanPeriod = 9, kijunPeriod = 26, spanBPeriod = 52, displacement = kijunPeriod) {
+    const functionName = 'calculateIchimoku';
+    
+    // Validate inputs
+    validatePeriod(tenkanPeriod, 'Tenkan period', functionName);
+    validatePeriod(kijunPeriod, 'Kijun period', functionName);
+    validatePeriod(spanBPeriod, 'Span B period', functionName);
+    validatePeriod(displacement, 'Displacement', functionName);
+    validateKlineData(klines, functionName);
+    
+    const values = streaming.series(
+      streaming.createIchimoku(tenkanPeriod, kijunPeriod, spanBPeriod, displacement),
+      toCandles(klines)
+    );
+    return toColumns(values, ['tenkan', 'kijun', 'spanA', 'spanB', 'cloudA', 'cloudB']);
+  }
+  
+  /**
+   * Calculate OBV (On-Balance Volume)
+   * @param {Array<Object>} klines - Array of kline objects with close and volume properties
+   * @returns {Array<number>} OBV values, starting at 0 on the first kline
+   */
+  function calculateOBV(klines) {
+    const functionName = 'calculateOBV';
+    
+    // Validate inputs
+    validateKlineData(klines, functionName, ['close', 'volume']);
+    
+    return streaming.series(streaming.createOBV(), toCandles(klines));
+  }
+  
+  /**
+   * Calculate Keltner Channels (EMA middle line, ATR bands)
+   * @param {Array<Object>} klines - Array of kline objects with high, low, close properties
+   * @param {number} emaPeriod - Middle line EMA period
+   * @param {number} atrPeriod - ATR period
+   * @param {number} multiplier - ATR multiplier
+   * @returns {Object} Object containing upper, middle, and lower arrays
+   */
+  function calculateKeltnerChannels(klines, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    const functionName = 'calculateKeltnerChannels';
+    
+    // Validate inputs
+    validatePeriod(emaPeriod, 'EMA period', functionName);
+    validatePeriod(atrPeriod, 'ATR period', functionName);
+    validateMultiplier(multiplier, functionName);
+    validateKlineData(klines, functionName);
+    
+    const values = streaming.series(streaming.createKeltner(emaPeriod, atrPeriod, multiplier), toCandles(klines));
+    return toColumns(values, ['upper', 'middle', 'lower']);
+  }
+  
+  /**
+   * Calculate Donchian Channels
+   * @param {Array<Object>} klines - Array of kline objects with high and low properties
+   * @param {number} period - Lookback period (the current kline included)
+   * @returns {Object} Object containing upper, middle, and lower arrays
+   */
+  function calculateDonchianChannels(klines, period = 20) {
+    const functionName = 'calculateDonchianChannels';
+    
+    // Validate inputs
+    validatePeriod(period, 'Period', functionName);
+    validateKlineData(klines, functionName, ['high', 'low']);
+    
+    const values = streaming.series(streaming.createDonchian(period), toCandles(klines));
+    return toColumns(values, ['upper', 'middle', 'lower']);
+  }
+  
   module.exports = {
     calculateRSI,
     calculateMACD,
     calculateBollingerBands,
     calculateEMA,
     calculateATR,
+    calculateVWAP,
+    calculateSupertrend,
+    calculateADX,
+    calculateStochRSI,
+    calculateIchimoku,
+    calculateOBV,
+    calculateKeltnerChannels,
+    calculateDonchianChannels,
     // Export utility functions for testing
     validatePriceData,
+    validateKlineData,
     padArray
   };
   
\ No newline at end of file
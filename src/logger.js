@@ -0,0 +1,223 @@
+// Shared structured logger. Each module takes its own named logger:
+//   const log = createLogger('ws');
+//   log('Pool WS #0 closed', 'warning', { symbol: 'BTCUSDT', timeframe: '15m', alertId: payload.id });
+// Every entry becomes one JSON line in logs/ema-tracker.log (LOG_DIR moves the folder) —
+//   {"time":"…","level":"warning","module":"ws","msg":"Pool WS #0 closed","symbol":"BTCUSDT",…}
+// — and a colored "[time] message" line on the console (LOG_CONSOLE=json prints the JSON line, off nothing).
+// Levels: debug < info = success < warning < error. LOG_LEVEL is the minimum for every module and
+// LOG_LEVELS overrides it per module ("ml=warning,ws=debug"). Past LOG_MAX_SIZE_MB the file is rolled
+// into a gzipped ema-tracker-<time>.log.gz; only the newest LOG_MAX_FILES archives are kept.
+// configureLogger() applies new LOG_* values while the bot runs.
+// Alert banners go through log.banner(lines, type, fields): the pretty console prints the colored
+// lines as they are, the JSON entry takes the first line as msg and the rest as `lines`.
+const colors = require('colors');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '..', 'logs');
+const LOG_FILE = path.join(LOG_DIR, 'ema-tracker.log');
+// Gzipped archives, plus the ema-tracker-YYYY-MM-DD.log daily files older versions wrote.
+// Both sort oldest first by name.
+const ARCHIVE_PATTERN = /^ema-tracker-(\d{4}-\d{2}-\d{2}\.log|.+\.log\.gz)$/;
+
+const LEVELS = { debug: 10, info: 20, success: 20, warning: 30, error: 40 };
+const LEVEL_ALIASES = { warn: 'warning' };
+const CONSOLE_MODES = ['pretty', 'json', 'off'];
+
+function parseLevel(value) {
+    const level = String(value || '').trim().toLowerCase();
+    const name = LEVEL_ALIASES[level] || level;
+    return LEVELS[name] !== undefined ? name : null;
+}
+
+// "ml=warning, ws=debug" → { ml: 'warning', ws: 'debug' }; bad entries land in `invalid`
+function parseModuleLevels(value) {
+    const levels = {};
+    const invalid = [];
+    for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const [module, level] = entry.split('=').map(s => s.trim());
+        if (module && parseLevel(level)) levels[module] = parseLevel(level);
+        else invalid.push(entry);
+    }
+    return { levels, invalid };
+}
+
+function positiveNumber(value, fallback) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function loadConfig(env) {
+    const moduleLevels = parseModuleLevels(env.LOG_LEVELS);
+    const problems = moduleLevels.invalid.map(entry => `LOG_LEVELS entry "${entry}" ignored`);
+    let level = parseLevel(env.LOG_LEVEL || 'info');
+    if (!level) {
+        problems.push(`LOG_LEVEL "${env.LOG_LEVEL}" is not one of ${Object.keys(LEVELS).join(', ')} — using info`);
+        level = 'info';
+    }
+    let consoleMode = String(env.LOG_CONSOLE || 'pretty').toLowerCase();
+    if (!CONSOLE_MODES.includes(consoleMode)) {
+        problems.push(`LOG_CONSOLE "${env.LOG_CONSOLE}" is not one of ${CONSOLE_MODES.join(', ')} — using pretty`);
+        consoleMode = 'pretty';
+    }
+    return {
+        level,
+        moduleLevels: moduleLevels.levels,
+        consoleMode,
+        maxSizeMb: positiveNumber(env.LOG_MAX_SIZE_MB, 10),
+        maxBytes: Math.round(positiveNumber(env.LOG_MAX_SIZE_MB, 10) * 1024 * 1024),
+        maxFiles: Math.floor(positiveNumber(env.LOG_MAX_FILES, 7)),
+        problems
+    };
+}
+
+let config = loadConfig(process.env);
+let fileSize = null; // bytes in LOG_FILE, read on the first write
+
+// Roll LOG_FILE over to a timestamped name and gzip it in the background
+function rotate() {
+    const rolled = path.join(LOG_DIR, `ema-tracker-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+    fs.renameSync(LOG_FILE, rolled);
+    fileSize = 0;
+    pipeline(fs.createReadStream(rolled), zlib.createGzip(), fs.createWriteStream(`${rolled}.gz`), (error) => {
+        if (error) {
+            console.error(`Log rotation: could not gzip ${path.basename(rolled)}: ${error.message}`);
+            return;
+        }
+        fs.unlink(rolled, () => pruneArchives());
+    });
+}
+
+// Delete all but the newest LOG_MAX_FILES archives
+function pruneArchives() {
+    try {
+        const archives = fs.readdirSync(LOG_DIR).filter(name => ARCHIVE_PATTERN.test(name)).sort().reverse();
+        for (const name of archives.slice(config.maxFiles)) fs.unlinkSync(path.join(LOG_DIR, name));
+    } catch (error) {
+        console.error(`Log rotation: could not prune archives: ${error.message}`);
+    }
+}
+
+function writeLine(line) {
+    try {
+        if (fileSize === null) {
+            fs.mkdirSync(LOG_DIR, { recursive: true });
+            fileSize = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
+            pruneArchives();
+        }
+        const bytes = Buffer.byteLength(line);
+        if (fileSize > 0 && fileSize + bytes > config.maxBytes) rotate();
+        fs.appendFileSync(LOG_FILE, line);
+        fileSize += bytes;
+    } catch (error) {
+        console.error(`Failed to write to log file: ${error.message}`);
+    }
+}
+
+function printPretty(entry) {
+    const line = `[${entry.time}] ${entry.msg}`;
+    switch (entry.level) {
+        case 'error':
+            console.error(line.red);
+            break;
+        case 'success':
+            console.log(line.green);
+            break;
+        case 'warning':
+            console.log(line.yellow);
+            break;
+        default:
+            console.log(line);
+    }
+}
+
+// Whether `module` logs entries of `level`
+function enabled(module, level) {
+    return LEVELS[level] >= LEVELS[config.moduleLevels[module] || config.level];
+}
+
+// Extra properties of an entry: an object as is, an Error as { error: stack }, anything else as { details }
+function toFields(fields) {
+    if (fields instanceof Error) return { error: fields.stack };
+    if (fields === null || fields === undefined || typeof fields === 'object') return fields;
+    return { details: fields };
+}
+
+// A JSON entry: `base` (time, level, module, msg …) then the caller's fields. A field named like a
+// base key never replaces it — spreading `base` again restores its value and keeps it first in the line.
+function makeEntry(base, fields) {
+    return { ...base, ...toFields(fields), ...base };
+}
+
+// A banner keeps its own colors and layout on the console, after a blank line
+function printBanner(lines) {
+    console.log('\n');
+    for (const line of lines) console.log(line);
+}
+
+// Write an entry to the file and the console; `banner` — the colored lines to print instead of the
+// "[time] message" line
+function emit(entry, banner = null) {
+    const json = JSON.stringify(entry);
+    writeLine(json + '\n');
+    if (config.consoleMode === 'pretty') {
+        if (banner) printBanner(banner);
+        else printPretty(entry);
+    } else if (config.consoleMode === 'json') (entry.level === 'error' ? console.error : console.log)(json);
+}
+
+// log(message, type = 'info', fields) for `module`. fields are extra JSON properties — symbol, timeframe
+// and alertId by convention.
+function createLogger(module) {
+    function log(message, type = 'info', fields = null) {
+        const level = parseLevel(type) || 'info';
+        if (!enabled(module, level)) return;
+        emit(makeEntry({ time: new Date().toISOString(), level, module, msg: String(message) }, fields));
+    }
+    log.banner = function banner(lines, type = 'info', fields = null) {
+        const level = parseLevel(type) || 'info';
+        if (!enabled(module, level)) return;
+        const [title, ...rest] = lines.map(line => colors.strip(String(line)).replace(/\s+/g, ' ').trim());
+        emit(makeEntry({ time: new Date().toISOString(), level, module, msg: title, lines: rest }, fields), lines);
+    };
+    return log;
+}
+
+function reportProblems() {
+    const log = createLogger('logger');
+    for (const problem of config.problems) log(problem, 'warning');
+}
+
+// The LOG_* settings in effect, as settings.json keys
+function logSettings() {
+    return {
+        LOG_LEVEL: config.level,
+        LOG_LEVELS: Object.entries(config.moduleLevels).map(([module, level]) => `${module}=${level}`).join(','),
+        LOG_CONSOLE: config.consoleMode,
+        LOG_MAX_SIZE_MB: config.maxSizeMb,
+        LOG_MAX_FILES: config.maxFiles
+    };
+}
+
+// Apply LOG_* settings while running (settings.json, POST /api/settings); keys not given keep
+// their current value. Loggers already created follow the new levels from their next entry.
+function configureLogger(settings) {
+    config = loadConfig({ ...logSettings(), ...settings });
+    reportProblems();
+    if (fileSize !== null) pruneArchives();
+}
+
+reportProblems();
+
+module.exports = {
+    LEVELS,
+    CONSOLE_MODES,
+    LOG_DIR,
+    LOG_FILE,
+    parseModuleLevels,
+    createLogger,
+    logSettings,
+    configureLogger
+};
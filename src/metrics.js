@@ -0,0 +1,118 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4), served at /metrics.
+// Counters and histograms are updated where things happen; gauges are read at scrape time
+// through their collect() callback.
+//   const candles = metrics.counter('ema_candles_processed_total', 'Closed candles', ['timeframe']);
+//   candles.inc({ timeframe: '15m' });
+
+// Seconds — suits REST latencies and rate-limit waits alike
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// { a: 'x', b: 'y' } → '{a="x",b="y"}' in labelNames order ('' without labels)
+function formatLabels(labelNames, labels, extra = '') {
+    const parts = labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`);
+    if (extra) parts.push(extra);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        if (metrics.some(m => m.name === metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Series of one metric keyed by their label values
+    function seriesStore(labelNames, create) {
+        const series = new Map();
+        return {
+            get(labels = {}) {
+                const key = labelNames.map(name => labels[name] ?? '').join('\u0000');
+                if (!series.has(key)) series.set(key, { labels, ...create() });
+                return series.get(key);
+            },
+            values: () => [...series.values()]
+        };
+    }
+
+    function counter(name, help, labelNames = []) {
+        const store = seriesStore(labelNames, () => ({ value: 0 }));
+        const metric = register({
+            name,
+            render: () => [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} counter`,
+                ...store.values().map(s => `${name}${formatLabels(labelNames, s.labels)} ${s.value}`)
+            ]
+        });
+        return Object.assign(metric, {
+            inc(labels = {}, by = 1) {
+                store.get(labels).value += by;
+            }
+        });
+    }
+
+    // collect() → a number, or [[labels, value], ...] for labelled gauges
+    function gauge(name, help, collect, labelNames = []) {
+        return register({
+            name,
+            render() {
+                const value = collect();
+                const samples = Array.isArray(value) ? value : [[{}, value]];
+                return [
+                    `# HELP ${name} ${help}`,
+                    `# TYPE ${name} gauge`,
+                    ...samples.filter(([, v]) => Number.isFinite(v)).map(([labels, v]) => `${name}${formatLabels(labelNames, labels)} ${v}`)
+                ];
+            }
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const store = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        const metric = register({
+            name,
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                for (const s of store.values()) {
+                    buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(labelNames, s.labels, `le="${le}"`)} ${s.counts[i]}`));
+                    lines.push(`${name}_bucket${formatLabels(labelNames, s.labels, 'le="+Inf"')} ${s.count}`);
+                    lines.push(`${name}_sum${formatLabels(labelNames, s.labels)} ${s.sum}`);
+                    lines.push(`${name}_count${formatLabels(labelNames, s.labels)} ${s.count}`);
+                }
+                return lines;
+            }
+        });
+        return Object.assign(metric, {
+            observe(labels, value) {
+                const s = store.get(labels);
+                buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+                s.sum += value;
+                s.count++;
+            }
+        });
+    }
+
+    // Text exposition of every metric
+    function render() {
+        return metrics.flatMap(m => m.render()).join('\n') + '\n';
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8'
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry
+};
@@ -2,21 +2,24 @@ const brain = require('brain.js');
 const fs = require('fs');
 const path = require('path');
 const { createObjectCsvWriter } = require('csv-writer');
+const { createLogger } = require('../logger');
 //const os = require('os');
 
 // Directories
 const ML_DATA_DIR = path.join(__dirname, 'ml_data');
 const CSV_DATA_DIR = path.join(__dirname, 'csv_data');
 const MODEL_PATH = path.join(__dirname, 'ml_models');
-const LOG_DIR = path.join(__dirname, 'logs');
 
 // Ensure directories exist
-[ML_DATA_DIR, CSV_DATA_DIR, MODEL_PATH, LOG_DIR].forEach(dir => {
+[ML_DATA_DIR, CSV_DATA_DIR, MODEL_PATH].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
 });
 
+// Shared structured logger; errors may pass an Error (logged with its stack) or extra details
+const log = createLogger('ml');
+
 // Model cache for better performance
 const modelCache = new Map();
 
@@ -30,47 +33,6 @@ function validateSymbol(symbol) {
     return true;
 }
 
-// Enhanced logging with more details
-function log(message, type = 'info', details = null) {
-    const timestamp = new Date().toISOString();
-    let logMessage = `[${timestamp}] ${message}`;
-    
-    // Add error details if available
-    if (details && type === 'error') {
-        if (details instanceof Error) {
-            logMessage += `\nStack: ${details.stack}`;
-        } else {
-            logMessage += `\nDetails: ${JSON.stringify(details)}`;
-        }
-    }
-
-    // Console logging with colors
-    switch (type) {
-        case 'error':
-            console.error(logMessage);
-            break;
-        case 'success':
-            console.log(logMessage);
-            break;
-        case 'warning':
-            console.log(logMessage);
-            break;
-        default:
-            console.log(logMessage);
-    }
-
-    // File logging with better error handling
-    try {
-        if (!fs.existsSync(LOG_DIR)) {
-            fs.mkdirSync(LOG_DIR, { recursive: true });
-        }
-        const logFile = path.join(LOG_DIR, `brain-ml-${new Date().toISOString().split('T')[0]}.log`);
-        fs.appendFileSync(logFile, logMessage + '\n');
-    } catch (logError) {
-        console.error(`Failed to write to log file: ${logError.message}`);
-    }
-}
-
 // Hyperparameter optimizer with improved error handling
 const hyperparamOptimizer = {
     // Define hyperparameter search space
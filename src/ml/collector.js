@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { createLogger } = require('../logger');
 
 // Create ML data directory if it doesn't exist
 const ML_DATA_DIR = path.join(__dirname, 'ml_data');
@@ -7,34 +8,7 @@ if (!fs.existsSync(ML_DATA_DIR)) {
     fs.mkdirSync(ML_DATA_DIR, { recursive: true });
 }
 
-// Function to log messages
-function log(message, type = 'info') {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}`;
-    
-    // Console logging with colors
-    switch(type) {
-        case 'error':
-            console.error(logMessage);
-            break;
-        case 'success':
-            console.log(logMessage);
-            break;
-        case 'warning':
-            console.log(logMessage);
-            break;
-        default:
-            console.log(logMessage);
-    }
-    
-    // File logging
-    const LOG_DIR = path.join(__dirname, 'logs');
-    if (!fs.existsSync(LOG_DIR)) {
-        fs.mkdirSync(LOG_DIR);
-    }
-    const logFile = path.join(LOG_DIR, `ema-tracker-${new Date().toISOString().split('T')[0]}.log`);
-    fs.appendFileSync(logFile, logMessage + '\n');
-}
+const log = createLogger('ml');
 
 // Collect data point for ML training
 async function collectDataPoint(symbol, dataPoint) {
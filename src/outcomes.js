@@ -0,0 +1,194 @@
+// Signal outcome tracker.
+// Every crossover alert is recorded with its entry price and then graded from the closed
+// candles of its own series at fixed horizons: return, move in the signal's direction,
+// max favorable/adverse excursion and whether the cross reversed before the horizon.
+const fs = require('fs');
+
+const HORIZONS = {
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
+};
+const HORIZON_KEYS = Object.keys(HORIZONS);
+const MAX_CLOSED = 5000; // graded signals kept on disk — oldest are dropped first
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Aggregate graded signals per horizon: hit rate, average move/excursions, reversal rate
+function summarize(signals) {
+    const summary = {
+        signals: signals.length,
+        longs: signals.filter(s => s.direction === 'up').length,
+        shorts: signals.filter(s => s.direction === 'down').length,
+        horizons: {}
+    };
+    for (const horizon of HORIZON_KEYS) {
+        const graded = signals.map(s => s.outcomes[horizon]).filter(o => o && !o.missed);
+        summary.horizons[horizon] = {
+            graded: graded.length,
+            hitRate: graded.length ? graded.filter(o => o.move > 0).length / graded.length * 100 : null,
+            avgMove: mean(graded.map(o => o.move)),
+            avgMfe: mean(graded.map(o => o.mfe)),
+            avgMae: mean(graded.map(o => o.mae)),
+            reversalRate: graded.length ? graded.filter(o => o.reversed).length / graded.length * 100 : null
+        };
+    }
+    return summary;
+}
+
+// Create a tracker. filePath null keeps everything in memory (replay mode).
+// tfMs maps a timeframe to its candle length so horizons can be matched to candle closes.
+function createOutcomeTracker({ filePath = null, tfMs }) {
+    let open = [];
+    let closed = [];
+
+    function load() {
+        if (!filePath || !fs.existsSync(filePath)) return 0;
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        open = Array.isArray(data.open) ? data.open : [];
+        closed = Array.isArray(data.closed) ? data.closed : [];
+        return open.length + closed.length;
+    }
+
+    function save() {
+        if (!filePath) return;
+        fs.writeFile(filePath, JSON.stringify({ open, closed }), () => {});
+    }
+
+    // Record a fired alert. Idempotent per symbol/timeframe/signal label/entry time, so a fallback
+    // sender re-reporting the same alert does not double count it, while two EMA pairs crossing
+    // on the same candle are graded separately.
+    // signal: { symbol, tf, mode, label, direction: 'up'|'down', state, entryPrice, entryTime }
+    function record(signal) {
+        const id = `${signal.symbol}_${signal.tf}_${signal.label}_${signal.entryTime}`;
+        if (open.some(s => s.id === id)) return false;
+        open.push({
+            id,
+            ...signal,
+            mfe: 0,
+            mae: 0,
+            reversedAt: null,
+            lastCandle: signal.entryTime,
+            outcomes: {}
+        });
+        save();
+        return true;
+    }
+
+    // Feed a closed candle of a symbol/timeframe series.
+    // candle: { high, low, close }, closeTime: ms, state: current above/below state of the series,
+    // or an object of states keyed by signal label when several EMA pairs run on the series
+    function onCandle(symbol, tf, candle, closeTime, state) {
+        const candleMs = tfMs[tf];
+        let graded = false;
+        for (const s of open) {
+            if (s.symbol !== symbol || s.tf !== tf || closeTime <= s.lastCandle) continue;
+            s.lastCandle = closeTime;
+
+            const sign = s.direction === 'up' ? 1 : -1;
+            const favorable = s.direction === 'up' ? candle.high : candle.low;
+            const adverse = s.direction === 'up' ? candle.low : candle.high;
+            s.mfe = Math.max(s.mfe, sign * (favorable - s.entryPrice) / s.entryPrice * 100);
+            s.mae = Math.min(s.mae, sign * (adverse - s.entryPrice) / s.entryPrice * 100);
+            const current = state && typeof state === 'object' ? state[s.label] : state;
+            if (s.reversedAt === null && current !== undefined && current !== s.state) s.reversedAt = closeTime;
+
+            for (const horizon of HORIZON_KEYS) {
+                const target = s.entryTime + HORIZONS[horizon];
+                if (s.outcomes[horizon] !== undefined || closeTime < target) continue;
+                graded = true;
+                // Horizons shorter than one candle cannot be measured on this series
+                if (HORIZONS[horizon] < candleMs) { s.outcomes[horizon] = null; continue; }
+                // Candles missed while the bot was down — grading late would skew the stats
+                if (closeTime - target >= candleMs) { s.outcomes[horizon] = { missed: true }; continue; }
+
+                const ret = (candle.close - s.entryPrice) / s.entryPrice * 100;
+                s.outcomes[horizon] = {
+                    price: candle.close,
+                    ret,
+                    move: sign * ret,
+                    mfe: s.mfe,
+                    mae: s.mae,
+                    reversed: s.reversedAt !== null
+                };
+            }
+        }
+        // Running excursions are only persisted alongside a graded horizon to keep disk writes rare
+        if (graded) {
+            settle();
+            save();
+        }
+    }
+
+    // Close out signals whose series stopped streaming (symbol dropped, bot down)
+    function expire(now) {
+        let marked = false;
+        for (const s of open) {
+            for (const horizon of HORIZON_KEYS) {
+                if (s.outcomes[horizon] !== undefined) continue;
+                if (now - (s.entryTime + HORIZONS[horizon]) >= Math.max(tfMs[s.tf], HORIZONS[horizon])) {
+                    s.outcomes[horizon] = HORIZONS[horizon] < tfMs[s.tf] ? null : { missed: true };
+                    marked = true;
+                }
+            }
+        }
+        if (marked) {
+            settle();
+            save();
+        }
+    }
+
+    // Move fully graded signals from open to closed
+    function settle() {
+        const done = open.filter(s => HORIZON_KEYS.every(h => s.outcomes[h] !== undefined));
+        if (done.length > 0) {
+            open = open.filter(s => !done.includes(s));
+            closed.push(...done);
+            if (closed.length > MAX_CLOSED) closed = closed.slice(-MAX_CLOSED);
+        }
+    }
+
+    // All signals (open ones carry their partial outcomes), optionally filtered
+    function signals({ symbol = null, since = null } = {}) {
+        return [...closed, ...open].filter(s =>
+            (!symbol || s.symbol === symbol) && (since === null || s.entryTime >= since)
+        );
+    }
+
+    // Rank symbol/timeframe/mode groups by average directional move at a horizon.
+    // Groups with fewer than minSignals graded outcomes are left out as noise.
+    function leaderboard({ horizon = '4h', minSignals = 3 } = {}) {
+        const groups = new Map();
+        for (const s of signals()) {
+            const key = `${s.symbol}|${s.tf}|${s.label}`;
+            if (!groups.has(key)) groups.set(key, { symbol: s.symbol, tf: s.tf, label: s.label, items: [] });
+            groups.get(key).items.push(s);
+        }
+        return [...groups.values()]
+            .map(g => ({ symbol: g.symbol, tf: g.tf, label: g.label, ...summarize(g.items).horizons[horizon] }))
+            .filter(row => row.graded >= minSignals)
+            .sort((a, b) => b.avgMove - a.avgMove);
+    }
+
+    return {
+        load,
+        save,
+        record,
+        onCandle,
+        expire,
+        signals,
+        summarize: filter => summarize(signals(filter)),
+        leaderboard,
+        openCount: () => open.length
+    };
+}
+
+module.exports = {
+    HORIZONS,
+    HORIZON_KEYS,
+    summarize,
+    createOutcomeTracker
+};
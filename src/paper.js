@@ -0,0 +1,160 @@
+// Paper trading portfolio.
+// Bullish alerts open a simulated long, bearish alerts a short. Stops and targets are placed
+// an ATR multiple away from the fill and checked against every closed candle of the
+// position's series. Fees and slippage are charged on both legs so PnL is not flattered.
+const fs = require('fs');
+
+const MAX_CLOSED_TRADES = 1000; // closed trades kept on disk — oldest are dropped first
+
+// config: { startBalance, positionPct, slAtr, tpAtr, feePct, slippagePct }
+// filePath null keeps the portfolio in memory (replay mode).
+function createPaperPortfolio({ filePath = null, config }) {
+    let balance = config.startBalance;
+    let positions = []; // { id, symbol, tf, side, qty, entry, stop, target, openedAt, entryFee, mark }
+    let trades = [];    // closed positions with exit, exitReason, closedAt, pnl, pnlPct
+
+    function load() {
+        if (!filePath || !fs.existsSync(filePath)) return false;
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (Number.isFinite(data.balance)) balance = data.balance;
+        positions = Array.isArray(data.positions) ? data.positions : [];
+        trades = Array.isArray(data.trades) ? data.trades : [];
+        return true;
+    }
+
+    function save() {
+        if (!filePath) return;
+        fs.writeFile(filePath, JSON.stringify({ balance, positions, trades }), () => {});
+    }
+
+    // Slippage always works against the trader: buys fill higher, sells lower
+    function fillPrice(price, buying) {
+        const slip = price * config.slippagePct / 100;
+        return buying ? price + slip : price - slip;
+    }
+
+    function unrealized(position, price = position.mark) {
+        const sign = position.side === 'long' ? 1 : -1;
+        return sign * (price - position.entry) * position.qty;
+    }
+
+    function equity() {
+        return balance + positions.reduce((sum, p) => sum + unrealized(p), 0);
+    }
+
+    function closePosition(position, price, reason, time) {
+        const exit = fillPrice(price, position.side === 'short');
+        const exitFee = exit * position.qty * config.feePct / 100;
+        const gross = unrealized(position, exit);
+        const pnl = gross - position.entryFee - exitFee;
+        balance += gross - exitFee; // entry fee was taken from the balance on open
+
+        const trade = {
+            ...position,
+            exit,
+            exitReason: reason,
+            closedAt: time,
+            fees: position.entryFee + exitFee,
+            pnl,
+            pnlPct: pnl / (position.entry * position.qty) * 100
+        };
+        delete trade.mark;
+        positions = positions.filter(p => p !== position);
+        trades.push(trade);
+        if (trades.length > MAX_CLOSED_TRADES) trades = trades.slice(-MAX_CLOSED_TRADES);
+        return trade;
+    }
+
+    // React to a fired alert. An opposite position on the symbol is closed first ('reverse');
+    // a same-direction alert keeps the existing position. Returns { opened, closed }.
+    function onSignal({ symbol, tf, direction, price, atr, time }) {
+        const side = direction === 'up' ? 'long' : 'short';
+        const result = { opened: null, closed: null };
+
+        const existing = positions.find(p => p.symbol === symbol);
+        if (existing) {
+            if (existing.side === side) return result;
+            result.closed = closePosition(existing, price, 'reverse', time);
+        }
+        if (!Number.isFinite(atr) || atr <= 0) {
+            save();
+            return result;
+        }
+
+        const entry = fillPrice(price, side === 'long');
+        const notional = equity() * config.positionPct / 100;
+        if (notional <= 0) {
+            save();
+            return result;
+        }
+        const qty = notional / entry;
+        const entryFee = notional * config.feePct / 100;
+        const sign = side === 'long' ? 1 : -1;
+        balance -= entryFee;
+
+        const position = {
+            id: `${symbol}_${time}`,
+            symbol,
+            tf,
+            side,
+            qty,
+            entry,
+            stop: entry - sign * atr * config.slAtr,
+            target: entry + sign * atr * config.tpAtr,
+            openedAt: time,
+            entryFee,
+            mark: entry
+        };
+        positions.push(position);
+        result.opened = position;
+        save();
+        return result;
+    }
+
+    // Mark open positions to a closed candle and fill any stop or target it touched.
+    // When one candle spans both levels the stop is assumed to fill first.
+    function onCandle(symbol, tf, candle, closeTime) {
+        const closedNow = [];
+        for (const position of positions.filter(p => p.symbol === symbol && p.tf === tf)) {
+            if (closeTime <= position.openedAt) continue;
+            const long = position.side === 'long';
+            const stopHit = long ? candle.low <= position.stop : candle.high >= position.stop;
+            const targetHit = long ? candle.high >= position.target : candle.low <= position.target;
+
+            if (stopHit) closedNow.push(closePosition(position, position.stop, 'stop', closeTime));
+            else if (targetHit) closedNow.push(closePosition(position, position.target, 'target', closeTime));
+            else position.mark = candle.close;
+        }
+        if (closedNow.length > 0) save();
+        return closedNow;
+    }
+
+    function stats() {
+        const wins = trades.filter(t => t.pnl > 0);
+        const realized = trades.reduce((sum, t) => sum + t.pnl, 0);
+        return {
+            balance,
+            equity: equity(),
+            openPnl: positions.reduce((sum, p) => sum + unrealized(p), 0),
+            realizedPnl: realized,
+            returnPct: (equity() - config.startBalance) / config.startBalance * 100,
+            trades: trades.length,
+            winRate: trades.length ? wins.length / trades.length * 100 : null,
+            openPositions: positions.length
+        };
+    }
+
+    return {
+        load,
+        save,
+        onSignal,
+        onCandle,
+        stats,
+        positions: () => positions.map(p => ({ ...p, openPnl: unrealized(p) })),
+        trades: () => trades.slice()
+    };
+}
+
+module.exports = {
+    createPaperPortfolio
+};
@@ -0,0 +1,223 @@
+// Offline replay of recorded candles.
+// Reads NDJSON / JSON / CSV candle files (the ml_data/<SYMBOL>/*.ndjson files written by
+// saveDataPoint and the csv_data exports both work) or the candles table of the SQLite
+// store, and plays them back in close-time order against a simulated clock, so the
+// crossover pipeline can run without any network.
+const fs = require('fs');
+const path = require('path');
+
+const TIMEFRAME_MS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000
+};
+
+// Files in a recorded data dir that are not candles
+const NON_CANDLE_FILES = new Set(['labels.ndjson', 'model_performance.json']);
+
+// Parse `--replay <path> [--replay <path>] [--tf 5m] [--speed 60] [--from ISO] [--to ISO] [--symbols A,B]`.
+// Returns null when --replay is absent so callers can branch on replay mode.
+function parseReplayArgs(argv) {
+    const opts = { paths: [], tf: null, speed: 0, from: null, to: null, symbols: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+        if (arg === '--replay') opts.paths.push(...next().split(',').filter(Boolean));
+        else if (arg === '--tf') opts.tf = next();
+        else if (arg === '--speed') opts.speed = Number(next());
+        else if (arg === '--from') opts.from = parseTime(next());
+        else if (arg === '--to') opts.to = parseTime(next());
+        else if (arg === '--symbols') opts.symbols = next().toUpperCase().split(',').filter(Boolean);
+    }
+    if (opts.paths.length === 0) return null;
+
+    if (opts.tf !== null && !TIMEFRAME_MS[opts.tf]) {
+        throw new Error(`--tf must be one of ${Object.keys(TIMEFRAME_MS).join(', ')}`);
+    }
+    if (!Number.isFinite(opts.speed) || opts.speed < 0) {
+        throw new Error('--speed must be a non-negative number (0 = as fast as possible)');
+    }
+    if (Number.isNaN(opts.from) || Number.isNaN(opts.to)) {
+        throw new Error('--from/--to must be ISO dates or epoch milliseconds');
+    }
+    return opts;
+}
+
+// Epoch ms from a number, numeric string or ISO date string (NaN if unparseable)
+function parseTime(value) {
+    if (typeof value === 'number') return value;
+    const str = String(value).trim();
+    return /^\d+$/.test(str) ? parseInt(str, 10) : Date.parse(str);
+}
+
+// Minimal RFC 4180 CSV parser — returns row objects keyed by lower-cased header
+function parseCsv(text) {
+    const rows = [];
+    let field = '';
+    let row = [];
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(v => v !== '')) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(v => v !== '')) rows.push(row);
+
+    if (rows.length === 0) return [];
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    return rows.slice(1).map(values => Object.fromEntries(header.map((h, i) => [h, values[i]])));
+}
+
+// Pick the first present field from a record (recorded files use several naming schemes)
+function pick(record, ...keys) {
+    for (const key of keys) {
+        if (record[key] !== undefined && record[key] !== null && record[key] !== '') return record[key];
+    }
+    return undefined;
+}
+
+// Normalize one recorded row into a replay event, or null if it is not a usable candle
+function normalizeRecord(record, fallbackSymbol, fallbackTf) {
+    const t = parseTime(pick(record, 'timestamp', 'time', 't', 'start', 'open_time'));
+    const open = parseFloat(pick(record, 'open', 'o'));
+    const high = parseFloat(pick(record, 'high', 'h'));
+    const low = parseFloat(pick(record, 'low', 'l'));
+    const close = parseFloat(pick(record, 'close', 'c'));
+    const volume = parseFloat(pick(record, 'volume', 'v') ?? 0);
+    if (![t, open, high, low, close].every(Number.isFinite)) return null;
+
+    const symbol = String(pick(record, 'symbol', 's') || fallbackSymbol || '').toUpperCase();
+    const tf = pick(record, 'tf', 'timeframe', 'interval') || fallbackTf;
+    if (!symbol || !TIMEFRAME_MS[tf]) return null;
+
+    return {
+        symbol,
+        tf,
+        closeTime: t + TIMEFRAME_MS[tf],
+        kline: { t, o: String(open), h: String(high), l: String(low), c: String(close), v: String(volume || 0), x: true }
+    };
+}
+
+// Symbol implied by a file location: ml_data/BTCUSDT/2025-01.ndjson or BTCUSDT_training_data.csv
+function symbolFromPath(filePath) {
+    const dir = path.basename(path.dirname(filePath));
+    if (/^[A-Z0-9]+USDT$/.test(dir)) return dir;
+    const match = path.basename(filePath).match(/^([A-Z0-9]+USDT)/);
+    return match ? match[1] : null;
+}
+
+// Expand files and directories (recursively) into candle file paths
+function listCandleFiles(target) {
+    const stat = fs.statSync(target);
+    if (stat.isFile()) return [target];
+    const files = [];
+    for (const entry of fs.readdirSync(target).sort()) {
+        const full = path.join(target, entry);
+        if (fs.statSync(full).isDirectory()) files.push(...listCandleFiles(full));
+        else if (/\.(ndjson|json|csv|db|sqlite)$/.test(entry) && !NON_CANDLE_FILES.has(entry)) files.push(full);
+    }
+    return files;
+}
+
+function readRecords(filePath) {
+    if (/\.(db|sqlite)$/.test(filePath)) {
+        // Required lazily — replaying plain files must not need the native sqlite module
+        const { openStore } = require('./db');
+        const store = openStore(filePath);
+        try {
+            return store.queryCandles();
+        } finally {
+            store.close();
+        }
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (filePath.endsWith('.csv')) return parseCsv(text);
+    if (filePath.endsWith('.ndjson')) {
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+// Load, filter, de-duplicate and sort every candle from the given paths.
+// Events are ordered by close time, then symbol, then timeframe so a replay is deterministic.
+function loadReplayEvents({ paths, tf, from = null, to = null, symbols = null }) {
+    const wanted = symbols ? new Set(symbols) : null;
+    const seen = new Map();
+
+    for (const target of paths) {
+        for (const file of listCandleFiles(target)) {
+            const fallbackSymbol = symbolFromPath(file);
+            for (const record of readRecords(file)) {
+                const event = normalizeRecord(record, fallbackSymbol, tf);
+                if (!event) continue;
+                if (wanted && !wanted.has(event.symbol)) continue;
+                if (from !== null && event.kline.t < from) continue;
+                if (to !== null && event.kline.t > to) continue;
+                // Recorded files can hold the same candle twice (e.g. after /collectdata)
+                seen.set(`${event.symbol}_${event.tf}_${event.kline.t}`, event);
+            }
+        }
+    }
+
+    return [...seen.values()].sort((a, b) =>
+        a.closeTime - b.closeTime ||
+        a.symbol.localeCompare(b.symbol) ||
+        TIMEFRAME_MS[a.tf] - TIMEFRAME_MS[b.tf]
+    );
+}
+
+// Clock whose time only moves when the replay advances it
+function createSimulatedClock(startMs = 0) {
+    let current = startMs;
+    return {
+        now: () => current,
+        advanceTo(ms) { if (ms > current) current = ms; }
+    };
+}
+
+// Feed events to onCandle one at a time, advancing the clock to each candle's close.
+// speed 0 runs as fast as possible; speed N sleeps (gap / N) real ms between candles.
+async function runReplay(events, { clock, speed = 0, onCandle, onProgress = null }) {
+    let previousClose = null;
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        if (speed > 0 && previousClose !== null && event.closeTime > previousClose) {
+            await new Promise(r => setTimeout(r, (event.closeTime - previousClose) / speed));
+        }
+        previousClose = event.closeTime;
+        clock.advanceTo(event.closeTime);
+        await onCandle(event);
+        if (onProgress) onProgress(i + 1, events.length);
+    }
+}
+
+module.exports = {
+    TIMEFRAME_MS,
+    parseTime,
+    parseReplayArgs,
+    parseCsv,
+    loadReplayEvents,
+    createSimulatedClock,
+    runReplay
+};
@@ -0,0 +1,684 @@
+// Alert rules — a small expression language traders type into Telegram (/rule add), e.g.
+//
+//   ema(9,5m) crosses_above ema(21,5m) and rsi(14,15m) < 70 and volume > 2*sma(volume,20)
+//
+// Grammar (lowest precedence first):
+//   expr    := and ('or' and)*
+//   and     := not ('and' not)*
+//   not     := 'not' not | compare
+//   compare := sum (('<' | '<=' | '>' | '>=' | '==' | '!=' | 'crosses_above' | 'crosses_below') sum)?
+//   sum     := product (('+' | '-') product)*
+//   product := unary (('*' | '/') unary)*
+//   unary   := '-' unary | NUMBER | '(' expr ')' | NAME ['(' args ')']
+// Indicator arguments are a source series (close, open, high, low, volume), numbers and at most one
+// timeframe (5m, 1h, ...). An indicator without a timeframe uses the rule's timeframe — the smallest
+// one it mentions, or the bot's default. The rule is evaluated when a candle of that timeframe closes;
+// other timeframes contribute their latest closed candle.
+const fs = require('fs');
+const {
+    createSMA, createEMA, createRSI, createMACD, createBollinger, createATR, createROC, createVWAP,
+    createSupertrend, createADX, createStochRSI, createIchimoku, createKeltner, createDonchian
+} = require('./streaming');
+const { TIMEFRAME_MS } = require('./replay');
+
+const SOURCES = ['close', 'open', 'high', 'low', 'volume'];
+const COMPARE_OPS = ['<', '<=', '>', '>=', '==', '!='];
+const CROSS_OPS = ['crosses_above', 'crosses_below'];
+const MAX_PERIOD = 500;
+const MAX_RULE_LENGTH = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// name -> { params: [[name, default]...], source: accepts a source series first, warmup(params, tf),
+// create(params, source) → a src/streaming.js indicator, field: the output read from indicators that
+// return objects }
+const FUNCTIONS = {
+    ema: {
+        params: [['period', null]],
+        source: true,
+        warmup: ([period]) => period * 2,
+        create: ([period], source) => createEMA(period, { source })
+    },
+    sma: {
+        params: [['period', null]],
+        source: true,
+        warmup: ([period]) => period,
+        create: ([period], source) => createSMA(period, { source })
+    },
+    rsi: {
+        params: [['period', 14]],
+        source: true,
+        warmup: ([period]) => period * 3,
+        create: ([period], source) => createRSI(period, { source })
+    },
+    macd: {
+        params: [['fast', 12], ['slow', 26], ['signal', 9]],
+        warmup: ([, slow, signal]) => slow * 2 + signal,
+        create: params => createMACD(...params),
+        field: 'macd'
+    },
+    macd_signal: {
+        params: [['fast', 12], ['slow', 26], ['signal', 9]],
+        warmup: ([, slow, signal]) => slow * 2 + signal,
+        create: params => createMACD(...params),
+        field: 'signal'
+    },
+    macd_hist: {
+        params: [['fast', 12], ['slow', 26], ['signal', 9]],
+        warmup: ([, slow, signal]) => slow * 2 + signal,
+        create: params => createMACD(...params),
+        field: 'histogram'
+    },
+    bb_upper: {
+        params: [['period', 20], ['mult', 2]],
+        warmup: ([period]) => period,
+        create: ([period, mult]) => createBollinger(period, mult),
+        field: 'upper'
+    },
+    bb_middle: {
+        params: [['period', 20], ['mult', 2]],
+        warmup: ([period]) => period,
+        create: ([period, mult]) => createBollinger(period, mult),
+        field: 'middle'
+    },
+    bb_lower: {
+        params: [['period', 20], ['mult', 2]],
+        warmup: ([period]) => period,
+        create: ([period, mult]) => createBollinger(period, mult),
+        field: 'lower'
+    },
+    atr: {
+        params: [['period', 14]],
+        warmup: ([period]) => period + 1,
+        create: ([period]) => createATR(period)
+    },
+    change: {
+        params: [['period', 1]],
+        source: true,
+        warmup: ([period]) => period + 1,
+        // % change over `period` candles
+        create: ([period], source) => createROC(period, { source })
+    },
+    vwap: {
+        params: [],
+        // Session VWAP resets at 00:00 UTC, so it needs up to a full day of candles
+        warmup: (params, tf) => Math.ceil(DAY_MS / TIMEFRAME_MS[tf]),
+        create: () => createVWAP()
+    },
+    supertrend: {
+        params: [['period', 10], ['mult', 3]],
+        warmup: ([period]) => period * 3,
+        create: ([period, mult]) => createSupertrend(period, mult),
+        field: 'value'
+    },
+    // 1 in an uptrend, -1 in a downtrend
+    supertrend_dir: {
+        params: [['period', 10], ['mult', 3]],
+        warmup: ([period]) => period * 3,
+        create: ([period, mult]) => createSupertrend(period, mult),
+        field: 'direction'
+    },
+    adx: {
+        params: [['period', 14]],
+        warmup: ([period]) => period * 4,
+        create: ([period]) => createADX(period),
+        field: 'adx'
+    },
+    plus_di: {
+        params: [['period', 14]],
+        warmup: ([period]) => period * 4,
+        create: ([period]) => createADX(period),
+        field: 'plusDI'
+    },
+    minus_di: {
+        params: [['period', 14]],
+        warmup: ([period]) => period * 4,
+        create: ([period]) => createADX(period),
+        field: 'minusDI'
+    },
+    stochrsi_k: {
+        params: [['rsi', 14], ['stoch', 14], ['k', 3], ['d', 3]],
+        source: true,
+        warmup: ([rsi, stoch, k, d]) => rsi * 3 + stoch + k + d,
+        create: (params, source) => createStochRSI(...params, { source }),
+        field: 'k'
+    },
+    stochrsi_d: {
+        params: [['rsi', 14], ['stoch', 14], ['k', 3], ['d', 3]],
+        source: true,
+        warmup: ([rsi, stoch, k, d]) => rsi * 3 + stoch + k + d,
+        create: (params, source) => createStochRSI(...params, { source }),
+        field: 'd'
+    },
+    tenkan: {
+        params: [['tenkan', 9], ['kijun', 26], ['span_b', 52]],
+        warmup: ([tenkan, kijun, spanB]) => Math.max(tenkan, kijun, spanB) + kijun,
+        create: params => createIchimoku(...params),
+        field: 'tenkan'
+    },
+    kijun: {
+        params: [['tenkan', 9], ['kijun', 26], ['span_b', 52]],
+        warmup: ([tenkan, kijun, spanB]) => Math.max(tenkan, kijun, spanB) + kijun,
+        create: params => createIchimoku(...params),
+        field: 'kijun'
+    },
+    // The Ichimoku cloud at the current candle (leading spans from `kijun` candles ago)
+    cloud_a: {
+        params: [['tenkan', 9], ['kijun', 26], ['span_b', 52]],
+        warmup: ([tenkan, kijun, spanB]) => Math.max(tenkan, kijun, spanB) + kijun,
+        create: params => createIchimoku(...params),
+        field: 'cloudA'
+    },
+    cloud_b: {
+        params: [['tenkan', 9], ['kijun', 26], ['span_b', 52]],
+        warmup: ([tenkan, kijun, spanB]) => Math.max(tenkan, kijun, spanB) + kijun,
+        create: params => createIchimoku(...params),
+        field: 'cloudB'
+    },
+    kc_upper: {
+        params: [['period', 20], ['atr', 10], ['mult', 2]],
+        warmup: ([period, atr]) => Math.max(period * 2, atr * 3),
+        create: params => createKeltner(...params),
+        field: 'upper'
+    },
+    kc_middle: {
+        params: [['period', 20], ['atr', 10], ['mult', 2]],
+        warmup: ([period, atr]) => Math.max(period * 2, atr * 3),
+        create: params => createKeltner(...params),
+        field: 'middle'
+    },
+    kc_lower: {
+        params: [['period', 20], ['atr', 10], ['mult', 2]],
+        warmup: ([period, atr]) => Math.max(period * 2, atr * 3),
+        create: params => createKeltner(...params),
+        field: 'lower'
+    },
+    dc_upper: {
+        params: [['period', 20]],
+        warmup: ([period]) => period,
+        create: ([period]) => createDonchian(period),
+        field: 'upper'
+    },
+    dc_middle: {
+        params: [['period', 20]],
+        warmup: ([period]) => period,
+        create: ([period]) => createDonchian(period),
+        field: 'middle'
+    },
+    dc_lower: {
+        params: [['period', 20]],
+        warmup: ([period]) => period,
+        create: ([period]) => createDonchian(period),
+        field: 'lower'
+    }
+};
+
+function ruleError(message, pos) {
+    const error = new Error(message);
+    error.pos = pos;
+    return error;
+}
+
+// ---------------------------------------------------------------- parsing
+
+function tokenize(text) {
+    const tokens = [];
+    const re = /\s*(?:(\d+[mh])(?![a-z0-9_])|(\d+(?:\.\d+)?|\.\d+)|([a-z_][a-z0-9_]*)|(<=|>=|==|!=|[<>()+\-*/,]))/iy;
+    let pos = 0;
+    while (pos < text.length) {
+        if (/^\s*$/.test(text.slice(pos))) break;
+        re.lastIndex = pos;
+        const m = re.exec(text);
+        if (!m) {
+            const at = pos + text.slice(pos).search(/\S/);
+            throw ruleError(`Unexpected character "${text[at]}"`, at);
+        }
+        const start = m.index + m[0].length - (m[1] || m[2] || m[3] || m[4]).length;
+        if (m[1]) tokens.push({ type: 'tf', value: m[1].toLowerCase(), pos: start });
+        else if (m[2]) tokens.push({ type: 'num', value: parseFloat(m[2]), pos: start });
+        else if (m[3]) tokens.push({ type: 'name', value: m[3].toLowerCase(), pos: start });
+        else tokens.push({ type: 'op', value: m[4], pos: start });
+        pos = re.lastIndex;
+    }
+    tokens.push({ type: 'end', value: 'end of rule', pos: text.length });
+    return tokens;
+}
+
+// Parse a rule into an AST. timeframes — the timeframes a rule may use.
+// Throws an Error with .pos (character offset) on anything invalid.
+function parseRule(text, { timeframes }) {
+    if (text.length > MAX_RULE_LENGTH) throw ruleError(`Rule is too long (max ${MAX_RULE_LENGTH} characters)`, MAX_RULE_LENGTH);
+    const tokens = tokenize(text);
+    let i = 0;
+    const peek = () => tokens[i];
+    const next = () => tokens[i++];
+    const is = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+    const expect = (type, value) => {
+        if (!is(type, value)) throw ruleError(`Expected "${value || type}" but found "${peek().value}"`, peek().pos);
+        return next();
+    };
+
+    function expr() {
+        let left = and();
+        while (is('name', 'or')) {
+            const { pos } = next();
+            left = { type: 'logic', op: 'or', left: bool(left), right: bool(and()), pos };
+        }
+        return left;
+    }
+    function and() {
+        let left = not();
+        while (is('name', 'and')) {
+            const { pos } = next();
+            left = { type: 'logic', op: 'and', left: bool(left), right: bool(not()), pos };
+        }
+        return left;
+    }
+    function not() {
+        if (is('name', 'not')) {
+            const { pos } = next();
+            return { type: 'not', expr: bool(not()), pos };
+        }
+        return compare();
+    }
+    function compare() {
+        const left = sum();
+        const token = peek();
+        if ((token.type === 'op' && COMPARE_OPS.includes(token.value)) || (token.type === 'name' && CROSS_OPS.includes(token.value))) {
+            next();
+            const right = sum();
+            if (!readsSeries(left) && !readsSeries(right)) {
+                throw ruleError(`This comparison never changes — compare a price, volume or indicator (e.g. rsi(14) ${token.value} 30)`, token.pos);
+            }
+            return {
+                type: CROSS_OPS.includes(token.value) ? 'cross' : 'compare',
+                op: token.value,
+                left: num(left),
+                right: num(right),
+                pos: token.pos
+            };
+        }
+        return left;
+    }
+    function sum() {
+        let left = product();
+        while (is('op', '+') || is('op', '-')) {
+            const { value, pos } = next();
+            left = { type: 'math', op: value, left: num(left), right: num(product()), pos };
+        }
+        return left;
+    }
+    function product() {
+        let left = unary();
+        while (is('op', '*') || is('op', '/')) {
+            const { value, pos } = next();
+            left = { type: 'math', op: value, left: num(left), right: num(unary()), pos };
+        }
+        return left;
+    }
+    function unary() {
+        const token = peek();
+        if (is('op', '-')) {
+            next();
+            return { type: 'math', op: '-', left: { type: 'num', value: 0 }, right: num(unary()), pos: token.pos };
+        }
+        if (token.type === 'num') return { type: 'num', value: next().value };
+        if (is('op', '(')) {
+            next();
+            const inner = expr();
+            expect('op', ')');
+            return inner;
+        }
+        if (token.type === 'name') return call();
+        throw ruleError(`Unexpected "${token.value}"`, token.pos);
+    }
+    function call() {
+        const { value: name, pos } = next();
+        if (SOURCES.includes(name)) {
+            // close, volume, close(1h)
+            let tf = null;
+            if (is('op', '(')) {
+                next();
+                tf = timeframe(expect('tf'));
+                expect('op', ')');
+            }
+            return { type: 'series', name, source: name, params: [], tf, pos };
+        }
+        const fn = FUNCTIONS[name];
+        if (!fn) {
+            throw ruleError(`Unknown name "${name}" — use ${[...SOURCES, ...Object.keys(FUNCTIONS)].join(', ')}`, pos);
+        }
+
+        const args = [];
+        if (is('op', '(')) {
+            next();
+            while (!is('op', ')')) {
+                if (is('end')) throw ruleError(`Missing ")" after ${name}(`, peek().pos);
+                if (args.length > 0) expect('op', ',');
+                const token = next();
+                if (!['num', 'tf', 'name'].includes(token.type)) throw ruleError(`Unexpected "${token.value}" in ${name}()`, token.pos);
+                args.push(token);
+            }
+            next();
+        }
+
+        let source = 'close';
+        let tf = null;
+        const params = [];
+        for (const [index, arg] of args.entries()) {
+            if (arg.type === 'tf') {
+                if (tf) throw ruleError(`${name}() takes a single timeframe`, arg.pos);
+                tf = timeframe(arg);
+            } else if (arg.type === 'name') {
+                if (!fn.source || index !== 0 || !SOURCES.includes(arg.value)) {
+                    throw ruleError(`"${arg.value}" is not valid here — ${fn.source ? `${name}() takes a source (${SOURCES.join(', ')}) as its first argument` : `${name}() only takes numbers and a timeframe`}`, arg.pos);
+                }
+                source = arg.value;
+            } else {
+                params.push(arg);
+            }
+        }
+        if (params.length > fn.params.length) {
+            const allowed = fn.params.length > 0 ? `at most ${fn.params.length} number(s): ${fn.params.map(p => p[0]).join(', ')}` : 'no numbers';
+            throw ruleError(`${name}() takes ${allowed}`, params[fn.params.length].pos);
+        }
+        const resolved = fn.params.map(([paramName, fallback], index) => {
+            const arg = params[index];
+            if (!arg) {
+                if (fallback === null) throw ruleError(`${name}() needs a ${paramName}, e.g. ${name}(20)`, pos);
+                return fallback;
+            }
+            const isPeriod = paramName !== 'mult';
+            if (isPeriod && (!Number.isInteger(arg.value) || arg.value < 1 || arg.value > MAX_PERIOD)) {
+                throw ruleError(`${name}() ${paramName} must be a whole number from 1 to ${MAX_PERIOD}`, arg.pos);
+            }
+            if (!isPeriod && !(arg.value > 0)) throw ruleError(`${name}() ${paramName} must be positive`, arg.pos);
+            return arg.value;
+        });
+        return { type: 'series', name, source, params: resolved, tf, pos };
+    }
+    function timeframe(token) {
+        if (!timeframes.includes(token.value)) {
+            throw ruleError(`Timeframe ${token.value} is not supported — use ${timeframes.join(', ')}`, token.pos);
+        }
+        return token.value;
+    }
+    // Type checks: logic needs conditions, arithmetic and comparisons need numbers
+    function bool(node) {
+        if (!isBool(node)) throw ruleError('Expected a condition (e.g. rsi(14) < 30) here', node.pos ?? 0);
+        return node;
+    }
+    function num(node) {
+        if (isBool(node)) throw ruleError('Expected a number or indicator here, not a condition', node.pos ?? 0);
+        return node;
+    }
+
+    const ast = expr();
+    if (!is('end')) throw ruleError(`Unexpected "${peek().value}"`, peek().pos);
+    return bool(ast);
+}
+
+function isBool(node) {
+    return ['logic', 'not', 'compare', 'cross'].includes(node.type);
+}
+
+// Whether a number node depends on a price, volume or indicator (not just constants)
+function readsSeries(node) {
+    let found = false;
+    walk(node, n => {
+        if (n.type === 'series') found = true;
+    });
+    return found;
+}
+
+function walk(node, visit) {
+    visit(node);
+    for (const child of [node.left, node.right, node.expr]) if (child) walk(child, visit);
+}
+
+// Compile rule text: the AST, the rule's own timeframe, every timeframe it reads and the
+// candles of history it needs. defaultTf — timeframe used when the rule names none.
+function compileRule(text, { timeframes, defaultTf }) {
+    const ast = parseRule(text.trim(), { timeframes });
+    const used = new Set();
+    walk(ast, node => {
+        if (node.type === 'series' && node.tf) used.add(node.tf);
+    });
+    // The smallest named timeframe drives evaluation; unnamed indicators run on it too
+    const order = tf => timeframes.indexOf(tf);
+    const tf = used.size > 0 ? [...used].sort((a, b) => order(a) - order(b))[0] : defaultTf;
+    let lookback = 2;
+    walk(ast, node => {
+        if (node.type !== 'series') return;
+        if (!node.tf) node.tf = tf;
+        if (node.name !== node.source) lookback = Math.max(lookback, FUNCTIONS[node.name].warmup(node.params, node.tf) + 2);
+    });
+    used.add(tf);
+    return { ast, tf, timeframes: [...used], lookback };
+}
+
+// ---------------------------------------------------------------- evaluation
+
+// Streaming indicator state of one rule on one symbol. Each indicator the rule reads is fed only the
+// candles that closed since the previous evaluation, so evaluating a rule is O(1) per new candle
+// rather than a recomputation over the whole candle window. The first use replays the cached window.
+function createRuleState() {
+    const feeds = new Map(); // `${name}|${source}|${params}|${tf}` -> { indicator, lastTime, prev, last }
+
+    // Value of an indicator node `offset` candles back (0 = latest closed, 1 = the one before)
+    function at(node, getCandles, offset) {
+        const key = `${node.name}|${node.source}|${node.params.join(',')}|${node.tf}`;
+        const fn = FUNCTIONS[node.name];
+        const candles = getCandles(node.tf) || [];
+        let feed = feeds.get(key);
+        // Only candles newer than the last one pushed — found by scanning back from the end
+        let from = candles.length;
+        while (from > 0 && (!feed || candles[from - 1].time > feed.lastTime)) from--;
+        // The cache moved on past everything this feed has seen (or it is new): start over from the window
+        if (!feed || (from === 0 && candles.length > 0 && feed.lastTime !== -Infinity)) {
+            feed = { indicator: fn.create(node.params, node.source), lastTime: -Infinity, prev: null, last: null };
+            feeds.set(key, feed);
+            from = 0;
+        }
+        for (let i = from; i < candles.length; i++) {
+            const output = feed.indicator.push(candles[i]);
+            feed.prev = feed.last;
+            feed.last = output === null ? null : fn.field ? output[fn.field] : output;
+            feed.lastTime = candles[i].time;
+        }
+        return offset === 0 ? feed.last : feed.prev;
+    }
+
+    return { at };
+}
+
+// Evaluate a compiled rule for one symbol. getCandles(tf) returns that timeframe's closed candles
+// (oldest first); state — that symbol's createRuleState() for the rule, kept between evaluations
+// (a fresh one computes everything from the candles). Returns true/false, or null when some
+// indicator has not warmed up yet.
+function evaluateRule(compiled, getCandles, state = createRuleState()) {
+    function seriesAt(node, offset) {
+        let value;
+        if (node.name === node.source) {
+            const candles = getCandles(node.tf) || [];
+            value = candles[candles.length - 1 - offset]?.[node.source];
+        } else {
+            value = state.at(node, getCandles, offset);
+        }
+        return value === undefined || value === null || !Number.isFinite(value) ? null : value;
+    }
+    function value(node, offset) {
+        switch (node.type) {
+        case 'num': return node.value;
+        case 'series': return seriesAt(node, offset);
+        case 'math': {
+            const a = value(node.left, offset);
+            const b = value(node.right, offset);
+            if (a === null || b === null) return null;
+            if (node.op === '+') return a + b;
+            if (node.op === '-') return a - b;
+            if (node.op === '*') return a * b;
+            return b === 0 ? null : a / b;
+        }
+        default: throw new Error(`Not a number: ${node.type}`);
+        }
+    }
+    function test(node) {
+        switch (node.type) {
+        case 'logic': {
+            const a = test(node.left);
+            // Short-circuit when the answer is already known, even if the other side is not warm
+            if (node.op === 'and' && a === false) return false;
+            if (node.op === 'or' && a === true) return true;
+            const b = test(node.right);
+            if (a === null || b === null) return node.op === 'and' ? (b === false ? false : null) : (b === true ? true : null);
+            return node.op === 'and' ? a && b : a || b;
+        }
+        case 'not': {
+            const a = test(node.expr);
+            return a === null ? null : !a;
+        }
+        case 'compare': {
+            const a = value(node.left, 0);
+            const b = value(node.right, 0);
+            if (a === null || b === null) return null;
+            return { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b, '==': a === b, '!=': a !== b }[node.op];
+        }
+        case 'cross': {
+            const [a, b, prevA, prevB] = [value(node.left, 0), value(node.right, 0), value(node.left, 1), value(node.right, 1)];
+            if ([a, b, prevA, prevB].includes(null)) return null;
+            return node.op === 'crosses_above' ? prevA <= prevB && a > b : prevA >= prevB && a < b;
+        }
+        default: throw new Error(`Not a condition: ${node.type}`);
+        }
+    }
+    return test(compiled.ast);
+}
+
+// "rsi(14,15m)" style name of an indicator node, as shown in alerts
+function describeSeries(node) {
+    if (node.name === node.source) return `${node.name}(${node.tf})`;
+    const args = [FUNCTIONS[node.name].source && node.source !== 'close' ? node.source : null, ...node.params, node.tf];
+    return `${node.name}(${args.filter(a => a !== null).join(',')})`;
+}
+
+// Latest value of every indicator a rule reads — the "why" shown with a rule alert. Pass the
+// state evaluateRule just used so nothing is computed twice.
+function snapshotRule(compiled, getCandles, state = createRuleState()) {
+    const seen = new Map();
+    walk(compiled.ast, node => {
+        if (node.type !== 'series') return;
+        const label = describeSeries(node);
+        if (seen.has(label)) return;
+        const value = node.name === node.source ? (getCandles(node.tf) || []).at(-1)?.[node.source] : state.at(node, getCandles, 0);
+        seen.set(label, Number.isFinite(value) ? value : null);
+    });
+    return [...seen.entries()].map(([label, value]) => ({ label, value }));
+}
+
+// Rule text with a caret under the error position — for chat replies
+function describeRuleError(text, error) {
+    if (typeof error.pos !== 'number') return error.message;
+    return `${error.message}\n${text}\n${' '.repeat(Math.min(error.pos, text.length))}^`;
+}
+
+// ---------------------------------------------------------------- storage
+
+// Rules persisted per chat in a JSON file. filePath null keeps them in memory; readOnly loads
+// the file but never writes it (replays). compile(text, defaultTf) — compileRule with the bot's
+// timeframes; a stored rule is recompiled with the timeframe it resolved to when it was added,
+// so changing the bot's default timeframe never moves existing rules.
+function createRuleStore({ filePath = null, readOnly = false, compile, log = () => {} }) {
+    const rules = new Map(); // `${chatId}|${name}` -> { chatId, name, text, tf, createdAt, compiled, states }
+
+    function load() {
+        rules.clear();
+        if (filePath && fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const rule of Array.isArray(data) ? data : []) {
+                try {
+                    rules.set(`${rule.chatId}|${rule.name}`, { ...rule, compiled: compile(rule.text, rule.tf), states: new Map() });
+                } catch (error) {
+                    // Kept on disk so the owner can see and fix it; not evaluated
+                    rules.set(`${rule.chatId}|${rule.name}`, { ...rule, compiled: null, states: new Map(), error: error.message });
+                    log(`Rule "${rule.name}" of ${rule.chatId} is invalid and will not run: ${error.message}`, 'warning');
+                }
+            }
+        }
+        return rules.size;
+    }
+
+    function save() {
+        if (!filePath || readOnly) return;
+        const data = [...rules.values()].map(({ chatId, name, text, tf, createdAt }) => ({ chatId, name, text, tf, createdAt }));
+        fs.writeFile(filePath, JSON.stringify(data, null, 2), () => {});
+    }
+
+    // Throws the compile error for invalid rules; replaces an existing rule of the same name
+    function add(chatId, name, text) {
+        const compiled = compile(text);
+        const rule = { chatId: String(chatId), name, text: text.trim(), tf: compiled.tf, createdAt: Date.now(), compiled, states: new Map() };
+        rules.set(`${rule.chatId}|${name}`, rule);
+        save();
+        return rule;
+    }
+
+    function remove(chatId, name) {
+        const removed = rules.delete(`${chatId}|${name}`);
+        if (removed) save();
+        return removed;
+    }
+
+    function get(chatId, name) {
+        return rules.get(`${chatId}|${name}`) || null;
+    }
+
+    function list(chatId = null) {
+        return [...rules.values()].filter(r => chatId === null || r.chatId === String(chatId));
+    }
+
+    // The rule's streaming indicator state on one symbol (see createRuleState); replacing or
+    // removing the rule drops it
+    function stateFor(rule, symbol) {
+        if (!rule.states.has(symbol)) rule.states.set(symbol, createRuleState());
+        return rule.states.get(symbol);
+    }
+
+    // Valid rules evaluated on candles of tf
+    function forTimeframe(tf) {
+        return list().filter(r => r.compiled && r.compiled.tf === tf);
+    }
+
+    // Every timeframe some rule reads — these must be streamed
+    function timeframes() {
+        return [...new Set(list().flatMap(r => (r.compiled ? r.compiled.timeframes : [])))];
+    }
+
+    // Candles of history the longest rule needs
+    function lookback() {
+        return Math.max(0, ...list().map(r => (r.compiled ? r.compiled.lookback : 0)));
+    }
+
+    return {
+        load,
+        add,
+        remove,
+        get,
+        list,
+        stateFor,
+        forTimeframe,
+        timeframes,
+        lookback
+    };
+}
+
+module.exports = {
+    SOURCES,
+    FUNCTIONS,
+    parseRule,
+    compileRule,
+    createRuleState,
+    evaluateRule,
+    snapshotRule,
+    describeRuleError,
+    createRuleStore
+};
@@ -0,0 +1,109 @@
+// Crossover rules shared by the live tracker (main.js) and the backtester.
+// Kept free of I/O so a simulated signal is decided by exactly the same code as a live one.
+
+const MIN_CROSS_PCT = 0.0003; // 0.03% minimum crossover margin to reduce whipsaw
+
+// Price vs EMA crossover with a minimum margin (fraction of the EMA) to reduce whipsaw.
+// Returns 'up', 'down' or null.
+function detectPriceCross(prevPrice, lastPrice, prevEma, lastEma, minCrossPct) {
+    // Upward crossover: price crossing from below to above EMA (with minimum margin)
+    if (prevPrice < prevEma && lastPrice > lastEma && (lastPrice - lastEma) / lastEma > minCrossPct) {
+        return 'up';
+    }
+    // Downward crossover: price crossing from above to below EMA (with minimum margin)
+    if (prevPrice > prevEma && lastPrice < lastEma && (lastEma - lastPrice) / lastEma > minCrossPct) {
+        return 'down';
+    }
+    return null;
+}
+
+// Fast EMA vs slow EMA crossover (e.g. EMA 9 / EMA 15) with the same minimum margin.
+// Returns 'up', 'down' or null.
+function detectEmaCross(prevFast, lastFast, prevSlow, lastSlow, minCrossPct) {
+    // Bullish: fast EMA crosses above slow EMA
+    if (prevFast < prevSlow && lastFast > lastSlow && (lastFast - lastSlow) / lastSlow > minCrossPct) {
+        return 'up';
+    }
+    // Bearish: fast EMA crosses below slow EMA
+    if (prevFast > prevSlow && lastFast < lastSlow && (lastSlow - lastFast) / lastSlow > minCrossPct) {
+        return 'down';
+    }
+    return null;
+}
+
+// Fast/slow EMA pairs for crossover mode. The original EMA 9/15 pair is the default.
+const DEFAULT_EMA_PAIRS = [{ fast: 9, slow: 15 }];
+const MAX_EMA_PERIOD = 500; // + 100 candles: one Bybit/Binance page, several OKX pages (see okx.js)
+
+// '20/50' → [20, 50]; anything but two whole numbers ('9.5/15', '20abc/50') → [NaN, NaN]
+function parsePairText(text) {
+    const parts = text.split('/').map(s => s.trim());
+    return parts.length === 2 && parts.every(n => /^\d+$/.test(n)) ? parts.map(Number) : [NaN, NaN];
+}
+
+// '9/15,50/200' (or [[9, 15]] / [{ fast: 9, slow: 15 }]) → [{ fast, slow }], duplicates removed.
+// Throws on anything that is not an integer pair with 2 <= fast < slow <= MAX_EMA_PERIOD.
+function parseEmaPairs(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean);
+    const pairs = [];
+    for (const item of items) {
+        const [fast, slow] = Array.isArray(item) ? item
+            : typeof item === 'object' ? [item.fast, item.slow]
+                : parsePairText(String(item));
+        if (!Number.isInteger(fast) || !Number.isInteger(slow) || fast < 2 || fast >= slow || slow > MAX_EMA_PERIOD) {
+            throw new Error(`Invalid EMA pair ${JSON.stringify(item)} — expected FAST/SLOW, e.g. 20/50`);
+        }
+        if (!pairs.some(p => p.fast === fast && p.slow === slow)) pairs.push({ fast, slow });
+    }
+    if (pairs.length === 0) throw new Error('At least one EMA pair is required');
+    return pairs;
+}
+
+function emaPairLabel(pair) {
+    return `EMA ${pair.fast}/${pair.slow}`;
+}
+
+function isLegacyPair(pair) {
+    return pair.fast === 9 && pair.slow === 15;
+}
+
+// Alert state of a pair: fast above or below slow. EMA 9/15 keeps its original
+// 'ema9_above' / 'ema9_below' names so saved cooldown state and history still match.
+function emaPairState(pair, above) {
+    const side = above ? 'above' : 'below';
+    return isLegacyPair(pair) ? `ema9_${side}` : `ema${pair.fast}_${pair.slow}_${side}`;
+}
+
+// State key of a pair on one series — several pairs on the same symbol/timeframe
+// each track their own direction (EMA 9/15 keeps the bare series key).
+function emaPairStateKey(seriesKey, pair) {
+    return isLegacyPair(pair) ? seriesKey : `${seriesKey}_ema${pair.fast}_${pair.slow}`;
+}
+
+// Direction-change + cooldown gate behind every alert.
+// states: Map stateKey -> last alerted state; alerts: Map alertKey -> last alert time.
+// Returns 'alert' (and records it), 'cooldown' (state changed but too soon) or 'unchanged'.
+function evaluateAlertGate(states, alerts, { stateKey, alertKey, currentState, now, cooldownMs }) {
+    const previousState = states.get(stateKey);
+    const lastAlertTime = alerts.get(alertKey) || 0;
+
+    if (previousState === currentState) return 'unchanged';
+    if (now - lastAlertTime < cooldownMs) return 'cooldown';
+
+    states.set(stateKey, currentState);
+    alerts.set(alertKey, now);
+    return 'alert';
+}
+
+module.exports = {
+    MIN_CROSS_PCT,
+    DEFAULT_EMA_PAIRS,
+    MAX_EMA_PERIOD,
+    parseEmaPairs,
+    emaPairLabel,
+    emaPairState,
+    emaPairStateKey,
+    detectPriceCross,
+    detectEmaCross,
+    evaluateAlertGate
+};
@@ -0,0 +1,33 @@
+// Built-in strategy: price crossing a single EMA (the original single-EMA mode, alert type "ema").
+const { MIN_CROSS_PCT, detectPriceCross } = require('../signals');
+
+// The rule itself, on the last two closes and EMA values — shared with the backtester
+function evaluate({ prevPrice, lastPrice, prevEma, lastEma, minCrossPct = MIN_CROSS_PCT }) {
+    return {
+        direction: detectPriceCross(prevPrice, lastPrice, prevEma, lastEma, minCrossPct),
+        state: lastPrice > lastEma ? 'above' : 'below',
+        spreadPct: (lastPrice - lastEma) / lastEma * 100
+    };
+}
+
+module.exports = {
+    id: 'ema',
+    name: 'Price vs EMA',
+    description: 'Close crosses above/below a single EMA (EMA_PERIOD) with a minimum margin',
+    params: { period: 200, minCrossPct: MIN_CROSS_PCT },
+    evaluate,
+    onCandle({ closes, ema, params }) {
+        const values = ema(params.period);
+        if (closes.length < 2 || values.length < 2) return null;
+        const [prevPrice, lastPrice] = closes.slice(-2);
+        const [prevEma, lastEma] = values.slice(-2);
+        return {
+            ...evaluate({ prevPrice, lastPrice, prevEma, lastEma, minCrossPct: params.minCrossPct }),
+            label: `EMA(${params.period})`,
+            price: lastPrice,
+            prevPrice,
+            prevEma,
+            lastEma
+        };
+    }
+};
@@ -0,0 +1,41 @@
+// Built-in strategy: fast EMA crossing a slow EMA, for every configured pair (alert type "dual").
+const { MIN_CROSS_PCT, DEFAULT_EMA_PAIRS, emaPairLabel, emaPairState, detectEmaCross } = require('../signals');
+
+// The rule itself, on the last two values of both EMAs — shared with the backtester
+function evaluate({ pair, prevFast, lastFast, prevSlow, lastSlow, minCrossPct = MIN_CROSS_PCT }) {
+    return {
+        direction: detectEmaCross(prevFast, lastFast, prevSlow, lastSlow, minCrossPct),
+        state: emaPairState(pair, lastFast > lastSlow),
+        spreadPct: (lastFast - lastSlow) / lastSlow * 100
+    };
+}
+
+module.exports = {
+    id: 'dual',
+    name: 'EMA pair cross',
+    description: 'Fast EMA crosses above/below a slow EMA for each EMA_PAIRS pair (default 9/15)',
+    params: { pairs: DEFAULT_EMA_PAIRS, minCrossPct: MIN_CROSS_PCT },
+    evaluate,
+    // One reading per pair that has at least two values of both EMAs
+    onCandle({ closes, ema, params }) {
+        const readings = [];
+        for (const pair of params.pairs) {
+            const fast = ema(pair.fast);
+            const slow = ema(pair.slow);
+            if (fast.length < 2 || slow.length < 2) continue;
+            const [prevFast, lastFast] = fast.slice(-2);
+            const [prevSlow, lastSlow] = slow.slice(-2);
+            readings.push({
+                ...evaluate({ pair, prevFast, lastFast, prevSlow, lastSlow, minCrossPct: params.minCrossPct }),
+                label: emaPairLabel(pair),
+                price: closes.at(-1),
+                pair,
+                prevFast,
+                lastFast,
+                prevSlow,
+                lastSlow
+            });
+        }
+        return readings;
+    }
+};
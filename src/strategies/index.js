@@ -0,0 +1,132 @@
+// Strategy plugins.
+// A strategy receives every closed candle of a symbol/timeframe series and may emit signals.
+// The two EMA modes ship as built-ins (ema_cross.js, ema_pair.js); custom rules are plain
+// CommonJS modules dropped into the strategies/ directory at the project root:
+//
+//   module.exports = {
+//       id: 'bb-breakout',                // unique, used by /strategy enable <id>
+//       name: 'Bollinger breakout',
+//       description: 'Close outside the 20/2 Bollinger Bands',
+//       timeframes: ['15m'],              // optional — default: every streamed timeframe
+//       minCandles: 30,                   // optional — skipped until the series has this many
+//       params: { period: 20 },           // optional defaults, passed as input.params
+//       onCandle(input) { ... }
+//   };
+//
+// input: { symbol, tf, candles, closes, ema(period), indicators, streaming, params, state }
+//   candles    — the cached series, oldest first, last element = the candle that just closed
+//   ema(period) — EMA series of the closes, end-aligned (compare .at(-1) with .at(-2))
+//   indicators — src/indicators.js (calculateRSI, calculateMACD, calculateBollingerBands, ...)
+//   streaming  — src/streaming.js (createRSI, createEMA, ...) — keep an instance in state and
+//                push() each new candle instead of recomputing over the whole series
+//   state      — a plain object kept per strategy/symbol/timeframe between candles
+//
+// onCandle returns null, one signal or an array of signals:
+//   { direction: 'up'|'down'|null, state, label, price, details: { name: value } }
+// direction null reports the current state without signalling. A signal is alerted when its
+// state (default: the direction) differs from the last alerted one and ALERT_COOLDOWN has passed —
+// the same gate the EMA modes use.
+const fs = require('fs');
+const path = require('path');
+const indicators = require('../indicators');
+const streaming = require('../streaming');
+
+function validate(plugin, source) {
+    if (!plugin || typeof plugin !== 'object') throw new Error(`${source} does not export an object`);
+    if (typeof plugin.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(plugin.id)) {
+        throw new Error(`${source}: id must be lowercase letters, digits, - or _`);
+    }
+    if (typeof plugin.onCandle !== 'function') throw new Error(`${source}: onCandle(input) is required`);
+    if (plugin.timeframes !== undefined && !Array.isArray(plugin.timeframes)) {
+        throw new Error(`${source}: timeframes must be an array`);
+    }
+}
+
+// builtins — plugin objects always present; dir — folder of custom plugins (may not exist)
+function createStrategyRegistry({ dir = null, builtins = [], log = () => {} }) {
+    const plugins = new Map();   // id -> plugin
+    const states = new Map();    // `${id}|${symbol}|${tf}` -> state object handed to onCandle
+    const errors = new Map();    // id -> error count since load
+
+    // (Re)load custom plugins. A broken file is logged and skipped; it never stops the bot.
+    function load() {
+        plugins.clear();
+        states.clear();
+        errors.clear();
+        for (const plugin of builtins) plugins.set(plugin.id, { ...plugin, builtin: true });
+
+        if (dir && fs.existsSync(dir)) {
+            for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+                const filePath = path.resolve(dir, file);
+                try {
+                    delete require.cache[require.resolve(filePath)];
+                    const plugin = require(filePath);
+                    validate(plugin, file);
+                    if (plugins.has(plugin.id)) throw new Error(`${file}: duplicate strategy id "${plugin.id}"`);
+                    plugins.set(plugin.id, { ...plugin, builtin: false, file });
+                } catch (error) {
+                    log(`Strategy ${file} not loaded: ${error.message}`, 'error');
+                }
+            }
+        }
+        return plugins.size;
+    }
+
+    function get(id) {
+        return plugins.get(id) || null;
+    }
+
+    function list({ builtin = null } = {}) {
+        return [...plugins.values()].filter(p => builtin === null || p.builtin === builtin);
+    }
+
+    // Run one plugin on a series. Returns its signals as an array (empty on error or no signal).
+    // ema(period) is supplied by the caller so plugins share the bot's cached EMA series.
+    function run(plugin, { symbol, tf, candles, ema, params = {} }) {
+        if (plugin.timeframes && !plugin.timeframes.includes(tf)) return [];
+        if (candles.length < (plugin.minCandles || 2)) return [];
+
+        const stateKey = `${plugin.id}|${symbol}|${tf}`;
+        if (!states.has(stateKey)) states.set(stateKey, {});
+        const closes = candles.map(c => c.close);
+        try {
+            const result = plugin.onCandle({
+                symbol,
+                tf,
+                candles,
+                closes,
+                ema: ema || (period => streaming.series(streaming.createEMA(period), closes).filter(v => v !== null)),
+                indicators,
+                streaming,
+                params: { ...plugin.params, ...params },
+                state: states.get(stateKey)
+            });
+            if (!result) return [];
+            return (Array.isArray(result) ? result : [result]).filter(Boolean);
+        } catch (error) {
+            const count = (errors.get(plugin.id) || 0) + 1;
+            errors.set(plugin.id, count);
+            // First few failures in full, then every 100th so a broken rule cannot flood the log
+            if (count <= 3 || count % 100 === 0) {
+                log(`Strategy ${plugin.id} failed on ${symbol} [${tf}] (${count} error(s)): ${error.message}`, 'error');
+            }
+            return [];
+        }
+    }
+
+    function errorCount(id) {
+        return errors.get(id) || 0;
+    }
+
+    return {
+        load,
+        get,
+        list,
+        run,
+        errorCount
+    };
+}
+
+module.exports = {
+    createStrategyRegistry
+};
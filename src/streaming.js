@@ -0,0 +1,527 @@
+// Streaming indicators.
+// Every factory returns a stateful indicator that is fed one closed candle at a time and keeps
+// only what the next update needs, so each push() is O(1) however long the series runs:
+//
+//   const rsi = createRSI(14);
+//   for (const candle of history) rsi.push(candle);
+//   rsi.push(newCandle);   // -> latest RSI, or null while warming up
+//   rsi.value();           // -> the same value, without pushing
+//
+// push() takes a candle { time, open, high, low, close, volume } or a plain number, which is used as
+// the value itself (indicators built on high/low/volume need candles). Single-series indicators read the close unless given { source: 'volume' } etc.
+// Warm-up matches the batch functions: the EMA is seeded with the SMA of its first `period`
+// values, RSI and ATR use Wilder's smoothing seeded the same way.
+//
+// series(indicator, inputs) runs a fresh indicator over an array and returns values aligned
+// with the inputs (null during warm-up). createIndicatorSet() bundles several indicators fed
+// from one candle stream and optionally keeps a bounded history of some of them.
+
+function reader(source = 'close') {
+    return input => (typeof input === 'number' ? input : input[source]);
+}
+
+// Wraps an update function (input -> latest value or null) into the indicator interface
+function indicator(update) {
+    let last = null;
+    return {
+        push(input) {
+            last = update(input);
+            return last;
+        },
+        value: () => last,
+        ready: () => last !== null
+    };
+}
+
+// Fixed-size window with running sums. The sums are rebuilt from the buffer once per lap so
+// floating-point drift from the add/subtract updates never accumulates.
+function createWindow(size) {
+    const buffer = new Float64Array(size);
+    let count = 0;
+    let next = 0;
+    let sum = 0;
+    let sumSq = 0;
+
+    function push(x) {
+        if (count === size) {
+            const old = buffer[next];
+            sum -= old;
+            sumSq -= old * old;
+        } else {
+            count++;
+        }
+        buffer[next] = x;
+        sum += x;
+        sumSq += x * x;
+        next = (next + 1) % size;
+        if (next === 0) {
+            sum = 0;
+            sumSq = 0;
+            for (const v of buffer) {
+                sum += v;
+                sumSq += v * v;
+            }
+        }
+    }
+
+    return {
+        push,
+        full: () => count === size,
+        // Oldest value still in the window (the one the next push replaces once full)
+        oldest: () => buffer[count === size ? next : 0],
+        mean: () => sum / count,
+        // Population variance, clamped against tiny negative rounding errors
+        variance: () => Math.max(0, sumSq / count - (sum / count) ** 2)
+    };
+}
+
+function createSMA(period, { source } = {}) {
+    const read = reader(source);
+    const window = createWindow(period);
+    return indicator(input => {
+        window.push(read(input));
+        return window.full() ? window.mean() : null;
+    });
+}
+
+function createEMA(period, { source } = {}) {
+    const read = reader(source);
+    const k = 2 / (period + 1);
+    let seedSum = 0;
+    let seen = 0;
+    let ema = null;
+    const ind = indicator(input => {
+        const x = read(input);
+        if (ema === null) {
+            seedSum += x;
+            seen++;
+            if (seen === period) ema = seedSum / period;
+        } else {
+            ema = (x - ema) * k + ema;
+        }
+        return ema;
+    });
+    // Value the EMA would have if `input` were pushed, without changing state (forming candles)
+    ind.peek = input => {
+        const x = read(input);
+        if (ema !== null) return (x - ema) * k + ema;
+        return seen + 1 === period ? (seedSum + x) / period : null;
+    };
+    return ind;
+}
+
+// Population standard deviation over the last `period` values
+function createStdDev(period, { source } = {}) {
+    const read = reader(source);
+    const window = createWindow(period);
+    return indicator(input => {
+        window.push(read(input));
+        return window.full() ? Math.sqrt(window.variance()) : null;
+    });
+}
+
+// Wilder's RSI. 100 while there have been no losses in the smoothing window.
+function createRSI(period = 14, { source } = {}) {
+    const read = reader(source);
+    let prev = null;
+    let seen = 0;
+    let avgGain = 0;
+    let avgLoss = 0;
+    return indicator(input => {
+        const x = read(input);
+        if (prev === null) {
+            prev = x;
+            return null;
+        }
+        const change = x - prev;
+        prev = x;
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+        if (seen < period) {
+            avgGain += gain;
+            avgLoss += loss;
+            seen++;
+            if (seen < period) return null;
+            avgGain /= period;
+            avgLoss /= period;
+        } else {
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+        }
+        return avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+    });
+}
+
+// -> { macd, signal, histogram } once the signal EMA has warmed up
+function createMACD(fast = 12, slow = 26, signal = 9, { source } = {}) {
+    const read = reader(source);
+    const fastEma = createEMA(fast);
+    const slowEma = createEMA(slow);
+    const signalEma = createEMA(signal);
+    return indicator(input => {
+        const x = read(input);
+        const f = fastEma.push(x);
+        const s = slowEma.push(x);
+        if (f === null || s === null) return null;
+        const macd = f - s;
+        const sig = signalEma.push(macd);
+        return sig === null ? null : { macd, signal: sig, histogram: macd - sig };
+    });
+}
+
+// -> { upper, middle, lower, width } — width is (upper - lower) / middle
+function createBollinger(period = 20, mult = 2, { source } = {}) {
+    const read = reader(source);
+    const window = createWindow(period);
+    return indicator(input => {
+        window.push(read(input));
+        if (!window.full()) return null;
+        const middle = window.mean();
+        const band = mult * Math.sqrt(window.variance());
+        return {
+            upper: middle + band,
+            middle,
+            lower: middle - band,
+            width: middle !== 0 ? (2 * band) / middle : 0
+        };
+    });
+}
+
+// True range of a candle against the previous close (high - low for the first candle)
+function trueRange(candle, prevClose) {
+    if (prevClose === null) return candle.high - candle.low;
+    return Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+}
+
+// Wilder's ATR. Needs candles; the first candle only provides the previous close.
+function createATR(period = 14) {
+    let prevClose = null;
+    let seen = 0;
+    let atr = 0;
+    return indicator(candle => {
+        if (prevClose === null) {
+            prevClose = candle.close;
+            return null;
+        }
+        const tr = trueRange(candle, prevClose);
+        prevClose = candle.close;
+        if (seen < period) {
+            atr += tr;
+            seen++;
+            if (seen < period) return null;
+            atr /= period;
+        } else {
+            atr = (atr * (period - 1) + tr) / period;
+        }
+        return atr;
+    });
+}
+
+// % change against the value `period` candles ago (null when that value was 0)
+function createROC(period = 1, { source } = {}) {
+    const read = reader(source);
+    const window = createWindow(period + 1);
+    return indicator(input => {
+        window.push(read(input));
+        if (!window.full()) return null;
+        const base = window.oldest();
+        return base !== 0 ? (read(input) - base) / base * 100 : null;
+    });
+}
+
+// Highest (or lowest) value of the last `size` pushed, kept with a monotonic queue: each value
+// enters and leaves the queue once, so updates are amortised O(1) for any window size
+function createRollingExtreme(size, better) {
+    let values = [];
+    let indices = [];
+    let head = 0;
+    let index = 0;
+    return {
+        push(x) {
+            while (values.length > head && !better(values[values.length - 1], x)) {
+                values.pop();
+                indices.pop();
+            }
+            values.push(x);
+            indices.push(index);
+            if (indices[head] <= index - size) head++;
+            index++;
+            // Drop the consumed front now and then instead of shifting on every update
+            if (head > size) {
+                values = values.slice(head);
+                indices = indices.slice(head);
+                head = 0;
+            }
+        },
+        full: () => index >= size,
+        value: () => values[head]
+    };
+}
+
+const isHigher = (a, b) => a > b;
+const isLower = (a, b) => a < b;
+
+// Volume-weighted average price of the typical price (high + low + close) / 3. Resets at every
+// session boundary (UTC day by default, sessionMs to change it); with anchor (a ms timestamp) it
+// is an anchored VWAP instead: candles before the anchor are skipped and it never resets.
+// Candles need `time`. null while no volume has traded since the reset/anchor.
+function createVWAP({ sessionMs = 24 * 60 * 60 * 1000, anchor = null } = {}) {
+    let session = null;
+    let priceVolume = 0;
+    let volume = 0;
+    return indicator(candle => {
+        if (anchor !== null) {
+            if (candle.time < anchor) return null;
+        } else {
+            const current = Math.floor(candle.time / sessionMs);
+            if (current !== session) {
+                session = current;
+                priceVolume = 0;
+                volume = 0;
+            }
+        }
+        priceVolume += (candle.high + candle.low + candle.close) / 3 * candle.volume;
+        volume += candle.volume;
+        return volume > 0 ? priceVolume / volume : null;
+    });
+}
+
+// Supertrend on Wilder's ATR and the (high + low) / 2 midpoint, with TradingView's band rules.
+// -> { value, direction, upper, lower }: direction 1 = uptrend (value is the lower band),
+// -1 = downtrend (value is the upper band). A new series starts in a downtrend.
+function createSupertrend(period = 10, mult = 3) {
+    const atr = createATR(period);
+    let prevClose = null;
+    let prev = null; // { upper, lower, direction } of the previous candle
+    return indicator(candle => {
+        const range = atr.push(candle);
+        const closeBefore = prevClose;
+        prevClose = candle.close;
+        if (range === null) return null;
+
+        const mid = (candle.high + candle.low) / 2;
+        let upper = mid + mult * range;
+        let lower = mid - mult * range;
+        let direction = -1;
+        if (prev) {
+            // Bands only tighten while price stays on their side
+            if (!(lower > prev.lower || closeBefore < prev.lower)) lower = prev.lower;
+            if (!(upper < prev.upper || closeBefore > prev.upper)) upper = prev.upper;
+            direction = prev.direction === -1
+                ? (candle.close > upper ? 1 : -1)
+                : (candle.close < lower ? -1 : 1);
+        }
+        prev = { upper, lower, direction };
+        return { value: direction === 1 ? lower : upper, direction, upper, lower };
+    });
+}
+
+// Wilder's directional movement system. -> { adx, plusDI, minusDI } once the ADX has warmed up
+// (2 * period candles).
+function createADX(period = 14) {
+    let prevCandle = null;
+    let seen = 0;
+    let tr = 0;
+    let plusDM = 0;
+    let minusDM = 0;
+    let dxSeen = 0;
+    let adx = 0;
+    return indicator(candle => {
+        if (prevCandle === null) {
+            prevCandle = candle;
+            return null;
+        }
+        const up = candle.high - prevCandle.high;
+        const down = prevCandle.low - candle.low;
+        const range = trueRange(candle, prevCandle.close);
+        const plus = up > down && up > 0 ? up : 0;
+        const minus = down > up && down > 0 ? down : 0;
+        prevCandle = candle;
+
+        if (seen < period) {
+            tr += range;
+            plusDM += plus;
+            minusDM += minus;
+            seen++;
+            if (seen < period) return null;
+            tr /= period;
+            plusDM /= period;
+            minusDM /= period;
+        } else {
+            tr = (tr * (period - 1) + range) / period;
+            plusDM = (plusDM * (period - 1) + plus) / period;
+            minusDM = (minusDM * (period - 1) + minus) / period;
+        }
+
+        const plusDI = tr > 0 ? 100 * plusDM / tr : 0;
+        const minusDI = tr > 0 ? 100 * minusDM / tr : 0;
+        const dx = plusDI + minusDI > 0 ? 100 * Math.abs(plusDI - minusDI) / (plusDI + minusDI) : 0;
+        if (dxSeen < period) {
+            adx += dx;
+            dxSeen++;
+            if (dxSeen < period) return null;
+            adx /= period;
+        } else {
+            adx = (adx * (period - 1) + dx) / period;
+        }
+        return { adx, plusDI, minusDI };
+    });
+}
+
+// Stochastic RSI: where RSI sits in its own stochPeriod range (0-100, 50 while the range is flat),
+// smoothed into %K (SMA kPeriod) and %D (SMA dPeriod of %K). -> { k, d }
+function createStochRSI(rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3, { source } = {}) {
+    const rsi = createRSI(rsiPeriod, { source });
+    const highest = createRollingExtreme(stochPeriod, isHigher);
+    const lowest = createRollingExtreme(stochPeriod, isLower);
+    const k = createSMA(kPeriod);
+    const d = createSMA(dPeriod);
+    return indicator(input => {
+        const value = rsi.push(input);
+        if (value === null) return null;
+        highest.push(value);
+        lowest.push(value);
+        if (!highest.full()) return null;
+        const range = highest.value() - lowest.value();
+        const kValue = k.push(range > 0 ? (value - lowest.value()) / range * 100 : 50);
+        if (kValue === null) return null;
+        const dValue = d.push(kValue);
+        return dValue === null ? null : { k: kValue, d: dValue };
+    });
+}
+
+// Ichimoku Kinko Hyo. -> { tenkan, kijun, spanA, spanB, cloudA, cloudB } once all three lines have
+// warmed up (the longest period, normally spanB).
+// spanA / spanB are the leading spans computed on this candle (plotted `displacement` candles
+// ahead); cloudA / cloudB are the spans plotted at this candle — the cloud price is compared
+// with — and stay null for the first `displacement` candles.
+function createIchimoku(tenkanPeriod = 9, kijunPeriod = 26, spanBPeriod = 52, displacement = kijunPeriod) {
+    const channels = [tenkanPeriod, kijunPeriod, spanBPeriod].map(period => createDonchian(period));
+    const spans = new Array(displacement).fill(null); // leading spans of the last `displacement` candles
+    let next = 0;
+    return indicator(candle => {
+        const [tenkan, kijun, spanB] = channels.map(channel => channel.push(candle));
+        if (tenkan === null || kijun === null || spanB === null) return null;
+        const spanA = (tenkan.middle + kijun.middle) / 2;
+        const cloud = spans[next];
+        spans[next] = { spanA, spanB: spanB.middle };
+        next = (next + 1) % displacement;
+        return {
+            tenkan: tenkan.middle,
+            kijun: kijun.middle,
+            spanA,
+            spanB: spanB.middle,
+            cloudA: cloud ? cloud.spanA : null,
+            cloudB: cloud ? cloud.spanB : null
+        };
+    });
+}
+
+// On-balance volume from the first candle pushed (which counts as 0)
+function createOBV() {
+    let prevClose = null;
+    let obv = 0;
+    return indicator(candle => {
+        if (prevClose !== null) {
+            if (candle.close > prevClose) obv += candle.volume;
+            else if (candle.close < prevClose) obv -= candle.volume;
+        }
+        prevClose = candle.close;
+        return obv;
+    });
+}
+
+// Keltner Channels (StockCharts): EMA of the close ± mult × Wilder's ATR. -> { upper, middle, lower }
+function createKeltner(emaPeriod = 20, atrPeriod = 10, mult = 2) {
+    const ema = createEMA(emaPeriod);
+    const atr = createATR(atrPeriod);
+    return indicator(candle => {
+        const middle = ema.push(candle);
+        const range = atr.push(candle);
+        if (middle === null || range === null) return null;
+        return { upper: middle + mult * range, middle, lower: middle - mult * range };
+    });
+}
+
+// Donchian channel: highest high and lowest low of the last `period` candles (this one included).
+// -> { upper, middle, lower }
+function createDonchian(period = 20) {
+    const highest = createRollingExtreme(period, isHigher);
+    const lowest = createRollingExtreme(period, isLower);
+    return indicator(candle => {
+        highest.push(candle.high);
+        lowest.push(candle.low);
+        if (!highest.full()) return null;
+        const upper = highest.value();
+        const lower = lowest.value();
+        return { upper, middle: (upper + lower) / 2, lower };
+    });
+}
+
+// Run a fresh indicator over every input; the result is aligned with inputs, null while warming up
+function series(ind, inputs) {
+    return inputs.map(input => ind.push(input));
+}
+
+// Several indicators fed from one candle stream.
+// indicators — { name: indicator }; history — { name: maxLength } for the outputs worth keeping as
+// an array (oldest first, warm values only, so .at(-1) / .at(-2) are the last two values). An array
+// holds at least the last maxLength values (up to twice that between trims).
+// History arrays are updated in place — callers may hold on to them.
+function createIndicatorSet(indicators, { history = {} } = {}) {
+    const names = Object.keys(indicators);
+    const histories = new Map(Object.keys(history).map(name => [name, []]));
+    let count = 0;
+
+    // -> { name: latest value } for every indicator
+    function push(candle) {
+        const latest = {};
+        count++;
+        for (const name of names) {
+            const v = indicators[name].push(candle);
+            latest[name] = v;
+            const values = histories.get(name);
+            if (values && v !== null) {
+                values.push(v);
+                // Trimmed in batches: one splice per maxLength values keeps push() amortised O(1)
+                if (values.length >= history[name] * 2) values.splice(0, values.length - history[name]);
+            }
+        }
+        return latest;
+    }
+
+    return {
+        push,
+        value: name => (indicators[name] ? indicators[name].value() : null),
+        // Projected value for a candle that has not closed yet (indicators with peek() only)
+        peek: (name, candle) => (indicators[name] && indicators[name].peek ? indicators[name].peek(candle) : null),
+        history: name => histories.get(name) || null,
+        has: name => !!indicators[name],
+        names: () => [...names],
+        // Candles pushed so far
+        count: () => count
+    };
+}
+
+module.exports = {
+    createSMA,
+    createEMA,
+    createStdDev,
+    createRSI,
+    createMACD,
+    createBollinger,
+    createATR,
+    createROC,
+    createVWAP,
+    createSupertrend,
+    createADX,
+    createStochRSI,
+    createIchimoku,
+    createOBV,
+    createKeltner,
+    createDonchian,
+    createRollingExtreme,
+    trueRange,
+    series,
+    createIndicatorSet
+};
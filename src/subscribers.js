@@ -0,0 +1,287 @@
+// Subscriber registry.
+// Replaces the single TELEGRAM_CHAT_ID with a list of chats, each with a role and its own
+// alert preferences. New chats request access with /subscribe and wait for an admin to
+// approve them; the owner chat (TELEGRAM_CHAT_ID) is always an active admin. A rejected chat is
+// kept (status 'rejected') so it cannot ask again before rejectCooldownMs has passed. A chat that
+// blocked the bot (Telegram answers 403) is kept as 'blocked' and gets no alerts until it writes again.
+const fs = require('fs');
+
+const REJECT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Higher rank includes everything below it
+const ROLES = ['viewer', 'trader', 'admin'];
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+function defaultPrefs() {
+    return {
+        modes: null,      // null = every mode the bot runs; otherwise e.g. ['ema'] or ['dual']
+        timeframes: null, // null = all; otherwise e.g. ['15m']
+        symbols: null,    // null = all tracked symbols; otherwise a whitelist
+        cooldownMs: 0,    // extra per-symbol/timeframe quiet period on top of ALERT_COOLDOWN
+        muted: false,
+        watch: [],        // always tracked, whatever their 24h volume
+        ignore: [],       // never alerted to this chat
+        strategies: []    // custom strategy plugins (strategies/*.js) this chat receives signals from
+    };
+}
+
+// filePath null keeps the registry in memory (replay mode)
+function createSubscriberRegistry({ filePath = null, ownerChatId = null, rejectCooldownMs = REJECT_COOLDOWN_MS }) {
+    const subscribers = new Map(); // chatId (string) -> subscriber
+    const lastSent = new Map();    // `${chatId}|${symbol}|${tf}` -> ms, for the per-subscriber cooldown
+
+    function ensureOwner() {
+        if (!ownerChatId) return;
+        const owner = subscribers.get(String(ownerChatId));
+        if (owner) {
+            owner.role = 'admin';
+            owner.status = 'active';
+        } else {
+            subscribers.set(String(ownerChatId), {
+                chatId: String(ownerChatId),
+                name: 'owner',
+                role: 'admin',
+                status: 'active',
+                requestedAt: Date.now(),
+                approvedAt: Date.now(),
+                approvedBy: 'config',
+                prefs: defaultPrefs()
+            });
+        }
+    }
+
+    function load() {
+        if (filePath && fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const sub of Array.isArray(data) ? data : []) {
+                subscribers.set(String(sub.chatId), { ...sub, chatId: String(sub.chatId), prefs: { ...defaultPrefs(), ...sub.prefs } });
+            }
+        }
+        ensureOwner();
+        return subscribers.size;
+    }
+
+    function save() {
+        if (!filePath) return;
+        fs.writeFile(filePath, JSON.stringify([...subscribers.values()], null, 2), () => {});
+    }
+
+    function get(chatId) {
+        return subscribers.get(String(chatId)) || null;
+    }
+
+    // Active subscriber with at least minRole
+    function hasRole(chatId, minRole) {
+        const sub = get(chatId);
+        return !!sub && sub.status === 'active' && roleRank(sub.role) >= roleRank(minRole);
+    }
+
+    // Returns 'requested', 'pending' (already waiting), 'active' (already subscribed) or 'rejected'
+    // (rejected less than rejectCooldownMs ago)
+    function request(chatId, name, now = Date.now()) {
+        const existing = get(chatId);
+        if (existing && (existing.status !== 'rejected' || now - existing.rejectedAt < rejectCooldownMs)) {
+            return existing.status;
+        }
+        subscribers.set(String(chatId), {
+            chatId: String(chatId),
+            name: name || String(chatId),
+            role: 'viewer',
+            status: 'pending',
+            requestedAt: now,
+            approvedAt: null,
+            approvedBy: null,
+            prefs: defaultPrefs()
+        });
+        save();
+        return 'requested';
+    }
+
+    // Turn down a pending request; the chat stays on file as 'rejected' until it may ask again
+    function reject(chatId, rejectedBy, now = Date.now()) {
+        const sub = get(chatId);
+        if (!sub || sub.status !== 'pending') return null;
+        sub.status = 'rejected';
+        sub.rejectedAt = now;
+        sub.rejectedBy = String(rejectedBy);
+        save();
+        return sub;
+    }
+
+    // Stop alerting a chat Telegram refuses to deliver to (bot blocked or removed from the group).
+    // The owner stays active — its chat comes from the configuration.
+    function block(chatId, now = Date.now()) {
+        const sub = get(chatId);
+        if (!sub || sub.status !== 'active' || String(chatId) === String(ownerChatId)) return null;
+        sub.status = 'blocked';
+        sub.blockedAt = now;
+        save();
+        return sub;
+    }
+
+    // A blocked chat that writes to the bot again has unblocked it
+    function unblock(chatId) {
+        const sub = get(chatId);
+        if (!sub || sub.status !== 'blocked') return null;
+        sub.status = 'active';
+        delete sub.blockedAt;
+        save();
+        return sub;
+    }
+
+    function approve(chatId, role, approvedBy) {
+        const sub = get(chatId);
+        if (!sub || !ROLES.includes(role)) return null;
+        sub.role = role;
+        sub.status = 'active';
+        sub.approvedAt = Date.now();
+        sub.approvedBy = String(approvedBy);
+        save();
+        return sub;
+    }
+
+    function setRole(chatId, role) {
+        const sub = get(chatId);
+        if (!sub || !ROLES.includes(role) || String(chatId) === String(ownerChatId)) return null;
+        sub.role = role;
+        save();
+        return sub;
+    }
+
+    // Remove a subscriber, pending request or rejected chat. The owner cannot be removed.
+    function remove(chatId) {
+        if (String(chatId) === String(ownerChatId)) return false;
+        const removed = subscribers.delete(String(chatId));
+        if (removed) save();
+        return removed;
+    }
+
+    function setPrefs(chatId, patch) {
+        const sub = get(chatId);
+        if (!sub) return null;
+        sub.prefs = { ...sub.prefs, ...patch };
+        save();
+        return sub.prefs;
+    }
+
+    // /watch adds to the watchlist and /ignore to the blacklist; a symbol is only ever on one of them.
+    // /unwatch takes it off both. Each returns the updated prefs (null for an unknown chat).
+    function watch(chatId, symbol) {
+        const sub = get(chatId);
+        if (!sub) return null;
+        return setPrefs(chatId, {
+            watch: [...new Set([...sub.prefs.watch, symbol])],
+            ignore: sub.prefs.ignore.filter(s => s !== symbol)
+        });
+    }
+
+    function ignore(chatId, symbol) {
+        const sub = get(chatId);
+        if (!sub) return null;
+        return setPrefs(chatId, {
+            watch: sub.prefs.watch.filter(s => s !== symbol),
+            ignore: [...new Set([...sub.prefs.ignore, symbol])]
+        });
+    }
+
+    function unwatch(chatId, symbol) {
+        const sub = get(chatId);
+        if (!sub) return null;
+        return setPrefs(chatId, {
+            watch: sub.prefs.watch.filter(s => s !== symbol),
+            ignore: sub.prefs.ignore.filter(s => s !== symbol)
+        });
+    }
+
+    // Union of every active subscriber's watchlist — these symbols bypass VOLUME_THRESHOLD
+    function watchedSymbols() {
+        return new Set(list({ status: 'active' }).flatMap(s => s.prefs.watch));
+    }
+
+    function list({ status = null } = {}) {
+        return [...subscribers.values()].filter(s => !status || s.status === status);
+    }
+
+    function admins() {
+        return list({ status: 'active' }).filter(s => s.role === 'admin');
+    }
+
+    // Custom strategies enabled by at least one active chat — the only ones worth running
+    function enabledStrategies() {
+        return new Set(list({ status: 'active' }).flatMap(s => s.prefs.strategies));
+    }
+
+    function setStrategy(chatId, id, enabled) {
+        const sub = get(chatId);
+        if (!sub) return null;
+        const rest = sub.prefs.strategies.filter(s => s !== id);
+        return setPrefs(chatId, { strategies: enabled ? [...rest, id] : rest });
+    }
+
+    // Chats that should receive an alert. alert: { symbol, tf, mode, strategy, chatId } — tf/mode
+    // may be null for alerts that are not tied to a crossover series (e.g. new high-volume pairs);
+    // strategy is set for custom strategy signals, which only go to chats that enabled it, and
+    // chatId for a chat's own /rule alerts. An alert that spans several timeframes (full alignment) gives
+    // them as tfs instead of tf and reaches chats following any of them. Marks the per-subscriber cooldown
+    // for every chat returned; early (forming-crossover warnings) keeps a cooldown of its own so it never
+    // delays the confirmed alert.
+    function recipientsFor(alert, now = Date.now()) {
+        const recipients = [];
+        for (const sub of list({ status: 'active' })) {
+            const p = sub.prefs;
+            if (p.muted) continue;
+            if (alert.chatId) {
+                if (sub.chatId !== String(alert.chatId)) continue;
+            } else if (alert.strategy) {
+                if (!p.strategies.includes(alert.strategy)) continue;
+            } else if (alert.mode && p.modes && !p.modes.includes(alert.mode)) continue;
+            if (alert.tf && p.timeframes && !p.timeframes.includes(alert.tf)) continue;
+            if (alert.tfs && p.timeframes && !alert.tfs.some(tf => p.timeframes.includes(tf))) continue;
+            if (alert.symbol && p.symbols && !p.symbols.includes(alert.symbol)) continue;
+            if (alert.symbol && p.ignore.includes(alert.symbol)) continue;
+
+            if (alert.tf && p.cooldownMs > 0) {
+                const key = `${sub.chatId}|${alert.symbol}|${alert.tf}${alert.early ? '|early' : ''}`;
+                if (lastSent.has(key) && now - lastSent.get(key) < p.cooldownMs) continue;
+                lastSent.set(key, now);
+            }
+            recipients.push(sub.chatId);
+        }
+        return recipients;
+    }
+
+    return {
+        load,
+        save,
+        get,
+        hasRole,
+        request,
+        reject,
+        block,
+        unblock,
+        approve,
+        setRole,
+        remove,
+        setPrefs,
+        watch,
+        ignore,
+        unwatch,
+        watchedSymbols,
+        enabledStrategies,
+        setStrategy,
+        list,
+        admins,
+        recipientsFor
+    };
+}
+
+module.exports = {
+    ROLES,
+    REJECT_COOLDOWN_MS,
+    roleRank,
+    defaultPrefs,
+    createSubscriberRegistry
+};
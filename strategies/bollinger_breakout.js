@@ -0,0 +1,31 @@
+// Example strategy: close breaking out of the Bollinger Bands, confirmed by volume.
+// Enable it for a chat with /strategy enable bb-breakout.
+module.exports = {
+    id: 'bb-breakout',
+    name: 'Bollinger breakout',
+    description: 'Close outside the 20/2 Bollinger Bands on above-average volume',
+    minCandles: 40,
+    params: { period: 20, multiplier: 2, volumeFactor: 1.5 },
+    onCandle({ candles, closes, indicators, params }) {
+        const bb = indicators.calculateBollingerBands(closes, params.period, params.multiplier);
+        const last = candles.at(-1);
+        const upper = bb.upper.at(-1);
+        const lower = bb.lower.at(-1);
+        const avgVolume = candles.slice(-params.period - 1, -1).reduce((sum, c) => sum + c.volume, 0) / params.period;
+
+        const state = last.close > upper ? 'above' : last.close < lower ? 'below' : 'inside';
+        const breakout = state !== 'inside' && last.volume >= avgVolume * params.volumeFactor;
+        return {
+            // 'inside' is reported without a direction so the next breakout alerts again
+            direction: breakout ? (state === 'above' ? 'up' : 'down') : null,
+            state: breakout ? state : 'inside',
+            label: `BB(${params.period}) BREAKOUT`,
+            price: last.close,
+            details: {
+                'Upper band': upper.toFixed(6),
+                'Lower band': lower.toFixed(6),
+                'Volume': `${(last.volume / avgVolume).toFixed(1)}x average`
+            }
+        };
+    }
+};
@@ -0,0 +1,44 @@
+// Example strategy: RSI leaving oversold/overbought while price holds the EMA trend.
+// Enable it for a chat with /strategy enable rsi-reversal.
+module.exports = {
+    id: 'rsi-reversal',
+    name: 'RSI reversal',
+    description: 'RSI(14) crosses back above 30 / below 70 with price on the right side of EMA(50)',
+    timeframes: ['15m', '1h', '4h'],
+    minCandles: 60,
+    params: { period: 14, oversold: 30, overbought: 70, trendEma: 50 },
+    onCandle({ candles, closes, ema, streaming, params, state }) {
+        // Streaming RSI kept between candles: only candles newer than the last one seen are pushed
+        if (!state.rsi) {
+            state.rsi = streaming.createRSI(params.period);
+            state.lastTime = -Infinity;
+        }
+        let prev = state.rsi.value();
+        for (const candle of candles) {
+            if (candle.time <= state.lastTime) continue;
+            prev = state.rsi.value();
+            state.rsi.push(candle);
+            state.lastTime = candle.time;
+        }
+        const last = state.rsi.value();
+        const trend = ema(params.trendEma).at(-1);
+        if (trend === undefined || prev === null || last === null) return null;
+        const price = closes.at(-1);
+
+        let direction = null;
+        if (prev < params.oversold && last >= params.oversold && price > trend) direction = 'up';
+        else if (prev > params.overbought && last <= params.overbought && price < trend) direction = 'down';
+
+        return {
+            direction,
+            // Between the bands the state resets, so each fresh reversal can alert
+            state: direction || 'neutral',
+            label: `RSI(${params.period}) REVERSAL`,
+            price,
+            details: {
+                RSI: `${prev.toFixed(1)} → ${last.toFixed(1)}`,
+                [`EMA(${params.trendEma})`]: trend.toFixed(6)
+            }
+        };
+    }
+};
@@ -0,0 +1,34 @@
+// ADX / DMI against the TA-Lib regression suite (ta_test_func/test_adx.c, period 14).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateADX } = require('../src/indicators');
+const { KLINES } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+const { adx, plusDI, minusDI } = calculateADX(KLINES, 14);
+
+test('warms up after two periods', () => {
+    assert.equal(adx.findIndex(v => v !== null), 27);
+    assert.equal(plusDI[26], null);
+    assert.equal(minusDI[26], null);
+});
+
+test('+DI, -DI, DX and ADX converge on the published values', () => {
+    // TA-Lib begins smoothing from the sum of the first 13 moves and Wilder from the average of
+    // the first 14; the difference decays by 13/14 per candle and is gone long before the end
+    const dx = i => 100 * Math.abs(plusDI[i] - minusDI[i]) / (plusDI[i] + minusDI[i]);
+    assertNear(plusDI[251], 21.0000, 1e-3, '+DI[251]');
+    assertNear(minusDI[251], 21.1988, 1e-3, '-DI[251]');
+    assertNear(dx(250), 10.6731, 1e-3, 'DX[250]');
+    assertNear(dx(251), 0.4722, 1e-3, 'DX[251]');
+    assertNear(adx[250], 16.6840, 1e-3, 'ADX[250]');
+    assertNear(adx[251], 15.5260, 1e-3, 'ADX[251]');
+});
+
+test('the first values stay within the seeding difference', () => {
+    assertNear(plusDI[27], 22.1073, 0.05, '+DI[27]');
+    assertNear(plusDI[28], 20.3746, 0.1, '+DI[28]');
+    assertNear(minusDI[28], 24.969182, 0.1, '-DI[28]');
+    assertNear(adx[27], 23.0000, 0.5, 'ADX[27]');
+    assertNear(adx[28], 22.0802, 0.5, 'ADX[28]');
+});
@@ -0,0 +1,87 @@
+// REST API router: open GET routes, bearer-token POST routes, error statuses.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { apiError, createApiRouter } = require('../src/api');
+
+async function startApi(token) {
+    const router = createApiRouter({ token });
+    const calls = [];
+    router.get('/api/symbols/:symbol', ({ params, query }) => ({ symbol: params.symbol, tf: query.tf || null }));
+    router.post('/api/refresh', ({ body }) => {
+        calls.push(body);
+        return { ok: true };
+    });
+    router.post('/api/settings', () => {
+        throw apiError(400, 'ALERT_COOLDOWN: expected an integer');
+    });
+
+    const server = http.createServer(async (req, res) => {
+        if (!(await router.handle(req, res))) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, pathname, { headers = {}, body } = {}) {
+        const response = await fetch(base + pathname, { method, headers, body });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, json: text ? JSON.parse(text) : null };
+    }
+    return { calls, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('GET routes are open and decode path parameters', async (t) => {
+    const api = await startApi('s3cret');
+    t.after(api.close);
+    const { status, json } = await api.request('GET', '/api/symbols/BTC%2DUSDT?tf=15m');
+    assert.equal(status, 200);
+    assert.deepEqual(json, { symbol: 'BTC-USDT', tf: '15m' });
+});
+
+test('POST routes need the exact bearer token', async (t) => {
+    const api = await startApi('s3cret');
+    t.after(api.close);
+
+    assert.equal((await api.request('POST', '/api/refresh')).status, 401);
+    assert.equal((await api.request('POST', '/api/refresh', { headers: { Authorization: 'Bearer s3cre' } })).status, 401);
+    assert.equal((await api.request('POST', '/api/refresh', { headers: { Authorization: 'Bearer s3cret!' } })).status, 401);
+    assert.equal((await api.request('POST', '/api/refresh', { headers: { Authorization: 's3cret' } })).status, 401);
+    assert.equal(api.calls.length, 0);
+
+    const ok = await api.request('POST', '/api/refresh', {
+        headers: { Authorization: 'Bearer s3cret', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: 'test' })
+    });
+    assert.equal(ok.status, 200);
+    assert.deepEqual(api.calls, [{ reason: 'test' }]);
+});
+
+test('POST routes are disabled without a token', async (t) => {
+    const api = await startApi('');
+    t.after(api.close);
+    const { status, json } = await api.request('POST', '/api/refresh', { headers: { Authorization: 'Bearer ' } });
+    assert.equal(status, 403);
+    assert.match(json.error, /API_TOKEN/);
+    assert.equal(api.calls.length, 0);
+});
+
+test('client errors, bad JSON, wrong methods and unknown paths', async (t) => {
+    const api = await startApi('s3cret');
+    t.after(api.close);
+    const auth = { Authorization: 'Bearer s3cret' };
+
+    const invalid = await api.request('POST', '/api/settings', { headers: auth, body: '{}' });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.json.error, /ALERT_COOLDOWN/);
+
+    assert.equal((await api.request('POST', '/api/refresh', { headers: auth, body: '{nope' })).status, 400);
+
+    const wrongMethod = await api.request('DELETE', '/api/refresh', { headers: auth });
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'POST');
+
+    assert.equal((await api.request('GET', '/api/nothing')).status, 404);
+});
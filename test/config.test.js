@@ -0,0 +1,143 @@
+// Settings schema validation and settings file hot reload (src/config.js).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { field, integer, number, boolean, oneOf, listOf, validate, readConfigFile, watchConfigFile } = require('../src/config');
+
+const SCHEMA = {
+    ALERT_COOLDOWN: integer({ min: 0, max: 86400000, unit: 'ms' }),
+    MIN_CROSS_PCT: number({ min: 0, max: 0.05 }),
+    ML_ENABLED: boolean(),
+    TIMEFRAME: oneOf(['5m', '15m', '1h']),
+    CROSS_TIMEFRAMES: listOf(['5m', '15m', '1h'], { min: 1 }),
+    EMA_PAIRS: field('FAST/SLOW pairs', value => {
+        if (typeof value !== 'string') return undefined;
+        if (!/^\d+\/\d+$/.test(value)) throw new Error(`"${value}" is not FAST/SLOW`);
+        return value;
+    })
+};
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ema-config-')), name);
+}
+
+// Resolve with the next value pushed to `queue`
+function nextEvent(queue, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no change seen')), timeoutMs);
+        queue.waiting = value => {
+            clearTimeout(timer);
+            resolve(value);
+        };
+    });
+}
+
+test('valid settings are normalized', () => {
+    const { values, errors } = validate(SCHEMA, {
+        ALERT_COOLDOWN: 900000,
+        MIN_CROSS_PCT: 0.0003,
+        ML_ENABLED: false,
+        TIMEFRAME: '15m',
+        CROSS_TIMEFRAMES: ['5m', '15m'],
+        EMA_PAIRS: '9/15'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, {
+        ALERT_COOLDOWN: 900000,
+        MIN_CROSS_PCT: 0.0003,
+        ML_ENABLED: false,
+        TIMEFRAME: '15m',
+        CROSS_TIMEFRAMES: ['5m', '15m'],
+        EMA_PAIRS: '9/15'
+    });
+});
+
+test('unknown keys are reported with the nearest schema key', () => {
+    const { values, errors } = validate(SCHEMA, { ALERT_COOLDONW: 1000, timeframe: '1h', VERBOSE: true });
+    assert.deepEqual(values, {});
+    assert.deepEqual(errors, [
+        'ALERT_COOLDONW: unknown setting (did you mean ALERT_COOLDOWN?)',
+        'timeframe: unknown setting (did you mean TIMEFRAME?)',
+        'VERBOSE: unknown setting'
+    ]);
+});
+
+test('out-of-range and mistyped values are reported with what was expected', () => {
+    const { values, errors } = validate(SCHEMA, {
+        ALERT_COOLDOWN: '15m',
+        MIN_CROSS_PCT: 0.5,
+        ML_ENABLED: 'yes',
+        TIMEFRAME: '2h',
+        CROSS_TIMEFRAMES: [],
+        EMA_PAIRS: '9-15'
+    });
+    assert.deepEqual(values, {});
+    assert.deepEqual(errors, [
+        'ALERT_COOLDOWN: expected an integer from 0 to 86400000 (ms), got "15m"',
+        'MIN_CROSS_PCT: expected a number from 0 to 0.05, got 0.5',
+        'ML_ENABLED: expected true or false, got "yes"',
+        'TIMEFRAME: expected one of "5m", "15m", "1h", got "2h"',
+        'CROSS_TIMEFRAMES: expected a list of "5m", "15m", "1h" (at least 1), got []',
+        'EMA_PAIRS: "9-15" is not FAST/SLOW'
+    ]);
+});
+
+test('integer() rejects fractions and number() rejects NaN', () => {
+    assert.match(validate(SCHEMA, { ALERT_COOLDOWN: 1.5 }).errors[0], /expected an integer/);
+    assert.match(validate(SCHEMA, { MIN_CROSS_PCT: NaN }).errors[0], /expected a number/);
+});
+
+test('listOf() drops duplicates and rejects unknown entries', () => {
+    assert.deepEqual(validate(SCHEMA, { CROSS_TIMEFRAMES: ['5m', '1h', '5m'] }).values, { CROSS_TIMEFRAMES: ['5m', '1h'] });
+    assert.equal(validate(SCHEMA, { CROSS_TIMEFRAMES: ['5m', '4h'] }).errors.length, 1);
+});
+
+test('a file that is not a JSON object is rejected', () => {
+    assert.deepEqual(validate(SCHEMA, ['TIMEFRAME']).errors, ['expected a JSON object of settings']);
+    const filePath = tempFile('settings.json');
+    fs.writeFileSync(filePath, '{ "TIMEFRAME": ');
+    assert.throws(() => readConfigFile(filePath), /settings\.json: invalid JSON/);
+});
+
+test('the watcher hands over every edit; an invalid one is rejected, the next valid one applied', async () => {
+    const filePath = tempFile('settings.json');
+    fs.writeFileSync(filePath, JSON.stringify({ TIMEFRAME: '15m' }));
+    const applied = [];
+    const rejected = [];
+    const events = {};
+    const stop = watchConfigFile(filePath, {
+        intervalMs: 20,
+        // As main.js does: a file with any invalid setting is rejected as a whole
+        onChange(raw) {
+            const { values, errors } = validate(SCHEMA, raw);
+            if (errors.length > 0) rejected.push(errors);
+            else applied.push(values);
+            events.waiting?.();
+        },
+        onError(error) {
+            rejected.push([error.message]);
+            events.waiting?.();
+        }
+    });
+    try {
+        let seen = nextEvent(events);
+        fs.writeFileSync(filePath, JSON.stringify({ TIMEFRAME: '1h', ALERT_COOLDOWN: -1 }));
+        await seen;
+        assert.deepEqual(applied, []);
+        assert.deepEqual(rejected, [['ALERT_COOLDOWN: expected an integer from 0 to 86400000 (ms), got -1']]);
+
+        seen = nextEvent(events);
+        fs.writeFileSync(filePath, '{ "TIMEFRAME": "1h", ');
+        await seen;
+        assert.match(rejected[1][0], /invalid JSON/);
+
+        seen = nextEvent(events);
+        fs.writeFileSync(filePath, JSON.stringify({ TIMEFRAME: '1h', ALERT_COOLDOWN: 60000 }));
+        await seen;
+        assert.deepEqual(applied, [{ TIMEFRAME: '1h', ALERT_COOLDOWN: 60000 }]);
+    } finally {
+        stop();
+    }
+});
@@ -0,0 +1,115 @@
+// Live dashboard SSE streams (src/dashboard.js), with fake requests and mocked timers.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createDashboard } = require('../src/dashboard');
+
+function request(url, method = 'GET') {
+    return Object.assign(new EventEmitter(), { url, method });
+}
+
+// A response that records its status, headers and the SSE events written to it
+function response() {
+    const res = { status: null, headers: null, chunks: [], ended: null };
+    res.writeHead = (status, headers = {}) => { res.status = status; res.headers = headers; };
+    res.write = chunk => res.chunks.push(chunk);
+    res.end = body => { res.ended = body ?? ''; res.done?.(); };
+    res.events = () => res.chunks.filter(chunk => chunk.startsWith('event: ')).map(chunk => {
+        const [, event, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+        return { event, data: JSON.parse(data) };
+    });
+    return res;
+}
+
+function dashboard() {
+    let statusCalls = 0;
+    return createDashboard({
+        snapshot: () => ({ pairs: ['BTCUSDT'] }),
+        status: () => ({ pool: [], models: [], calls: ++statusCalls })
+    });
+}
+
+test('only GET /dashboard and /dashboard/events are handled', () => {
+    const board = dashboard();
+    assert.equal(board.handle(request('/api/status'), response()), false);
+    assert.equal(board.handle(request('/dashboard', 'POST'), response()), false);
+    assert.equal(board.handle(request('/dashboard/other'), response()), false);
+});
+
+test('GET /dashboard serves the page', async () => {
+    const board = dashboard();
+    const res = response();
+    const done = new Promise(resolve => { res.done = resolve; });
+    assert.equal(board.handle(request('/dashboard?x=1'), res), true);
+    await done;
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/html; charset=utf-8');
+    assert.match(res.ended.toString(), /<html/i);
+});
+
+test('a new stream gets the snapshot first, then the events sent while it is open', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    const board = dashboard();
+    board.send('alert', { id: 'before' }); // no browser yet: dropped
+
+    const req = request('/dashboard/events');
+    const res = response();
+    assert.equal(board.handle(req, res), true);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(board.clients(), 1);
+
+    board.send('alert', { id: 'a1' });
+    assert.deepEqual(res.events(), [
+        { event: 'snapshot', data: { pairs: ['BTCUSDT'] } },
+        { event: 'alert', data: { id: 'a1' } }
+    ]);
+
+    t.mock.timers.tick(25000);
+    assert.equal(res.chunks.at(-1), ': keep-alive\n\n');
+
+    req.emit('close');
+    assert.equal(board.clients(), 0);
+    board.send('alert', { id: 'a2' });
+    // Closed: no more events, and the keep-alive timer stopped with the last stream
+    t.mock.timers.tick(25000);
+    assert.equal(res.chunks.length, 3);
+});
+
+test('prices are batched per flush, the latest value of each symbol', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    const board = dashboard();
+    board.price('BTCUSDT', 1); // no browser: ignored
+
+    const req = request('/dashboard/events');
+    const res = response();
+    board.handle(req, res);
+    board.price('BTCUSDT', 100);
+    board.price('ETHUSDT', 10);
+    board.price('BTCUSDT', 101);
+    t.mock.timers.tick(1999);
+    assert.equal(res.events().length, 1);
+    t.mock.timers.tick(1);
+    assert.deepEqual(res.events().at(-1), { event: 'prices', data: { BTCUSDT: 101, ETHUSDT: 10 } });
+
+    board.price('BTCUSDT', 102);
+    req.emit('close');
+    t.mock.timers.tick(2000);
+    assert.equal(res.events().length, 2);
+});
+
+test('status changes are throttled into one status event', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    const board = dashboard();
+    board.statusChanged(); // no browser: nothing scheduled
+
+    const res = response();
+    board.handle(request('/dashboard/events'), res);
+    board.statusChanged();
+    board.statusChanged();
+    t.mock.timers.tick(2000);
+    board.statusChanged();
+    t.mock.timers.tick(2000);
+    const statuses = res.events().filter(e => e.event === 'status');
+    assert.deepEqual(statuses.map(e => e.data.calls), [1, 2]);
+});
@@ -0,0 +1,45 @@
+// Donchian Channels against TA-Lib's MAX / MIN regression values (ta_test_func/test_minmax.c), which
+// are computed on the open series — so the open is fed as both high and low here.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDonchianChannels } = require('../src/indicators');
+const { DAILY, KLINES } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+const OPENS = DAILY.open.map(open => ({ high: open, low: open }));
+
+// Published values by candle index
+const REFERENCE = {
+    14: {
+        upper: { 13: 98.815, 14: 98.815, 15: 98.815, 16: 98.815, 17: 98.815, 26: 93.405, 33: 89.78, 251: 110.69 },
+        lower: { 13: 91.125, 14: 91.125, 15: 91.125, 16: 91.125, 17: 89.75, 20: 89.345, 21: 87.94, 251: 107.75 }
+    },
+    2: {
+        upper: { 1: 92.5, 2: 95.155, 3: 95.155, 4: 95.5, 5: 95.5, 6: 95.0, 251: 109.69 },
+        lower: { 1: 91.5, 2: 91.5, 3: 93.97, 4: 93.97, 5: 94.5, 251: 109.19 }
+    }
+};
+
+for (const [period, bands] of Object.entries(REFERENCE)) {
+    test(`${period}-candle channel matches MAX / MIN`, () => {
+        const channel = calculateDonchianChannels(OPENS, Number(period));
+        assert.equal(channel.upper[period - 2], null);
+        for (const [band, values] of Object.entries(bands)) {
+            for (const [i, expected] of Object.entries(values)) {
+                assertNear(channel[band][i], expected, 1e-9, `${band}[${i}]`);
+            }
+        }
+        for (let i = period - 1; i < OPENS.length; i++) {
+            assertNear(channel.middle[i], (channel.upper[i] + channel.lower[i]) / 2, 1e-9, `middle[${i}]`);
+        }
+    });
+}
+
+test('upper band reads highs and lower band reads lows', () => {
+    const channel = calculateDonchianChannels(KLINES, 20);
+    for (const i of [19, 100, 251]) {
+        const window = KLINES.slice(i - 19, i + 1);
+        assert.equal(channel.upper[i], Math.max(...window.map(k => k.high)));
+        assert.equal(channel.lower[i], Math.min(...window.map(k => k.low)));
+    }
+});
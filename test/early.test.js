@@ -0,0 +1,56 @@
+// Early-warning tracker (src/early.js): one warning per forming candle, its cooldown and its outcome.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEarlyWarningTracker } = require('../src/early');
+
+const MINUTE = 60 * 1000;
+const KEY = 'BTCUSDT_15m';
+const T0 = Date.UTC(2026, 0, 1);
+
+test('a forming candle warns once; its close confirms the same direction', () => {
+    const tracker = createEarlyWarningTracker();
+    const warning = tracker.warn(KEY, { candleTime: 1000, direction: 'up', state: 'above', price: 100 }, T0);
+    assert.deepEqual(warning, { candleTime: 1000, direction: 'up', state: 'above', price: 100 });
+    assert.equal(tracker.warn(KEY, { candleTime: 1000, direction: 'up', state: 'above' }, T0 + MINUTE), null);
+    assert.equal(tracker.size(), 1);
+
+    // The follow-up sees fields set on the stored warning after warn() (main.js adds the recipients)
+    warning.recipients = [42];
+    const result = tracker.resolve(KEY, 1000, 'up');
+    assert.equal(result.outcome, 'confirmed');
+    assert.deepEqual(result.warning.recipients, [42]);
+    assert.equal(tracker.size(), 0);
+    assert.equal(tracker.resolve(KEY, 1000, 'up'), null);
+});
+
+test('a close without the cross, or crossing the other way, cancels the warning', () => {
+    const tracker = createEarlyWarningTracker({ cooldownMs: 0 });
+    tracker.warn(KEY, { candleTime: 1000, direction: 'up', state: 'above' }, T0);
+    assert.equal(tracker.resolve(KEY, 1000, null).outcome, 'cancelled');
+    tracker.warn(KEY, { candleTime: 2000, direction: 'up', state: 'above' }, T0 + 1);
+    assert.equal(tracker.resolve(KEY, 2000, 'down').outcome, 'cancelled');
+});
+
+test('the close of an earlier candle keeps the warning; a missed close drops it silently', () => {
+    const tracker = createEarlyWarningTracker();
+    tracker.warn(KEY, { candleTime: 2000, direction: 'down', state: 'below' }, T0);
+    assert.equal(tracker.resolve(KEY, 1000, 'down'), null);
+    assert.equal(tracker.size(), 1);
+    assert.equal(tracker.resolve(KEY, 3000, 'down'), null);
+    assert.equal(tracker.size(), 0);
+});
+
+test('the cooldown applies per series and state, and can be changed at runtime', () => {
+    const tracker = createEarlyWarningTracker({ cooldownMs: 15 * MINUTE });
+    assert.ok(tracker.warn(KEY, { candleTime: 1000, direction: 'up', state: 'above' }, T0));
+    assert.equal(tracker.warn(KEY, { candleTime: 2000, direction: 'up', state: 'above' }, T0 + 5 * MINUTE), null);
+    // Other state, other series: not cooling down
+    assert.ok(tracker.warn(KEY, { candleTime: 2000, direction: 'down', state: 'below' }, T0 + 5 * MINUTE));
+    assert.ok(tracker.warn('ETHUSDT_15m', { candleTime: 2000, direction: 'up', state: 'above' }, T0 + 5 * MINUTE));
+    assert.ok(tracker.warn(KEY, { candleTime: 3000, direction: 'up', state: 'above' }, T0 + 15 * MINUTE));
+
+    tracker.setCooldown(60 * MINUTE);
+    assert.equal(tracker.warn(KEY, { candleTime: 4000, direction: 'up', state: 'above' }, T0 + 30 * MINUTE), null);
+    tracker.clear();
+    assert.equal(tracker.size(), 0);
+});
@@ -0,0 +1,82 @@
+// Signal quality filters (src/filters.js): the instant checks and the candle confirmation tracker.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_THRESHOLDS, parseFilterIds, signalMetrics, checkFilters, createConfirmationTracker } = require('../src/filters');
+
+const candle = (close, volume = 100) => ({ open: close, high: close, low: close, close, volume });
+
+test('parseFilterIds keeps known filters in FILTER_IDS order', () => {
+    assert.deepEqual(parseFilterIds('ADX, volume,foo'), ['volume', 'adx']);
+    assert.deepEqual(parseFilterIds(['confirm', 'atr']), ['atr', 'confirm']);
+    assert.deepEqual(parseFilterIds(''), []);
+});
+
+test('signalMetrics measures the cross candle; a metric without enough data is null', () => {
+    const candles = [...Array(20).fill(candle(100, 100)), candle(102, 300)];
+    const m = signalMetrics({ candles, ema: 100, atr: 0.5, adx: 25 });
+    assert.equal(m.relVolume, 3);
+    assert.equal(m.atrPct, 0.5 / 102 * 100);
+    assert.equal(m.adx, 25);
+    assert.equal(m.emaDistancePct, 2);
+
+    const short = signalMetrics({ candles: candles.slice(-5), ema: 0, atr: 0, adx: NaN });
+    assert.deepEqual(short, { relVolume: null, atrPct: null, adx: null, emaDistancePct: null });
+});
+
+test('checkFilters rejects on the first enabled filter below its threshold', () => {
+    const metrics = { relVolume: 1.2, atrPct: 0.1, adx: 15, emaDistancePct: 3 };
+    assert.deepEqual(checkFilters(['volume', 'adx'], metrics), { filter: 'volume', reason: 'relative volume 1.20x < 1.5x' });
+    assert.deepEqual(checkFilters(['adx', 'volume'], metrics), { filter: 'adx', reason: 'ADX 15.0 < 20' });
+    assert.deepEqual(checkFilters(['atr'], metrics), { filter: 'atr', reason: 'ATR 0.100% < 0.2%' });
+    assert.deepEqual(checkFilters(['distance'], metrics), { filter: 'distance', reason: '3.00% from the EMA > 2%' });
+    assert.equal(checkFilters([], metrics), null);
+});
+
+test('checkFilters passes at the threshold, on a missing metric and for confirm', () => {
+    const atThreshold = { relVolume: 1.5, atrPct: 0.2, adx: 20, emaDistancePct: 2 };
+    assert.equal(checkFilters(['volume', 'atr', 'adx', 'distance', 'confirm'], atThreshold), null);
+    const missing = { relVolume: null, atrPct: null, adx: null, emaDistancePct: null };
+    assert.equal(checkFilters(['volume', 'atr', 'adx', 'distance'], missing), null);
+});
+
+test('checkFilters uses the thresholds it is given', () => {
+    const metrics = { relVolume: 2, atrPct: 0.5, adx: 30, emaDistancePct: 1 };
+    assert.equal(checkFilters(['adx'], metrics), null);
+    const strict = { ...DEFAULT_THRESHOLDS, minAdx: 35, maxEmaDistancePct: 0.5 };
+    assert.equal(checkFilters(['adx'], metrics, strict).reason, 'ADX 30.0 < 35');
+    assert.equal(checkFilters(['distance'], metrics, strict).filter, 'distance');
+});
+
+test('a pending cross waits, then confirms after the required candles', () => {
+    const tracker = createConfirmationTracker();
+    assert.equal(tracker.next('BTCUSDT_15m', 'above', 3), null);
+    tracker.start('BTCUSDT_15m', { direction: 'bullish', state: 'above', time: 1000 });
+    assert.equal(tracker.size(), 1);
+
+    const waiting = tracker.next('BTCUSDT_15m', 'above', 3);
+    assert.equal(waiting.status, 'waiting');
+    assert.equal(waiting.cross.held, 2);
+
+    const confirmed = tracker.next('BTCUSDT_15m', 'above', 3);
+    assert.equal(confirmed.status, 'confirmed');
+    assert.deepEqual(confirmed.cross, { direction: 'bullish', state: 'above', time: 1000, held: 3 });
+    assert.equal(tracker.size(), 0);
+    assert.equal(tracker.next('BTCUSDT_15m', 'above', 3), null);
+});
+
+test('a pending cross that flips back is reversed and dropped', () => {
+    const tracker = createConfirmationTracker();
+    tracker.start('ETHUSDT_1h', { direction: 'bearish', state: 'below', time: 2000 });
+    tracker.start('BTCUSDT_1h', { direction: 'bullish', state: 'above', time: 2000 });
+
+    const reversed = tracker.next('ETHUSDT_1h', 'above', 2);
+    assert.equal(reversed.status, 'reversed');
+    assert.equal(reversed.cross.direction, 'bearish');
+    assert.equal(tracker.next('ETHUSDT_1h', 'below', 2), null);
+
+    // Other series keep their own pending cross
+    assert.equal(tracker.next('BTCUSDT_1h', 'above', 2).status, 'confirmed');
+    tracker.start('BTCUSDT_1h', { direction: 'bullish', state: 'above', time: 3000 });
+    tracker.clear();
+    assert.equal(tracker.size(), 0);
+});
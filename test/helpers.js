@@ -0,0 +1,13 @@
+// Shared assertions for the indicator tests.
+const assert = require('node:assert/strict');
+
+// |actual - expected| <= tolerance. Published reference values are rounded, so the tolerance
+// covers their last printed digit.
+function assertNear(actual, expected, tolerance, message) {
+    assert.ok(
+        typeof actual === 'number' && Math.abs(actual - expected) <= tolerance,
+        `${message}: ${actual} vs ${expected} (±${tolerance})`
+    );
+}
+
+module.exports = { assertNear };
@@ -0,0 +1,102 @@
+// Alert history (src/history.js): the file backend, and queries against both backends.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MAX_FILE_ENTRIES, COMPACT_BATCH, summarize, createAlertHistory } = require('../src/history');
+const { openStore } = require('../src/db');
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ema-history-')), name);
+}
+
+function alert(i) {
+    return { id: `a${i}`, event: 'crossover', mode: 'dual', symbol: 'BTCUSDT', timeframe: '15m', direction: 'up', time: new Date(i * 1000).toISOString() };
+}
+
+function fileLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('the file is compacted to the newest entries once a batch past the limit has piled up', () => {
+    const filePath = tempFile('alert_history.ndjson');
+    const history = createAlertHistory({ filePath });
+    for (let i = 1; i <= MAX_FILE_ENTRIES + COMPACT_BATCH; i++) history.record(alert(i));
+    assert.equal(fileLines(filePath).length, MAX_FILE_ENTRIES + COMPACT_BATCH);
+
+    history.record(alert(MAX_FILE_ENTRIES + COMPACT_BATCH + 1));
+    const lines = fileLines(filePath);
+    assert.equal(lines.length, MAX_FILE_ENTRIES);
+    assert.equal(lines[0].payload.id, `a${COMPACT_BATCH + 2}`);
+    assert.equal(lines.at(-1).payload.id, `a${MAX_FILE_ENTRIES + COMPACT_BATCH + 1}`);
+    assert.equal(history.query().total, MAX_FILE_ENTRIES);
+
+    // A restart reads back exactly what was kept and continues the ids
+    const reopened = createAlertHistory({ filePath });
+    assert.equal(reopened.query().total, MAX_FILE_ENTRIES);
+    assert.equal(reopened.record(alert(0)).id, lines.at(-1).id + 1);
+});
+
+test('a failed append is logged, not swallowed', () => {
+    const filePath = path.join(tempFile('missing'), 'alert_history.ndjson'); // parent folder does not exist
+    const logged = [];
+    const history = createAlertHistory({ filePath, log: (message, type) => logged.push({ message, type }) });
+    history.record(alert(1));
+    assert.equal(logged.length, 1);
+    assert.match(logged[0].message, /Could not record alert history/);
+    assert.equal(logged[0].type, 'warning');
+    assert.equal(history.query().total, 1);
+});
+
+const BACKENDS = {
+    memory: () => createAlertHistory(),
+    sqlite: () => createAlertHistory({ store: openStore(':memory:') })
+};
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+    test(`${name}: a chat sees public alerts and its own, never another chat's`, () => {
+        const history = backend();
+        history.record(alert(1));
+        history.record(alert(2), { chatId: 42 });
+        history.record(alert(3), { chatId: '7' });
+        history.record(alert(4));
+
+        const ids = (result) => result.entries.map(entry => entry.payload.id);
+        assert.deepEqual(ids(history.query()), ['a4', 'a1']);
+        assert.deepEqual(ids(history.query({ chatId: '42' })), ['a4', 'a2', 'a1']);
+        assert.deepEqual(ids(history.query({ chatId: 7 })), ['a4', 'a3', 'a1']);
+        assert.equal(history.query({ chatId: 42 }).total, 3);
+    });
+
+    test(`${name}: queries filter by symbol, timeframe and time range and page newest first`, () => {
+        const history = backend();
+        for (let i = 1; i <= 10; i++) {
+            history.record({ ...alert(i), symbol: i % 2 ? 'BTCUSDT' : 'ETHUSDT', timeframe: i <= 5 ? '15m' : '1h' });
+        }
+        const ids = (result) => result.entries.map(entry => entry.payload.id);
+
+        assert.deepEqual(ids(history.query({ symbol: 'BTCUSDT' })), ['a9', 'a7', 'a5', 'a3', 'a1']);
+        assert.deepEqual(ids(history.query({ symbol: 'BTCUSDT', tf: '1h' })), ['a9', 'a7']);
+        assert.deepEqual(ids(history.query({ from: 3000, to: 5000 })), ['a5', 'a4', 'a3']);
+
+        const page = history.query({ offset: 3, limit: 3 });
+        assert.equal(page.total, 10);
+        assert.deepEqual(ids(page), ['a7', 'a6', 'a5']);
+        assert.deepEqual(ids(history.query({ offset: 9, limit: 3 })), ['a1']);
+        assert.deepEqual(ids(history.query({ offset: 12, limit: 3 })), []);
+    });
+}
+
+test('summarize counts by type, timeframe and direction', () => {
+    const history = createAlertHistory();
+    history.record(alert(1));
+    history.record({ ...alert(2), direction: 'down', timeframe: '1h' });
+    history.record({ ...alert(3), event: 'early_warning', symbol: 'ETHUSDT' });
+    const summary = summarize(history.query().entries);
+    assert.equal(summary.total, 3);
+    assert.deepEqual(summary.byType, { early: 1, dual: 2 });
+    assert.deepEqual(summary.byTf, { '15m': 2, '1h': 1 });
+    assert.deepEqual(summary.byDirection, { up: 2, down: 1 });
+    assert.deepEqual(summary.topSymbols, [['BTCUSDT', 2], ['ETHUSDT', 1]]);
+});
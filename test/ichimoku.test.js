@@ -0,0 +1,48 @@
+// Ichimoku lines are Donchian midpoints: checked against TA-Lib's MAX / MIN regression values
+// (ta_test_func/test_minmax.c, computed on the open series, fed here as both high and low).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateIchimoku } = require('../src/indicators');
+const { DAILY, KLINES } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+const OPENS = DAILY.open.map(open => ({ high: open, low: open, close: open }));
+
+// (MAX + MIN) / 2 of the published values, by candle index
+const MID_2 = { 251: (109.69 + 109.19) / 2 };
+const MID_14 = {
+    13: (98.815 + 91.125) / 2,
+    14: (98.815 + 91.125) / 2,
+    15: (98.815 + 91.125) / 2,
+    16: (98.815 + 91.125) / 2,
+    17: (98.815 + 89.75) / 2,
+    251: (110.69 + 107.75) / 2
+};
+
+test('tenkan, kijun and the leading spans are range midpoints', () => {
+    const ichimoku = calculateIchimoku(OPENS, 2, 14, 14, 4);
+    assert.equal(ichimoku.kijun[12], null);
+    for (const [i, expected] of Object.entries(MID_14)) {
+        assertNear(ichimoku.kijun[i], expected, 1e-9, `kijun[${i}]`);
+        assertNear(ichimoku.spanB[i], expected, 1e-9, `spanB[${i}]`);
+    }
+    assertNear(ichimoku.tenkan[251], MID_2[251], 1e-9, 'tenkan[251]');
+    assertNear(ichimoku.spanA[251], (MID_2[251] + MID_14[251]) / 2, 1e-9, 'spanA[251]');
+});
+
+test('the cloud at a candle is the leading spans from `displacement` candles ago', () => {
+    const ichimoku = calculateIchimoku(KLINES, 9, 26, 52, 26);
+    const first = ichimoku.spanB.findIndex(v => v !== null);
+    assert.equal(first, 51);
+    for (let i = first; i < first + 26; i++) assert.equal(ichimoku.cloudA[i], null);
+    for (let i = first + 26; i < KLINES.length; i++) {
+        assert.equal(ichimoku.cloudA[i], ichimoku.spanA[i - 26]);
+        assert.equal(ichimoku.cloudB[i], ichimoku.spanB[i - 26]);
+    }
+});
+
+test('a span B shorter than the kijun waits for the kijun', () => {
+    const ichimoku = calculateIchimoku(KLINES, 9, 26, 10, 5);
+    assert.equal(ichimoku.spanB.findIndex(v => v !== null), 25);
+    assert.equal(ichimoku.kijun[24], null);
+});
@@ -0,0 +1,88 @@
+// Discord/Slack channel circuit breaker against a local HTTP stand-in.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createIncomingWebhookChannel } = require('../src/channels/incoming');
+
+async function startReceiver(status) {
+    const receiver = { hits: 0, status };
+    const server = http.createServer((req, res) => {
+        receiver.hits++;
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(receiver.status);
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+function channelFor(url) {
+    return createIncomingWebhookChannel({ name: 'Test', url, types: ['ema'], render: card => ({ text: card.title }) });
+}
+
+const CARD = { title: 'BTCUSDT bullish cross', color: 'bull', fields: [] };
+
+test('a reachable endpoint receives the rendered card', async (t) => {
+    const receiver = await startReceiver(204);
+    t.after(receiver.close);
+    const channel = channelFor(receiver.url);
+    assert.equal(await channel.send(CARD), true);
+    assert.equal(receiver.hits, 1);
+    assert.deepEqual(channel.stats(), { sent: 1, failed: 0, suppressed: 0 });
+});
+
+test('five consecutive failures open the circuit for five minutes', async (t) => {
+    const receiver = await startReceiver(500);
+    t.after(receiver.close);
+    const channel = channelFor(receiver.url);
+
+    for (let i = 0; i < 4; i++) assert.equal(await channel.send(CARD), false);
+    assert.equal(channel.isPaused(), false);
+    assert.equal(await channel.send(CARD), false);
+    assert.equal(channel.isPaused(), true);
+
+    // While open, sends are suppressed without touching the endpoint
+    receiver.status = 200;
+    assert.equal(await channel.send(CARD), false);
+    assert.equal(receiver.hits, 5);
+    assert.deepEqual(channel.stats(), { sent: 0, failed: 5, suppressed: 1 });
+
+    // …and resume once the pause is over
+    const realNow = Date.now;
+    t.after(() => { Date.now = realNow; });
+    Date.now = () => realNow() + 5 * 60 * 1000 + 1;
+    assert.equal(channel.isPaused(), false);
+    assert.equal(await channel.send(CARD), true);
+    assert.equal(receiver.hits, 6);
+});
+
+test('a success resets the failure count', async (t) => {
+    const receiver = await startReceiver(500);
+    t.after(receiver.close);
+    const channel = channelFor(receiver.url);
+
+    for (let i = 0; i < 4; i++) await channel.send(CARD);
+    receiver.status = 200;
+    await channel.send(CARD);
+    receiver.status = 500;
+    for (let i = 0; i < 4; i++) await channel.send(CARD);
+    assert.equal(channel.isPaused(), false);
+});
+
+test('only accepts the alert types routed to it', () => {
+    const channel = channelFor('http://127.0.0.1:9/');
+    assert.equal(channel.accepts('ema'), true);
+    assert.equal(channel.accepts('dual'), false);
+});
+
+test('setTypes() re-routes the alert types', () => {
+    const channel = channelFor('http://127.0.0.1:9/');
+    channel.setTypes(['dual', 'early']);
+    assert.equal(channel.accepts('ema'), false);
+    assert.equal(channel.accepts('early'), true);
+    assert.deepEqual(channel.types(), ['dual', 'early']);
+});
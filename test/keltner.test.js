@@ -0,0 +1,37 @@
+// Keltner Channels against the TA-Lib regression values of their parts: EMA (ta_test_func/test_ma.c)
+// and Wilder's ATR (ta_test_func/test_trange.c). Both are published truncated to 2-4 decimals.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateKeltnerChannels } = require('../src/indicators');
+const { KLINES } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+// Published values by candle index
+const EMA_10 = { 9: 93.22, 10: 93.75, 29: 86.46, 251: 108.97 };
+const TRUE_RANGE = { 13: 9.685, 41: 5.125, 251: 2.88 };
+const ATR_14 = { 14: 3.578, 15: 3.4876, 16: 3.55, 26: 3.245, 27: 3.394, 28: 3.413, 251: 3.26 };
+
+// One unit of the last published decimal
+const lastDigit = value => 10 ** -(String(value).split('.')[1] || '').length;
+
+function assertChannel(channel, middle, range, multiplier) {
+    for (const [i, expected] of Object.entries(middle)) {
+        assertNear(channel.middle[i], expected, lastDigit(expected), `middle[${i}]`);
+    }
+    for (const [i, expected] of Object.entries(range)) {
+        assertNear((channel.upper[i] - channel.middle[i]) / multiplier, expected, lastDigit(expected), `upper[${i}] width`);
+        assertNear((channel.middle[i] - channel.lower[i]) / multiplier, expected, lastDigit(expected), `lower[${i}] width`);
+    }
+}
+
+test('EMA 10 middle line, 1-candle ATR (true range) bands', () => {
+    const channel = calculateKeltnerChannels(KLINES, 10, 1, 1);
+    assert.equal(channel.middle[8], null);
+    assertChannel(channel, EMA_10, TRUE_RANGE, 1);
+});
+
+test('EMA 10 middle line, 14-candle ATR bands', () => {
+    const channel = calculateKeltnerChannels(KLINES, 10, 14, 2.5);
+    assert.equal(channel.middle[13], null);
+    assertChannel(channel, { 29: EMA_10[29], 251: EMA_10[251] }, ATR_14, 2.5);
+});
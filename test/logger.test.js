@@ -0,0 +1,122 @@
+// Structured logger entries (src/logger.js), written to a temporary LOG_DIR.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ema-logger-'));
+process.env.LOG_CONSOLE = 'off';
+const { LOG_DIR, LOG_FILE, createLogger, configureLogger, logSettings } = require('../src/logger');
+
+// The JSON entries written since `from` bytes into the log file
+function entriesSince(from) {
+    return fs.readFileSync(LOG_FILE, 'utf8').slice(from).split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function logSize() {
+    return fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
+}
+
+function archives() {
+    return fs.readdirSync(LOG_DIR).filter(name => name.endsWith('.log.gz')).sort();
+}
+
+// Poll until `check()` holds; archives are gzipped in the background
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('caller fields are added after time, level, module and msg', () => {
+    const from = logSize();
+    createLogger('ws')('Pool WS #0 closed', 'warning', { symbol: 'BTCUSDT', timeframe: '15m' });
+    const [entry] = entriesSince(from);
+    assert.deepEqual(Object.keys(entry), ['time', 'level', 'module', 'msg', 'symbol', 'timeframe']);
+    assert.equal(entry.msg, 'Pool WS #0 closed');
+    assert.equal(entry.symbol, 'BTCUSDT');
+});
+
+test('a caller field named like a base key does not overwrite it', () => {
+    const from = logSize();
+    const log = createLogger('api');
+    log('Request rejected', 'error', { msg: 'from the caller', level: 'debug', module: 'other', time: 0, status: 400 });
+    log.banner(['EMA CROSS', 'BTCUSDT 15m'], 'info', { lines: [], msg: 'x' });
+    const [entry, banner] = entriesSince(from);
+    assert.equal(entry.msg, 'Request rejected');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.module, 'api');
+    assert.match(entry.time, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(entry.status, 400);
+    assert.equal(banner.msg, 'EMA CROSS');
+    assert.deepEqual(banner.lines, ['BTCUSDT 15m']);
+});
+
+test('an Error becomes an error field and a plain value a details field', () => {
+    const from = logSize();
+    const log = createLogger('main');
+    log('Failed', 'error', new Error('boom'));
+    log('Note', 'info', 42);
+    const [failed, note] = entriesSince(from);
+    assert.match(failed.error, /^Error: boom/);
+    assert.equal(note.details, 42);
+});
+
+test('LOG_LEVELS overrides LOG_LEVEL per module', () => {
+    const before = logSettings();
+    try {
+        configureLogger({ LOG_LEVEL: 'warning', LOG_LEVELS: 'ws=debug' });
+        const from = logSize();
+        createLogger('ws')('ws debug', 'debug');
+        createLogger('ml')('ml info', 'info');
+        createLogger('ml')('ml warning', 'warn');
+        createLogger('api')('api success', 'success');
+        assert.deepEqual(entriesSince(from).map(entry => entry.msg), ['ws debug', 'ml warning']);
+        assert.equal(logSettings().LOG_LEVELS, 'ws=debug');
+    } finally {
+        configureLogger(before);
+    }
+});
+
+test('bad LOG_LEVEL and LOG_LEVELS values are reported and fall back', () => {
+    const before = logSettings();
+    try {
+        const from = logSize();
+        configureLogger({ LOG_LEVEL: 'loud', LOG_LEVELS: 'ml=quiet,ws=debug' });
+        const problems = entriesSince(from).filter(entry => entry.module === 'logger').map(entry => entry.msg);
+        assert.deepEqual(problems, [
+            'LOG_LEVELS entry "ml=quiet" ignored',
+            'LOG_LEVEL "loud" is not one of debug, info, success, warning, error — using info'
+        ]);
+        assert.equal(logSettings().LOG_LEVEL, 'info');
+        assert.equal(logSettings().LOG_LEVELS, 'ws=debug');
+    } finally {
+        configureLogger(before);
+    }
+});
+
+test('past LOG_MAX_SIZE_MB the file is gzipped and only LOG_MAX_FILES archives are kept', async () => {
+    const before = logSettings();
+    const log = createLogger('main');
+    const rolling = () => fs.readdirSync(LOG_DIR).some(name => name.endsWith('.log') && name !== 'ema-tracker.log');
+    try {
+        // 100 bytes, less than one entry: every entry rolls the previous one over
+        configureLogger({ LOG_MAX_SIZE_MB: 100 / (1024 * 1024), LOG_MAX_FILES: 2 });
+        for (let i = 1; i <= 4; i++) {
+            log(`entry ${i}`);
+            await waitFor(() => !rolling());
+            // A rolled file is named after the current millisecond
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert.equal(archives().length, 2);
+        assert.deepEqual(entriesSince(0).map(entry => entry.msg), ['entry 4']);
+        const newest = zlib.gunzipSync(fs.readFileSync(path.join(LOG_DIR, archives()[1]))).toString();
+        assert.equal(JSON.parse(newest).msg, 'entry 3');
+    } finally {
+        configureLogger(before);
+    }
+});
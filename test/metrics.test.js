@@ -0,0 +1,58 @@
+// Prometheus text exposition (src/metrics.js): label escaping, counters, gauges and histogram buckets.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../src/metrics');
+
+test('counters render one line per label set, in labelNames order', () => {
+    const metrics = createMetricsRegistry();
+    const sent = metrics.counter('ema_alerts_sent_total', 'Alerts sent', ['type', 'timeframe']);
+    sent.inc({ timeframe: '15m', type: 'dual' });
+    sent.inc({ type: 'dual', timeframe: '15m' }, 2);
+    sent.inc({ type: 'early' });
+    assert.equal(metrics.render(), [
+        '# HELP ema_alerts_sent_total Alerts sent',
+        '# TYPE ema_alerts_sent_total counter',
+        'ema_alerts_sent_total{type="dual",timeframe="15m"} 3',
+        'ema_alerts_sent_total{type="early",timeframe=""} 1',
+        ''
+    ].join('\n'));
+});
+
+test('label values escape backslashes, quotes and newlines', () => {
+    const metrics = createMetricsRegistry();
+    const errors = metrics.counter('ema_errors_total', 'Errors', ['reason']);
+    errors.inc({ reason: 'C:\\logs "full"\nretry' });
+    assert.match(metrics.render(), /^ema_errors_total\{reason="C:\\\\logs \\"full\\"\\nretry"\} 1$/m);
+});
+
+test('gauges are collected at render time and skip values that are not finite', () => {
+    const metrics = createMetricsRegistry();
+    let subscribers = 3;
+    metrics.gauge('ema_subscribers', 'Active chats', () => subscribers);
+    metrics.gauge('ema_ws_connected', 'Pool sockets', () => [[{ pool: '0' }, 1], [{ pool: '1' }, NaN]], ['pool']);
+    subscribers = 4;
+    const text = metrics.render();
+    assert.match(text, /^ema_subscribers 4$/m);
+    assert.match(text, /^ema_ws_connected\{pool="0"\} 1$/m);
+    assert.doesNotMatch(text, /pool="1"/);
+});
+
+test('histogram buckets are cumulative, with +Inf, sum and count', () => {
+    const metrics = createMetricsRegistry();
+    const latency = metrics.histogram('ema_rest_seconds', 'REST latency', ['exchange'], [0.1, 0.5, 1]);
+    for (const value of [0.05, 0.1, 0.3, 2]) latency.observe({ exchange: 'bybit' }, value);
+    assert.deepEqual(metrics.render().split('\n').slice(2, -1), [
+        'ema_rest_seconds_bucket{exchange="bybit",le="0.1"} 2',
+        'ema_rest_seconds_bucket{exchange="bybit",le="0.5"} 3',
+        'ema_rest_seconds_bucket{exchange="bybit",le="1"} 3',
+        'ema_rest_seconds_bucket{exchange="bybit",le="+Inf"} 4',
+        'ema_rest_seconds_sum{exchange="bybit"} 2.45',
+        'ema_rest_seconds_count{exchange="bybit"} 4'
+    ]);
+});
+
+test('a metric name can be registered once', () => {
+    const metrics = createMetricsRegistry();
+    metrics.counter('ema_candles_processed_total', 'Closed candles');
+    assert.throws(() => metrics.gauge('ema_candles_processed_total', 'Again', () => 1), /already registered/);
+});
@@ -0,0 +1,21 @@
+// On-balance volume. TA-Lib publishes no OBV regression values, so the expected series is worked by
+// hand from Granville's definition: add the volume on an up close, subtract it on a down close.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateOBV } = require('../src/indicators');
+
+test('adds up-close volume, subtracts down-close volume, ignores unchanged closes', () => {
+    const klines = [
+        { close: 10, volume: 100 },
+        { close: 11, volume: 200 },
+        { close: 11, volume: 300 },
+        { close: 10.5, volume: 400 },
+        { close: 12, volume: 500 },
+        { close: 11, volume: 50 }
+    ];
+    assert.deepEqual(calculateOBV(klines), [0, 200, 200, -200, 300, 250]);
+});
+
+test('rejects klines without a volume', () => {
+    assert.throws(() => calculateOBV([{ close: 10, volume: 1 }, { close: 11 }]), /volume/);
+});
@@ -0,0 +1,43 @@
+// OKX kline paging: recent requests above the 300-candle page continue through history-candles.
+// axios.get is replaced by an in-memory OKX serving 1000 one-minute candles.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const okx = require('../src/exchanges/okx');
+
+const MINUTE = 60 * 1000;
+const NOW = 1000 * MINUTE;
+const ALL = Array.from({ length: 1000 }, (_, i) => i * MINUTE); // open times, oldest first
+
+function fakeOkx(requests) {
+    return async (url, { params }) => {
+        requests.push({ endpoint: url.split('/').pop(), ...params });
+        const before = params.after ?? NOW + 1;
+        const times = ALL.filter(t => t < before).slice(-params.limit).reverse(); // newest first, like OKX
+        return { data: { data: times.map(t => [String(t), '1', '2', '0.5', '1.5', '10', '100']) } };
+    };
+}
+
+test('a request within one page makes one call', async (t) => {
+    const requests = [];
+    t.mock.method(axios, 'get', fakeOkx(requests));
+    const candles = await okx.fetchKlines('BTCUSDT', '1m', 250);
+    assert.equal(candles.length, 250);
+    assert.deepEqual(requests.map(r => r.endpoint), ['candles']);
+});
+
+test('a request above 300 candles pages back without gaps or duplicates', async (t) => {
+    const requests = [];
+    t.mock.method(axios, 'get', fakeOkx(requests));
+    const candles = await okx.fetchKlines('BTCUSDT', '1m', 600);
+    assert.deepEqual(candles.map(c => c.time), ALL.slice(-600));
+    assert.deepEqual(requests.map(r => `${r.endpoint}:${r.limit}`),
+        ['candles:300', 'history-candles:100', 'history-candles:100', 'history-candles:100']);
+});
+
+test('paging stops when the history runs out', async (t) => {
+    t.mock.method(axios, 'get', fakeOkx([]));
+    const candles = await okx.fetchKlines('BTCUSDT', '1m', 1500);
+    assert.equal(candles.length, 1000);
+    assert.equal(candles[0].time, 0);
+});
@@ -0,0 +1,91 @@
+// Alert rule language: validation and streaming evaluation.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRule, createRuleState, evaluateRule, snapshotRule } = require('../src/rules');
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h'];
+const compile = text => compileRule(text, { timeframes: TIMEFRAMES, defaultTf: '15m' });
+
+// Deterministic trending/oscillating 15m candles
+function makeCandles(count) {
+    const candles = [];
+    let price = 100;
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        price *= 1 + Math.sin(i / 9) * 0.008 + Math.cos(i / 3.7) * 0.004;
+        candles.push({
+            time: i * 15 * 60 * 1000,
+            open,
+            high: Math.max(open, price) * 1.003,
+            low: Math.min(open, price) * 0.997,
+            close: price,
+            volume: 1000 + 400 * Math.sin(i / 5)
+        });
+    }
+    return candles;
+}
+
+test('rejects comparisons that read no price, volume or indicator', () => {
+    for (const text of ['1 < 2', '2 * 3 >= 6', 'rsi(14) < 30 or 1 < 2', 'not (-1 > 0)']) {
+        assert.throws(() => compile(text), /never changes/, text);
+    }
+    assert.equal(compile('close > 2 * 3').tf, '15m');
+    assert.equal(compile('rsi(14,1h) < 30 and 0 < volume').tf, '1h');
+});
+
+test('reports the position of invalid input', () => {
+    assert.throws(() => compile('rsi(14,2h) < 30'), error => error.pos === 7);
+    assert.throws(() => compile('foo(3) > 1'), /Unknown name "foo"/);
+    assert.throws(() => compile('ema > 1'), /needs a period/);
+});
+
+test('streaming state over a sliding window matches recomputing the whole history', () => {
+    const candles = makeCandles(700);
+    const rules = [
+        'ema(9) crosses_above ema(21) or rsi(14) < 35',
+        'macd_hist > 0 and adx > 20 and close > kc_middle',
+        'stochrsi_k crosses_below stochrsi_d or close > bb_upper',
+        'supertrend_dir == 1 and close > dc_middle(10) and change(3) > 0'
+    ].map(compile);
+    const states = rules.map(() => createRuleState());
+
+    for (let n = 300; n <= candles.length; n++) {
+        const window = candles.slice(n - 300, n);
+        const history = candles.slice(0, n);
+        rules.forEach((rule, i) => {
+            assert.equal(evaluateRule(rule, () => window, states[i]), evaluateRule(rule, () => history), `rule ${i} at ${n}`);
+            const streamed = snapshotRule(rule, () => window, states[i]);
+            const recomputed = snapshotRule(rule, () => history);
+            streamed.forEach((v, k) => {
+                const expected = recomputed[k].value;
+                assert.ok(Math.abs(v.value - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${v.label} at ${n}: ${v.value} vs ${expected}`);
+            });
+        });
+    }
+});
+
+test('a state only feeds candles it has not seen', () => {
+    const candles = makeCandles(200);
+    const rule = compile('rsi(14) > 0');
+    const state = createRuleState();
+    let reads = 0;
+    const getCandles = () => new Proxy(candles, {
+        get(target, prop) {
+            if (/^\d+$/.test(prop)) reads++;
+            return target[prop];
+        }
+    });
+    evaluateRule(rule, getCandles, state);
+    reads = 0;
+    evaluateRule(rule, getCandles, state);
+    assert.ok(reads <= 2, `re-evaluating without a new candle read ${reads} candles`);
+});
+
+test('a gap past everything the state has seen restarts it from the window', () => {
+    const candles = makeCandles(400);
+    const rule = compile('ema(20) > 0');
+    const state = createRuleState();
+    evaluateRule(rule, () => candles.slice(0, 100), state);
+    const window = candles.slice(300, 400);
+    assert.deepEqual(snapshotRule(rule, () => window, state), snapshotRule(rule, () => window));
+});
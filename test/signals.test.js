@@ -0,0 +1,22 @@
+// EMA pair parsing (src/signals.js) — the format of EMA_PAIRS, /emapairs and settings.json.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EMA_PERIOD, parseEmaPairs } = require('../src/signals');
+
+test('parses FAST/SLOW pairs and drops duplicates', () => {
+    assert.deepEqual(parseEmaPairs('9/15, 50/200,9/15'), [{ fast: 9, slow: 15 }, { fast: 50, slow: 200 }]);
+    assert.deepEqual(parseEmaPairs([[20, 50], { fast: 9, slow: 15 }]), [{ fast: 20, slow: 50 }, { fast: 9, slow: 15 }]);
+});
+
+test('rejects sides that are not whole numbers instead of truncating them', () => {
+    for (const text of ['9.5/15', '20abc/50', '9/15/20', '9/', '-9/15']) {
+        assert.throws(() => parseEmaPairs(text), /Invalid EMA pair/, text);
+    }
+});
+
+test('rejects fast >= slow and periods outside 2..MAX_EMA_PERIOD', () => {
+    assert.throws(() => parseEmaPairs('15/9'), /Invalid EMA pair/);
+    assert.throws(() => parseEmaPairs('1/9'), /Invalid EMA pair/);
+    assert.throws(() => parseEmaPairs(`9/${MAX_EMA_PERIOD + 1}`), /Invalid EMA pair/);
+    assert.throws(() => parseEmaPairs(''), /At least one EMA pair/);
+});
@@ -0,0 +1,39 @@
+// Stochastic RSI against the TA-Lib regression suite (ta_test_func/test_stoch.c, STOCHRSI). TA-Lib's
+// fastK is our %K with kPeriod 1 and its fastD our %D.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateStochRSI } = require('../src/indicators');
+const { DAILY } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+test('RSI 14, stochastic 14, no smoothing', () => {
+    const { k, d } = calculateStochRSI(DAILY.close, 14, 14, 1, 1);
+    assert.equal(k[26], null);
+    assertNear(k[27], 94.156709, 1e-6, '%K[27]');
+    assertNear(d[27], 94.156709, 1e-6, '%D[27]');
+    assertNear(k[251], 0, 1e-6, '%K[251]');
+});
+
+test('RSI 14, stochastic 45', () => {
+    const { k } = calculateStochRSI(DAILY.close, 14, 45, 1, 1);
+    assert.equal(k[57], null);
+    assertNear(k[58], 79.729186, 1e-6, '%K[58]');
+    assertNear(k[251], 48.1550743, 1e-6, '%K[251]');
+});
+
+test('RSI 11, stochastic 13, %D over 16', () => {
+    const { k, d } = calculateStochRSI(DAILY.close, 11, 13, 1, 16);
+    assert.equal(d[37], null);
+    assertNear(k[38], 5.25947, 1e-5, '%K[38]');
+    assertNear(d[38], 57.1711, 1e-4, '%D[38]');
+    assertNear(k[251], 0, 1e-6, '%K[251]');
+    assertNear(d[251], 15.7303, 1e-4, '%D[251]');
+});
+
+test('too few prices for the first %D give an all-null result', () => {
+    const short = DAILY.close.slice(0, 14 + 14 + 3 + 3 - 3);
+    assert.deepEqual(calculateStochRSI(short), { k: Array(short.length).fill(null), d: Array(short.length).fill(null) });
+    const { d } = calculateStochRSI(DAILY.close.slice(0, short.length + 1));
+    assert.equal(d.filter(v => v !== null).length, 1);
+    assert.throws(() => calculateStochRSI([...DAILY.close.slice(0, 40), 'x']), /valid numbers/);
+});
@@ -0,0 +1,108 @@
+// Streaming indicators against the batch calculate* functions of src/indicators.js, and the bounded
+// history of createIndicatorSet.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const streaming = require('../src/streaming');
+const indicators = require('../src/indicators');
+
+// Deterministic candles with trends, reversals and flat stretches
+function makeCandles(count) {
+    const candles = [];
+    let price = 250;
+    for (let i = 0; i < count; i++) {
+        const open = price;
+        price = i % 97 < 5 ? price : price * (1 + Math.sin(i / 11) * 0.009 + Math.cos(i / 4.3) * 0.005);
+        candles.push({
+            time: i * 60 * 60 * 1000,
+            open,
+            high: Math.max(open, price) * (1 + 0.002 * (1 + Math.sin(i))),
+            low: Math.min(open, price) * (1 - 0.002 * (1 + Math.cos(i))),
+            close: price,
+            volume: 500 + 300 * Math.abs(Math.sin(i / 6))
+        });
+    }
+    return candles;
+}
+
+const CANDLES = makeCandles(1500);
+const CLOSES = CANDLES.map(c => c.close);
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${message}: ${actual} vs ${expected}`);
+}
+
+// Every warm streaming value equals the batch value at the same index; returns the first warm index
+function assertMatches(streamed, batch, label) {
+    const first = streamed.findIndex(v => v !== null);
+    assert.ok(first >= 0, `${label} never warms up`);
+    for (let i = first; i < streamed.length; i++) assertClose(streamed[i], batch[i], `${label}[${i}]`);
+    return first;
+}
+
+test('EMA matches calculateEMA', () => {
+    for (const period of [9, 21, 200]) {
+        const first = assertMatches(streaming.series(streaming.createEMA(period), CLOSES), indicators.calculateEMA(CLOSES, period), `EMA(${period})`);
+        assert.equal(first, period - 1);
+    }
+});
+
+test('RSI matches calculateRSI', () => {
+    for (const period of [7, 14]) {
+        const first = assertMatches(streaming.series(streaming.createRSI(period), CLOSES), indicators.calculateRSI(CLOSES, period), `RSI(${period})`);
+        assert.equal(first, period);
+    }
+});
+
+test('MACD matches calculateMACD', () => {
+    const streamed = streaming.series(streaming.createMACD(12, 26, 9), CLOSES);
+    const batch = indicators.calculateMACD(CLOSES, 12, 26, 9);
+    const first = assertMatches(streamed.map(v => v && v.macd), batch.macd, 'MACD');
+    assertMatches(streamed.map(v => v && v.signal), batch.signal, 'MACD signal');
+    assertMatches(streamed.map(v => v && v.histogram), batch.histogram, 'MACD histogram');
+    assert.equal(first, 26 + 9 - 2);
+});
+
+test('Bollinger Bands match calculateBollingerBands', () => {
+    const streamed = streaming.series(streaming.createBollinger(20, 2), CLOSES);
+    const batch = indicators.calculateBollingerBands(CLOSES, 20, 2);
+    for (const band of ['upper', 'middle', 'lower']) {
+        assert.equal(assertMatches(streamed.map(v => v && v[band]), batch[band], `BB ${band}`), 19);
+    }
+});
+
+test('ATR matches calculateATR at every candle', () => {
+    const streamed = streaming.series(streaming.createATR(14), CANDLES);
+    for (let n = 15; n <= CANDLES.length; n += 7) {
+        assertClose(streamed[n - 1], indicators.calculateATR(CANDLES.slice(0, n), 14), `ATR after ${n} candles`);
+    }
+    assert.equal(streamed[13], null);
+});
+
+test('SMA and standard deviation match a direct window computation', () => {
+    const sma = streaming.series(streaming.createSMA(50), CLOSES);
+    const sd = streaming.series(streaming.createStdDev(50), CLOSES);
+    for (let i = 49; i < CLOSES.length; i += 13) {
+        const window = CLOSES.slice(i - 49, i + 1);
+        const mean = window.reduce((a, b) => a + b, 0) / 50;
+        assertClose(sma[i], mean, `SMA[${i}]`);
+        assertClose(sd[i], Math.sqrt(window.reduce((a, b) => a + (b - mean) ** 2, 0) / 50), `StdDev[${i}]`);
+    }
+});
+
+test('indicator set history keeps the latest values and stays bounded', () => {
+    const set = streaming.createIndicatorSet({ ema9: streaming.createEMA(9), rsi: streaming.createRSI(14) }, { history: { ema9: 100 } });
+    const history = set.history('ema9');
+    const expected = streaming.series(streaming.createEMA(9), CLOSES);
+    for (const [i, candle] of CANDLES.entries()) {
+        set.push(candle);
+        assert.ok(history.length <= 200, `history grew to ${history.length}`);
+        if (i >= 108) {
+            assert.ok(history.length >= 100);
+            assert.equal(history.at(-1), expected[i]);
+            assert.equal(history.at(-2), expected[i - 1]);
+        }
+    }
+    assert.equal(set.history('ema9'), history, 'the array is updated in place');
+    assert.equal(set.history('rsi'), null);
+    assert.equal(set.count(), CANDLES.length);
+});
@@ -0,0 +1,53 @@
+// Alert recipients (src/subscribers.js): preference filters, blocked chats and the per-chat cooldown.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSubscriberRegistry } = require('../src/subscribers');
+
+// Owner chat 1 plus active viewers 2 (15m only) and 3 (1h only) — kept in memory
+function registry() {
+    const subs = createSubscriberRegistry({ ownerChatId: 1 });
+    subs.load();
+    for (const [chatId, tf] of [[2, '15m'], [3, '1h']]) {
+        subs.request(chatId, `chat ${chatId}`);
+        subs.approve(chatId, 'viewer', 1);
+        subs.setPrefs(chatId, { timeframes: [tf] });
+    }
+    return subs;
+}
+
+test('a crossover reaches the chats following its timeframe', () => {
+    const subs = registry();
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: '15m', mode: 'dual' }), ['1', '2']);
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: '4h', mode: 'dual' }), ['1']);
+});
+
+test('an alert over several timeframes reaches chats following any of them', () => {
+    const subs = registry();
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: null, tfs: ['15m', '4h'], mode: 'dual' }), ['1', '2']);
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: null, tfs: ['5m', '4h'], mode: 'dual' }), ['1']);
+    // Not tied to any timeframe: every chat
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: null, mode: null }), ['1', '2', '3']);
+});
+
+test('muted, ignoring and blocked chats get nothing until they change', () => {
+    const subs = registry();
+    subs.setPrefs(2, { muted: true });
+    subs.ignore(3, 'BTCUSDT');
+    assert.deepEqual(subs.recipientsFor({ symbol: 'BTCUSDT', tf: null, mode: null }), ['1']);
+    subs.setPrefs(2, { muted: false });
+    subs.block(2);
+    subs.block(1); // the owner is never blocked
+    assert.deepEqual(subs.recipientsFor({ symbol: 'ETHUSDT', tf: null, mode: null }), ['1', '3']);
+    subs.unblock(2);
+    assert.deepEqual(subs.recipientsFor({ symbol: 'ETHUSDT', tf: null, mode: null }), ['1', '2', '3']);
+});
+
+test('the per-chat cooldown holds a series back; early warnings keep their own', () => {
+    const subs = registry();
+    subs.setPrefs(2, { cooldownMs: 60000 });
+    const cross = { symbol: 'BTCUSDT', tf: '15m', mode: 'dual' };
+    assert.deepEqual(subs.recipientsFor(cross, 0), ['1', '2']);
+    assert.deepEqual(subs.recipientsFor({ ...cross, early: true }, 1000), ['1', '2']);
+    assert.deepEqual(subs.recipientsFor(cross, 30000), ['1']);
+    assert.deepEqual(subs.recipientsFor(cross, 60000), ['1', '2']);
+});
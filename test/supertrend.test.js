@@ -0,0 +1,39 @@
+// Supertrend. Its ATR is checked against the TA-Lib regression values (ta_test_func/test_trange.c);
+// no published Supertrend series exists, so the band and direction rules are checked on a vector
+// worked by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSupertrend } = require('../src/indicators');
+const { KLINES } = require('./fixtures/talib');
+const { assertNear } = require('./helpers');
+
+test('the first bands are the midpoint ± multiplier × Wilder ATR', () => {
+    const supertrend = calculateSupertrend(KLINES, 14, 3);
+    assert.equal(supertrend.value[13], null);
+    const mid = (KLINES[14].high + KLINES[14].low) / 2;
+    // Published ATR(14) on candle 14: 3.578
+    assertNear(supertrend.upper[14], mid + 3 * 3.578, 3 * 1e-3, 'upper[14]');
+    assertNear(supertrend.lower[14], mid - 3 * 3.578, 3 * 1e-3, 'lower[14]');
+    assert.equal(supertrend.direction[14], -1);
+    assert.equal(supertrend.value[14], supertrend.upper[14]);
+});
+
+test('bands only tighten and the direction flips when the close crosses the active band', () => {
+    // ATR period 1 (the true range) and multiplier 1 keep the arithmetic readable
+    const klines = [
+        { high: 10, low: 8, close: 9 },
+        { high: 11, low: 9, close: 10 }, // TR 2, mid 10: bands 12 / 8, starts down
+        { high: 12, low: 10, close: 11.5 }, // TR 2, mid 11: lower rises to 9, upper stays 12
+        { high: 14, low: 12, close: 13.5 }, // TR 2.5, mid 13: close above 12 -> up on lower 10.5
+        { high: 13.5, low: 12.5, close: 13 }, // TR 1, mid 13: lower 12; upper resets to 14 (close was above 12)
+        { high: 12, low: 10, close: 10.5 }, // TR 3, mid 11: lower holds 12, close below it -> down on 14
+        { high: 11, low: 9.5, close: 10 } // TR 1.5, mid 10.25: upper tightens to 11.75, lower resets to 8.75
+    ];
+    const supertrend = calculateSupertrend(klines, 1, 1);
+    assert.deepEqual(supertrend, {
+        value: [null, 12, 12, 10.5, 12, 14, 11.75],
+        direction: [null, -1, -1, 1, 1, -1, -1],
+        upper: [null, 12, 12, 12, 14, 14, 11.75],
+        lower: [null, 8, 9, 10.5, 12, 12, 8.75]
+    });
+});
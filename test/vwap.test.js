@@ -0,0 +1,47 @@
+// Session and anchored VWAP. No published series uses timestamps and sessions, so the expected
+// values are worked by hand from the definition: Σ(typical price × volume) / Σ volume, typical
+// price = (high + low + close) / 3.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateVWAP } = require('../src/indicators');
+const { assertNear } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Typical prices 10, 20 | 30, 40, 25 across two UTC days; the first candle of day two trades nothing
+const KLINES = [
+    { time: 0, high: 12, low: 9, close: 9, volume: 100 },
+    { time: 12 * HOUR, high: 22, low: 18, close: 20, volume: 300 },
+    { time: DAY, high: 31, low: 29, close: 30, volume: 0 },
+    { time: DAY + 6 * HOUR, high: 42, low: 38, close: 40, volume: 100 },
+    { time: DAY + 12 * HOUR, high: 26, low: 24, close: 25, volume: 300 }
+];
+
+function assertSeries(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) assert.equal(actual[i], null, `[${i}]`);
+        else assertNear(actual[i], value, 1e-9, `[${i}]`);
+    });
+}
+
+test('resets at every UTC day', () => {
+    // day 1: 10, (10×100 + 20×300) / 400; day 2: no volume yet, 40, (40×100 + 25×300) / 400
+    assertSeries(calculateVWAP(KLINES), [10, 17.5, null, 40, 28.75]);
+});
+
+test('resets at every custom session', () => {
+    // 12h sessions: every candle but the last starts a new one
+    assertSeries(calculateVWAP(KLINES, { sessionMs: 12 * HOUR }), [10, 20, null, 40, 25]);
+});
+
+test('an anchored VWAP skips earlier candles and never resets', () => {
+    // 20, (20×300 + 30×0) / 300, (6000 + 40×100) / 400, (10000 + 25×300) / 700
+    assertSeries(calculateVWAP(KLINES, { anchor: 12 * HOUR }), [null, 20, 20, 25, 25]);
+});
+
+test('rejects an invalid anchor or session', () => {
+    assert.throws(() => calculateVWAP(KLINES, { anchor: 'yesterday' }), /Anchor/);
+    assert.throws(() => calculateVWAP(KLINES, { sessionMs: 0 }), /Session length/);
+});
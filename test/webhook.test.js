@@ -0,0 +1,146 @@
+// Webhook channel against a local HTTP stand-in: signing, retry with backoff, dead-letter file.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, sign, verifySignature, createWebhookChannel } = require('../src/channels/webhook');
+
+const SECRET = 'test-secret';
+const PAYLOAD = { id: 'a1', symbol: 'BTCUSDT', timeframe: '15m', cross: 'bullish', price: 65000.5 };
+
+// Local receiver answering with statuses[i] for the i-th request (the last one repeats)
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            res.writeHead(statuses[Math.min(requests.length - 1, statuses.length - 1)]);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function tempFile(name) {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ema-webhook-')), name);
+}
+
+// The dead-letter append is fire-and-forget — wait for it to land
+async function readWhenWritten(filePath, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') === '') {
+        if (Date.now() > deadline) throw new Error(`${filePath} was not written`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+test('signs the exact body with HMAC-SHA256 over "<timestamp>.<body>"', async (t) => {
+    const receiver = await startReceiver([200]);
+    t.after(receiver.close);
+    const channel = createWebhookChannel({ urls: [receiver.url], secret: SECRET });
+
+    assert.equal(await channel.send(PAYLOAD), 1);
+    const [request] = receiver.requests;
+    const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+    const signature = request.headers[SIGNATURE_HEADER.toLowerCase()];
+    assert.deepEqual(JSON.parse(request.body), PAYLOAD);
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(signature, sign(SECRET, timestamp, request.body));
+    assert.ok(verifySignature(SECRET, timestamp, request.body, signature));
+    assert.ok(!verifySignature('other-secret', timestamp, request.body, signature));
+    assert.ok(!verifySignature(SECRET, timestamp, request.body.replace('65000.5', '65000.6'), signature));
+});
+
+test('sends no signature headers without a secret', async (t) => {
+    const receiver = await startReceiver([200]);
+    t.after(receiver.close);
+    await createWebhookChannel({ urls: [receiver.url] }).send(PAYLOAD);
+    assert.equal(receiver.requests[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+    assert.equal(receiver.requests[0].headers[TIMESTAMP_HEADER.toLowerCase()], undefined);
+});
+
+test('retries 5xx and 429 with growing backoff until delivered', async (t) => {
+    const receiver = await startReceiver([503, 429, 500, 200]);
+    t.after(receiver.close);
+    const deadLetterPath = tempFile('dead.ndjson');
+    const channel = createWebhookChannel({ urls: [receiver.url], secret: SECRET, retries: 4, backoffMs: 40, deadLetterPath });
+
+    assert.equal(await channel.send(PAYLOAD), 1);
+    assert.equal(receiver.requests.length, 4);
+    const gaps = receiver.requests.slice(1).map((r, i) => r.at - receiver.requests[i].at);
+    // 40ms, 80ms, 160ms (+ up to 20% jitter)
+    gaps.forEach((gap, i) => assert.ok(gap >= 40 * 2 ** i - 5, `retry ${i + 1} came after ${gap}ms`));
+    assert.ok(gaps[2] > gaps[0], 'backoff grows');
+    // Every attempt is signed afresh with its own timestamp
+    for (const request of receiver.requests) {
+        const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+        assert.ok(verifySignature(SECRET, timestamp, request.body, request.headers[SIGNATURE_HEADER.toLowerCase()]));
+    }
+    assert.deepEqual(channel.stats(), { delivered: 1, retried: 3, deadLettered: 0 });
+    assert.ok(!fs.existsSync(deadLetterPath));
+});
+
+test('dead-letters the payload once retries run out', async (t) => {
+    const receiver = await startReceiver([502]);
+    t.after(receiver.close);
+    const deadLetterPath = tempFile('dead.ndjson');
+    const channel = createWebhookChannel({ urls: [receiver.url], retries: 2, backoffMs: 5, deadLetterPath });
+
+    assert.equal(await channel.send(PAYLOAD), 0);
+    assert.equal(receiver.requests.length, 3);
+    const entries = (await readWhenWritten(deadLetterPath)).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].url, receiver.url);
+    assert.equal(entries[0].attempts, 3);
+    assert.equal(entries[0].error, 'HTTP 502');
+    assert.deepEqual(entries[0].payload, PAYLOAD);
+    assert.deepEqual(channel.stats(), { delivered: 0, retried: 2, deadLettered: 1 });
+});
+
+test('dead-letters a 4xx rejection without retrying', async (t) => {
+    const receiver = await startReceiver([400]);
+    t.after(receiver.close);
+    const deadLetterPath = tempFile('dead.ndjson');
+    const channel = createWebhookChannel({ urls: [receiver.url], retries: 3, backoffMs: 5, deadLetterPath });
+
+    assert.equal(await channel.send(PAYLOAD), 0);
+    assert.equal(receiver.requests.length, 1);
+    const [entry] = (await readWhenWritten(deadLetterPath)).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.error, 'HTTP 400');
+});
+
+test('delivers to every URL independently', async (t) => {
+    const good = await startReceiver([200]);
+    const bad = await startReceiver([500]);
+    t.after(good.close);
+    t.after(bad.close);
+    const channel = createWebhookChannel({ urls: [good.url, bad.url], retries: 1, backoffMs: 5, deadLetterPath: tempFile('dead.ndjson') });
+
+    assert.equal(await channel.send(PAYLOAD), 1);
+    assert.equal(good.requests.length, 1);
+    assert.equal(bad.requests.length, 2);
+});
+
+test('configure() changes the retries of the next deliveries', async (t) => {
+    const receiver = await startReceiver([503]);
+    t.after(receiver.close);
+    const channel = createWebhookChannel({ urls: [receiver.url], retries: 3, backoffMs: 5, deadLetterPath: tempFile('dead.ndjson') });
+
+    channel.configure({ retries: 0 });
+    assert.equal(await channel.send(PAYLOAD), 0);
+    assert.equal(receiver.requests.length, 1);
+    channel.configure({ retries: 1 });
+    await channel.send(PAYLOAD);
+    assert.equal(receiver.requests.length, 3);
+});